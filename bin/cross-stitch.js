@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import pngjs from 'pngjs';
+import jpeg from 'jpeg-js';
+import {
+    detectBackgroundColor,
+    runPatternPipeline,
+    generateSVG,
+    generateOpenCrossStitchFormat,
+    generateOXS,
+    generateThreadShoppingList,
+    exportShoppingListText,
+    CHART_MODES
+} from '../src/utils/patternGenerator.js';
+import { renderPatternPixels } from '../src/utils/rasterRenderer.js';
+import { generatePDF } from '../src/utils/pdfExport.js';
+import { PDF_PAGE_SIZES } from '../src/utils/pdfWriter.js';
+import { getThreadPalette, THREAD_BRANDS } from '../src/data/threadPalettes.js';
+import { COLOR_METRICS } from '../src/utils/colorUtils.js';
+import { FABRICS, DEFAULT_FABRIC_ID, getFabric } from '../src/data/fabrics.js';
+import { DEFAULT_STRANDS, DEFAULT_WASTE_FACTOR } from '../src/utils/threadEstimator.js';
+import { DEFAULT_MIN_ISLAND_SIZE, calculateConfettiScore } from '../src/utils/confetti.js';
+import { SAMPLING_MODES } from '../src/utils/cellSampling.js';
+import { REDUCTION_METHODS } from '../src/utils/quantize.js';
+import { ERROR_DIFFUSION_KERNELS, ORDERED_DITHERING } from '../src/utils/dithering.js';
+
+/**
+ * cross-stitch CLI
+ * Batch-convert PNG/JPEG images to cross-stitch patterns without a browser
+ */
+
+const { PNG } = pngjs;
+
+const FORMATS = ['svg', 'json', 'oxs', 'png', 'txt', 'pdf'];
+const SHAPES = ['rectangle', 'circle', 'oval', 'heart', 'diamond', 'star'];
+const DITHERING_ALGORITHMS = [...Object.keys(ERROR_DIFFUSION_KERNELS), ...ORDERED_DITHERING];
+
+const USAGE = `Usage: cross-stitch <image...> [options]
+
+Convert PNG or JPEG images to cross-stitch patterns.
+
+Options:
+  -g, --grid <n>              Pattern width in stitches (default: 60)
+  -o, --out-dir <dir>         Output directory (default: current directory)
+  -f, --formats <list>        Comma-separated outputs: ${FORMATS.join(',')} (default: all)
+      --brand <brand>         Thread brand: ${THREAD_BRANDS.join(', ')} (default: DMC)
+      --palette <name>        DMC palette: curated, full (default: curated)
+      --metric <metric>       Color matching: ${COLOR_METRICS.join(', ')} (default: ciede2000)
+      --sampling <mode>       Cell sampling: ${SAMPLING_MODES.join(', ')} (default: average)
+      --dither <algorithm>    Enable dithering: ${DITHERING_ALGORITHMS.join(', ')}
+      --dither-strength <n>   Dithering strength 10-100 (default: 100)
+      --no-serpentine         Scan every row left-to-right when error-diffusing
+      --max-colors <n>        Limit the number of thread colors
+      --reduction <method>    Color limiting: ${REDUCTION_METHODS.join(', ')} (default: kmeans)
+      --merge <tolerance>     Merge similar colors within this distance
+      --blends                Also match blends of two threads (one strand each)
+      --blend-distance <n>    Largest ΔE between the two threads of a blend, 5-40 (default: 20)
+      --shape <shape>         Shape mask: ${SHAPES.join(', ')} (default: rectangle)
+      --remove-confetti       Recolor isolated stitches and tiny color islands to a neighboring color
+      --min-island <n>        Smallest island kept by --remove-confetti, 2-20 (default: ${DEFAULT_MIN_ISLAND_SIZE})
+      --smooth-edges          Use three-quarter and quarter stitches on stair-stepped edges
+      --outline               Add backstitch outlines along strong color boundaries
+      --outline-color <id>    Outline thread number (default: darkest thread in the palette)
+      --outline-threshold <n> Outline edge threshold 1-1020, lower = more lines (default: 120)
+      --remove-background     Remove the background color detected from the image edges
+      --tolerance <n>         Background tolerance 10-100 (default: 40)
+      --symbols               Add symbols and a legend to the SVG
+      --grid-numbers          Add grid numbers to the SVG and PNG (PNG symbol charts always have them)
+      --border                Add a border to the SVG
+      --chart <mode>          Chart style for SVG/PNG: ${CHART_MODES.join(', ')} (default: stitches)
+      --stitch-size <n>       Pixels per stitch in SVG/PNG output (default: 10)
+      --page-size <size>      PDF paper size: ${Object.keys(PDF_PAGE_SIZES).join(', ')} (default: a4)
+      --margin <mm>           PDF page margin in millimetres, 5-25 (default: 12)
+      --fabric <id>           Fabric for thread estimates: ${FABRICS.map(fabric => fabric.id).join(', ')} (default: ${DEFAULT_FABRIC_ID})
+      --strands <n>           Strands for cross stitches, 1-6 (default: ${DEFAULT_STRANDS})
+      --waste <percent>       Thread waste allowance 0-100 (default: ${DEFAULT_WASTE_FACTOR * 100})
+  -h, --help                  Show this help
+`;
+
+/**
+ * Parse a numeric option, exiting with a message when it is out of range
+ * @private
+ */
+function parseNumber(value, name, { min = 1, max = Infinity, fallback }) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`--${name} must be a number between ${min} and ${max === Infinity ? 'infinity' : max}, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Check that an option value is one of the allowed choices
+ * @private
+ */
+function parseChoice(value, name, choices, fallback) {
+    if (value === undefined) return fallback;
+    if (!choices.includes(value)) {
+        throw new Error(`--${name} must be one of ${choices.join(', ')}, got "${value}"`);
+    }
+    return value;
+}
+
+/**
+ * Decode a PNG or JPEG file into { data, width, height } RGBA pixels
+ * @private
+ */
+function decodeImage(buffer, fileName) {
+    const isPng = buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47;
+    const isJpeg = buffer.length > 2 && buffer[0] === 0xFF && buffer[1] === 0xD8;
+
+    if (isPng) {
+        const png = PNG.sync.read(buffer);
+        return { data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length), width: png.width, height: png.height };
+    }
+    if (isJpeg) {
+        const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length), width: image.width, height: image.height };
+    }
+    throw new Error(`${fileName} is not a PNG or JPEG image`);
+}
+
+/**
+ * Encode RGBA pixels as a PNG file buffer
+ * @private
+ */
+function encodePng({ data, width, height }) {
+    const png = new PNG({ width, height });
+    png.data = Buffer.from(data.buffer, data.byteOffset, data.length);
+    return PNG.sync.write(png);
+}
+
+/**
+ * Build pipeline options from parsed command-line values
+ * @private
+ */
+function buildOptions(values) {
+    const brand = parseChoice(values.brand, 'brand', THREAD_BRANDS, 'DMC');
+    const paletteName = parseChoice(values.palette, 'palette', ['curated', 'full'], 'curated');
+    const maxColors = parseNumber(values['max-colors'], 'max-colors', { min: 1, max: 500, fallback: 0 });
+    const palette = getThreadPalette(brand, paletteName);
+
+    let outlineColor = null;
+    if (values['outline-color'] !== undefined) {
+        outlineColor = palette.find(color => color.id === values['outline-color']);
+        if (!outlineColor) {
+            throw new Error(`--outline-color must be a thread in the ${brand} ${paletteName} palette, got "${values['outline-color']}"`);
+        }
+    }
+
+    return {
+        gridSize: parseNumber(values.grid, 'grid', { min: 5, max: 1000, fallback: 60 }),
+        stitchSize: parseNumber(values['stitch-size'], 'stitch-size', { min: 4, max: 50, fallback: 10 }),
+        chartMode: parseChoice(values.chart, 'chart', CHART_MODES, 'stitches'),
+        formats: (values.formats || FORMATS.join(',')).split(',').map(format => parseChoice(format.trim(), 'formats', FORMATS)),
+        pipeline: {
+            removeBackground: Boolean(values['remove-background']),
+            tolerance: parseNumber(values.tolerance, 'tolerance', { min: 10, max: 100, fallback: 40 }),
+            useDithering: values.dither !== undefined,
+            ditheringAlgorithm: parseChoice(values.dither, 'dither', DITHERING_ALGORITHMS, 'floyd-steinberg'),
+            serpentine: !values['no-serpentine'],
+            ditheringStrength: parseNumber(values['dither-strength'], 'dither-strength', { min: 10, max: 100, fallback: 100 }) / 100,
+            samplingMode: parseChoice(values.sampling, 'sampling', SAMPLING_MODES, 'average'),
+            colorMetric: parseChoice(values.metric, 'metric', COLOR_METRICS, 'ciede2000'),
+            palette,
+            maxColors,
+            reductionMethod: parseChoice(values.reduction, 'reduction', REDUCTION_METHODS, 'kmeans'),
+            mergeTolerance: parseNumber(values.merge, 'merge', { min: 1, max: 100, fallback: 0 }),
+            useBlends: Boolean(values.blends),
+            blendDistance: parseNumber(values['blend-distance'], 'blend-distance', { min: 5, max: 40, fallback: 20 }),
+            patternShape: parseChoice(values.shape, 'shape', SHAPES, 'rectangle'),
+            removeConfetti: Boolean(values['remove-confetti']),
+            minIslandSize: parseNumber(values['min-island'], 'min-island', { min: 2, max: 20, fallback: DEFAULT_MIN_ISLAND_SIZE }),
+            smoothEdges: Boolean(values['smooth-edges']),
+            backstitchOutlines: Boolean(values.outline),
+            outlineColor,
+            outlineThreshold: parseNumber(values['outline-threshold'], 'outline-threshold', { min: 1, max: 1020, fallback: 120 })
+        },
+        svg: {
+            showSymbols: Boolean(values.symbols),
+            showGridNumbers: Boolean(values['grid-numbers']),
+            showBorder: Boolean(values.border)
+        },
+        pdf: {
+            pageSize: parseChoice(values['page-size'], 'page-size', Object.keys(PDF_PAGE_SIZES), 'a4'),
+            margin: parseNumber(values.margin, 'margin', { min: 5, max: 25, fallback: 12 })
+        },
+        thread: {
+            fabric: getFabric(parseChoice(values.fabric, 'fabric', FABRICS.map(fabric => fabric.id), DEFAULT_FABRIC_ID)),
+            strands: Math.round(parseNumber(values.strands, 'strands', { min: 1, max: 6, fallback: DEFAULT_STRANDS })),
+            wasteFactor: parseNumber(values.waste, 'waste', { min: 0, max: 100, fallback: DEFAULT_WASTE_FACTOR * 100 }) / 100
+        }
+    };
+}
+
+/**
+ * Convert one image and write the requested outputs
+ * @private
+ */
+async function convertFile(inputPath, outDir, options) {
+    const imageData = decodeImage(await readFile(inputPath), inputPath);
+    const pipeline = { ...options.pipeline };
+    if (pipeline.removeBackground) {
+        pipeline.backgroundColor = detectBackgroundColor(imageData);
+    }
+
+    const onProgress = process.stderr.isTTY
+        ? (progress) => process.stderr.write(`\r${path.basename(inputPath)}: ${progress}%`)
+        : () => {};
+    const pattern = await runPatternPipeline(imageData, options.gridSize, onProgress, pipeline);
+    if (process.stderr.isTTY) process.stderr.write('\n');
+
+    const baseName = path.join(outDir, path.basename(inputPath, path.extname(inputPath)));
+    const written = [];
+
+    for (const format of options.formats) {
+        let fileName;
+        let contents;
+
+        if (format === 'svg') {
+            fileName = `${baseName}.svg`;
+            contents = generateSVG(pattern.stitches, pattern.width, pattern.height, options.stitchSize, {
+                ...options.svg,
+                chartMode: options.chartMode,
+                colorCounts: pattern.colorCounts,
+                backstitches: pattern.backstitches
+            });
+        } else if (format === 'json') {
+            fileName = `${baseName}.json`;
+            contents = generateOpenCrossStitchFormat(pattern.stitches, pattern.width, pattern.height, pattern.colorCounts, {
+                backstitches: pattern.backstitches
+            });
+        } else if (format === 'oxs') {
+            fileName = `${baseName}.oxs`;
+            contents = generateOXS(pattern.stitches, pattern.width, pattern.height, pattern.colorCounts, {
+                title: path.basename(inputPath, path.extname(inputPath)),
+                backstitches: pattern.backstitches
+            });
+        } else if (format === 'png') {
+            fileName = `${baseName}.png`;
+            contents = encodePng(renderPatternPixels(pattern, {
+                stitchSize: options.stitchSize,
+                chartMode: options.chartMode,
+                showGridNumbers: options.svg.showGridNumbers
+            }));
+        } else if (format === 'txt') {
+            fileName = `${baseName}-shopping-list.txt`;
+            contents = exportShoppingListText(generateThreadShoppingList(pattern.colorCounts, {
+                ...options.thread,
+                backstitches: pattern.backstitches,
+                stitches: pattern.stitches
+            }));
+        } else if (format === 'pdf') {
+            fileName = `${baseName}.pdf`;
+            contents = generatePDF(pattern.stitches, pattern.width, pattern.height, pattern.colorCounts, {
+                ...options.pdf,
+                ...options.thread,
+                title: path.basename(inputPath, path.extname(inputPath)),
+                backstitches: pattern.backstitches
+            });
+        }
+
+        await writeFile(fileName, contents);
+        written.push(fileName);
+    }
+
+    const colorCount = Object.keys(pattern.colorCounts).length;
+    const backstitchSummary = pattern.backstitches.length > 0 ? `, ${pattern.backstitches.length} backstitches` : '';
+    const confetti = calculateConfettiScore(pattern.stitches, { minIslandSize: options.pipeline.minIslandSize });
+    console.log(`${inputPath}: ${pattern.width}×${pattern.height}, ${pattern.stitches.length} stitches, ${colorCount} colors${backstitchSummary}, ${confetti.score}% confetti`);
+    for (const fileName of written) {
+        console.log(`  wrote ${fileName}`);
+    }
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            grid: { type: 'string', short: 'g' },
+            'out-dir': { type: 'string', short: 'o' },
+            formats: { type: 'string', short: 'f' },
+            brand: { type: 'string' },
+            palette: { type: 'string' },
+            metric: { type: 'string' },
+            sampling: { type: 'string' },
+            dither: { type: 'string' },
+            'dither-strength': { type: 'string' },
+            'no-serpentine': { type: 'boolean' },
+            'max-colors': { type: 'string' },
+            reduction: { type: 'string' },
+            merge: { type: 'string' },
+            blends: { type: 'boolean' },
+            'blend-distance': { type: 'string' },
+            shape: { type: 'string' },
+            'remove-confetti': { type: 'boolean' },
+            'min-island': { type: 'string' },
+            'smooth-edges': { type: 'boolean' },
+            outline: { type: 'boolean' },
+            'outline-color': { type: 'string' },
+            'outline-threshold': { type: 'string' },
+            'remove-background': { type: 'boolean' },
+            tolerance: { type: 'string' },
+            symbols: { type: 'boolean' },
+            'grid-numbers': { type: 'boolean' },
+            border: { type: 'boolean' },
+            chart: { type: 'string' },
+            'stitch-size': { type: 'string' },
+            'page-size': { type: 'string' },
+            margin: { type: 'string' },
+            fabric: { type: 'string' },
+            strands: { type: 'string' },
+            waste: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const options = buildOptions(values);
+    const outDir = values['out-dir'] || '.';
+    await mkdir(outDir, { recursive: true });
+
+    // Keep going through the batch when one image fails
+    for (const inputPath of positionals) {
+        try {
+            await convertFile(inputPath, outDir, options);
+        } catch (error) {
+            console.error(`${inputPath}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main().catch((error) => {
+    console.error(`cross-stitch: ${error.message}`);
+    process.exitCode = 1;
+});
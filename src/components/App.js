@@ -1,12 +1,24 @@
 import { html } from '../htm.js';
-import { loadImageData, convertToPattern, generateSVG, generateOpenCrossStitchFormat, detectBackgroundColor, limitColors, mergeColors, generateThreadShoppingList, exportShoppingListText, generatePrintableHTML, applyShapeMask } from '../utils/patternGenerator.js';
+import { generateSVG, getSVGLayout, generateOpenCrossStitchFormat, generateOXS, detectBackgroundColor, generateThreadShoppingList, generateBeadShoppingList, exportShoppingListText, generatePrintableHTML } from '../utils/patternGenerator.js';
+import { loadImageData } from '../utils/imageLoader.js';
+import { createPatternWorker } from '../utils/patternWorkerClient.js';
+import { applyChanges, createEditHistory, recordEdit } from '../utils/patternEditor.js';
 import { Header } from './Header.js';
 import { UploadZone } from './UploadZone.js';
 import { Controls } from './Controls.js';
 import { PreviewPanel } from './PreviewPanel.js';
 import { PatternPanel } from './PatternPanel.js';
-
-const { useState, useEffect } = React;
+import { getThreadPalette } from '../data/threadPalettes.js';
+import { getFabric, DEFAULT_FABRIC_ID } from '../data/fabrics.js';
+import { DEFAULT_STRANDS, DEFAULT_WASTE_FACTOR } from '../utils/threadEstimator.js';
+import { DEFAULT_MIN_ISLAND_SIZE } from '../utils/confetti.js';
+import { getMergeToleranceRange, convertMergeTolerance } from '../utils/colorUtils.js';
+import { PAGE_TILE_SIZES } from '../utils/pageTiles.js';
+import { generatePDF } from '../utils/pdfExport.js';
+import { loadStash, saveStash, getStashPalette } from '../utils/stash.js';
+import { getPatternKey } from '../utils/stitchProgress.js';
+
+const { useState, useEffect, useMemo, useRef } = React;
 
 /**
  * Main App Component
@@ -16,10 +28,19 @@ export function App() {
     const [image, setImage] = useState(null);
     const [imageData, setImageData] = useState(null);
     const [gridSize, setGridSize] = useState(60);
-    const [pattern, setPattern] = useState(null);
+    const [widthBy, setWidthBy] = useState('stitches');
+    const [fabricId, setFabricId] = useState(DEFAULT_FABRIC_ID);
+    const [sizeUnit, setSizeUnit] = useState('in');
+    const [strands, setStrands] = useState(DEFAULT_STRANDS);
+    const [wasteFactor, setWasteFactor] = useState(DEFAULT_WASTE_FACTOR);
+    const [patternResult, setPatternResult] = useState(null);
+    const [importedPattern, setImportedPattern] = useState(null);
     const [progress, setProgress] = useState(0);
     const [isConverting, setIsConverting] = useState(false);
     const [colorCounts, setColorCounts] = useState({});
+    const [editHistory, setEditHistory] = useState(createEditHistory);
+    // Stitching progress is saved under the pattern as generated or imported, so edits keep it
+    const [progressKey, setProgressKey] = useState(null);
 
     // Color-based background removal state
     const [removeBackground, setRemoveBackground] = useState(true);
@@ -27,14 +48,51 @@ export function App() {
     const [tolerance, setTolerance] = useState(40);
     const [useDithering, setUseDithering] = useState(false);
     const [ditheringAlgorithm, setDitheringAlgorithm] = useState('floyd-steinberg');
+    const [serpentine, setSerpentine] = useState(true);
+    const [ditheringStrength, setDitheringStrength] = useState(100);
+    const [samplingMode, setSamplingMode] = useState('average');
+    const [colorMetric, setColorMetric] = useState('ciede2000');
+    const [threadBrand, setThreadBrand] = useState('DMC');
+    const [paletteName, setPaletteName] = useState('curated');
+    const [stash, setStash] = useState(() => loadStash());
+    const [useStashOnly, setUseStashOnly] = useState(false);
     const [useMaxColors, setUseMaxColors] = useState(false);
     const [maxColors, setMaxColors] = useState(20);
+    const [reductionMethod, setReductionMethod] = useState('kmeans');
     const [useMergeColors, setUseMergeColors] = useState(false);
-    const [mergeTolerance, setMergeTolerance] = useState(30);
+    const [mergeTolerance, setMergeTolerance] = useState(() => getMergeToleranceRange('ciede2000').default);
+    const [useBlends, setUseBlends] = useState(false);
+    const [blendDistance, setBlendDistance] = useState(20);
     const [showSymbols, setShowSymbols] = useState(false);
     const [showGridNumbers, setShowGridNumbers] = useState(false);
     const [showBorder, setShowBorder] = useState(false);
+    const [chartMode, setChartMode] = useState('stitches');
+    const [printPageSize, setPrintPageSize] = useState('60x80');
+    const [printOverlap, setPrintOverlap] = useState(2);
+    const [pdfPageSize, setPdfPageSize] = useState('a4');
+    const [pdfMargin, setPdfMargin] = useState(12);
     const [patternShape, setPatternShape] = useState('rectangle');
+    const [removeConfetti, setRemoveConfetti] = useState(false);
+    const [minIslandSize, setMinIslandSize] = useState(DEFAULT_MIN_ISLAND_SIZE);
+    const [smoothEdges, setSmoothEdges] = useState(false);
+    const [backstitchOutlines, setBackstitchOutlines] = useState(false);
+    const [outlineColorId, setOutlineColorId] = useState(''); // '' picks the darkest thread
+    const [outlineThreshold, setOutlineThreshold] = useState(120);
+
+    // Threads to match against: the user's stash when restricted, otherwise the chosen palette
+    const stashPalette = useMemo(() => getStashPalette(stash, threadBrand), [stash, threadBrand]);
+    const restrictToStash = useStashOnly && stashPalette.length > 0;
+    const palette = restrictToStash ? stashPalette : getThreadPalette(threadBrand, paletteName);
+    const hasStash = Object.keys(stash).length > 0;
+    const fabric = getFabric(fabricId);
+    const outlineColor = palette.find(color => color.id === outlineColorId) || null;
+
+    // Conversion runs in a worker so slider changes never block the page
+    const workerRef = useRef(null);
+    useEffect(() => {
+        workerRef.current = createPatternWorker();
+        return () => workerRef.current.terminate();
+    }, []);
 
     // Load sample image on mount
     useEffect(() => {
@@ -47,6 +105,7 @@ export function App() {
 
         loadImageData(image)
             .then((imgData) => {
+                workerRef.current.setImage(imgData);
                 setImageData(imgData);
                 // Automatically detect background color
                 const bgColor = detectBackgroundColor(imgData);
@@ -56,60 +115,116 @@ export function App() {
             .catch(console.error);
     }, [image]);
 
-    // Convert to cross stitch pattern when imageData, gridSize, or background settings change
+    // Convert to cross stitch pattern when imageData or any conversion setting changes
     useEffect(() => {
         if (!imageData) return;
 
+        // Each run gets its own signal; a newer run cancels this one so stale results are dropped
+        const controller = new AbortController();
+
         setIsConverting(true);
         setProgress(0);
-        setPattern(null);
+        setPatternResult(null);
 
-        convertToPattern(imageData, gridSize, setProgress, {
+        workerRef.current.convert(gridSize, {
             removeBackground,
             backgroundColor,
             tolerance,
             useDithering,
-            ditheringAlgorithm
-        })
+            ditheringAlgorithm,
+            serpentine,
+            ditheringStrength: ditheringStrength / 100,
+            samplingMode,
+            colorMetric,
+            palette,
+            maxColors: useMaxColors ? maxColors : 0,
+            reductionMethod,
+            mergeTolerance: useMergeColors ? mergeTolerance : 0,
+            useBlends,
+            blendDistance,
+            restrictToPalette: restrictToStash,
+            patternShape,
+            removeConfetti,
+            minIslandSize,
+            smoothEdges,
+            backstitchOutlines,
+            outlineColor,
+            outlineThreshold
+        }, { onProgress: setProgress, signal: controller.signal })
             .then((result) => {
-                // Apply color limiting if enabled
-                let finalResult = result;
-                if (useMaxColors) {
-                    finalResult = limitColors(result, maxColors);
-                }
-
-                // Apply color merging if enabled
-                if (useMergeColors) {
-                    finalResult = mergeColors(finalResult, mergeTolerance);
+                setPatternResult(result);
+                setColorCounts(result.colorCounts);
+                setEditHistory(createEditHistory());
+                setProgressKey(getPatternKey(result));
+                setIsConverting(false);
+            })
+            .catch((error) => {
+                if (error.name !== 'AbortError') {
+                    console.error(error);
+                    setIsConverting(false);
                 }
+            });
+
+        return () => controller.abort();
+    }, [imageData, gridSize, removeBackground, backgroundColor, tolerance, useDithering, ditheringAlgorithm, serpentine, ditheringStrength, samplingMode, colorMetric, palette, restrictToStash, useMaxColors, maxColors, reductionMethod, useMergeColors, mergeTolerance, useBlends, blendDistance, patternShape, removeConfetti, minIslandSize, smoothEdges, backstitchOutlines, outlineColorId, outlineThreshold]);
+
+    // Chart display options only redraw the SVG, they don't re-run conversion
+    const pattern = useMemo(() => {
+        if (!patternResult) return null;
+
+        const svg = generateSVG(patternResult.stitches, patternResult.width, patternResult.height, 10, {
+            showSymbols,
+            colorCounts: patternResult.colorCounts,
+            showGridNumbers,
+            showBorder,
+            chartMode,
+            backstitches: patternResult.backstitches || [],
+            ornaments: patternResult.ornaments || []
+        });
+        return {
+            svg,
+            stitches: patternResult.stitches,
+            backstitches: patternResult.backstitches || [],
+            ornaments: patternResult.ornaments || [],
+            width: patternResult.width,
+            height: patternResult.height,
+            stitchCount: patternResult.stitches.length,
+            layout: getSVGLayout({ showGridNumbers, showSymbols, chartMode })
+        };
+    }, [patternResult, showSymbols, showGridNumbers, showBorder, chartMode]);
+
+    /**
+     * Apply an edit from the pattern editor and record it for undo
+     */
+    const handleEdit = (changes) => {
+        if (changes.length === 0) return;
+        const edited = applyChanges(patternResult, changes);
+        setPatternResult(edited);
+        setColorCounts(edited.colorCounts);
+        setEditHistory(history => recordEdit(history, changes));
+    };
 
-                // Apply shape mask if not rectangle
-                if (patternShape !== 'rectangle') {
-                    finalResult = applyShapeMask(finalResult, patternShape);
-                }
+    const handleUndo = () => {
+        const changes = editHistory.undo[editHistory.undo.length - 1];
+        if (!changes) return;
+        const edited = applyChanges(patternResult, changes, { reverse: true });
+        setPatternResult(edited);
+        setColorCounts(edited.colorCounts);
+        setEditHistory({ undo: editHistory.undo.slice(0, -1), redo: [...editHistory.redo, changes] });
+    };
 
-                const svg = generateSVG(finalResult.stitches, finalResult.width, finalResult.height, 10, {
-                    showSymbols,
-                    colorCounts: finalResult.colorCounts,
-                    showGridNumbers,
-                    showBorder
-                });
-                setPattern({
-                    svg,
-                    stitches: finalResult.stitches,
-                    width: finalResult.width,
-                    height: finalResult.height,
-                    stitchCount: finalResult.stitches.length
-                });
-                setColorCounts(finalResult.colorCounts);
-                setIsConverting(false);
-            })
-            .catch(console.error);
-    }, [imageData, gridSize, removeBackground, backgroundColor, tolerance, useDithering, ditheringAlgorithm, useMaxColors, maxColors, useMergeColors, mergeTolerance, showSymbols, showGridNumbers, showBorder, patternShape]);
+    const handleRedo = () => {
+        const changes = editHistory.redo[editHistory.redo.length - 1];
+        if (!changes) return;
+        const edited = applyChanges(patternResult, changes);
+        setPatternResult(edited);
+        setColorCounts(edited.colorCounts);
+        setEditHistory({ undo: [...editHistory.undo, changes], redo: editHistory.redo.slice(0, -1) });
+    };
 
     const handleFileSelect = (imageSrc) => {
         setImage(imageSrc);
-        setPattern(null);
+        setPatternResult(null);
         setProgress(0);
         setColorCounts({});
     };
@@ -117,11 +232,40 @@ export function App() {
     const handleNewImage = () => {
         setImage(null);
         setImageData(null);
-        setPattern(null);
+        setImportedPattern(null);
+        setPatternResult(null);
+        setColorCounts({});
         setBackgroundColor(null);
         setRemoveBackground(true);
     };
 
+    // Imported patterns are shown as-is, with no source image to convert
+    const handlePatternImport = (imported) => {
+        setImage(null);
+        setImageData(null);
+        setImportedPattern(imported);
+        setPatternResult(imported);
+        setColorCounts(imported.colorCounts);
+        setEditHistory(createEditHistory());
+        setProgressKey(getPatternKey(imported));
+        setIsConverting(false);
+        setProgress(100);
+    };
+
+    const handleStashChange = (newStash) => {
+        setStash(newStash);
+        saveStash(newStash);
+        if (Object.keys(newStash).length === 0) {
+            setUseStashOnly(false);
+        }
+    };
+
+    // RGB distances and ΔE use different scales, so the merge tolerance is carried across
+    const handleColorMetricChange = (metric) => {
+        setMergeTolerance(convertMergeTolerance(mergeTolerance, colorMetric, metric));
+        setColorMetric(metric);
+    };
+
     const handleManualBackgroundPick = (color) => {
         setBackgroundColor(color);
         setRemoveBackground(true); // Auto-enable background removal when manually picked
@@ -148,7 +292,8 @@ export function App() {
             pattern.stitches,
             pattern.width,
             pattern.height,
-            colorCounts
+            colorCounts,
+            { backstitches: pattern.backstitches, ornaments: pattern.ornaments }
         );
 
         const blob = new Blob([json], { type: 'application/json' });
@@ -162,14 +307,34 @@ export function App() {
         URL.revokeObjectURL(url);
     };
 
+    const downloadOXS = () => {
+        if (!pattern) return;
+
+        const xml = generateOXS(pattern.stitches, pattern.width, pattern.height, colorCounts, {
+            title: importedPattern ? importedPattern.title : 'Cross Stitch Pattern',
+            backstitches: pattern.backstitches,
+            ornaments: pattern.ornaments
+        });
+
+        const blob = new Blob([xml], { type: 'application/xml' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'cross-stitch-pattern.oxs';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
     const downloadPNG = () => {
         if (!pattern) return;
 
-        // Create a temporary canvas
+        // Create a temporary canvas the size of the whole SVG, so margins, grid numbers and legend are kept
+        const svgElement = new DOMParser().parseFromString(pattern.svg, 'image/svg+xml').documentElement;
         const canvas = document.createElement('canvas');
-        const stitchSize = 10;
-        canvas.width = pattern.width * stitchSize;
-        canvas.height = pattern.height * stitchSize;
+        canvas.width = Number(svgElement.getAttribute('width'));
+        canvas.height = Number(svgElement.getAttribute('height'));
         const ctx = canvas.getContext('2d');
 
         // Create an image from the SVG
@@ -178,6 +343,9 @@ export function App() {
         const img = new Image();
 
         img.onload = () => {
+            // White behind the legend and margins, which the SVG leaves transparent
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
             ctx.drawImage(img, 0, 0);
             URL.revokeObjectURL(url);
 
@@ -200,8 +368,18 @@ export function App() {
     const downloadShoppingList = () => {
         if (!colorCounts || Object.keys(colorCounts).length === 0) return;
 
-        const shoppingList = generateThreadShoppingList(colorCounts);
-        const text = exportShoppingListText(shoppingList);
+        const shoppingList = generateThreadShoppingList(colorCounts, {
+            stash: hasStash ? stash : null,
+            backstitches: pattern ? pattern.backstitches : [],
+            ornaments: pattern ? pattern.ornaments : [],
+            stitches: pattern ? pattern.stitches : [],
+            fabric,
+            strands,
+            wasteFactor
+        });
+        const text = exportShoppingListText(shoppingList, {
+            beads: generateBeadShoppingList(pattern ? pattern.ornaments : [])
+        });
 
         const blob = new Blob([text], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
@@ -214,10 +392,49 @@ export function App() {
         URL.revokeObjectURL(url);
     };
 
+    const downloadPDF = () => {
+        if (!pattern) return;
+
+        const bytes = generatePDF(pattern.stitches, pattern.width, pattern.height, colorCounts, {
+            title: importedPattern ? importedPattern.title : 'Cross Stitch Pattern',
+            pageSize: pdfPageSize,
+            margin: pdfMargin,
+            pageOverlap: printOverlap,
+            stash: hasStash ? stash : null,
+            backstitches: pattern.backstitches,
+            ornaments: pattern.ornaments,
+            fabric,
+            strands,
+            wasteFactor
+        });
+
+        const blob = new Blob([bytes], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'cross-stitch-pattern.pdf';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
     const openPrintablePattern = () => {
         if (!pattern) return;
 
-        const html = generatePrintableHTML(pattern.stitches, pattern.width, pattern.height, colorCounts);
+        const { pageWidth, pageHeight } = PAGE_TILE_SIZES.find(size => size.id === printPageSize);
+        const html = generatePrintableHTML(pattern.stitches, pattern.width, pattern.height, colorCounts, {
+            stash: hasStash ? stash : null,
+            backstitches: pattern.backstitches,
+            ornaments: pattern.ornaments,
+            pageWidth,
+            pageHeight,
+            pageOverlap: printOverlap,
+            chartMode,
+            fabric,
+            strands,
+            wasteFactor
+        });
         const printWindow = window.open('', '_blank');
         printWindow.document.write(html);
         printWindow.document.close();
@@ -230,13 +447,34 @@ export function App() {
 
             <${Header} />
 
-            ${!image ? html`
-                <${UploadZone} onFileSelect=${handleFileSelect} />
+            ${!image && !importedPattern ? html`
+                <${UploadZone} onFileSelect=${handleFileSelect} onPatternImport=${handlePatternImport} />
             ` : html`
                 <${React.Fragment}>
-                    <${Controls}
+                    ${importedPattern ? html`
+                        <div className="controls">
+                            <div className="control-group">
+                                <label>${importedPattern.title}</label>
+                                <div className="help-text">
+                                    Imported pattern, ${importedPattern.width} × ${importedPattern.height} stitches
+                                </div>
+                                ${importedPattern.warnings.map(warning => html`
+                                    <div key=${warning} className="help-text import-warning">${warning}</div>
+                                `)}
+                            </div>
+                            <div className="control-group">
+                                <button className="download-btn" onClick=${handleNewImage}>
+                                    ✕ New Image
+                                </button>
+                            </div>
+                        </div>
+                    ` : html`<${Controls}
                         gridSize=${gridSize}
                         onGridSizeChange=${setGridSize}
+                        widthBy=${widthBy}
+                        onWidthByChange=${setWidthBy}
+                        fabric=${fabric}
+                        sizeUnit=${sizeUnit}
                         onNewImage=${handleNewImage}
                         removeBackground=${removeBackground}
                         onRemoveBackgroundChange=${setRemoveBackground}
@@ -247,41 +485,107 @@ export function App() {
                         onDitheringChange=${setUseDithering}
                         ditheringAlgorithm=${ditheringAlgorithm}
                         onDitheringAlgorithmChange=${setDitheringAlgorithm}
+                        serpentine=${serpentine}
+                        onSerpentineChange=${setSerpentine}
+                        ditheringStrength=${ditheringStrength}
+                        onDitheringStrengthChange=${setDitheringStrength}
+                        samplingMode=${samplingMode}
+                        onSamplingModeChange=${setSamplingMode}
+                        colorMetric=${colorMetric}
+                        onColorMetricChange=${handleColorMetricChange}
+                        threadBrand=${threadBrand}
+                        onThreadBrandChange=${setThreadBrand}
+                        paletteName=${paletteName}
+                        onPaletteNameChange=${setPaletteName}
+                        stash=${stash}
+                        onStashChange=${handleStashChange}
+                        useStashOnly=${useStashOnly}
+                        onUseStashOnlyChange=${setUseStashOnly}
                         useMaxColors=${useMaxColors}
                         onUseMaxColorsChange=${setUseMaxColors}
                         maxColors=${maxColors}
                         onMaxColorsChange=${setMaxColors}
+                        reductionMethod=${reductionMethod}
+                        onReductionMethodChange=${setReductionMethod}
                         useMergeColors=${useMergeColors}
                         onUseMergeColorsChange=${setUseMergeColors}
                         mergeTolerance=${mergeTolerance}
                         onMergeToleranceChange=${setMergeTolerance}
+                        useBlends=${useBlends}
+                        onUseBlendsChange=${setUseBlends}
+                        blendDistance=${blendDistance}
+                        onBlendDistanceChange=${setBlendDistance}
                         showSymbols=${showSymbols}
                         onShowSymbolsChange=${setShowSymbols}
                         showGridNumbers=${showGridNumbers}
                         onShowGridNumbersChange=${setShowGridNumbers}
                         showBorder=${showBorder}
                         onShowBorderChange=${setShowBorder}
+                        chartMode=${chartMode}
+                        onChartModeChange=${setChartMode}
+                        printPageSize=${printPageSize}
+                        onPrintPageSizeChange=${setPrintPageSize}
+                        printOverlap=${printOverlap}
+                        onPrintOverlapChange=${setPrintOverlap}
+                        pdfPageSize=${pdfPageSize}
+                        onPdfPageSizeChange=${setPdfPageSize}
+                        pdfMargin=${pdfMargin}
+                        onPdfMarginChange=${setPdfMargin}
                         patternShape=${patternShape}
                         onPatternShapeChange=${setPatternShape}
-                    />
+                        removeConfetti=${removeConfetti}
+                        onRemoveConfettiChange=${setRemoveConfetti}
+                        minIslandSize=${minIslandSize}
+                        onMinIslandSizeChange=${setMinIslandSize}
+                        smoothEdges=${smoothEdges}
+                        onSmoothEdgesChange=${setSmoothEdges}
+                        backstitchOutlines=${backstitchOutlines}
+                        onBackstitchOutlinesChange=${setBackstitchOutlines}
+                        outlineColorId=${outlineColorId}
+                        onOutlineColorIdChange=${setOutlineColorId}
+                        outlineColors=${palette}
+                        outlineThreshold=${outlineThreshold}
+                        onOutlineThresholdChange=${setOutlineThreshold}
+                    />`}
 
                     <div className="workspace">
                         <${PreviewPanel}
                             image=${image}
                             pattern=${pattern}
                             colorCounts=${colorCounts}
+                            stash=${hasStash ? stash : null}
+                            fabric=${fabric}
+                            onFabricChange=${setFabricId}
+                            sizeUnit=${sizeUnit}
+                            onSizeUnitChange=${setSizeUnit}
+                            strands=${strands}
+                            onStrandsChange=${setStrands}
+                            wasteFactor=${wasteFactor}
+                            onWasteFactorChange=${setWasteFactor}
+                            minIslandSize=${minIslandSize}
                             onManualBackgroundPick=${handleManualBackgroundPick}
                         />
 
                         <${PatternPanel}
                             pattern=${pattern}
+                            patternData=${patternResult}
+                            editPalette=${palette}
+                            minIslandSize=${minIslandSize}
+                            progressKey=${progressKey}
+                            onEdit=${handleEdit}
+                            onUndo=${handleUndo}
+                            onRedo=${handleRedo}
+                            canUndo=${editHistory.undo.length > 0}
+                            canRedo=${editHistory.redo.length > 0}
                             isConverting=${isConverting}
                             progress=${progress}
                             onDownload=${downloadSVG}
                             onDownloadOpenFormat=${downloadOpenFormat}
+                            onDownloadOXS=${downloadOXS}
                             onDownloadPNG=${downloadPNG}
                             onDownloadShoppingList=${downloadShoppingList}
                             onPrintPDF=${openPrintablePattern}
+                            onDownloadPDF=${downloadPDF}
                         />
                     </div>
                 <//>
@@ -1,4 +1,16 @@
 import { html } from '../htm.js';
+import { DMC_PALETTES } from '../data/dmcColors.js';
+import { THREAD_BRANDS, getThreadPalette } from '../data/threadPalettes.js';
+import { isOrderedDithering } from '../utils/dithering.js';
+import { PAGE_TILE_SIZES } from '../utils/pageTiles.js';
+import { PDF_PAGE_SIZES } from '../utils/pdfWriter.js';
+import { SIZE_UNITS, getStitchesPerInch, stitchesForLength, formatLength } from '../utils/fabricSize.js';
+import { getMergeToleranceRange } from '../utils/colorUtils.js';
+import { StashManager } from './StashManager.js';
+
+// Pattern width slider range, in stitches
+const MIN_GRID_SIZE = 20;
+const MAX_GRID_SIZE = 150;
 
 /**
  * Controls Component
@@ -7,6 +19,10 @@ import { html } from '../htm.js';
 export function Controls({
     gridSize,
     onGridSizeChange,
+    widthBy,
+    onWidthByChange,
+    fabric,
+    sizeUnit,
     onNewImage,
     removeBackground,
     onRemoveBackgroundChange,
@@ -17,22 +33,67 @@ export function Controls({
     onDitheringChange,
     ditheringAlgorithm,
     onDitheringAlgorithmChange,
+    serpentine,
+    onSerpentineChange,
+    ditheringStrength,
+    onDitheringStrengthChange,
+    samplingMode,
+    onSamplingModeChange,
+    colorMetric,
+    onColorMetricChange,
+    threadBrand,
+    onThreadBrandChange,
+    paletteName,
+    onPaletteNameChange,
+    stash,
+    onStashChange,
+    useStashOnly,
+    onUseStashOnlyChange,
     useMaxColors,
     onUseMaxColorsChange,
     maxColors,
     onMaxColorsChange,
+    reductionMethod,
+    onReductionMethodChange,
     useMergeColors,
     onUseMergeColorsChange,
     mergeTolerance,
     onMergeToleranceChange,
+    useBlends,
+    onUseBlendsChange,
+    blendDistance,
+    onBlendDistanceChange,
     showSymbols,
     onShowSymbolsChange,
     showGridNumbers,
     onShowGridNumbersChange,
     showBorder,
     onShowBorderChange,
+    chartMode,
+    onChartModeChange,
+    printPageSize,
+    onPrintPageSizeChange,
+    printOverlap,
+    onPrintOverlapChange,
+    pdfPageSize,
+    onPdfPageSizeChange,
+    pdfMargin,
+    onPdfMarginChange,
     patternShape,
-    onPatternShapeChange
+    onPatternShapeChange,
+    removeConfetti,
+    onRemoveConfettiChange,
+    minIslandSize,
+    onMinIslandSizeChange,
+    smoothEdges,
+    onSmoothEdgesChange,
+    backstitchOutlines,
+    onBackstitchOutlinesChange,
+    outlineColorId,
+    onOutlineColorIdChange,
+    outlineColors,
+    outlineThreshold,
+    onOutlineThresholdChange
 }) {
     const rgbToHex = (r, g, b) => {
         return "#" + [r, g, b].map(x => {
@@ -41,18 +102,48 @@ export function Controls({
         }).join('');
     };
 
+    // Lab metrics measure ΔE, where ~2 is barely visible and 40+ is a different hue
+    const isLabMetric = colorMetric !== 'rgb';
+    const mergeToleranceRange = getMergeToleranceRange(colorMetric);
+
+    // Finished widths convert to stitch counts through the fabric's stitches per inch
+    const stitchesPerUnit = getStitchesPerInch(fabric) / SIZE_UNITS[sizeUnit].perInch;
+
     return html`
         <div className="controls">
             <div className="control-group">
                 <label>Pattern Width</label>
-                <input
-                    type="range"
-                    min="20"
-                    max="150"
-                    value=${gridSize}
-                    onChange=${(e) => onGridSizeChange(Number(e.target.value))}
-                />
-                <span className="control-value">${gridSize} stitches</span>
+                ${widthBy === 'size' ? html`
+                    <input
+                        type="range"
+                        min=${MIN_GRID_SIZE / stitchesPerUnit}
+                        max=${MAX_GRID_SIZE / stitchesPerUnit}
+                        step=${sizeUnit === 'cm' ? 0.5 : 0.25}
+                        value=${gridSize / stitchesPerUnit}
+                        onChange=${(e) => onGridSizeChange(Math.min(MAX_GRID_SIZE, Math.max(MIN_GRID_SIZE,
+                            stitchesForLength(Number(e.target.value), sizeUnit, fabric))))}
+                    />
+                    <span className="control-value">${formatLength(gridSize / getStitchesPerInch(fabric), sizeUnit)} (${gridSize} stitches)</span>
+                ` : html`
+                    <input
+                        type="range"
+                        min=${MIN_GRID_SIZE}
+                        max=${MAX_GRID_SIZE}
+                        value=${gridSize}
+                        onChange=${(e) => onGridSizeChange(Number(e.target.value))}
+                    />
+                    <span className="control-value">${gridSize} stitches</span>
+                `}
+
+                <label style=${{marginTop: '10px', display: 'block'}}>Set Width By:</label>
+                <select
+                    value=${widthBy}
+                    onChange=${(e) => onWidthByChange(e.target.value)}
+                >
+                    <option value="stitches">Stitch count</option>
+                    <option value="size">Finished size on ${fabric.name}</option>
+                </select>
+                <div className="help-text">Pick the fabric and units under Finished Size next to the pattern</div>
             </div>
 
             <div className="control-group">
@@ -114,12 +205,142 @@ export function Controls({
                             marginTop: '5px'
                         }}
                     >
-                        <option value="floyd-steinberg">Floyd-Steinberg (detailed)</option>
-                        <option value="atkinson">Atkinson (lighter, artistic)</option>
+                        <optgroup label="Error diffusion">
+                            <option value="floyd-steinberg">Floyd-Steinberg (detailed)</option>
+                            <option value="atkinson">Atkinson (lighter, artistic)</option>
+                            <option value="jarvis-judice-ninke">Jarvis-Judice-Ninke (smooth)</option>
+                            <option value="stucki">Stucki (smooth, sharper)</option>
+                            <option value="burkes">Burkes</option>
+                            <option value="sierra">Sierra</option>
+                            <option value="sierra-two-row">Sierra two-row</option>
+                            <option value="sierra-lite">Sierra Lite (fast)</option>
+                        </optgroup>
+                        <optgroup label="Ordered">
+                            <option value="bayer-2">Bayer 2×2</option>
+                            <option value="bayer-4">Bayer 4×4</option>
+                            <option value="bayer-8">Bayer 8×8</option>
+                            <option value="blue-noise">Blue noise (organic)</option>
+                        </optgroup>
+                    </select>
+
+                    ${!isOrderedDithering(ditheringAlgorithm) && html`
+                        <label style=${{marginTop: '10px', display: 'block'}}>
+                            <input
+                                type="checkbox"
+                                checked=${serpentine}
+                                onChange=${(e) => onSerpentineChange(e.target.checked)}
+                            />
+                            Serpentine Scan
+                        </label>
+                        <div className="help-text">Alternates row direction to avoid diagonal streaks</div>
+                    `}
+
+                    <label style=${{marginTop: '10px', display: 'block'}}>Dithering Strength:</label>
+                    <input
+                        type="range"
+                        min="10"
+                        max="100"
+                        value=${ditheringStrength}
+                        onChange=${(e) => onDitheringStrengthChange(Number(e.target.value))}
+                    />
+                    <span className="control-value">${ditheringStrength}%</span>
+                `}
+            </div>
+
+            <div className="control-group">
+                <label>Cell Sampling</label>
+                <select
+                    value=${samplingMode}
+                    onChange=${(e) => onSamplingModeChange(e.target.value)}
+                    style=${{
+                        width: '100%',
+                        padding: '8px',
+                        borderRadius: '4px',
+                        border: '1px solid var(--warm-gray)',
+                        background: 'white',
+                        marginTop: '5px'
+                    }}
+                >
+                    <option value="average">Box average (smooth)</option>
+                    <option value="gamma-average">Gamma-correct average (keeps fine detail)</option>
+                    <option value="median">Median (ignores stray pixels)</option>
+                    <option value="dominant">Dominant color (crisp edges)</option>
+                    <option value="center">Center pixel (fastest)</option>
+                </select>
+                <div className="help-text">How the pixels under each stitch become one color</div>
+            </div>
+
+            <div className="control-group">
+                <label>Color Matching</label>
+                <select
+                    value=${colorMetric}
+                    onChange=${(e) => onColorMetricChange(e.target.value)}
+                    style=${{
+                        width: '100%',
+                        padding: '8px',
+                        borderRadius: '4px',
+                        border: '1px solid var(--warm-gray)',
+                        background: 'white',
+                        marginTop: '5px'
+                    }}
+                >
+                    <option value="rgb">Weighted RGB (fastest)</option>
+                    <option value="cie76">CIE76 ΔE (Lab)</option>
+                    <option value="cie94">CIE94 ΔE (Lab)</option>
+                    <option value="ciede2000">CIEDE2000 ΔE (most accurate)</option>
+                </select>
+                <div className="help-text">How image colors are compared to thread colors</div>
+            </div>
+
+            <div className="control-group">
+                <label>Thread Brand</label>
+                <select
+                    value=${threadBrand}
+                    onChange=${(e) => onThreadBrandChange(e.target.value)}
+                    style=${{
+                        width: '100%',
+                        padding: '8px',
+                        borderRadius: '4px',
+                        border: '1px solid var(--warm-gray)',
+                        background: 'white',
+                        marginTop: '5px'
+                    }}
+                >
+                    ${THREAD_BRANDS.map(brand => html`
+                        <option key=${brand} value=${brand}>${brand} (${getThreadPalette(brand).length} colors)</option>
+                    `)}
+                </select>
+
+                ${threadBrand === 'DMC' ? html`
+                    <label style=${{marginTop: '10px', display: 'block'}}>Thread Palette:</label>
+                    <select
+                        value=${paletteName}
+                        onChange=${(e) => onPaletteNameChange(e.target.value)}
+                        style=${{
+                            width: '100%',
+                            padding: '8px',
+                            borderRadius: '4px',
+                            border: '1px solid var(--warm-gray)',
+                            background: 'white',
+                            marginTop: '5px'
+                        }}
+                    >
+                        <option value="curated">Curated (${DMC_PALETTES.curated.length} colors)</option>
+                        <option value="full">Full DMC catalogue (${DMC_PALETTES.full.length} colors)</option>
                     </select>
+                    <div className="help-text">Full catalogue gives closer matches but longer shopping lists</div>
+                ` : html`
+                    <div className="help-text">Matched via DMC cross-reference; shopping list shows equivalents</div>
                 `}
             </div>
 
+            <${StashManager}
+                stash=${stash}
+                onStashChange=${onStashChange}
+                useStashOnly=${useStashOnly}
+                onUseStashOnlyChange=${onUseStashOnlyChange}
+            />
+
             <div className="control-group">
                 <label>
                     <input
@@ -142,6 +363,25 @@ export function Controls({
                     />
                     <span className="control-value">${maxColors}</span>
                     <div className="help-text">Easier for beginners or limited thread collections</div>
+
+                    <label style=${{marginTop: '10px', display: 'block'}}>Reduction Method:</label>
+                    <select
+                        value=${reductionMethod}
+                        onChange=${(e) => onReductionMethodChange(e.target.value)}
+                        style=${{
+                            width: '100%',
+                            padding: '8px',
+                            borderRadius: '4px',
+                            border: '1px solid var(--warm-gray)',
+                            background: 'white',
+                            marginTop: '5px'
+                        }}
+                    >
+                        <option value="kmeans">K-means in Lab (best quality)</option>
+                        <option value="median-cut">Median cut</option>
+                        <option value="frequency">Most used colors (fastest)</option>
+                    </select>
+                    <div className="help-text">Quantizing picks threads for the whole image, keeping small details like eyes</div>
                 `}
             </div>
 
@@ -160,16 +400,58 @@ export function Controls({
                     <label style=${{marginTop: '10px', display: 'block'}}>Merge Tolerance:</label>
                     <input
                         type="range"
-                        min="10"
-                        max="80"
+                        min=${mergeToleranceRange.min}
+                        max=${mergeToleranceRange.max}
                         value=${mergeTolerance}
                         onChange=${(e) => onMergeToleranceChange(Number(e.target.value))}
                     />
                     <span className="control-value">${mergeTolerance}</span>
-                    <div className="help-text">Higher = more aggressive merging (try 25-40)</div>
+                    <div className="help-text">
+                        ${isLabMetric
+                            ? 'Higher = more aggressive merging (ΔE; try 5-12)'
+                            : 'Higher = more aggressive merging (try 25-40)'}
+                    </div>
                 `}
             </div>
 
+            <div className="control-group">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked=${useBlends}
+                        onChange=${(e) => onUseBlendsChange(e.target.checked)}
+                    />
+                    Blend Threads
+                </label>
+                <div className="help-text">Stitch in-between shades with one strand each of two threads</div>
+
+                ${useBlends && html`
+                    <label style=${{marginTop: '10px', display: 'block'}}>Blend Range:</label>
+                    <input
+                        type="range"
+                        min="5"
+                        max="40"
+                        value=${blendDistance}
+                        onChange=${(e) => onBlendDistanceChange(Number(e.target.value))}
+                    />
+                    <span className="control-value">${blendDistance}</span>
+                    <div className="help-text">Largest difference between the two threads (ΔE); higher finds more blends but looks tweedier</div>
+                `}
+            </div>
+
+            <div className="control-group">
+                <label>Chart Style</label>
+                <select
+                    value=${chartMode}
+                    onChange=${(e) => onChartModeChange(e.target.value)}
+                >
+                    <option value="stitches">Colored stitches</option>
+                    <option value="symbols">Symbols only (black and white)</option>
+                    <option value="blocks">Color blocks + symbols</option>
+                </select>
+                <div className="help-text">Symbols only prints clearly in grayscale, with bold lines every 10 stitches; applies to the preview, PNG and printable pattern</div>
+            </div>
+
             <div className="control-group">
                 <label>
                     <input
@@ -206,6 +488,52 @@ export function Controls({
                 <div className="help-text">Add a decorative border around the pattern</div>
             </div>
 
+            <div className="control-group">
+                <label>Printed Page Size</label>
+                <select
+                    value=${printPageSize}
+                    onChange=${(e) => onPrintPageSizeChange(e.target.value)}
+                >
+                    ${PAGE_TILE_SIZES.map(size => html`
+                        <option key=${size.id} value=${size.id}>${size.label} stitches</option>
+                    `)}
+                </select>
+
+                <label style=${{marginTop: '10px', display: 'block'}}>Page Overlap:</label>
+                <input
+                    type="range"
+                    min="0"
+                    max="5"
+                    value=${printOverlap}
+                    onChange=${(e) => onPrintOverlapChange(Number(e.target.value))}
+                />
+                <span className="control-value">${printOverlap}</span>
+                <div className="help-text">Larger charts print over several pages; overlapping rows and columns repeat on the next page</div>
+            </div>
+
+            <div className="control-group">
+                <label>PDF Paper Size</label>
+                <select
+                    value=${pdfPageSize}
+                    onChange=${(e) => onPdfPageSizeChange(e.target.value)}
+                >
+                    ${Object.entries(PDF_PAGE_SIZES).map(([id, size]) => html`
+                        <option key=${id} value=${id}>${size.label}</option>
+                    `)}
+                </select>
+
+                <label style=${{marginTop: '10px', display: 'block'}}>PDF Margins:</label>
+                <input
+                    type="range"
+                    min="5"
+                    max="25"
+                    value=${pdfMargin}
+                    onChange=${(e) => onPdfMarginChange(Number(e.target.value))}
+                />
+                <span className="control-value">${pdfMargin} mm</span>
+                <div className="help-text">Downloaded PDFs fit as many 10-per-inch chart stitches on each page as the margins allow</div>
+            </div>
+
             <div className="control-group">
                 <label>Pattern Shape</label>
                 <select
@@ -230,6 +558,85 @@ export function Controls({
                 <div className="help-text">Apply a shape mask to the pattern</div>
             </div>
 
+            <div className="control-group">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked=${removeConfetti}
+                        onChange=${(e) => onRemoveConfettiChange(e.target.checked)}
+                    />
+                    Remove Confetti
+                </label>
+                <div className="help-text">Recolor isolated stitches and tiny color islands to their closest neighboring color</div>
+
+                <label style=${{marginTop: '10px', display: 'block'}}>Smallest Island:</label>
+                <input
+                    type="range"
+                    min="2"
+                    max="10"
+                    value=${minIslandSize}
+                    onChange=${(e) => onMinIslandSizeChange(Number(e.target.value))}
+                />
+                <span className="control-value">${minIslandSize} stitches</span>
+                <div className="help-text">Islands of one color with fewer stitches count as confetti, also for the confetti score and highlighting</div>
+            </div>
+
+            <div className="control-group">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked=${smoothEdges}
+                        onChange=${(e) => onSmoothEdgesChange(e.target.checked)}
+                    />
+                    Smooth Edges
+                </label>
+                <div className="help-text">Use three-quarter and quarter stitches on stair-stepped edges for smoother curves</div>
+            </div>
+
+            <div className="control-group">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked=${backstitchOutlines}
+                        onChange=${(e) => onBackstitchOutlinesChange(e.target.checked)}
+                    />
+                    Backstitch Outlines
+                </label>
+                <div className="help-text">Outline strong color boundaries with backstitch</div>
+
+                ${backstitchOutlines && html`
+                    <label style=${{marginTop: '10px', display: 'block'}}>Outline Color:</label>
+                    <select
+                        value=${outlineColorId}
+                        onChange=${(e) => onOutlineColorIdChange(e.target.value)}
+                        style=${{
+                            width: '100%',
+                            padding: '8px',
+                            borderRadius: '4px',
+                            border: '1px solid var(--warm-gray)',
+                            background: 'white',
+                            marginTop: '5px'
+                        }}
+                    >
+                        <option value="">Auto (darkest thread)</option>
+                        ${outlineColors.map(color => html`
+                            <option key=${color.id} value=${color.id}>${color.id} ${color.name}</option>
+                        `)}
+                    </select>
+
+                    <label style=${{marginTop: '10px', display: 'block'}}>Outline Threshold:</label>
+                    <input
+                        type="range"
+                        min="30"
+                        max="400"
+                        value=${outlineThreshold}
+                        onChange=${(e) => onOutlineThresholdChange(Number(e.target.value))}
+                    />
+                    <span className="control-value">${outlineThreshold}</span>
+                    <div className="help-text">Lower = more outlines (try 80-200)</div>
+                `}
+            </div>
+
             <div className="control-group">
                 <button className="download-btn" onClick=${onNewImage}>
                     ✕ New Image
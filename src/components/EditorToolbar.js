@@ -0,0 +1,106 @@
+import { html } from '../htm.js';
+
+const TOOL_LABELS = {
+    pencil: { icon: '✏️', label: 'Pencil' },
+    eraser: { icon: '🧽', label: 'Eraser' },
+    fill: { icon: '🪣', label: 'Fill' },
+    eyedropper: { icon: '💧', label: 'Pick color' },
+    line: { icon: '📏', label: 'Line' },
+    rectangle: { icon: '▭', label: 'Rectangle' },
+    replace: { icon: '🔁', label: 'Replace color' },
+    backstitch: { icon: '╱', label: 'Backstitch (drag between corners, click a line to remove it)' },
+    'french-knot': { icon: '●', label: 'French knot (click a grid corner)' },
+    bead: { icon: '◎', label: 'Bead (click a grid corner)' }
+};
+
+/**
+ * EditorToolbar Component
+ * Tool, color and undo/redo controls for editing stitches on the pattern.
+ * The bead tool picks from Mill Hill bead colors instead of threads
+ */
+export function EditorToolbar({
+    tools,
+    tool,
+    onToolChange,
+    currentColor,
+    onColorChange,
+    patternColors,
+    paletteColors,
+    currentBead,
+    onBeadChange,
+    beadColors,
+    canUndo,
+    canRedo,
+    onUndo,
+    onRedo
+}) {
+    const handlePaletteSelect = (e) => {
+        const color = paletteColors.find(c => c.id === e.target.value);
+        if (color) onColorChange(color);
+    };
+
+    const handleBeadSelect = (e) => {
+        const bead = beadColors.find(b => b.id === e.target.value);
+        if (bead) onBeadChange(bead);
+    };
+
+    return html`
+        <div className="editor-toolbar">
+            <div className="editor-tools">
+                ${tools.map(name => html`
+                    <button
+                        key=${name}
+                        className=${`editor-tool ${tool === name ? 'active' : ''}`}
+                        onClick=${() => onToolChange(name)}
+                        title=${TOOL_LABELS[name].label}
+                    >
+                        ${TOOL_LABELS[name].icon}
+                    </button>
+                `)}
+                <span className="editor-divider" />
+                <button className="editor-tool" onClick=${onUndo} disabled=${!canUndo} title="Undo (Ctrl+Z)">↶</button>
+                <button className="editor-tool" onClick=${onRedo} disabled=${!canRedo} title="Redo (Ctrl+Shift+Z)">↷</button>
+            </div>
+
+            ${tool === 'bead' ? html`
+                <div className="editor-colors">
+                    ${currentBead && html`
+                        <span className="editor-current" title=${`${currentBead.brand} ${currentBead.id}: ${currentBead.name}`}>
+                            <span className="editor-swatch editor-bead" style=${{ backgroundColor: currentBead.hex }} />
+                            ${currentBead.brand} ${currentBead.id}
+                        </span>
+                    `}
+                    <select className="editor-palette" value=${currentBead ? currentBead.id : ''} onChange=${handleBeadSelect}>
+                        ${beadColors.map(bead => html`
+                            <option key=${bead.id} value=${bead.id}>${bead.id} ${bead.name}</option>
+                        `)}
+                    </select>
+                </div>
+            ` : html`
+                <div className="editor-colors">
+                    ${currentColor && html`
+                        <span className="editor-current" title=${`${currentColor.brand || 'DMC'} ${currentColor.id}: ${currentColor.name}`}>
+                            <span className="editor-swatch" style=${{ backgroundColor: currentColor.hex }} />
+                            ${currentColor.brand || 'DMC'} ${currentColor.id}
+                        </span>
+                    `}
+                    ${patternColors.map(color => html`
+                        <button
+                            key=${color.id}
+                            className=${`editor-swatch ${currentColor && currentColor.id === color.id ? 'active' : ''}`}
+                            style=${{ backgroundColor: color.hex }}
+                            onClick=${() => onColorChange(color)}
+                            title=${`${color.brand || 'DMC'} ${color.id}: ${color.name}`}
+                        />
+                    `)}
+                    <select className="editor-palette" value="" onChange=${handlePaletteSelect}>
+                        <option value="">Other thread…</option>
+                        ${paletteColors.map(color => html`
+                            <option key=${color.id} value=${color.id}>${color.id} ${color.name}</option>
+                        `)}
+                    </select>
+                </div>
+            `}
+        </div>
+    `;
+}
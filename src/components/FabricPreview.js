@@ -0,0 +1,40 @@
+import { html } from '../htm.js';
+import { drawFabricPreview, getFabricPreviewSize } from '../utils/fabricPreview.js';
+
+const { useEffect, useRef } = React;
+
+// Keep the backing canvas under this many pixels on high-density screens
+const MAX_CANVAS_PIXELS = 16000000;
+
+/**
+ * FabricPreview Component
+ * The pattern stitched on the chosen fabric, at true size in CSS inches
+ */
+export function FabricPreview({ pattern, fabric }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const { width, height } = getFabricPreviewSize(pattern.width, pattern.height, fabric);
+        const ratio = Math.min(window.devicePixelRatio || 1, Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        drawFabricPreview(ctx, pattern, fabric);
+    }, [pattern, fabric]);
+
+    return html`
+        <div>
+            <div className="fabric-preview">
+                <canvas ref=${canvasRef} />
+            </div>
+            <div className="help-text">Shown at actual size on ${fabric.name}; exact scale depends on your screen</div>
+        </div>
+    `;
+}
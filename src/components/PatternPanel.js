@@ -1,15 +1,150 @@
 import { html } from '../htm.js';
+import { EditorToolbar } from './EditorToolbar.js';
+import { StitchToolbar } from './StitchToolbar.js';
+import {
+    EDITOR_TOOLS,
+    createCellMap,
+    lineCells,
+    rectangleCells,
+    floodFillCells,
+    paintChanges,
+    replaceColorChanges,
+    drawBackstitchChanges,
+    eraseBackstitchChanges,
+    placeOrnamentChanges
+} from '../utils/patternEditor.js';
+import { MILL_HILL_BEADS } from '../data/millHillBeads.js';
+import { findConfetti } from '../utils/confetti.js';
+import {
+    PROGRESS_TOOLS,
+    stitchKey,
+    getProgressTargets,
+    markStitches,
+    calculateProgress,
+    loadProgress,
+    saveProgress
+} from '../utils/stitchProgress.js';
 
-const { useState, useEffect, useRef } = React;
+const { useState, useEffect, useRef, useMemo } = React;
+
+const STITCH_SIZE = 10;
+
+// Tools that work on grid corners rather than cells, so no cell is highlighted
+const CORNER_TOOLS = ['backstitch', 'french-knot', 'bead'];
 
 /**
  * PatternPanel Component
- * Shows the generated cross-stitch pattern with zoom controls and download buttons
+ * Shows the generated cross-stitch pattern with zoom controls and download buttons,
+ * an editing mode for changing stitches directly on the chart, highlighting of confetti, and a
+ * stitch mode for marking stitches done as they are stitched, saved under progressKey
  */
-export function PatternPanel({ pattern, isConverting, progress, onDownload, onDownloadOpenFormat, onDownloadPNG, onDownloadShoppingList, onPrintPDF }) {
+export function PatternPanel({
+    pattern,
+    patternData,
+    editPalette,
+    minIslandSize,
+    progressKey,
+    onEdit,
+    onUndo,
+    onRedo,
+    canUndo,
+    canRedo,
+    isConverting,
+    progress,
+    onDownload,
+    onDownloadOpenFormat,
+    onDownloadOXS,
+    onDownloadPNG,
+    onDownloadShoppingList,
+    onPrintPDF,
+    onDownloadPDF
+}) {
     const [zoom, setZoom] = useState(1);
     const [baseScale, setBaseScale] = useState(1);
     const containerRef = useRef(null);
+    const chartRef = useRef(null);
+
+    // Editor state: the stroke being drawn is kept in a ref and mirrored in `preview` for display
+    const [isEditing, setIsEditing] = useState(false);
+    const [tool, setTool] = useState('pencil');
+    const [currentColor, setCurrentColor] = useState(null);
+    const [currentBead, setCurrentBead] = useState(MILL_HILL_BEADS[0]);
+    const [preview, setPreview] = useState([]);
+    const [previewLine, setPreviewLine] = useState(null);
+    const [hoverCell, setHoverCell] = useState(null);
+    const strokeRef = useRef(null);
+    const [showConfetti, setShowConfetti] = useState(false);
+
+    // Stitch mode state: `done` holds the stitch keys marked so far, saved once loaded for progressKey
+    const [isStitching, setIsStitching] = useState(false);
+    const [progressTool, setProgressTool] = useState('stitch');
+    const [highlightColorId, setHighlightColorId] = useState(null);
+    const [done, setDone] = useState(() => new Set());
+    const [loadedKey, setLoadedKey] = useState(null);
+    const doneRef = useRef(done);
+    const markRef = useRef(null);
+
+    const cellMap = useMemo(() => patternData ? createCellMap(patternData) : null, [patternData]);
+    const patternColors = useMemo(() => patternData
+        ? Object.values(patternData.colorCounts).sort((a, b) => b.count - a.count)
+        : [], [patternData]);
+
+    // Islands left after cleanup (or in imported patterns), outlined on the chart when toggled on
+    const confetti = useMemo(() => pattern ? findConfetti(pattern.stitches, { minIslandSize }) : [],
+        [pattern && pattern.stitches, minIslandSize]);
+
+    const stitchProgress = useMemo(() => pattern ? calculateProgress(pattern.stitches, done) : null,
+        [pattern && pattern.stitches, done]);
+
+    // Shade finished cells and, with a color highlighted, fade the cells without it
+    const progressPaths = useMemo(() => {
+        if (!isStitching || !pattern) return null;
+        const { leftMargin, topMargin } = pattern.layout;
+        const cells = new Map();
+        for (const stitch of pattern.stitches) {
+            const key = stitch.y * 65536 + stitch.x;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(stitch);
+        }
+
+        const donePath = [];
+        const fadedPath = [];
+        for (const cellStitches of cells.values()) {
+            const { x, y } = cellStitches[0];
+            const square = `M${leftMargin + x * STITCH_SIZE} ${topMargin + y * STITCH_SIZE}h${STITCH_SIZE}v${STITCH_SIZE}h-${STITCH_SIZE}z`;
+            const shown = highlightColorId
+                ? cellStitches.filter(stitch => stitch.color.id === highlightColorId)
+                : cellStitches;
+            if (shown.length === 0) {
+                fadedPath.push(square);
+            } else if (shown.every(stitch => done.has(stitchKey(stitch)))) {
+                donePath.push(square);
+            }
+        }
+        return { done: donePath.join(''), faded: fadedPath.join('') };
+    }, [isStitching, pattern, done, highlightColorId]);
+
+    // Load the saved progress whenever a different pattern is generated or imported
+    useEffect(() => {
+        showDone(new Set());
+        setLoadedKey(null);
+        setHighlightColorId(null);
+        if (!progressKey) return;
+
+        let isCurrent = true;
+        loadProgress(progressKey).then((saved) => {
+            if (!isCurrent) return;
+            // Keep the stitches marked while loading, including those of a drag still under way
+            const mark = markRef.current;
+            const early = mark ? mark.done : doneRef.current;
+            const merged = new Set([...saved, ...early]);
+            if (mark) mark.done = merged;
+            showDone(merged);
+            setLoadedKey(progressKey);
+            if (early.size > 0) saveProgress(progressKey, merged);
+        });
+        return () => { isCurrent = false; };
+    }, [progressKey]);
 
     // Calculate base scale to fit pattern in container
     useEffect(() => {
@@ -28,14 +163,264 @@ export function PatternPanel({ pattern, isConverting, progress, onDownload, onDo
             const fitScale = Math.min(scaleX, scaleY, 1); // Never scale up beyond 100%
 
             setBaseScale(fitScale);
-            setZoom(1); // Reset zoom when pattern changes
+            setZoom(1); // Reset zoom when pattern size changes
         }
-    }, [pattern]);
+    }, [pattern && pattern.width, pattern && pattern.height]);
+
+    // Start editing with the most-used color selected
+    useEffect(() => {
+        if (isEditing && !currentColor) {
+            setCurrentColor(patternColors[0] || editPalette[0] || null);
+        }
+    }, [isEditing, currentColor, patternColors, editPalette]);
+
+    // Keyboard shortcuts for undo/redo while editing
+    useEffect(() => {
+        if (!isEditing) return;
+
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                onUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                onRedo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isEditing, onUndo, onRedo]);
+
+    /**
+     * Convert a pointer position to stitch units from the top-left corner of the grid
+     */
+    const getPoint = (e) => {
+        const rect = chartRef.current.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / totalScale - pattern.layout.leftMargin) / STITCH_SIZE,
+            y: ((e.clientY - rect.top) / totalScale - pattern.layout.topMargin) / STITCH_SIZE
+        };
+    };
+
+    /**
+     * Convert a pointer position to a stitch cell, or null when outside the grid
+     */
+    const getCell = (e) => {
+        const point = getPoint(e);
+        const x = Math.floor(point.x);
+        const y = Math.floor(point.y);
+        if (x < 0 || x >= pattern.width || y < 0 || y >= pattern.height) return null;
+        return { x, y };
+    };
+
+    /**
+     * Convert a pointer position to the nearest grid corner, clamped to the grid
+     */
+    const getCorner = (e) => {
+        const point = getPoint(e);
+        return {
+            x: Math.max(0, Math.min(pattern.width, Math.round(point.x))),
+            y: Math.max(0, Math.min(pattern.height, Math.round(point.y)))
+        };
+    };
+
+    /**
+     * Show the done stitches without saving them, keeping doneRef current for the progress load
+     */
+    const showDone = (updated) => {
+        doneRef.current = updated;
+        setDone(updated);
+    };
+
+    /**
+     * Update the done stitches and save them (unless the saved progress is still loading)
+     */
+    const updateDone = (updated) => {
+        showDone(updated);
+        if (progressKey && loadedKey === progressKey) saveProgress(progressKey, updated);
+    };
+
+    /**
+     * Stitch mode: the stitch tool marks (or unmarks) every cell it is dragged over, following the
+     * first cell; the row and color tools toggle everything they cover in one click
+     */
+    const handleMarkDown = (e) => {
+        const cell = getCell(e);
+        if (!cell) return;
+        const keys = getProgressTargets(pattern.stitches, progressTool, cell, highlightColorId);
+        if (keys.length === 0) return;
+
+        const isDone = !keys.every(key => done.has(key));
+        const updated = markStitches(done, keys, isDone);
+        if (progressTool === 'stitch') {
+            e.currentTarget.setPointerCapture(e.pointerId);
+            markRef.current = { isDone, last: cell, done: updated };
+            showDone(updated);
+        } else {
+            updateDone(updated);
+        }
+    };
+
+    const handleMarkMove = (e) => {
+        const mark = markRef.current;
+        const cell = getCell(e);
+        if (!mark || !cell || (cell.x === mark.last.x && cell.y === mark.last.y)) return;
+
+        const keys = lineCells(mark.last.x, mark.last.y, cell.x, cell.y)
+            .flatMap(point => getProgressTargets(pattern.stitches, 'stitch', point, highlightColorId));
+        mark.last = cell;
+        mark.done = markStitches(mark.done, keys, mark.isDone);
+        showDone(mark.done);
+    };
+
+    const handlePointerDown = (e) => {
+        if (isStitching && pattern) {
+            handleMarkDown(e);
+            return;
+        }
+        if (!isEditing || !patternData) return;
+
+        // Knots and beads go on the nearest grid corner
+        if (tool === 'french-knot' || tool === 'bead') {
+            const color = tool === 'bead' ? currentBead : currentColor;
+            if (color) onEdit(placeOrnamentChanges(patternData, getCorner(e), tool, color));
+            return;
+        }
+
+        // Backstitches run between grid corners, so they start from the nearest corner
+        if (tool === 'backstitch') {
+            const corner = getCorner(e);
+            e.currentTarget.setPointerCapture(e.pointerId);
+            strokeRef.current = { start: corner, end: corner, point: getPoint(e) };
+            setPreviewLine({ start: corner, end: corner });
+            return;
+        }
+
+        const cell = getCell(e);
+        if (!cell) return;
+
+        const [stitch] = cellMap[cell.y * patternData.width + cell.x];
+
+        switch (tool) {
+            case 'pencil':
+            case 'eraser':
+            case 'line':
+            case 'rectangle':
+                e.currentTarget.setPointerCapture(e.pointerId);
+                strokeRef.current = { start: cell, last: cell, cells: [cell] };
+                setPreview([cell]);
+                break;
+
+            case 'fill':
+                if (currentColor) {
+                    onEdit(paintChanges(patternData, cellMap, floodFillCells(patternData, cellMap, cell.x, cell.y), currentColor));
+                }
+                break;
+
+            case 'eyedropper':
+                if (stitch) {
+                    setCurrentColor(stitch.color);
+                    setTool('pencil');
+                }
+                break;
+
+            case 'replace':
+                if (stitch && currentColor) {
+                    onEdit(replaceColorChanges(patternData, stitch.color.id, currentColor));
+                }
+                break;
+        }
+    };
+
+    const handlePointerMove = (e) => {
+        if (isStitching) {
+            handleMarkMove(e);
+            return;
+        }
+        if (!isEditing) return;
+        const cell = getCell(e);
+        setHoverCell(cell);
+
+        const stroke = strokeRef.current;
+        if (stroke && tool === 'backstitch') {
+            stroke.end = getCorner(e);
+            setPreviewLine({ start: stroke.start, end: stroke.end });
+            return;
+        }
+        if (!stroke || !cell) return;
+
+        if (tool === 'pencil' || tool === 'eraser') {
+            // Fill in cells skipped by fast pointer movement
+            stroke.cells.push(...lineCells(stroke.last.x, stroke.last.y, cell.x, cell.y));
+            stroke.last = cell;
+        } else if (tool === 'line') {
+            stroke.cells = lineCells(stroke.start.x, stroke.start.y, cell.x, cell.y);
+        } else if (tool === 'rectangle') {
+            stroke.cells = rectangleCells(stroke.start.x, stroke.start.y, cell.x, cell.y);
+        }
+        setPreview([...stroke.cells]);
+    };
+
+    const handlePointerUp = () => {
+        const mark = markRef.current;
+        if (mark) {
+            markRef.current = null;
+            updateDone(mark.done);
+            return;
+        }
+
+        const stroke = strokeRef.current;
+        if (!stroke) return;
+        strokeRef.current = null;
+        setPreview([]);
+        setPreviewLine(null);
+
+        if (tool === 'backstitch') {
+            // A click without dragging removes the line under the pointer
+            const isClick = stroke.start.x === stroke.end.x && stroke.start.y === stroke.end.y;
+            if (isClick) {
+                onEdit(eraseBackstitchChanges(patternData, stroke.point.x, stroke.point.y));
+            } else if (currentColor) {
+                onEdit(drawBackstitchChanges(stroke.start, stroke.end, currentColor));
+            }
+            return;
+        }
+
+        const color = tool === 'eraser' ? null : currentColor;
+        if (tool !== 'eraser' && !color) return;
+        onEdit(paintChanges(patternData, cellMap, stroke.cells, color));
+    };
+
+    // A cancelled pointer (a touch turned into a scroll, say) keeps the stitches marked so far
+    // but drops an unfinished edit
+    const handlePointerCancel = () => {
+        const mark = markRef.current;
+        if (mark) {
+            markRef.current = null;
+            updateDone(mark.done);
+            return;
+        }
+        strokeRef.current = null;
+        setPreview([]);
+        setPreviewLine(null);
+    };
 
     const handleZoomIn = () => setZoom(prev => Math.min(prev + 0.25, 4));
     const handleZoomOut = () => setZoom(prev => Math.max(prev - 0.25, 0.25));
     const handleZoomReset = () => setZoom(1);
 
+    // Editing and stitch mode share the chart's pointer, so only one is on at a time
+    const toggleEditing = () => {
+        setIsEditing(!isEditing);
+        setIsStitching(false);
+    };
+    const toggleStitching = () => {
+        setIsStitching(!isStitching);
+        setIsEditing(false);
+    };
+
     const totalScale = baseScale * zoom;
     const zoomPercent = Math.round(zoom * 100);
 
@@ -72,13 +457,131 @@ export function PatternPanel({ pattern, isConverting, progress, onDownload, onDo
                                 <path d="M5 7h6v2H5z"/>
                             </svg>
                         </button>
+                        <button
+                            className=${`zoom-btn edit-toggle ${showConfetti ? 'active' : ''}`}
+                            onClick=${() => setShowConfetti(!showConfetti)}
+                            title=${`${confetti.length} confetti ${confetti.length === 1 ? 'island' : 'islands'} of fewer than ${minIslandSize} stitches`}
+                        >
+                            Confetti (${confetti.length})
+                        </button>
+                        <button
+                            className=${`zoom-btn edit-toggle ${isStitching ? 'active' : ''}`}
+                            onClick=${toggleStitching}
+                            title=${isStitching ? 'Stop marking stitches' : 'Mark stitches as you stitch them'}
+                        >
+                            Stitch (${stitchProgress.percent}%)
+                        </button>
+                        ${patternData && html`
+                            <button
+                                className=${`zoom-btn edit-toggle ${isEditing ? 'active' : ''}`}
+                                onClick=${toggleEditing}
+                                title=${isEditing ? 'Stop editing' : 'Edit stitches'}
+                            >
+                                ${isEditing ? 'Done' : 'Edit'}
+                            </button>
+                        `}
                     </div>
+                    ${isEditing && html`
+                        <${EditorToolbar}
+                            tools=${EDITOR_TOOLS}
+                            tool=${tool}
+                            onToolChange=${setTool}
+                            currentColor=${currentColor}
+                            onColorChange=${setCurrentColor}
+                            patternColors=${patternColors}
+                            paletteColors=${editPalette}
+                            currentBead=${currentBead}
+                            onBeadChange=${setCurrentBead}
+                            beadColors=${MILL_HILL_BEADS}
+                            canUndo=${canUndo}
+                            canRedo=${canRedo}
+                            onUndo=${onUndo}
+                            onRedo=${onRedo}
+                        />
+                    `}
+                    ${isStitching && html`
+                        <${StitchToolbar}
+                            tools=${PROGRESS_TOOLS}
+                            tool=${progressTool}
+                            onToolChange=${setProgressTool}
+                            progress=${stitchProgress}
+                            colors=${patternColors}
+                            highlightColorId=${highlightColorId}
+                            onHighlightChange=${setHighlightColorId}
+                            onReset=${() => updateDone(new Set())}
+                        />
+                    `}
                     <div className="pattern-container" ref=${containerRef}>
                         <div
-                            className="pattern-svg"
+                            className=${`pattern-svg ${isEditing || isStitching ? 'editing' : ''}`}
+                            ref=${chartRef}
                             style=${{ transform: `scale(${totalScale})`, transformOrigin: 'top left' }}
-                            dangerouslySetInnerHTML=${{ __html: pattern.svg }}
-                        />
+                            onPointerDown=${handlePointerDown}
+                            onPointerMove=${handlePointerMove}
+                            onPointerUp=${handlePointerUp}
+                            onPointerCancel=${handlePointerCancel}
+                            onPointerLeave=${() => setHoverCell(null)}
+                        >
+                            <div dangerouslySetInnerHTML=${{ __html: pattern.svg }} />
+                            ${progressPaths && html`
+                                <svg className="editor-overlay" width=${pattern.layout.leftMargin + pattern.width * STITCH_SIZE} height=${pattern.layout.topMargin + pattern.height * STITCH_SIZE}>
+                                    <path d=${progressPaths.faded} fill="rgba(245, 240, 232, 0.85)" />
+                                    <path d=${progressPaths.done} fill="rgba(45, 42, 38, 0.5)" />
+                                </svg>
+                            `}
+                            ${showConfetti && html`
+                                <svg className="editor-overlay" width=${pattern.layout.leftMargin + pattern.width * STITCH_SIZE} height=${pattern.layout.topMargin + pattern.height * STITCH_SIZE}>
+                                    ${confetti.flatMap(island => island.cells.map(cell => html`
+                                        <rect
+                                            key=${`${island.color.id}:${cell.x},${cell.y}`}
+                                            x=${pattern.layout.leftMargin + cell.x * STITCH_SIZE + 1}
+                                            y=${pattern.layout.topMargin + cell.y * STITCH_SIZE + 1}
+                                            width=${STITCH_SIZE - 2}
+                                            height=${STITCH_SIZE - 2}
+                                            fill="none"
+                                            stroke="#B85450"
+                                            strokeWidth="2"
+                                        />
+                                    `))}
+                                </svg>
+                            `}
+                            ${isEditing && html`
+                                <svg className="editor-overlay" width=${pattern.layout.leftMargin + pattern.width * STITCH_SIZE} height=${pattern.layout.topMargin + pattern.height * STITCH_SIZE}>
+                                    ${preview.map(cell => html`
+                                        <rect
+                                            key=${`${cell.x},${cell.y}`}
+                                            x=${pattern.layout.leftMargin + cell.x * STITCH_SIZE}
+                                            y=${pattern.layout.topMargin + cell.y * STITCH_SIZE}
+                                            width=${STITCH_SIZE}
+                                            height=${STITCH_SIZE}
+                                            fill=${tool === 'eraser' || !currentColor ? 'rgba(255, 255, 255, 0.8)' : currentColor.hex}
+                                        />
+                                    `)}
+                                    ${previewLine && currentColor && html`
+                                        <line
+                                            x1=${pattern.layout.leftMargin + previewLine.start.x * STITCH_SIZE}
+                                            y1=${pattern.layout.topMargin + previewLine.start.y * STITCH_SIZE}
+                                            x2=${pattern.layout.leftMargin + previewLine.end.x * STITCH_SIZE}
+                                            y2=${pattern.layout.topMargin + previewLine.end.y * STITCH_SIZE}
+                                            stroke=${currentColor.hex}
+                                            strokeWidth="2.5"
+                                            strokeLinecap="round"
+                                        />
+                                    `}
+                                    ${hoverCell && !CORNER_TOOLS.includes(tool) && html`
+                                        <rect
+                                            x=${pattern.layout.leftMargin + hoverCell.x * STITCH_SIZE}
+                                            y=${pattern.layout.topMargin + hoverCell.y * STITCH_SIZE}
+                                            width=${STITCH_SIZE}
+                                            height=${STITCH_SIZE}
+                                            fill="none"
+                                            stroke="#B85450"
+                                            strokeWidth="1.5"
+                                        />
+                                    `}
+                                </svg>
+                            `}
+                        </div>
                     </div>
                     <div className="download-buttons">
                         <button className="download-btn" onClick=${onDownload}>
@@ -95,6 +598,13 @@ export function PatternPanel({ pattern, isConverting, progress, onDownload, onDo
                             </svg>
                             Download Pattern (JSON)
                         </button>
+                        <button className="download-btn download-btn-secondary" onClick=${onDownloadOXS}>
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                                <path d="M8 12L3 7h3V1h4v6h3L8 12z" />
+                                <path d="M14 14H2v-2h12v2z" />
+                            </svg>
+                            Download OXS (Pattern Keeper)
+                        </button>
                         <button className="download-btn" onClick=${onDownloadPNG}>
                             <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
                                 <path d="M8 12L3 7h3V1h4v6h3L8 12z" />
@@ -109,6 +619,13 @@ export function PatternPanel({ pattern, isConverting, progress, onDownload, onDo
                             </svg>
                             Download Thread List
                         </button>
+                        <button className="download-btn" onClick=${onDownloadPDF}>
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                                <path d="M8 12L3 7h3V1h4v6h3L8 12z" />
+                                <path d="M14 14H2v-2h12v2z" />
+                            </svg>
+                            Download PDF
+                        </button>
                         <button className="download-btn download-btn-secondary" onClick=${onPrintPDF}>
                             <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
                                 <path d="M5 1h6v3H5V1z"/>
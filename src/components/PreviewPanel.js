@@ -1,21 +1,55 @@
 import { html } from '../htm.js';
-import { calculatePatternStats, generateThreadShoppingList } from '../utils/patternGenerator.js';
+import { calculatePatternStats, generateThreadShoppingList, generateBeadShoppingList } from '../utils/patternGenerator.js';
+import { describePartStitches } from '../utils/stitchTypes.js';
+import { formatLength, SIZE_UNITS } from '../utils/fabricSize.js';
+import { describeThreadUsage } from '../utils/threadEstimator.js';
+import { FABRICS } from '../data/fabrics.js';
+import { FabricPreview } from './FabricPreview.js';
 
-const { useState } = React;
+const { useState, useMemo } = React;
+
+// Strands in the needle, and waste allowances, offered for the thread estimate
+const STRAND_OPTIONS = [1, 2, 3, 4, 5, 6];
+const WASTE_OPTIONS = [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3];
 
 /**
  * PreviewPanel Component
- * Shows original image, statistics, and color palette
+ * Shows original image, statistics, finished size on the chosen fabric, thread requirements with
+ * a per-color breakdown, and color palette
  */
-export function PreviewPanel({ image, pattern, colorCounts, onManualBackgroundPick }) {
+export function PreviewPanel({
+    image, pattern, colorCounts, stash, fabric, onFabricChange, sizeUnit, onSizeUnitChange,
+    strands, onStrandsChange, wasteFactor, onWasteFactorChange, minIslandSize, onManualBackgroundPick
+}) {
     const [isPickingBackground, setIsPickingBackground] = useState(false);
+    const [showFabricPreview, setShowFabricPreview] = useState(false);
+    const [expandedThread, setExpandedThread] = useState(null);
     const sortedColors = Object.values(colorCounts).sort((a, b) => b.count - a.count);
 
-    // Calculate pattern statistics
-    const stats = pattern ? calculatePatternStats(pattern.stitchCount, sortedColors.length) : null;
+    // Calculate pattern statistics; the difficulty and confetti scans walk every stitch, so keep them
+    // out of re-renders that change nothing
+    const stats = useMemo(() => pattern ? calculatePatternStats(pattern.stitchCount, sortedColors.length, {
+        width: pattern.width,
+        height: pattern.height,
+        fabric,
+        stitches: pattern.stitches,
+        backstitches: pattern.backstitches,
+        minIslandSize
+    }) : null, [pattern, sortedColors.length, fabric, minIslandSize]);
+    const finishedSize = stats ? stats.finishedSize : null;
 
     // Generate shopping list
-    const shoppingList = Object.keys(colorCounts).length > 0 ? generateThreadShoppingList(colorCounts) : [];
+    const shoppingList = Object.keys(colorCounts).length > 0 ? generateThreadShoppingList(colorCounts, {
+        stash,
+        backstitches: pattern ? pattern.backstitches : [],
+        ornaments: pattern ? pattern.ornaments : [],
+        stitches: pattern ? pattern.stitches : [],
+        fabric,
+        strands,
+        wasteFactor
+    }) : [];
+    const beadList = pattern ? generateBeadShoppingList(pattern.ornaments) : [];
+    const skeinsToBuy = stash ? shoppingList.reduce((sum, item) => sum + item.toBuy, 0) : null;
 
     const handleImageClick = (e) => {
         if (!isPickingBackground || !image) return;
@@ -53,36 +87,40 @@ export function PreviewPanel({ image, pattern, colorCounts, onManualBackgroundPi
 
     return html`
         <div className="preview-panel">
-            <div className="panel-header">Original Image</div>
-            <div style=${{position: 'relative'}}>
-                <img
-                    src=${image}
-                    alt="Original"
-                    className="original-image"
-                    onClick=${handleImageClick}
-                    style=${{cursor: isPickingBackground ? 'crosshair' : 'default'}}
-                />
-                ${!pattern && html`
-                    <button
-                        onClick=${() => setIsPickingBackground(!isPickingBackground)}
-                        style=${{
-                            position: 'absolute',
-                            top: '10px',
-                            right: '10px',
-                            padding: '8px 12px',
-                            background: isPickingBackground ? '#B85450' : 'var(--charcoal)',
-                            color: 'white',
-                            border: 'none',
-                            borderRadius: '4px',
-                            cursor: 'pointer',
-                            fontSize: '0.8rem',
-                            fontWeight: 'bold'
-                        }}
-                    >
-                        ${isPickingBackground ? '✓ Click Image' : '🎨 Pick Background'}
-                    </button>
-                `}
-            </div>
+            ${image ? html`
+                <div className="panel-header">Original Image</div>
+                <div style=${{position: 'relative'}}>
+                    <img
+                        src=${image}
+                        alt="Original"
+                        className="original-image"
+                        onClick=${handleImageClick}
+                        style=${{cursor: isPickingBackground ? 'crosshair' : 'default'}}
+                    />
+                    ${!pattern && html`
+                        <button
+                            onClick=${() => setIsPickingBackground(!isPickingBackground)}
+                            style=${{
+                                position: 'absolute',
+                                top: '10px',
+                                right: '10px',
+                                padding: '8px 12px',
+                                background: isPickingBackground ? '#B85450' : 'var(--charcoal)',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer',
+                                fontSize: '0.8rem',
+                                fontWeight: 'bold'
+                            }}
+                        >
+                            ${isPickingBackground ? '✓ Click Image' : '🎨 Pick Background'}
+                        </button>
+                    `}
+                </div>
+            ` : html`
+                <div className="panel-header">Imported Pattern</div>
+            `}
 
             ${pattern && html`
                 <div className="stats">
@@ -111,15 +149,95 @@ export function PreviewPanel({ image, pattern, colorCounts, onManualBackgroundPi
                             <div className="stat-value" style=${{fontSize: '1rem'}}>${stats.timeEstimate}</div>
                             <div className="stat-label">Est. Time</div>
                         </div>
+                        <div className="stat" title=${`${stats.confetti.confettiStitches} stitches in ${stats.confetti.islands} islands of fewer than ${minIslandSize} stitches`}>
+                            <div className="stat-value" style=${{fontSize: '1.2rem'}}>${stats.confetti.score}%</div>
+                            <div className="stat-label">Confetti</div>
+                        </div>
                     `}
                 </div>
             `}
 
+            ${stats && html`
+                <details className="difficulty-breakdown">
+                    <summary>Why ${stats.difficulty}? Score ${stats.difficultyScore}</summary>
+                    <table>
+                        <tbody>
+                            ${stats.difficultyFactors.map(factor => html`
+                                <tr key=${factor.id}>
+                                    <td>${factor.label}</td>
+                                    <td>${factor.value}</td>
+                                    <td className="difficulty-points">${factor.points}/${factor.maxPoints}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </details>
+            `}
+
+            ${finishedSize && html`
+                <div className="finished-size">
+                    <div className="panel-header" style=${{marginBottom: '10px'}}>Finished Size</div>
+                    <div className="finished-size-options">
+                        <select value=${fabric.id} onChange=${(e) => onFabricChange(e.target.value)}>
+                            ${FABRICS.map(option => html`
+                                <option key=${option.id} value=${option.id}>${option.name}</option>
+                            `)}
+                        </select>
+                        <select value=${sizeUnit} onChange=${(e) => onSizeUnitChange(e.target.value)}>
+                            ${Object.entries(SIZE_UNITS).map(([id, unit]) => html`
+                                <option key=${id} value=${id}>${unit.label}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <div style=${{fontSize: '0.85rem'}}>
+                        <div>
+                            <strong>Stitched area:</strong> ${formatLength(finishedSize.widthInches, sizeUnit)} × ${formatLength(finishedSize.heightInches, sizeUnit)}
+                            <span style=${{color: 'var(--warm-gray)'}}> (${finishedSize.stitchesPerInch} stitches per inch)</span>
+                        </div>
+                        <div>
+                            <strong>Cut fabric:</strong> ${formatLength(finishedSize.cutWidthInches, sizeUnit)} × ${formatLength(finishedSize.cutHeightInches, sizeUnit)}
+                            <span style=${{color: 'var(--warm-gray)'}}> (${formatLength(finishedSize.marginInches, sizeUnit)} margin for framing)</span>
+                        </div>
+                    </div>
+                    <button className="fabric-preview-toggle" onClick=${() => setShowFabricPreview(!showFabricPreview)}>
+                        ${showFabricPreview ? 'Hide Fabric Preview' : 'Preview on Fabric'}
+                    </button>
+                    ${showFabricPreview && html`<${FabricPreview} pattern=${pattern} fabric=${fabric} />`}
+                </div>
+            `}
+
             ${shoppingList.length > 0 && html`
                 <div style=${{marginTop: '15px', paddingTop: '15px', borderTop: '1px solid var(--linen)'}}>
                     <div className="panel-header" style=${{marginBottom: '10px'}}>Thread Requirements</div>
+                    <div className="thread-options">
+                        <select value=${strands} onChange=${(e) => onStrandsChange(parseInt(e.target.value))} title="Strands in the needle for cross stitches">
+                            ${STRAND_OPTIONS.map(count => html`
+                                <option key=${count} value=${count}>${count} ${count === 1 ? 'strand' : 'strands'}</option>
+                            `)}
+                        </select>
+                        <select value=${wasteFactor} onChange=${(e) => onWasteFactorChange(parseFloat(e.target.value))} title="Extra floss for tails and trimming">
+                            ${WASTE_OPTIONS.map(factor => html`
+                                <option key=${factor} value=${factor}>${Math.round(factor * 100)}% waste</option>
+                            `)}
+                        </select>
+                    </div>
                     <div style=${{fontSize: '0.85rem', marginBottom: '10px'}}>
                         <strong>Total Skeins:</strong> ${shoppingList.reduce((sum, item) => sum + item.skeinsNeeded, 0)}
+                        <span style=${{color: 'var(--warm-gray)'}}> (${shoppingList.reduce((sum, item) => sum + item.meters, 0).toFixed(1)} m)</span>
+                        ${skeinsToBuy !== null && html`
+                            <span style=${{marginLeft: '12px'}}>
+                                <strong>To Buy:</strong> ${skeinsToBuy === 0 ? 'nothing — all in your stash' : skeinsToBuy}
+                            </span>
+                        `}
+                        ${beadList.length > 0 && html`
+                            <span
+                                style=${{marginLeft: '12px'}}
+                                title=${beadList.map(bead => `${bead.brand} ${bead.beadNumber}: ${bead.beads}`).join('\n')}
+                            >
+                                <strong>Beads:</strong> ${beadList.reduce((sum, bead) => sum + bead.beads, 0)}
+                                (${beadList.reduce((sum, bead) => sum + bead.packetsNeeded, 0)} packets)
+                            </span>
+                        `}
                     </div>
                     <div style=${{
                         maxHeight: '200px',
@@ -130,23 +248,38 @@ export function PreviewPanel({ image, pattern, colorCounts, onManualBackgroundPi
                         borderRadius: '4px'
                     }}>
                         ${shoppingList.slice(0, 10).map(item => html`
-                            <div key=${item.dmcNumber} style=${{
-                                display: 'flex',
-                                justifyContent: 'space-between',
-                                marginBottom: '5px',
-                                alignItems: 'center'
-                            }}>
-                                <div style=${{display: 'flex', alignItems: 'center', gap: '8px'}}>
-                                    <div style=${{
-                                        width: '15px',
-                                        height: '15px',
-                                        backgroundColor: item.hex,
-                                        border: '1px solid #ccc',
-                                        borderRadius: '2px'
-                                    }}></div>
-                                    <span style=${{fontWeight: 'bold'}}>DMC ${item.dmcNumber}</span>
+                            <div key=${item.threadNumber} style=${{marginBottom: '5px'}}>
+                                <div
+                                    className="thread-row"
+                                    onClick=${() => setExpandedThread(expandedThread === item.threadNumber ? null : item.threadNumber)}
+                                    title="Show where this thread's floss goes"
+                                >
+                                    <div style=${{display: 'flex', alignItems: 'center', gap: '8px'}}>
+                                        <div style=${{
+                                            width: '15px',
+                                            height: '15px',
+                                            backgroundColor: item.hex,
+                                            border: '1px solid #ccc',
+                                            borderRadius: '2px'
+                                        }}></div>
+                                        <span style=${{fontWeight: 'bold'}} title=${item.crossReference}>${item.brand} ${item.threadNumber}</span>
+                                    </div>
+                                    <span>
+                                        <span style=${{color: 'var(--warm-gray)', marginRight: '6px'}}>${item.meters.toFixed(1)} m</span>
+                                        ${item.skeinsNeeded} skein${item.skeinsNeeded > 1 ? 's' : ''}
+                                        ${stash && html`
+                                            <span style=${{marginLeft: '6px', color: item.toBuy > 0 ? 'var(--thread-red)' : 'var(--thread-green)'}}>
+                                                ${item.toBuy > 0 ? `buy ${item.toBuy}` : '✓ owned'}
+                                            </span>
+                                        `}
+                                    </span>
                                 </div>
-                                <span>${item.skeinsNeeded} skein${item.skeinsNeeded > 1 ? 's' : ''}</span>
+                                ${expandedThread === item.threadNumber && html`
+                                    <div className="thread-usage">
+                                        <div>${`${item.stitches} stitches${describePartStitches(item.stitchTypes) ? ` incl. ${describePartStitches(item.stitchTypes)}` : ''}${item.backstitchLength > 0 ? `, ${item.backstitchLength.toFixed(1)} stitch-widths of backstitch` : ''}${item.knots > 0 ? `, ${item.knots} French knots` : ''}${item.blendStitches > 0 ? `, ${item.blendStitches} blended with ${item.blendPartners.join(', ')}` : ''}`}</div>
+                                        <div>${describeThreadUsage(item.threadUsage)}</div>
+                                    </div>
+                                `}
                             </div>
                         `)}
                     </div>
@@ -166,7 +299,7 @@ export function PreviewPanel({ image, pattern, colorCounts, onManualBackgroundPi
                             className="color-swatch"
                             style=${{ backgroundColor: color.hex }}
                             data-count=${color.count}
-                            title=${`DMC ${color.id}: ${color.name} (${color.count} stitches)`}
+                            title=${`${color.brand || 'DMC'} ${color.id}: ${color.name} (${color.count} stitches)`}
                         />
                     `)}
                 </div>
@@ -0,0 +1,73 @@
+import { html } from '../htm.js';
+import { parseStashText, formatStashText } from '../utils/stash.js';
+
+const { useState } = React;
+
+/**
+ * StashManager Component
+ * Edit the list of owned DMC threads and restrict patterns to them
+ */
+export function StashManager({ stash, onStashChange, useStashOnly, onUseStashOnlyChange }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [text, setText] = useState('');
+    const [unknown, setUnknown] = useState([]);
+
+    const threadCount = Object.keys(stash).length;
+
+    const handleEdit = () => {
+        setText(formatStashText(stash));
+        setUnknown([]);
+        setIsEditing(true);
+    };
+
+    const handleSave = () => {
+        const result = parseStashText(text);
+        setUnknown(result.unknown);
+        onStashChange(result.stash);
+        if (result.unknown.length === 0) {
+            setIsEditing(false);
+        }
+    };
+
+    return html`
+        <div className="control-group">
+            <label>
+                <input
+                    type="checkbox"
+                    checked=${useStashOnly}
+                    disabled=${threadCount === 0}
+                    onChange=${(e) => onUseStashOnlyChange(e.target.checked)}
+                />
+                Use Only My Stash
+            </label>
+            <div className="help-text">
+                ${threadCount === 0
+                    ? 'Add the DMC threads you own to enable'
+                    : `${threadCount} DMC thread${threadCount === 1 ? '' : 's'} in your stash`}
+            </div>
+
+            ${isEditing ? html`
+                <textarea
+                    className="stash-input"
+                    rows="6"
+                    placeholder="Paste DMC numbers, e.g. 310, 321 x2, BLANC"
+                    value=${text}
+                    onInput=${(e) => setText(e.target.value)}
+                />
+                ${unknown.length > 0 && html`
+                    <div className="help-text stash-warning">
+                        Not recognized (skipped): ${unknown.join(', ')}
+                    </div>
+                `}
+                <div className="stash-actions">
+                    <button className="download-btn" onClick=${handleSave}>Save Stash</button>
+                    <button className="download-btn download-btn-secondary" onClick=${() => setIsEditing(false)}>Cancel</button>
+                </div>
+            ` : html`
+                <button className="download-btn download-btn-secondary stash-edit-btn" onClick=${handleEdit}>
+                    ${threadCount === 0 ? 'Add Threads' : 'Edit Stash'}
+                </button>
+            `}
+        </div>
+    `;
+}
@@ -0,0 +1,72 @@
+import { html } from '../htm.js';
+
+const TOOL_LABELS = {
+    stitch: { icon: '✓', label: 'Mark stitches (click or drag; again to unmark)' },
+    row: { icon: '☰', label: 'Mark a whole row' },
+    color: { icon: '🎨', label: 'Mark every stitch of a color' }
+};
+
+/**
+ * StitchToolbar Component
+ * Marking tools and completion for stitch mode. Clicking a color highlights it on the chart
+ * and limits marking to its stitches; clicking it again shows every color
+ */
+export function StitchToolbar({
+    tools,
+    tool,
+    onToolChange,
+    progress,
+    colors,
+    highlightColorId,
+    onHighlightChange,
+    onReset
+}) {
+    const handleReset = () => {
+        if (window.confirm('Clear all stitching progress for this pattern?')) onReset();
+    };
+
+    return html`
+        <div className="editor-toolbar stitch-toolbar">
+            <div className="editor-tools">
+                ${tools.map(name => html`
+                    <button
+                        key=${name}
+                        className=${`editor-tool ${tool === name ? 'active' : ''}`}
+                        onClick=${() => onToolChange(name)}
+                        title=${TOOL_LABELS[name].label}
+                    >
+                        ${TOOL_LABELS[name].icon}
+                    </button>
+                `)}
+                <span className="editor-divider" />
+                <button className="editor-tool" onClick=${handleReset} disabled=${progress.done === 0} title="Clear progress">⟲</button>
+            </div>
+
+            <div className="stitch-overall" title=${`${progress.done.toLocaleString()} of ${progress.total.toLocaleString()} stitches done`}>
+                <div className="stitch-progress-bar">
+                    <div className="stitch-progress-fill" style=${{ width: `${progress.percent}%` }} />
+                </div>
+                <span>${progress.percent}% done</span>
+            </div>
+
+            <div className="stitch-colors">
+                ${colors.map(color => {
+                    const entry = progress.byColor[color.id];
+                    if (!entry) return null;
+                    return html`
+                        <button
+                            key=${color.id}
+                            className=${`stitch-color ${highlightColorId === color.id ? 'active' : ''} ${entry.done === entry.total ? 'complete' : ''}`}
+                            onClick=${() => onHighlightChange(highlightColorId === color.id ? null : color.id)}
+                            title=${`${color.brand || 'DMC'} ${color.id}: ${color.name} (${entry.done} of ${entry.total} stitches)`}
+                        >
+                            <span className="editor-swatch" style=${{ backgroundColor: color.hex }} />
+                            ${color.id}
+                            <span className="stitch-color-percent">${entry.percent}%</span>
+                        </button>
+                    `;
+                })}
+            </div>
+        </div>
+    `;
+}
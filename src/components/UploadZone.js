@@ -1,26 +1,41 @@
 import { html } from '../htm.js';
-import { generateTextImage } from '../utils/patternGenerator.js';
+import { generateTextImage } from '../utils/imageLoader.js';
+import { importPattern, isPatternFile, PATTERN_FILE_EXTENSIONS } from '../utils/patternImport.js';
 
 /**
  * UploadZone Component
  * Handles file upload via drag-and-drop or click-to-browse, or text input
+ * Saved pattern files are imported directly instead of being converted from an image
  */
-export function UploadZone({ onFileSelect }) {
+export function UploadZone({ onFileSelect, onPatternImport }) {
     const [isDragging, setIsDragging] = React.useState(false);
     const [mode, setMode] = React.useState('upload'); // 'upload' or 'text'
     const [text, setText] = React.useState('');
     const [fontSize, setFontSize] = React.useState(48);
+    const [importError, setImportError] = React.useState(null);
     const fileInputRef = React.useRef(null);
 
     const handleFile = React.useCallback((file) => {
-        if (file && file.type.startsWith('image/')) {
+        if (!file) return;
+        setImportError(null);
+
+        if (isPatternFile(file.name)) {
+            file.arrayBuffer()
+                .then((buffer) => onPatternImport(importPattern(file.name, buffer)))
+                .catch((error) => {
+                    console.error('Pattern import failed:', error);
+                    setImportError(error.message);
+                });
+        } else if (file.type.startsWith('image/')) {
             const reader = new FileReader();
             reader.onload = (e) => {
                 onFileSelect(e.target.result);
             };
             reader.readAsDataURL(file);
+        } else {
+            setImportError(`${file.name} is not an image or a saved pattern`);
         }
-    }, [onFileSelect]);
+    }, [onFileSelect, onPatternImport]);
 
     const handleDrop = React.useCallback((e) => {
         e.preventDefault();
@@ -100,13 +115,19 @@ export function UploadZone({ onFileSelect }) {
                         <path d="M40 5 L40 20 M32 12 L40 5 L48 12" />
                     </svg>
                     <p className="upload-text">Drop your image here</p>
-                    <p className="upload-hint">or click to browse • PNG, JPG, WEBP</p>
+                    <p className="upload-hint">or click to browse • PNG, JPG, WEBP • saved patterns (${PATTERN_FILE_EXTENSIONS.join(', ')})</p>
+                    ${importError && html`
+                        <p className="upload-error">${importError}</p>
+                    `}
                     <input
                         ref=${fileInputRef}
                         type="file"
-                        accept="image/*"
+                        accept=${['image/*', ...PATTERN_FILE_EXTENSIONS].join(',')}
                         style=${{ display: 'none' }}
-                        onChange=${(e) => handleFile(e.target.files[0])}
+                        onChange=${(e) => {
+                            handleFile(e.target.files[0]);
+                            e.target.value = ''; // Allow re-selecting the same file after an error
+                        }}
                     />
                 </div>
             ` : html`
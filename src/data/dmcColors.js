@@ -1,138 +1,547 @@
 /**
- * DMC thread colors - a curated palette for cross stitch
+ * DMC six-strand embroidery floss catalogue, as currently produced
+ * The curated threads (CURATED_IDS) keep the hex values of the original curated palette,
+ * so patterns made with it match the same way.
  * Each color contains:
  * - id: DMC thread number
- * - hex: Color hex code
  * - name: Descriptive color name
+ * - hex: Color hex code
+ * - family: Color family for grouping (Red, Pink, Orange, Yellow, Green,
+ *   Blue, Purple, Brown, Gray, White, Black)
+ */
+export const DMC_CATALOGUE = [
+    { id: 'B5200', name: 'Snow White', hex: '#FFFFFF', family: 'White' },
+    { id: 'BLANC', name: 'White', hex: '#FFFFFF', family: 'White' },
+    { id: 'ECRU', name: 'Ecru', hex: '#F5F0DC', family: 'White' },
+    { id: '01', name: 'White Tin', hex: '#E3E3E6', family: 'Gray' },
+    { id: '02', name: 'Tin', hex: '#D7D7D8', family: 'Gray' },
+    { id: '03', name: 'Tin Medium', hex: '#B8B8BB', family: 'Gray' },
+    { id: '04', name: 'Tin Dark', hex: '#AEAEB1', family: 'Gray' },
+    { id: '05', name: 'Driftwood Light', hex: '#E3CCBE', family: 'Brown' },
+    { id: '06', name: 'Driftwood Medium Light', hex: '#DCC6B8', family: 'Brown' },
+    { id: '07', name: 'Driftwood', hex: '#8F7B6E', family: 'Brown' },
+    { id: '08', name: 'Driftwood Dark', hex: '#6A5046', family: 'Brown' },
+    { id: '09', name: 'Cocoa Very Dark', hex: '#55201C', family: 'Brown' },
+    { id: '10', name: 'Tender Green Very Light', hex: '#EDFED9', family: 'Green' },
+    { id: '11', name: 'Tender Green Light', hex: '#E2EDB5', family: 'Green' },
+    { id: '12', name: 'Tender Green', hex: '#CDD99A', family: 'Green' },
+    { id: '13', name: 'Nile Green Medium Light', hex: '#BFF6E0', family: 'Green' },
+    { id: '14', name: 'Apple Green Pale', hex: '#D0FBB2', family: 'Green' },
+    { id: '15', name: 'Apple Green', hex: '#D1EDA4', family: 'Green' },
+    { id: '16', name: 'Chartreuse Light', hex: '#C9C258', family: 'Yellow' },
+    { id: '17', name: 'Yellow Plum Light', hex: '#E5E272', family: 'Yellow' },
+    { id: '18', name: 'Yellow Plum', hex: '#D9D56D', family: 'Yellow' },
+    { id: '19', name: 'Autumn Gold Medium Light', hex: '#F7C95F', family: 'Orange' },
+    { id: '20', name: 'Shrimp', hex: '#F7AF93', family: 'Orange' },
+    { id: '21', name: 'Alizarin Light', hex: '#D79982', family: 'Orange' },
+    { id: '22', name: 'Alizarin', hex: '#BC604E', family: 'Red' },
+    { id: '23', name: 'Apple Blossom', hex: '#EDE2ED', family: 'White' },
+    { id: '24', name: 'White Lavender', hex: '#E0D7EE', family: 'Purple' },
+    { id: '25', name: 'Lavender Ultra Light', hex: '#DAD2E9', family: 'Purple' },
+    { id: '26', name: 'Lavender Pale', hex: '#D7CAE6', family: 'Purple' },
+    { id: '27', name: 'White Violet', hex: '#F0EEF9', family: 'White' },
+    { id: '28', name: 'Eggplant Medium Light', hex: '#9086A9', family: 'Purple' },
+    { id: '29', name: 'Eggplant', hex: '#674076', family: 'Purple' },
+    { id: '30', name: 'Blueberry Medium Light', hex: '#7D77A5', family: 'Blue' },
+    { id: '31', name: 'Blueberry', hex: '#50518D', family: 'Blue' },
+    { id: '32', name: 'Blueberry Dark', hex: '#4D2E8A', family: 'Purple' },
+    { id: '33', name: 'Fuchsia', hex: '#9C599E', family: 'Purple' },
+    { id: '34', name: 'Fuchsia Dark', hex: '#7D3064', family: 'Purple' },
+    { id: '35', name: 'Fuchsia Very Dark', hex: '#46052D', family: 'Purple' },
+    { id: '150', name: 'Dusty Rose Ultra Very Dark', hex: '#AB0249', family: 'Red' },
+    { id: '151', name: 'Dusty Rose Very Light', hex: '#F0CED4', family: 'Pink' },
+    { id: '152', name: 'Shell Pink Medium Light', hex: '#E2A099', family: 'Pink' },
+    { id: '153', name: 'Violet Very Light', hex: '#E6CCD9', family: 'Purple' },
+    { id: '154', name: 'Grape Very Dark', hex: '#572433', family: 'Purple' },
+    { id: '155', name: 'Blue Violet Medium Dark', hex: '#9891B6', family: 'Blue' },
+    { id: '156', name: 'Blue Violet Medium Light', hex: '#A3AED1', family: 'Blue' },
+    { id: '157', name: 'Cornflower Blue Very Light', hex: '#BBC3D9', family: 'Blue' },
+    { id: '158', name: 'Cornflower Blue Medium Very Dark', hex: '#4C526E', family: 'Blue' },
+    { id: '159', name: 'Blue Gray Light', hex: '#C7CAD7', family: 'Gray' },
+    { id: '160', name: 'Blue Gray Medium', hex: '#999FB7', family: 'Gray' },
+    { id: '161', name: 'Blue Gray', hex: '#787C90', family: 'Gray' },
+    { id: '162', name: 'Blue Ultra Very Light', hex: '#DBECF5', family: 'Blue' },
+    { id: '163', name: 'Celadon Green Medium', hex: '#4D8361', family: 'Green' },
+    { id: '164', name: 'Forest Green Light', hex: '#C8D8B8', family: 'Green' },
+    { id: '165', name: 'Moss Green Very Light', hex: '#EFF4A4', family: 'Green' },
+    { id: '166', name: 'Moss Green Medium Light', hex: '#C0C840', family: 'Green' },
+    { id: '167', name: 'Yellow Beige Very Dark', hex: '#A77C49', family: 'Brown' },
+    { id: '168', name: 'Pewter Very Light', hex: '#D1D1D1', family: 'Gray' },
+    { id: '169', name: 'Pewter Light', hex: '#848484', family: 'Gray' },
+    { id: '208', name: 'Lavender Very Dark', hex: '#8B4789', family: 'Purple' },
+    { id: '209', name: 'Lavender Dark', hex: '#A864A8', family: 'Purple' },
+    { id: '210', name: 'Lavender Medium', hex: '#C89BC7', family: 'Purple' },
+    { id: '211', name: 'Lavender Light', hex: '#E6CCE5', family: 'Purple' },
+    { id: '221', name: 'Shell Pink Very Dark', hex: '#883E43', family: 'Red' },
+    { id: '223', name: 'Shell Pink Light', hex: '#CC847C', family: 'Red' },
+    { id: '224', name: 'Shell Pink Very Light', hex: '#EBB7AF', family: 'Pink' },
+    { id: '225', name: 'Shell Pink Ultra Very Light', hex: '#FFDFD5', family: 'Pink' },
+    { id: '300', name: 'Mahogany Very Dark', hex: '#6F2F00', family: 'Brown' },
+    { id: '301', name: 'Mahogany Medium', hex: '#B35F2B', family: 'Brown' },
+    { id: '304', name: 'Red Medium', hex: '#B71F33', family: 'Red' },
+    { id: '307', name: 'Lemon', hex: '#FDDD5C', family: 'Yellow' },
+    { id: '309', name: 'Rose Dark', hex: '#BA4A4A', family: 'Red' },
+    { id: '310', name: 'Black', hex: '#000000', family: 'Black' },
+    { id: '311', name: 'Wedgewood Ultra Very Dark', hex: '#254E70', family: 'Blue' },
+    { id: '312', name: 'Baby Blue Very Dark', hex: '#1E4770', family: 'Blue' },
+    { id: '315', name: 'Antique Mauve Medium Dark', hex: '#814952', family: 'Red' },
+    { id: '316', name: 'Antique Mauve Medium', hex: '#B7737F', family: 'Red' },
+    { id: '317', name: 'Pewter Gray', hex: '#6C6C6C', family: 'Gray' },
+    { id: '318', name: 'Steel Gray Light', hex: '#A8A8A8', family: 'Gray' },
+    { id: '319', name: 'Pistachio Green Very Dark', hex: '#1E4D2B', family: 'Green' },
+    { id: '320', name: 'Pistachio Green Medium', hex: '#69885C', family: 'Green' },
+    { id: '321', name: 'Red', hex: '#C72D3D', family: 'Red' },
+    { id: '322', name: 'Baby Blue Dark', hex: '#5A8FB8', family: 'Blue' },
+    { id: '326', name: 'Rose Very Dark', hex: '#B33B4B', family: 'Red' },
+    { id: '327', name: 'Violet Dark', hex: '#603F6E', family: 'Purple' },
+    { id: '333', name: 'Blue Violet Very Dark', hex: '#5C5478', family: 'Blue' },
+    { id: '334', name: 'Baby Blue Medium', hex: '#739FC1', family: 'Blue' },
+    { id: '335', name: 'Rose', hex: '#EE546E', family: 'Red' },
+    { id: '336', name: 'Navy Blue', hex: '#1C305C', family: 'Blue' },
+    { id: '340', name: 'Blue Violet Medium', hex: '#ADA7C7', family: 'Blue' },
+    { id: '341', name: 'Blue Violet Light', hex: '#B7BFDD', family: 'Blue' },
+    { id: '347', name: 'Salmon Very Dark', hex: '#BF2D2D', family: 'Red' },
+    { id: '349', name: 'Coral Dark', hex: '#CE4A4A', family: 'Red' },
+    { id: '350', name: 'Coral Medium', hex: '#E25858', family: 'Red' },
+    { id: '351', name: 'Coral', hex: '#E96A67', family: 'Red' },
+    { id: '352', name: 'Coral Light', hex: '#ED8075', family: 'Pink' },
+    { id: '353', name: 'Peach', hex: '#F5A9A4', family: 'Pink' },
+    { id: '355', name: 'Terra Cotta Dark', hex: '#984436', family: 'Red' },
+    { id: '356', name: 'Terra Cotta Medium', hex: '#C56A5B', family: 'Red' },
+    { id: '367', name: 'Pistachio Green Dark', hex: '#3C5F3C', family: 'Green' },
+    { id: '368', name: 'Pistachio Green Light', hex: '#8FBF87', family: 'Green' },
+    { id: '369', name: 'Pistachio Green Very Light', hex: '#C8E6C0', family: 'Green' },
+    { id: '370', name: 'Mustard Medium', hex: '#B89D64', family: 'Brown' },
+    { id: '371', name: 'Mustard', hex: '#BFA671', family: 'Brown' },
+    { id: '372', name: 'Mustard Light', hex: '#CCB784', family: 'Brown' },
+    { id: '400', name: 'Mahogany Dark', hex: '#8F430F', family: 'Brown' },
+    { id: '402', name: 'Mahogany Very Light', hex: '#F7A777', family: 'Brown' },
+    { id: '407', name: 'Desert Sand Dark', hex: '#BB8161', family: 'Brown' },
+    { id: '413', name: 'Pewter Gray Dark', hex: '#5A5A5A', family: 'Gray' },
+    { id: '414', name: 'Steel Gray Dark', hex: '#8C8C8C', family: 'Gray' },
+    { id: '415', name: 'Pearl Gray', hex: '#C4C4C4', family: 'Gray' },
+    { id: '420', name: 'Hazelnut Brown Dark', hex: '#A07042', family: 'Brown' },
+    { id: '422', name: 'Hazelnut Brown Light', hex: '#C69F7B', family: 'Brown' },
+    { id: '433', name: 'Brown Medium', hex: '#7A451F', family: 'Brown' },
+    { id: '434', name: 'Brown Light', hex: '#8B5A2B', family: 'Brown' },
+    { id: '435', name: 'Brown Very Light', hex: '#996B3D', family: 'Brown' },
+    { id: '436', name: 'Tan', hex: '#BA8C54', family: 'Brown' },
+    { id: '437', name: 'Tan Light', hex: '#CAAA78', family: 'Brown' },
+    { id: '444', name: 'Lemon Dark', hex: '#FFD702', family: 'Yellow' },
+    { id: '445', name: 'Lemon Light', hex: '#FFFB8B', family: 'Yellow' },
+    { id: '451', name: 'Shell Gray Dark', hex: '#917B73', family: 'Gray' },
+    { id: '452', name: 'Shell Gray Medium', hex: '#C0B3AE', family: 'Gray' },
+    { id: '453', name: 'Shell Gray Light', hex: '#D7CECB', family: 'Gray' },
+    { id: '469', name: 'Avocado Green', hex: '#72842C', family: 'Green' },
+    { id: '470', name: 'Avocado Green Light', hex: '#94AB4F', family: 'Green' },
+    { id: '471', name: 'Avocado Green Very Light', hex: '#AEBF79', family: 'Green' },
+    { id: '472', name: 'Avocado Green Ultra Light', hex: '#D8E498', family: 'Green' },
+    { id: '498', name: 'Red Dark', hex: '#A71930', family: 'Red' },
+    { id: '500', name: 'Blue Green Very Dark', hex: '#044D33', family: 'Green' },
+    { id: '501', name: 'Blue Green Dark', hex: '#396F52', family: 'Green' },
+    { id: '502', name: 'Blue Green', hex: '#5B9071', family: 'Green' },
+    { id: '503', name: 'Blue Green Medium', hex: '#7BAC94', family: 'Green' },
+    { id: '504', name: 'Blue Green Very Light', hex: '#C4DECC', family: 'Green' },
+    { id: '505', name: 'Jade Green', hex: '#338362', family: 'Green' },
+    { id: '517', name: 'Wedgewood Dark', hex: '#18668B', family: 'Blue' },
+    { id: '518', name: 'Wedgewood Light', hex: '#4993AB', family: 'Blue' },
+    { id: '519', name: 'Sky Blue', hex: '#A4C8DB', family: 'Blue' },
+    { id: '520', name: 'Fern Green Dark', hex: '#666D4F', family: 'Green' },
+    { id: '522', name: 'Fern Green', hex: '#969E7E', family: 'Green' },
+    { id: '523', name: 'Fern Green Light', hex: '#ABB197', family: 'Green' },
+    { id: '524', name: 'Fern Green Very Light', hex: '#C4CDAC', family: 'Green' },
+    { id: '535', name: 'Ash Gray Very Light', hex: '#555555', family: 'Gray' },
+    { id: '543', name: 'Beige Brown Ultra Very Light', hex: '#F2E3CE', family: 'Brown' },
+    { id: '550', name: 'Violet Very Dark', hex: '#5C2D79', family: 'Purple' },
+    { id: '552', name: 'Violet Medium', hex: '#803E95', family: 'Purple' },
+    { id: '553', name: 'Violet', hex: '#A968B9', family: 'Purple' },
+    { id: '554', name: 'Violet Light', hex: '#D59ED6', family: 'Purple' },
+    { id: '561', name: 'Celadon Green Very Dark', hex: '#2C6A45', family: 'Green' },
+    { id: '562', name: 'Jade Medium', hex: '#538B67', family: 'Green' },
+    { id: '563', name: 'Jade Light', hex: '#8FC098', family: 'Green' },
+    { id: '564', name: 'Jade Very Light', hex: '#A7CDAF', family: 'Green' },
+    { id: '580', name: 'Moss Green Dark', hex: '#888D33', family: 'Green' },
+    { id: '581', name: 'Moss Green', hex: '#A7AE38', family: 'Green' },
+    { id: '597', name: 'Turquoise', hex: '#5BA3B3', family: 'Blue' },
+    { id: '598', name: 'Turquoise Light', hex: '#90C3CC', family: 'Blue' },
+    { id: '600', name: 'Cranberry Very Dark', hex: '#B30044', family: 'Red' },
+    { id: '601', name: 'Cranberry Dark', hex: '#CC1155', family: 'Red' },
+    { id: '602', name: 'Cranberry Medium', hex: '#E63366', family: 'Pink' },
+    { id: '603', name: 'Cranberry', hex: '#FF5080', family: 'Pink' },
+    { id: '604', name: 'Cranberry Light', hex: '#FF7093', family: 'Pink' },
+    { id: '605', name: 'Cranberry Very Light', hex: '#FFC0CD', family: 'Pink' },
+    { id: '606', name: 'Bright Orange-Red', hex: '#FA3203', family: 'Orange' },
+    { id: '608', name: 'Bright Orange', hex: '#FD5D35', family: 'Orange' },
+    { id: '610', name: 'Drab Brown Dark', hex: '#796047', family: 'Brown' },
+    { id: '611', name: 'Drab Brown', hex: '#967656', family: 'Brown' },
+    { id: '612', name: 'Drab Brown Light', hex: '#BC9A78', family: 'Brown' },
+    { id: '613', name: 'Drab Brown Very Light', hex: '#DCC4AA', family: 'Brown' },
+    { id: '632', name: 'Desert Sand Ultra Very Dark', hex: '#875539', family: 'Brown' },
+    { id: '640', name: 'Beige Gray Very Dark', hex: '#857B61', family: 'Gray' },
+    { id: '642', name: 'Beige Gray Dark', hex: '#A49878', family: 'Brown' },
+    { id: '644', name: 'Beige Gray Medium', hex: '#DDD8CB', family: 'Gray' },
+    { id: '645', name: 'Beaver Gray Very Dark', hex: '#6E6E5C', family: 'Gray' },
+    { id: '646', name: 'Beaver Gray Dark', hex: '#8C8C78', family: 'Gray' },
+    { id: '647', name: 'Beaver Gray Medium', hex: '#A8A898', family: 'Gray' },
+    { id: '648', name: 'Beaver Gray Light', hex: '#C4C4B4', family: 'Gray' },
+    { id: '666', name: 'Bright Red', hex: '#E31D42', family: 'Red' },
+    { id: '676', name: 'Old Gold Light', hex: '#E5CE97', family: 'Orange' },
+    { id: '677', name: 'Old Gold Very Light', hex: '#F5ECCB', family: 'Yellow' },
+    { id: '680', name: 'Old Gold Dark', hex: '#BC8D0E', family: 'Brown' },
+    { id: '699', name: 'Green', hex: '#006B3C', family: 'Green' },
+    { id: '700', name: 'Green Bright', hex: '#008941', family: 'Green' },
+    { id: '701', name: 'Green Light', hex: '#3D9140', family: 'Green' },
+    { id: '702', name: 'Kelly Green', hex: '#228B22', family: 'Green' },
+    { id: '703', name: 'Chartreuse', hex: '#3CB371', family: 'Green' },
+    { id: '704', name: 'Chartreuse Bright', hex: '#90EE90', family: 'Green' },
+    { id: '712', name: 'Cream', hex: '#FFFBEF', family: 'White' },
+    { id: '718', name: 'Plum', hex: '#CC3366', family: 'Purple' },
+    { id: '720', name: 'Orange Spice Dark', hex: '#E55C1F', family: 'Orange' },
+    { id: '721', name: 'Orange Spice Medium', hex: '#F27842', family: 'Orange' },
+    { id: '722', name: 'Orange Spice Light', hex: '#F7976F', family: 'Orange' },
+    { id: '725', name: 'Topaz Medium Light', hex: '#E6A800', family: 'Orange' },
+    { id: '726', name: 'Topaz Light', hex: '#FFC000', family: 'Yellow' },
+    { id: '727', name: 'Topaz Very Light', hex: '#FFF1AF', family: 'Yellow' },
+    { id: '728', name: 'Topaz', hex: '#E4B468', family: 'Orange' },
+    { id: '729', name: 'Old Gold Medium', hex: '#D0A53E', family: 'Orange' },
+    { id: '730', name: 'Olive Green Very Dark', hex: '#827B30', family: 'Green' },
+    { id: '731', name: 'Olive Green Dark', hex: '#938B23', family: 'Green' },
+    { id: '732', name: 'Olive Green', hex: '#948C36', family: 'Green' },
+    { id: '733', name: 'Olive Green Medium', hex: '#BCB34C', family: 'Green' },
+    { id: '734', name: 'Olive Green Light', hex: '#C7C077', family: 'Green' },
+    { id: '738', name: 'Tan Very Light', hex: '#DCBE8D', family: 'Brown' },
+    { id: '739', name: 'Tan Ultra Very Light', hex: '#F2DEB3', family: 'Brown' },
+    { id: '740', name: 'Tangerine', hex: '#FF7F00', family: 'Orange' },
+    { id: '741', name: 'Tangerine Medium', hex: '#FFAE42', family: 'Orange' },
+    { id: '742', name: 'Tangerine Light', hex: '#FFCB5C', family: 'Orange' },
+    { id: '743', name: 'Yellow Medium', hex: '#FEE08B', family: 'Yellow' },
+    { id: '744', name: 'Yellow Pale', hex: '#FFE793', family: 'Yellow' },
+    { id: '745', name: 'Yellow Light Pale', hex: '#FFFACD', family: 'Yellow' },
+    { id: '746', name: 'Off White', hex: '#FCFCEE', family: 'White' },
+    { id: '747', name: 'Peacock Blue Very Light', hex: '#E5FCFD', family: 'Blue' },
+    { id: '754', name: 'Peach Light', hex: '#F5CEC7', family: 'Pink' },
+    { id: '758', name: 'Terra Cotta Very Light', hex: '#EEAA9B', family: 'Pink' },
+    { id: '760', name: 'Salmon', hex: '#F5ADAD', family: 'Pink' },
+    { id: '761', name: 'Salmon Light', hex: '#FFC9C9', family: 'Pink' },
+    { id: '762', name: 'Pearl Gray Very Light', hex: '#E0E0E0', family: 'White' },
+    { id: '772', name: 'Yellow Green Very Light', hex: '#E4ECD4', family: 'Green' },
+    { id: '775', name: 'Baby Blue Very Light', hex: '#D9EBF1', family: 'Blue' },
+    { id: '776', name: 'Pink Medium', hex: '#FCB0B9', family: 'Pink' },
+    { id: '778', name: 'Antique Mauve Very Light', hex: '#DFB3BB', family: 'Pink' },
+    { id: '779', name: 'Cocoa Dark', hex: '#624B45', family: 'Brown' },
+    { id: '780', name: 'Topaz Ultra Very Dark', hex: '#80640D', family: 'Brown' },
+    { id: '781', name: 'Topaz Very Dark', hex: '#A26D20', family: 'Brown' },
+    { id: '782', name: 'Topaz Dark', hex: '#A17700', family: 'Brown' },
+    { id: '783', name: 'Topaz Medium', hex: '#CE9600', family: 'Orange' },
+    { id: '791', name: 'Cornflower Blue Very Dark', hex: '#3B4784', family: 'Blue' },
+    { id: '792', name: 'Cornflower Blue Dark', hex: '#495C99', family: 'Blue' },
+    { id: '793', name: 'Cornflower Blue Medium', hex: '#7086B6', family: 'Blue' },
+    { id: '794', name: 'Cornflower Blue Light', hex: '#A8B8D8', family: 'Blue' },
+    { id: '796', name: 'Royal Blue Dark', hex: '#1C3D94', family: 'Blue' },
+    { id: '797', name: 'Royal Blue', hex: '#255AA8', family: 'Blue' },
+    { id: '798', name: 'Delft Blue Dark', hex: '#4878A8', family: 'Blue' },
+    { id: '799', name: 'Delft Blue Medium', hex: '#6699CC', family: 'Blue' },
+    { id: '800', name: 'Delft Blue Pale', hex: '#C0CCDE', family: 'Blue' },
+    { id: '801', name: 'Coffee Brown Dark', hex: '#5C3317', family: 'Brown' },
+    { id: '806', name: 'Peacock Blue Dark', hex: '#3890B0', family: 'Blue' },
+    { id: '807', name: 'Peacock Blue', hex: '#64A8C0', family: 'Blue' },
+    { id: '809', name: 'Delft Blue', hex: '#83B5D5', family: 'Blue' },
+    { id: '813', name: 'Blue Light', hex: '#A1C2D7', family: 'Blue' },
+    { id: '814', name: 'Garnet Dark', hex: '#7B001B', family: 'Red' },
+    { id: '815', name: 'Garnet Medium', hex: '#7B2532', family: 'Red' },
+    { id: '816', name: 'Garnet', hex: '#970B23', family: 'Red' },
+    { id: '817', name: 'Coral Red Very Dark', hex: '#BB2B3C', family: 'Red' },
+    { id: '818', name: 'Baby Pink', hex: '#FFDFD9', family: 'Pink' },
+    { id: '819', name: 'Baby Pink Light', hex: '#FFEEEB', family: 'White' },
+    { id: '820', name: 'Royal Blue Very Dark', hex: '#142C6E', family: 'Blue' },
+    { id: '822', name: 'Beige Gray Light', hex: '#E7E2D3', family: 'Gray' },
+    { id: '823', name: 'Navy Blue Dark', hex: '#0D1B3E', family: 'Blue' },
+    { id: '824', name: 'Blue Very Dark', hex: '#396987', family: 'Blue' },
+    { id: '825', name: 'Blue Dark', hex: '#477B9F', family: 'Blue' },
+    { id: '826', name: 'Blue Medium', hex: '#6B9EBF', family: 'Blue' },
+    { id: '827', name: 'Blue Very Light', hex: '#BDDDED', family: 'Blue' },
+    { id: '828', name: 'Sky Blue Very Light', hex: '#C5E8ED', family: 'Blue' },
+    { id: '829', name: 'Golden Olive Very Dark', hex: '#7E6A10', family: 'Brown' },
+    { id: '830', name: 'Golden Olive Dark', hex: '#8D7818', family: 'Brown' },
+    { id: '831', name: 'Golden Olive Medium', hex: '#AA8F28', family: 'Yellow' },
+    { id: '832', name: 'Golden Olive', hex: '#BD9B51', family: 'Orange' },
+    { id: '833', name: 'Golden Olive Light', hex: '#C8AB6C', family: 'Orange' },
+    { id: '834', name: 'Golden Olive Very Light', hex: '#DBBE7F', family: 'Orange' },
+    { id: '838', name: 'Beige Brown Very Dark', hex: '#594937', family: 'Brown' },
+    { id: '839', name: 'Beige Brown Dark', hex: '#675541', family: 'Brown' },
+    { id: '840', name: 'Beige Brown Medium', hex: '#9A7C5C', family: 'Brown' },
+    { id: '841', name: 'Beige Brown Light', hex: '#B69B7E', family: 'Brown' },
+    { id: '842', name: 'Beige Brown Very Light', hex: '#D1BAA1', family: 'Brown' },
+    { id: '844', name: 'Beaver Brown Ultra Dark', hex: '#484848', family: 'Gray' },
+    { id: '869', name: 'Hazelnut Brown Very Dark', hex: '#835E39', family: 'Brown' },
+    { id: '890', name: 'Pistachio Green Ultra Dark', hex: '#174923', family: 'Green' },
+    { id: '891', name: 'Carnation Dark', hex: '#FF5773', family: 'Red' },
+    { id: '892', name: 'Carnation Medium', hex: '#FF798C', family: 'Pink' },
+    { id: '893', name: 'Carnation Light', hex: '#FC90A2', family: 'Pink' },
+    { id: '894', name: 'Carnation Very Light', hex: '#FFB2BB', family: 'Pink' },
+    { id: '895', name: 'Hunter Green Very Dark', hex: '#1B5300', family: 'Green' },
+    { id: '898', name: 'Coffee Brown Very Dark', hex: '#4A2912', family: 'Brown' },
+    { id: '899', name: 'Rose Medium', hex: '#F27688', family: 'Red' },
+    { id: '900', name: 'Burnt Orange Dark', hex: '#D15807', family: 'Orange' },
+    { id: '902', name: 'Garnet Very Dark', hex: '#822637', family: 'Red' },
+    { id: '904', name: 'Parrot Green Very Dark', hex: '#558B2F', family: 'Green' },
+    { id: '905', name: 'Parrot Green Dark', hex: '#689F38', family: 'Green' },
+    { id: '906', name: 'Parrot Green Medium', hex: '#88C070', family: 'Green' },
+    { id: '907', name: 'Parrot Green Light', hex: '#A8E4A0', family: 'Green' },
+    { id: '909', name: 'Emerald Green Very Dark', hex: '#156F49', family: 'Green' },
+    { id: '910', name: 'Emerald Green Dark', hex: '#187E56', family: 'Green' },
+    { id: '911', name: 'Emerald Green Medium', hex: '#189065', family: 'Green' },
+    { id: '912', name: 'Emerald Green Light', hex: '#1B9D6B', family: 'Green' },
+    { id: '913', name: 'Nile Green Medium', hex: '#6DAB77', family: 'Green' },
+    { id: '915', name: 'Plum Dark', hex: '#820747', family: 'Purple' },
+    { id: '917', name: 'Plum Medium', hex: '#9B1E63', family: 'Purple' },
+    { id: '918', name: 'Red Copper Dark', hex: '#82340A', family: 'Brown' },
+    { id: '919', name: 'Red Copper', hex: '#A64510', family: 'Brown' },
+    { id: '920', name: 'Copper Medium', hex: '#AC5414', family: 'Brown' },
+    { id: '921', name: 'Copper', hex: '#C66224', family: 'Brown' },
+    { id: '922', name: 'Copper Light', hex: '#E27323', family: 'Brown' },
+    { id: '924', name: 'Gray Green Very Dark', hex: '#566A6A', family: 'Gray' },
+    { id: '926', name: 'Gray Green Medium', hex: '#98AEAE', family: 'Gray' },
+    { id: '927', name: 'Gray Green Light', hex: '#BDCBCB', family: 'Gray' },
+    { id: '928', name: 'Gray Green Very Light', hex: '#DDE3E3', family: 'Gray' },
+    { id: '930', name: 'Antique Blue Dark', hex: '#455C71', family: 'Blue' },
+    { id: '931', name: 'Antique Blue Medium', hex: '#6A859E', family: 'Blue' },
+    { id: '932', name: 'Antique Blue Light', hex: '#A2B5C6', family: 'Blue' },
+    { id: '934', name: 'Black Avocado Green', hex: '#313919', family: 'Green' },
+    { id: '935', name: 'Avocado Green Dark', hex: '#263A19', family: 'Green' },
+    { id: '936', name: 'Avocado Green Very Dark', hex: '#4C5826', family: 'Green' },
+    { id: '937', name: 'Avocado Green Medium', hex: '#627133', family: 'Green' },
+    { id: '938', name: 'Coffee Brown Ultra Dark', hex: '#3D220D', family: 'Brown' },
+    { id: '939', name: 'Navy Blue Very Dark', hex: '#0A1128', family: 'Blue' },
+    { id: '943', name: 'Aquamarine Medium', hex: '#00998C', family: 'Green' },
+    { id: '945', name: 'Tawny', hex: '#FBD5BB', family: 'Orange' },
+    { id: '946', name: 'Burnt Orange Medium', hex: '#EB6D20', family: 'Orange' },
+    { id: '947', name: 'Burnt Orange', hex: '#FF6631', family: 'Orange' },
+    { id: '948', name: 'Peach Very Light', hex: '#FADDD6', family: 'Pink' },
+    { id: '950', name: 'Desert Sand Light', hex: '#EED3C4', family: 'Brown' },
+    { id: '951', name: 'Tawny Light', hex: '#FFE2CF', family: 'Orange' },
+    { id: '954', name: 'Nile Green', hex: '#88BA91', family: 'Green' },
+    { id: '955', name: 'Nile Green Light', hex: '#A2D6AD', family: 'Green' },
+    { id: '956', name: 'Geranium', hex: '#F66A86', family: 'Pink' },
+    { id: '957', name: 'Geranium Pale', hex: '#F9B5C4', family: 'Pink' },
+    { id: '958', name: 'Sea Green Dark', hex: '#3EB6A1', family: 'Green' },
+    { id: '959', name: 'Sea Green Medium', hex: '#59C7B4', family: 'Green' },
+    { id: '961', name: 'Dusty Rose Dark', hex: '#CF6083', family: 'Red' },
+    { id: '962', name: 'Dusty Rose Medium', hex: '#E88BA3', family: 'Pink' },
+    { id: '963', name: 'Dusty Rose Ultra Very Light', hex: '#F5C2CF', family: 'Pink' },
+    { id: '964', name: 'Sea Green Light', hex: '#A9E2D8', family: 'Green' },
+    { id: '966', name: 'Jade Ultra Very Light', hex: '#B9D7C0', family: 'Green' },
+    { id: '970', name: 'Pumpkin Light', hex: '#F78B13', family: 'Orange' },
+    { id: '971', name: 'Pumpkin', hex: '#F67F00', family: 'Orange' },
+    { id: '972', name: 'Canary Deep', hex: '#FFB515', family: 'Orange' },
+    { id: '973', name: 'Canary Bright', hex: '#FFF44F', family: 'Yellow' },
+    { id: '975', name: 'Golden Brown Dark', hex: '#914F12', family: 'Brown' },
+    { id: '976', name: 'Golden Brown Medium', hex: '#C28142', family: 'Brown' },
+    { id: '977', name: 'Golden Brown Light', hex: '#DC9C56', family: 'Brown' },
+    { id: '986', name: 'Forest Green Very Dark', hex: '#3E5F3E', family: 'Green' },
+    { id: '987', name: 'Forest Green Dark', hex: '#4F6F4F', family: 'Green' },
+    { id: '988', name: 'Forest Green Medium', hex: '#6B8E6B', family: 'Green' },
+    { id: '989', name: 'Forest Green', hex: '#8FBC8F', family: 'Green' },
+    { id: '991', name: 'Aquamarine Dark', hex: '#007871', family: 'Green' },
+    { id: '992', name: 'Aquamarine Light', hex: '#00B5AD', family: 'Green' },
+    { id: '993', name: 'Aquamarine Very Light', hex: '#68CFC5', family: 'Green' },
+    { id: '995', name: 'Electric Blue Dark', hex: '#2696B6', family: 'Blue' },
+    { id: '996', name: 'Electric Blue Medium', hex: '#30C2EC', family: 'Blue' },
+    { id: '3011', name: 'Khaki Green Dark', hex: '#898A58', family: 'Green' },
+    { id: '3012', name: 'Khaki Green Medium', hex: '#A6A75D', family: 'Green' },
+    { id: '3013', name: 'Khaki Green Light', hex: '#B9B982', family: 'Green' },
+    { id: '3021', name: 'Brown Gray Very Dark', hex: '#4F4B41', family: 'Gray' },
+    { id: '3022', name: 'Brown Gray Medium', hex: '#8E9078', family: 'Gray' },
+    { id: '3023', name: 'Brown Gray Light', hex: '#B1AA97', family: 'Gray' },
+    { id: '3024', name: 'Brown Gray Very Light', hex: '#EBEAE7', family: 'White' },
+    { id: '3031', name: 'Mocha Brown Very Dark', hex: '#4B3C2A', family: 'Brown' },
+    { id: '3032', name: 'Mocha Brown Medium', hex: '#B39F8B', family: 'Brown' },
+    { id: '3033', name: 'Mocha Brown Very Light', hex: '#E3D8CC', family: 'Brown' },
+    { id: '3041', name: 'Antique Violet Medium', hex: '#956F7C', family: 'Purple' },
+    { id: '3042', name: 'Antique Violet Light', hex: '#B79DA7', family: 'Purple' },
+    { id: '3045', name: 'Yellow Beige Dark', hex: '#BC966A', family: 'Brown' },
+    { id: '3046', name: 'Yellow Beige Medium', hex: '#D8BC9A', family: 'Brown' },
+    { id: '3047', name: 'Yellow Beige Light', hex: '#E7D6C1', family: 'Brown' },
+    { id: '3051', name: 'Green Gray Dark', hex: '#5F6648', family: 'Gray' },
+    { id: '3052', name: 'Green Gray Medium', hex: '#88926D', family: 'Gray' },
+    { id: '3053', name: 'Green Gray', hex: '#9CA482', family: 'Gray' },
+    { id: '3064', name: 'Desert Sand', hex: '#C48E70', family: 'Brown' },
+    { id: '3072', name: 'Beaver Gray Very Light', hex: '#E8E8DC', family: 'White' },
+    { id: '3078', name: 'Golden Yellow Very Light', hex: '#FDF9CD', family: 'Yellow' },
+    { id: '3325', name: 'Baby Blue Light', hex: '#B8D2E6', family: 'Blue' },
+    { id: '3326', name: 'Rose Light', hex: '#FBADB4', family: 'Pink' },
+    { id: '3328', name: 'Salmon Dark', hex: '#E36D6D', family: 'Red' },
+    { id: '3340', name: 'Apricot Medium', hex: '#FF836F', family: 'Red' },
+    { id: '3341', name: 'Apricot', hex: '#FCAB98', family: 'Pink' },
+    { id: '3345', name: 'Hunter Green Dark', hex: '#1B5915', family: 'Green' },
+    { id: '3346', name: 'Hunter Green', hex: '#406A0E', family: 'Green' },
+    { id: '3347', name: 'Yellow Green Medium', hex: '#71935C', family: 'Green' },
+    { id: '3348', name: 'Yellow Green Light', hex: '#CCD9B1', family: 'Green' },
+    { id: '3350', name: 'Dusty Rose Ultra Dark', hex: '#BC4365', family: 'Red' },
+    { id: '3354', name: 'Dusty Rose Light', hex: '#E4A6AC', family: 'Pink' },
+    { id: '3362', name: 'Pine Green Dark', hex: '#5E6B47', family: 'Green' },
+    { id: '3363', name: 'Pine Green Medium', hex: '#728256', family: 'Green' },
+    { id: '3364', name: 'Pine Green', hex: '#83975F', family: 'Green' },
+    { id: '3371', name: 'Black Brown', hex: '#1C110A', family: 'Black' },
+    { id: '3607', name: 'Plum Light', hex: '#C54989', family: 'Purple' },
+    { id: '3608', name: 'Plum Very Light', hex: '#EA9CC4', family: 'Pink' },
+    { id: '3609', name: 'Plum Ultra Light', hex: '#F4AED5', family: 'Pink' },
+    { id: '3685', name: 'Mauve Very Dark', hex: '#8B2252', family: 'Red' },
+    { id: '3687', name: 'Mauve', hex: '#C96B70', family: 'Red' },
+    { id: '3688', name: 'Mauve Medium', hex: '#E7A9AC', family: 'Pink' },
+    { id: '3689', name: 'Mauve Light', hex: '#FBBFC2', family: 'Pink' },
+    { id: '3705', name: 'Melon Dark', hex: '#FF7992', family: 'Pink' },
+    { id: '3706', name: 'Melon Medium', hex: '#FFADBC', family: 'Pink' },
+    { id: '3708', name: 'Melon Light', hex: '#FFCBD5', family: 'Pink' },
+    { id: '3712', name: 'Salmon Medium', hex: '#F18787', family: 'Pink' },
+    { id: '3713', name: 'Salmon Very Light', hex: '#FFE2E2', family: 'Pink' },
+    { id: '3716', name: 'Dusty Rose Very Light', hex: '#FAAFC4', family: 'Pink' },
+    { id: '3721', name: 'Shell Pink Dark', hex: '#A14B51', family: 'Red' },
+    { id: '3722', name: 'Shell Pink Medium', hex: '#BC6C64', family: 'Red' },
+    { id: '3726', name: 'Antique Mauve Dark', hex: '#9B5B66', family: 'Red' },
+    { id: '3727', name: 'Antique Mauve Light', hex: '#DBA9B2', family: 'Pink' },
+    { id: '3731', name: 'Dusty Rose Very Dark', hex: '#DA6783', family: 'Red' },
+    { id: '3733', name: 'Dusty Rose', hex: '#E8879B', family: 'Red' },
+    { id: '3740', name: 'Antique Violet Dark', hex: '#785762', family: 'Purple' },
+    { id: '3743', name: 'Antique Violet Very Light', hex: '#D7CBD3', family: 'Gray' },
+    { id: '3746', name: 'Blue Violet Dark', hex: '#776B98', family: 'Blue' },
+    { id: '3747', name: 'Blue Violet Very Light', hex: '#D3D7ED', family: 'Blue' },
+    { id: '3750', name: 'Antique Blue Very Dark', hex: '#384C5E', family: 'Blue' },
+    { id: '3752', name: 'Antique Blue Very Light', hex: '#C7D1DB', family: 'Blue' },
+    { id: '3753', name: 'Antique Blue Ultra Very Light', hex: '#DBE2E9', family: 'Gray' },
+    { id: '3755', name: 'Baby Blue', hex: '#93B4CE', family: 'Blue' },
+    { id: '3756', name: 'Baby Blue Ultra Very Light', hex: '#EEFCFC', family: 'White' },
+    { id: '3760', name: 'Wedgewood Medium', hex: '#3E85A2', family: 'Blue' },
+    { id: '3761', name: 'Sky Blue Light', hex: '#ACD8E2', family: 'Blue' },
+    { id: '3765', name: 'Peacock Blue Very Dark', hex: '#347F8C', family: 'Blue' },
+    { id: '3766', name: 'Peacock Blue Light', hex: '#99C4D1', family: 'Blue' },
+    { id: '3768', name: 'Gray Green Dark', hex: '#657F7F', family: 'Gray' },
+    { id: '3770', name: 'Tawny Very Light', hex: '#FFEEE3', family: 'Orange' },
+    { id: '3771', name: 'Terra Cotta Ultra Very Light', hex: '#F4BBA9', family: 'Pink' },
+    { id: '3772', name: 'Desert Sand Very Dark', hex: '#A06C50', family: 'Brown' },
+    { id: '3773', name: 'Desert Sand Medium', hex: '#B67552', family: 'Brown' },
+    { id: '3774', name: 'Desert Sand Very Light', hex: '#F3E1D7', family: 'Brown' },
+    { id: '3776', name: 'Mahogany Light', hex: '#CF7939', family: 'Brown' },
+    { id: '3777', name: 'Terra Cotta Very Dark', hex: '#863022', family: 'Red' },
+    { id: '3778', name: 'Terra Cotta Light', hex: '#D98978', family: 'Red' },
+    { id: '3779', name: 'Rosewood Ultra Very Light', hex: '#F8CAC8', family: 'Brown' },
+    { id: '3781', name: 'Mocha Brown Dark', hex: '#6B5743', family: 'Brown' },
+    { id: '3782', name: 'Mocha Brown Light', hex: '#D2BCA6', family: 'Brown' },
+    { id: '3787', name: 'Brown Gray Dark', hex: '#625D50', family: 'Gray' },
+    { id: '3790', name: 'Beige Gray Ultra Dark', hex: '#7F6A55', family: 'Brown' },
+    { id: '3799', name: 'Pewter Gray Very Dark', hex: '#3C3C3C', family: 'Gray' },
+    { id: '3801', name: 'Melon Very Dark', hex: '#E74967', family: 'Red' },
+    { id: '3802', name: 'Antique Mauve Very Dark', hex: '#714149', family: 'Red' },
+    { id: '3803', name: 'Mauve Dark', hex: '#6B1B3D', family: 'Red' },
+    { id: '3804', name: 'Cyclamen Pink Dark', hex: '#E02876', family: 'Red' },
+    { id: '3805', name: 'Cyclamen Pink', hex: '#F3478B', family: 'Pink' },
+    { id: '3806', name: 'Cyclamen Pink Light', hex: '#FF8CAE', family: 'Pink' },
+    { id: '3807', name: 'Cornflower Blue', hex: '#60678C', family: 'Blue' },
+    { id: '3808', name: 'Turquoise Ultra Very Dark', hex: '#366970', family: 'Blue' },
+    { id: '3809', name: 'Turquoise Very Dark', hex: '#3F7C85', family: 'Blue' },
+    { id: '3810', name: 'Turquoise Dark', hex: '#488E9A', family: 'Blue' },
+    { id: '3811', name: 'Turquoise Very Light', hex: '#BCE3E6', family: 'Blue' },
+    { id: '3812', name: 'Sea Green Very Dark', hex: '#009B8C', family: 'Green' },
+    { id: '3813', name: 'Blue Green Light', hex: '#B2D4BD', family: 'Green' },
+    { id: '3814', name: 'Aquamarine', hex: '#508B7D', family: 'Green' },
+    { id: '3815', name: 'Celadon Green Dark', hex: '#477759', family: 'Green' },
+    { id: '3816', name: 'Celadon Green', hex: '#65A57D', family: 'Green' },
+    { id: '3817', name: 'Celadon Green Light', hex: '#99C3AA', family: 'Green' },
+    { id: '3818', name: 'Emerald Green Ultra Very Dark', hex: '#115A3B', family: 'Green' },
+    { id: '3819', name: 'Moss Green Light', hex: '#E0E868', family: 'Green' },
+    { id: '3820', name: 'Straw Dark', hex: '#DFB65F', family: 'Orange' },
+    { id: '3821', name: 'Straw', hex: '#F3CE75', family: 'Orange' },
+    { id: '3822', name: 'Straw Light', hex: '#F6DC98', family: 'Orange' },
+    { id: '3823', name: 'Yellow Ultra Pale', hex: '#FFFDE3', family: 'Yellow' },
+    { id: '3824', name: 'Apricot Light', hex: '#FECDC2', family: 'Pink' },
+    { id: '3825', name: 'Pumpkin Pale', hex: '#FDBD96', family: 'Orange' },
+    { id: '3826', name: 'Golden Brown', hex: '#AD7239', family: 'Brown' },
+    { id: '3827', name: 'Golden Brown Pale', hex: '#F7BB77', family: 'Brown' },
+    { id: '3828', name: 'Hazelnut Brown', hex: '#B78B61', family: 'Brown' },
+    { id: '3829', name: 'Old Gold Very Dark', hex: '#A98204', family: 'Brown' },
+    { id: '3830', name: 'Terra Cotta', hex: '#B95544', family: 'Red' },
+    { id: '3831', name: 'Raspberry Dark', hex: '#B32F48', family: 'Red' },
+    { id: '3832', name: 'Raspberry Medium', hex: '#DB556E', family: 'Red' },
+    { id: '3833', name: 'Raspberry Light', hex: '#EA8699', family: 'Pink' },
+    { id: '3834', name: 'Grape Dark', hex: '#72375D', family: 'Purple' },
+    { id: '3835', name: 'Grape Medium', hex: '#946083', family: 'Purple' },
+    { id: '3836', name: 'Grape Light', hex: '#BA91AA', family: 'Pink' },
+    { id: '3837', name: 'Lavender Ultra Dark', hex: '#7B527F', family: 'Purple' },
+    { id: '3838', name: 'Lavender Blue Dark', hex: '#5C7294', family: 'Blue' },
+    { id: '3839', name: 'Lavender Blue Medium', hex: '#7B8EAB', family: 'Blue' },
+    { id: '3840', name: 'Lavender Blue Light', hex: '#B0C0DA', family: 'Blue' },
+    { id: '3841', name: 'Baby Blue Pale', hex: '#CDDFED', family: 'Blue' },
+    { id: '3842', name: 'Wedgewood Very Dark', hex: '#32667C', family: 'Blue' },
+    { id: '3843', name: 'Electric Blue', hex: '#14AAD0', family: 'Blue' },
+    { id: '3844', name: 'Turquoise Bright Dark', hex: '#12AEBA', family: 'Blue' },
+    { id: '3845', name: 'Turquoise Bright Medium', hex: '#04C4CA', family: 'Blue' },
+    { id: '3846', name: 'Turquoise Bright Light', hex: '#06E3E6', family: 'Blue' },
+    { id: '3847', name: 'Teal Green Dark', hex: '#2D6A5F', family: 'Green' },
+    { id: '3848', name: 'Teal Green Medium', hex: '#3C8C7E', family: 'Green' },
+    { id: '3849', name: 'Teal Green Light', hex: '#52B2A6', family: 'Green' },
+    { id: '3850', name: 'Green Bright Dark', hex: '#378477', family: 'Green' },
+    { id: '3851', name: 'Green Bright Light', hex: '#49E9BD', family: 'Green' },
+    { id: '3852', name: 'Straw Very Dark', hex: '#CD9D37', family: 'Orange' },
+    { id: '3853', name: 'Autumn Gold Dark', hex: '#F29746', family: 'Orange' },
+    { id: '3854', name: 'Autumn Gold Medium', hex: '#F2AF68', family: 'Orange' },
+    { id: '3855', name: 'Autumn Gold Light', hex: '#FAD396', family: 'Orange' },
+    { id: '3856', name: 'Mahogany Ultra Very Light', hex: '#FFD3B5', family: 'Brown' },
+    { id: '3857', name: 'Rosewood Dark', hex: '#68251A', family: 'Brown' },
+    { id: '3858', name: 'Rosewood Medium', hex: '#964A3F', family: 'Brown' },
+    { id: '3859', name: 'Rosewood Light', hex: '#BA8B7C', family: 'Brown' },
+    { id: '3860', name: 'Cocoa', hex: '#7D5D57', family: 'Brown' },
+    { id: '3861', name: 'Cocoa Light', hex: '#A68881', family: 'Brown' },
+    { id: '3862', name: 'Mocha Beige Dark', hex: '#8A6E4E', family: 'Brown' },
+    { id: '3863', name: 'Mocha Beige Medium', hex: '#A4835C', family: 'Brown' },
+    { id: '3864', name: 'Mocha Beige Light', hex: '#CBB69C', family: 'Brown' },
+    { id: '3865', name: 'Winter White', hex: '#F9F7F1', family: 'White' },
+    { id: '3866', name: 'Mocha Brown Ultra Very Light', hex: '#FAF6F0', family: 'White' },
+];
+
+/**
+ * Thread numbers in the curated palette - a smaller set of common colors
+ * that keeps generated patterns simple and quick to shop for
  */
-export const DMC_COLORS = [
-    { id: '310', hex: '#000000', name: 'Black' },
-    { id: 'BLANC', hex: '#FFFFFF', name: 'White' },
-    { id: '666', hex: '#E31D42', name: 'Bright Red' },
-    { id: '321', hex: '#C72D3D', name: 'Red' },
-    { id: '815', hex: '#7B2532', name: 'Garnet' },
-    { id: '498', hex: '#A71930', name: 'Dark Red' },
-    { id: '817', hex: '#BB2B3C', name: 'Coral Red' },
-    { id: '349', hex: '#CE4A4A', name: 'Dark Coral' },
-    { id: '350', hex: '#E25858', name: 'Coral' },
-    { id: '351', hex: '#E96A67', name: 'Light Coral' },
-    { id: '352', hex: '#ED8075', name: 'Light Coral Lt' },
-    { id: '353', hex: '#F5A9A4', name: 'Peach' },
-    { id: '754', hex: '#F5CEC7', name: 'Light Peach' },
-    { id: '948', hex: '#FADDD6', name: 'Very Light Peach' },
-    { id: '946', hex: '#EB6D20', name: 'Burnt Orange Med' },
-    { id: '947', hex: '#FF6631', name: 'Burnt Orange' },
-    { id: '740', hex: '#FF7F00', name: 'Tangerine' },
-    { id: '741', hex: '#FFAE42', name: 'Medium Tangerine' },
-    { id: '742', hex: '#FFCB5C', name: 'Light Tangerine' },
-    { id: '743', hex: '#FEE08B', name: 'Yellow Med' },
-    { id: '744', hex: '#FFE793', name: 'Yellow Pale' },
-    { id: '745', hex: '#FFFACD', name: 'Yellow Light' },
-    { id: '307', hex: '#FDDD5C', name: 'Lemon' },
-    { id: '973', hex: '#FFF44F', name: 'Canary Bright' },
-    { id: '444', hex: '#FFD702', name: 'Dark Lemon' },
-    { id: '726', hex: '#FFC000', name: 'Topaz Light' },
-    { id: '725', hex: '#E6A800', name: 'Topaz' },
-    { id: '783', hex: '#CE9600', name: 'Topaz Med' },
-    { id: '782', hex: '#A17700', name: 'Topaz Dark' },
-    { id: '780', hex: '#80640D', name: 'Topaz Ultra Dk' },
-    { id: '434', hex: '#8B5A2B', name: 'Brown Light' },
-    { id: '435', hex: '#996B3D', name: 'Brown Very Light' },
-    { id: '436', hex: '#BA8C54', name: 'Tan' },
-    { id: '437', hex: '#CAAA78', name: 'Tan Light' },
-    { id: '738', hex: '#DCBE8D', name: 'Tan Very Light' },
-    { id: '739', hex: '#F2DEB3', name: 'Tan Ultra Vt Lt' },
-    { id: '801', hex: '#5C3317', name: 'Coffee Brown Dk' },
-    { id: '898', hex: '#4A2912', name: 'Coffee Brown Vd' },
-    { id: '938', hex: '#3D220D', name: 'Coffee Brown Ud' },
-    { id: '3371', hex: '#1C110A', name: 'Black Brown' },
-    { id: '702', hex: '#228B22', name: 'Kelly Green' },
-    { id: '703', hex: '#3CB371', name: 'Chartreuse' },
-    { id: '704', hex: '#90EE90', name: 'Chartreuse Bright' },
-    { id: '699', hex: '#006B3C', name: 'Green' },
-    { id: '700', hex: '#008941', name: 'Green Bright' },
-    { id: '701', hex: '#3D9140', name: 'Green Light' },
-    { id: '906', hex: '#88C070', name: 'Parrot Green Med' },
-    { id: '907', hex: '#A8E4A0', name: 'Parrot Green Lt' },
-    { id: '904', hex: '#558B2F', name: 'Parrot Green Vd' },
-    { id: '905', hex: '#689F38', name: 'Parrot Green Dk' },
-    { id: '986', hex: '#3E5F3E', name: 'Forest Green Vd' },
-    { id: '987', hex: '#4F6F4F', name: 'Forest Green Dk' },
-    { id: '988', hex: '#6B8E6B', name: 'Forest Green Md' },
-    { id: '989', hex: '#8FBC8F', name: 'Forest Green' },
-    { id: '319', hex: '#1E4D2B', name: 'Pistachio Vd' },
-    { id: '367', hex: '#3C5F3C', name: 'Pistachio Dk' },
-    { id: '320', hex: '#69885C', name: 'Pistachio Med' },
-    { id: '368', hex: '#8FBF87', name: 'Pistachio Lt' },
-    { id: '369', hex: '#C8E6C0', name: 'Pistachio Vlt' },
-    { id: '991', hex: '#007871', name: 'Aquamarine Dk' },
-    { id: '992', hex: '#00B5AD', name: 'Aquamarine' },
-    { id: '993', hex: '#68CFC5', name: 'Aquamarine Lt' },
-    { id: '3812', hex: '#009B8C', name: 'Sea Green Vd' },
-    { id: '3851', hex: '#49E9BD', name: 'Green Bright Lt' },
-    { id: '943', hex: '#00998C', name: 'Aqua Med' },
-    { id: '3849', hex: '#52B2A6', name: 'Teal Green Lt' },
-    { id: '3848', hex: '#3C8C7E', name: 'Teal Green Med' },
-    { id: '3847', hex: '#2D6A5F', name: 'Teal Green Dk' },
-    { id: '806', hex: '#3890B0', name: 'Peacock Blue Dk' },
-    { id: '807', hex: '#64A8C0', name: 'Peacock Blue' },
-    { id: '3766', hex: '#99C4D1', name: 'Peacock Blue Lt' },
-    { id: '517', hex: '#18668B', name: 'Wedgewood Dk' },
-    { id: '518', hex: '#4993AB', name: 'Wedgewood Lt' },
-    { id: '519', hex: '#A4C8DB', name: 'Sky Blue' },
-    { id: '809', hex: '#83B5D5', name: 'Delft' },
-    { id: '799', hex: '#6699CC', name: 'Delft Med' },
-    { id: '798', hex: '#4878A8', name: 'Delft Dark' },
-    { id: '797', hex: '#255AA8', name: 'Royal Blue' },
-    { id: '796', hex: '#1C3D94', name: 'Royal Blue Dk' },
-    { id: '820', hex: '#142C6E', name: 'Royal Blue Vd' },
-    { id: '336', hex: '#1C305C', name: 'Navy Blue' },
-    { id: '823', hex: '#0D1B3E', name: 'Navy Blue Dk' },
-    { id: '939', hex: '#0A1128', name: 'Navy Blue Vdk' },
-    { id: '312', hex: '#1E4770', name: 'Navy Blue Lt' },
-    { id: '311', hex: '#254E70', name: 'Navy Blue Med' },
-    { id: '791', hex: '#3B4784', name: 'Cornflower Vd' },
-    { id: '792', hex: '#495C99', name: 'Cornflower Dk' },
-    { id: '793', hex: '#7086B6', name: 'Cornflower Med' },
-    { id: '794', hex: '#A8B8D8', name: 'Cornflower Lt' },
-    { id: '550', hex: '#5C2D79', name: 'Violet Vd' },
-    { id: '552', hex: '#803E95', name: 'Violet Med' },
-    { id: '553', hex: '#A968B9', name: 'Violet' },
-    { id: '554', hex: '#D59ED6', name: 'Violet Lt' },
-    { id: '208', hex: '#8B4789', name: 'Lavender Vd' },
-    { id: '209', hex: '#A864A8', name: 'Lavender Dk' },
-    { id: '210', hex: '#C89BC7', name: 'Lavender Med' },
-    { id: '211', hex: '#E6CCE5', name: 'Lavender Lt' },
-    { id: '327', hex: '#603F6E', name: 'Violet Dk' },
-    { id: '3837', hex: '#7B527F', name: 'Lavender Ultra Vd' },
-    { id: '718', hex: '#CC3366', name: 'Plum' },
-    { id: '917', hex: '#9B1E63', name: 'Plum Med' },
-    { id: '915', hex: '#820747', name: 'Plum Dk' },
-    { id: '3803', hex: '#6B1B3D', name: 'Mauve Dk' },
-    { id: '3685', hex: '#8B2252', name: 'Mauve Vd' },
-    { id: '961', hex: '#CF6083', name: 'Dusty Rose Dk' },
-    { id: '962', hex: '#E88BA3', name: 'Dusty Rose Med' },
-    { id: '963', hex: '#F5C2CF', name: 'Dusty Rose Vlt' },
-    { id: '3716', hex: '#FAAFC4', name: 'Dusty Rose Lt' },
-    { id: '957', hex: '#F9B5C4', name: 'Geranium Pale' },
-    { id: '956', hex: '#F66A86', name: 'Geranium' },
-    { id: '604', hex: '#FF7093', name: 'Cranberry Lt' },
-    { id: '603', hex: '#FF5080', name: 'Cranberry' },
-    { id: '602', hex: '#E63366', name: 'Cranberry Med' },
-    { id: '601', hex: '#CC1155', name: 'Cranberry Dk' },
-    { id: '600', hex: '#B30044', name: 'Cranberry Vd' },
-    { id: '414', hex: '#8C8C8C', name: 'Steel Grey Dk' },
-    { id: '318', hex: '#A8A8A8', name: 'Steel Grey Lt' },
-    { id: '415', hex: '#C4C4C4', name: 'Pearl Grey' },
-    { id: '762', hex: '#E0E0E0', name: 'Pearl Grey Vlt' },
-    { id: '317', hex: '#6C6C6C', name: 'Pewter Grey' },
-    { id: '413', hex: '#5A5A5A', name: 'Pewter Grey Dk' },
-    { id: '3799', hex: '#3C3C3C', name: 'Pewter Grey Vd' },
-    { id: '535', hex: '#555555', name: 'Ash Grey Vd' },
-    { id: '645', hex: '#6E6E5C', name: 'Beaver Grey Vd' },
-    { id: '646', hex: '#8C8C78', name: 'Beaver Grey Dk' },
-    { id: '647', hex: '#A8A898', name: 'Beaver Grey Med' },
-    { id: '648', hex: '#C4C4B4', name: 'Beaver Grey Lt' },
-    { id: '3072', hex: '#E8E8DC', name: 'Beaver Grey Vlt' },
-    { id: 'ECRU', hex: '#F5F0DC', name: 'Ecru' },
+const CURATED_IDS = [
+    '310', 'BLANC', '666', '321', '815', '498', '817', '349', '350', '351', '352',
+    '353', '754', '948', '946', '947', '740', '741', '742', '743', '744', '745', '307',
+    '973', '444', '726', '725', '783', '782', '780', '434', '435', '436', '437', '738',
+    '739', '801', '898', '938', '3371', '702', '703', '704', '699', '700', '701',
+    '906', '907', '904', '905', '986', '987', '988', '989', '319', '367', '320', '368',
+    '369', '991', '992', '993', '3812', '3851', '943', '3849', '3848', '3847', '806',
+    '807', '3766', '517', '518', '519', '809', '799', '798', '797', '796', '820',
+    '336', '823', '939', '312', '311', '791', '792', '793', '794', '550', '552', '553',
+    '554', '208', '209', '210', '211', '327', '3837', '718', '917', '915', '3803',
+    '3685', '961', '962', '963', '3716', '957', '956', '604', '603', '602', '601',
+    '600', '414', '318', '415', '762', '317', '413', '3799', '535', '645', '646',
+    '647', '648', '3072', 'ECRU',
 ];
+
+const catalogueById = new Map(DMC_CATALOGUE.map(color => [color.id, color]));
+
+/**
+ * DMC thread colors - a curated palette for cross stitch
+ */
+export const DMC_COLORS = CURATED_IDS.map(id => catalogueById.get(id));
+
+/**
+ * Every thread in the DMC catalogue
+ */
+export const DMC_FULL_COLORS = DMC_CATALOGUE;
+
+/**
+ * Selectable DMC palettes, keyed by the names used in Controls
+ */
+export const DMC_PALETTES = {
+    curated: DMC_COLORS,
+    full: DMC_FULL_COLORS
+};
+
+/**
+ * Look up a catalogue entry by DMC thread number
+ * @param {string} id - DMC thread number (e.g., "310", "BLANC")
+ * @returns {Object|undefined} Catalogue entry
+ */
+export function getDMCColor(id) {
+    return catalogueById.get(String(id).toUpperCase());
+}
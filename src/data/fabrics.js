@@ -0,0 +1,36 @@
+/**
+ * Cross-stitch fabrics
+ * Each fabric contains:
+ * - id: Fabric key, e.g. 'aida-14'
+ * - name: Display name
+ * - weave: 'aida' (woven in blocks, one stitch per block), 'evenweave' or 'linen'
+ *   (single threads, linen with uneven slubs)
+ * - count: Blocks or threads per inch, as sold
+ * - over: Threads each stitch covers; evenweave and linen are stitched over two
+ * - hex: Typical undyed fabric color, used by the fabric preview
+ */
+export const FABRICS = [
+    { id: 'aida-11', name: 'Aida 11', weave: 'aida', count: 11, over: 1, hex: '#F6F3EC' },
+    { id: 'aida-14', name: 'Aida 14', weave: 'aida', count: 14, over: 1, hex: '#F6F3EC' },
+    { id: 'aida-16', name: 'Aida 16', weave: 'aida', count: 16, over: 1, hex: '#F6F3EC' },
+    { id: 'aida-18', name: 'Aida 18', weave: 'aida', count: 18, over: 1, hex: '#F6F3EC' },
+    { id: 'evenweave-28', name: 'Evenweave 28 (over two)', weave: 'evenweave', count: 28, over: 2, hex: '#F1EBDD' },
+    { id: 'evenweave-32', name: 'Evenweave 32 (over two)', weave: 'evenweave', count: 32, over: 2, hex: '#F1EBDD' },
+    { id: 'linen-28', name: 'Linen 28 (over two)', weave: 'linen', count: 28, over: 2, hex: '#E4D9C3' },
+    { id: 'linen-32', name: 'Linen 32 (over two)', weave: 'linen', count: 32, over: 2, hex: '#E4D9C3' },
+    { id: 'linen-36', name: 'Linen 36 (over two)', weave: 'linen', count: 36, over: 2, hex: '#E4D9C3' }
+];
+
+// The fabric most patterns are charted for
+export const DEFAULT_FABRIC_ID = 'aida-14';
+
+const fabricsById = new Map(FABRICS.map(fabric => [fabric.id, fabric]));
+
+/**
+ * Look up a fabric by id
+ * @param {string} id - Fabric id, e.g. 'aida-14'
+ * @returns {Object} The fabric, or Aida 14 when the id is unknown
+ */
+export function getFabric(id) {
+    return fabricsById.get(id) || fabricsById.get(DEFAULT_FABRIC_ID);
+}
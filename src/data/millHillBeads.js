@@ -0,0 +1,57 @@
+/**
+ * Mill Hill glass seed bead catalogue (size 11/0)
+ * Each bead contains:
+ * - id: Mill Hill bead number
+ * - name: Descriptive color name
+ * - hex: Approximate screen color (beads are glossy or metallic, so this is a guide only)
+ * - family: Color family for grouping, as in dmcColors.js
+ * - brand: Always 'Mill Hill', so beads can share palettes with thread colors
+ */
+export const MILL_HILL_BEADS = [
+    { id: '00479', name: 'White', hex: '#F8F8F4', family: 'White' },
+    { id: '00123', name: 'Cream', hex: '#F2E6C8', family: 'White' },
+    { id: '00161', name: 'Crystal', hex: '#E8EEF0', family: 'White' },
+    { id: '02010', name: 'Ice', hex: '#DDE6EA', family: 'White' },
+    { id: '00148', name: 'Pale Peach', hex: '#F6D8C4', family: 'Orange' },
+    { id: '02002', name: 'Yellow Creme', hex: '#F4E29A', family: 'Yellow' },
+    { id: '00128', name: 'Yellow', hex: '#F2D030', family: 'Yellow' },
+    { id: '00557', name: 'Gold', hex: '#C89A2C', family: 'Yellow' },
+    { id: '02011', name: 'Victorian Gold', hex: '#B8913A', family: 'Yellow' },
+    { id: '00423', name: 'Topaz', hex: '#C9782A', family: 'Orange' },
+    { id: '00330', name: 'Copper', hex: '#A8603A', family: 'Orange' },
+    { id: '00221', name: 'Bronze', hex: '#7A5A38', family: 'Brown' },
+    { id: '00145', name: 'Pink', hex: '#F0B8C8', family: 'Pink' },
+    { id: '00553', name: 'Old Rose', hex: '#C87890', family: 'Pink' },
+    { id: '02024', name: 'Heather Mauve', hex: '#A8788E', family: 'Purple' },
+    { id: '00968', name: 'Red', hex: '#C8202C', family: 'Red' },
+    { id: '02013', name: 'Red Red', hex: '#B01824', family: 'Red' },
+    { id: '00165', name: 'Christmas Red', hex: '#A8141E', family: 'Red' },
+    { id: '00367', name: 'Garnet', hex: '#6E1420', family: 'Red' },
+    { id: '02012', name: 'Royal Plum', hex: '#5A2450', family: 'Purple' },
+    { id: '00206', name: 'Violet', hex: '#7A5AA8', family: 'Purple' },
+    { id: '00252', name: 'Iris', hex: '#3A3068', family: 'Purple' },
+    { id: '02006', name: 'Ice Blue', hex: '#B8D4E8', family: 'Blue' },
+    { id: '00146', name: 'Light Blue', hex: '#9CC0E0', family: 'Blue' },
+    { id: '00525', name: 'Sea Blue', hex: '#3A88B8', family: 'Blue' },
+    { id: '00020', name: 'Royal Blue', hex: '#1E3C9A', family: 'Blue' },
+    { id: '00168', name: 'Sapphire', hex: '#1E4888', family: 'Blue' },
+    { id: '00561', name: 'Ice Green', hex: '#CDE6C8', family: 'Green' },
+    { id: '00332', name: 'Emerald', hex: '#0E7A48', family: 'Green' },
+    { id: '00167', name: 'Christmas Green', hex: '#1E6A30', family: 'Green' },
+    { id: '02018', name: 'Silver', hex: '#B4B8BC', family: 'Gray' },
+    { id: '00283', name: 'Satin Silver', hex: '#C8CACC', family: 'Gray' },
+    { id: '00150', name: 'Grey', hex: '#8A8C90', family: 'Gray' },
+    { id: '00081', name: 'Jet', hex: '#18181C', family: 'Black' },
+    { id: '02014', name: 'Black', hex: '#101012', family: 'Black' }
+].map(bead => ({ ...bead, brand: 'Mill Hill' }));
+
+const beadsById = new Map(MILL_HILL_BEADS.map(bead => [bead.id, bead]));
+
+/**
+ * Look up a Mill Hill bead by number
+ * @param {string} id - Mill Hill bead number, e.g. '00479'
+ * @returns {Object|null} Bead color, or null when the number is not in the catalogue
+ */
+export function getMillHillBead(id) {
+    return beadsById.get(id) || null;
+}
@@ -0,0 +1,240 @@
+import { DMC_PALETTES, getDMCColor } from './dmcColors.js';
+
+/**
+ * Thread palette registry
+ * DMC is the reference brand; Anchor, Madeira and Cosmo palettes are built
+ * from the cross-reference table below and take their display color from
+ * the equivalent DMC thread.
+ */
+
+/**
+ * Supported thread brands, in the order shown in Controls
+ */
+export const THREAD_BRANDS = ['DMC', 'Anchor', 'Madeira', 'Cosmo'];
+
+/**
+ * Cross-reference of equivalent six-strand floss numbers
+ * Each row: [DMC, Anchor, Madeira, Cosmo]
+ * Equivalents are closest matches from published conversion charts, not
+ * identical dyes; several DMC colors can share one equivalent.
+ */
+const CROSS_REFERENCE = [
+    ['310', '403', '2400', '600'],
+    ['BLANC', '2', '2401', '100'],
+    ['ECRU', '387', '2404', '364'],
+    ['666', '46', '0210', '346'],
+    ['321', '9046', '0510', '345'],
+    ['815', '43', '0513', '242'],
+    ['498', '1005', '0511', '346A'],
+    ['817', '13', '0211', '344'],
+    ['349', '13', '0212', '343'],
+    ['350', '11', '0213', '342'],
+    ['351', '10', '0214', '341'],
+    ['352', '9', '0303', '835'],
+    ['353', '8', '0304', '834'],
+    ['754', '1012', '0305', '851'],
+    ['948', '1011', '0306', '850'],
+    ['946', '332', '0207', '404'],
+    ['947', '330', '0205', '403'],
+    ['740', '316', '0202', '402'],
+    ['741', '304', '0201', '401'],
+    ['742', '303', '0114', '305'],
+    ['743', '302', '0113', '304'],
+    ['744', '301', '0112', '303'],
+    ['745', '300', '0111', '301'],
+    ['307', '289', '0104', '298'],
+    ['973', '297', '0105', '299'],
+    ['444', '290', '0106', '300'],
+    ['726', '295', '0109', '297'],
+    ['725', '305', '0108', '703'],
+    ['783', '307', '2211', '704'],
+    ['782', '308', '2212', '705'],
+    ['780', '309', '2214', '706'],
+    ['434', '310', '2009', '310'],
+    ['435', '1046', '2010', '309'],
+    ['436', '1045', '2011', '308'],
+    ['437', '362', '2012', '307'],
+    ['738', '361', '2013', '306'],
+    ['739', '366', '2014', '365'],
+    ['801', '359', '2007', '312'],
+    ['898', '360', '2006', '313'],
+    ['938', '381', '2005', '314'],
+    ['3371', '382', '2004', '600A'],
+    ['702', '226', '1306', '270'],
+    ['703', '238', '1307', '269'],
+    ['704', '256', '1308', '268'],
+    ['699', '923', '1303', '272'],
+    ['700', '228', '1304', '271A'],
+    ['701', '227', '1305', '271'],
+    ['906', '256', '1411', '2117'],
+    ['907', '255', '1410', '2116'],
+    ['904', '258', '1413', '2119'],
+    ['905', '257', '1412', '2118'],
+    ['986', '246', '1404', '929'],
+    ['987', '244', '1403', '928'],
+    ['988', '243', '1402', '927'],
+    ['989', '242', '1401', '926'],
+    ['319', '218', '1313', '338'],
+    ['367', '217', '1312', '337'],
+    ['320', '215', '1311', '336'],
+    ['368', '214', '1310', '335'],
+    ['369', '1043', '1309', '334'],
+    ['991', '189', '1204', '899'],
+    ['992', '187', '1202', '898'],
+    ['993', '186', '1201', '897'],
+    ['3812', '188', '1203', '2900'],
+    ['3851', '186', '1202', '2899'],
+    ['943', '189', '1203', '900'],
+    ['3849', '1089', '1107', '2898'],
+    ['3848', '1088', '1108', '2897'],
+    ['3847', '1076', '1109', '2896'],
+    ['806', '169', '1108', '376'],
+    ['807', '168', '1109', '375'],
+    ['3766', '167', '1108', '374'],
+    ['517', '162', '1107', '2168'],
+    ['518', '1039', '1106', '2167'],
+    ['519', '1038', '1105', '2166'],
+    ['809', '130', '0909', '164'],
+    ['799', '136', '0910', '165'],
+    ['798', '131', '0911', '166'],
+    ['797', '132', '0912', '167'],
+    ['796', '133', '0913', '168'],
+    ['820', '134', '0904', '169'],
+    ['336', '150', '1007', '226'],
+    ['823', '152', '1008', '227'],
+    ['939', '152', '1009', '228'],
+    ['312', '979', '1005', '225'],
+    ['311', '148', '1006', '226A'],
+    ['791', '178', '0904', '665'],
+    ['792', '941', '0905', '664'],
+    ['793', '176', '0906', '663'],
+    ['794', '175', '0907', '662'],
+    ['550', '101', '0714', '287'],
+    ['552', '99', '0713', '286'],
+    ['553', '98', '0712', '285'],
+    ['554', '96', '0711', '284'],
+    ['208', '111', '0804', '2285'],
+    ['209', '109', '0803', '2284'],
+    ['210', '108', '0802', '2283'],
+    ['211', '342', '0801', '2282'],
+    ['327', '101', '0805', '288'],
+    ['3837', '100', '0713', '289'],
+    ['718', '88', '0707', '2116A'],
+    ['917', '89', '0706', '2117A'],
+    ['915', '1029', '0705', '2118A'],
+    ['3803', '69', '0602', '2119A'],
+    ['3685', '1028', '0602', '2120'],
+    ['961', '76', '0610', '2114'],
+    ['962', '75', '0609', '2113'],
+    ['963', '23', '0608', '2111'],
+    ['3716', '25', '0606', '2112'],
+    ['957', '50', '0612', '2104'],
+    ['956', '40', '0611', '2105'],
+    ['604', '55', '0614', '2106'],
+    ['603', '62', '0701', '2107'],
+    ['602', '63', '0702', '2108'],
+    ['601', '78', '0703', '2109'],
+    ['600', '59', '0704', '2110'],
+    ['414', '235', '1801', '154'],
+    ['318', '399', '1802', '153'],
+    ['415', '398', '1803', '152'],
+    ['762', '234', '1804', '151'],
+    ['317', '400', '1714', '155'],
+    ['413', '236', '1713', '156'],
+    ['3799', '236', '1713', '157'],
+    ['535', '401', '1809', '895'],
+    ['645', '273', '1811', '894'],
+    ['646', '8581', '1812', '893'],
+    ['647', '1040', '1813', '892'],
+    ['648', '900', '1814', '891'],
+    ['3072', '847', '1805', '890'],
+];
+
+const BRAND_COLUMNS = { DMC: 0, Anchor: 1, Madeira: 2, Cosmo: 3 };
+
+// brand -> Map(thread number -> cross-reference row)
+const rowsByBrand = {};
+for (const brand of THREAD_BRANDS) {
+    rowsByBrand[brand] = new Map();
+    for (const row of CROSS_REFERENCE) {
+        const id = row[BRAND_COLUMNS[brand]];
+        // Keep the first DMC color listed for a shared equivalent
+        if (id && !rowsByBrand[brand].has(id)) {
+            rowsByBrand[brand].set(id, row);
+        }
+    }
+}
+
+// Built lazily and cached so each palette keeps a stable identity
+const brandPalettes = {};
+
+/**
+ * Build the palette for a non-DMC brand from the cross-reference table
+ * @private
+ */
+function buildBrandPalette(brand) {
+    return Array.from(rowsByBrand[brand].entries()).map(([id, row]) => {
+        const dmc = getDMCColor(row[BRAND_COLUMNS.DMC]);
+        return {
+            id,
+            name: dmc.name,
+            hex: dmc.hex,
+            family: dmc.family,
+            brand,
+            dmc: dmc.id
+        };
+    });
+}
+
+/**
+ * Get the thread palette to match against for a brand
+ * @param {string} brand - One of THREAD_BRANDS (default: 'DMC')
+ * @param {string} paletteName - DMC palette name, 'curated' or 'full' (ignored for other brands)
+ * @returns {Array} Thread color objects { id, name, hex, family, brand, ... }
+ */
+export function getThreadPalette(brand = 'DMC', paletteName = 'curated') {
+    if (brand === 'DMC' || !rowsByBrand[brand]) {
+        return DMC_PALETTES[paletteName] || DMC_PALETTES.curated;
+    }
+
+    if (!brandPalettes[brand]) {
+        brandPalettes[brand] = buildBrandPalette(brand);
+    }
+    return brandPalettes[brand];
+}
+
+/**
+ * Look up equivalent thread numbers in every brand
+ * @param {string} brand - Brand of the thread (default: 'DMC')
+ * @param {string} id - Thread number in that brand
+ * @returns {Object} Equivalents keyed by brand, e.g. { DMC: '310', Anchor: '403', ... };
+ *   brands without a known equivalent are omitted
+ */
+export function getCrossReference(brand = 'DMC', id) {
+    const row = rowsByBrand[brand] && rowsByBrand[brand].get(id);
+    if (!row) {
+        return brand === 'DMC' ? { DMC: id } : { [brand]: id };
+    }
+
+    const equivalents = {};
+    for (const name of THREAD_BRANDS) {
+        const equivalent = row[BRAND_COLUMNS[name]];
+        if (equivalent) equivalents[name] = equivalent;
+    }
+    return equivalents;
+}
+
+/**
+ * Format a cross-reference as a short label, e.g. "Anchor 403 · Madeira 2400"
+ * @param {string} brand - Brand of the thread (default: 'DMC')
+ * @param {string} id - Thread number in that brand
+ * @param {Array} brands - Brands to include (default: DMC, Anchor, Madeira)
+ * @returns {string} Label listing equivalents in the other brands, or '—'
+ */
+export function formatCrossReference(brand = 'DMC', id, brands = ['DMC', 'Anchor', 'Madeira']) {
+    const equivalents = getCrossReference(brand, id);
+    const parts = brands
+        .filter(name => name !== brand && equivalents[name])
+        .map(name => `${name} ${equivalents[name]}`);
+    return parts.length > 0 ? parts.join(' · ') : '—';
+}
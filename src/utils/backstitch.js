@@ -0,0 +1,218 @@
+import { applySobel, thresholdEdges } from './edgeDetection.js';
+import { hexToRgb } from './colorUtils.js';
+
+/**
+ * Backstitch utilities
+ * A backstitch is a straight line between two stitch-grid corners:
+ * { x1, y1, x2, y2, color } with corners numbered 0..width and 0..height,
+ * so (0, 0) is the top-left corner of the top-left stitch.
+ */
+
+// Grid lines within this distance of a simplified outline are dropped (in stitch units).
+// Just over √½, so single-stitch steps become diagonals while larger corners stay square
+const SIMPLIFY_TOLERANCE = 0.75;
+
+// Fabric luminance for empty cells, so outlines also trace the edge of the stitched area
+const FABRIC_LUMINANCE = 255;
+
+/**
+ * Length of a backstitch in stitch units
+ * @param {Object} backstitch - Backstitch { x1, y1, x2, y2 }
+ * @returns {number} Line length, where one stitch width is 1
+ */
+export function getBackstitchLength(backstitch) {
+    return Math.hypot(backstitch.x2 - backstitch.x1, backstitch.y2 - backstitch.y1);
+}
+
+/**
+ * Total backstitch length per thread color
+ * @param {Array} backstitches - Backstitches { x1, y1, x2, y2, color }
+ * @returns {Object} Keyed by thread id { ...color, length, count }
+ */
+export function countBackstitchLengths(backstitches) {
+    const lengths = {};
+    for (const backstitch of backstitches) {
+        const colorId = backstitch.color.id;
+        if (!lengths[colorId]) {
+            lengths[colorId] = { ...backstitch.color, length: 0, count: 0 };
+        }
+        lengths[colorId].length += getBackstitchLength(backstitch);
+        lengths[colorId].count++;
+    }
+    return lengths;
+}
+
+/**
+ * Pick the darkest thread in a palette, the usual choice for outlines
+ * @param {Array} palette - Thread colors
+ * @returns {Object} Thread color with the lowest luminance
+ */
+export function findDarkestThread(palette) {
+    let darkest = palette[0];
+    let darkestLuminance = Infinity;
+    for (const color of palette) {
+        const { r, g, b } = hexToRgb(color.hex);
+        const luminance = r * 0.3 + g * 0.59 + b * 0.11;
+        if (luminance < darkestLuminance) {
+            darkestLuminance = luminance;
+            darkest = color;
+        }
+    }
+    return darkest;
+}
+
+/**
+ * Simplify a polyline of grid corners (Ramer-Douglas-Peucker)
+ * Kept points are always original corners, so lines stay on the stitch grid
+ * @private
+ */
+function simplifyPolyline(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const [x1, y1] = points[0];
+    const [x2, y2] = points[points.length - 1];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+
+    let farthest = 0;
+    let farthestDistance = -1;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [px, py] = points[i];
+        // Closed loops start and end on the same corner, so fall back to point distance
+        const distance = length === 0
+            ? Math.hypot(px - x1, py - y1)
+            : Math.abs((x2 - x1) * (y1 - py) - (x1 - px) * (y2 - y1)) / length;
+        if (distance > farthestDistance) {
+            farthestDistance = distance;
+            farthest = i;
+        }
+    }
+
+    if (farthestDistance <= tolerance) {
+        return [points[0], points[points.length - 1]];
+    }
+
+    const left = simplifyPolyline(points.slice(0, farthest + 1), tolerance);
+    const right = simplifyPolyline(points.slice(farthest), tolerance);
+    return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Chain unit grid edges into polylines, walking from line ends first, then closed loops
+ * @private
+ */
+function chainEdges(edges) {
+    const key = (x, y) => `${x},${y}`;
+    const byCorner = new Map();
+    edges.forEach((edge, index) => {
+        for (const corner of [key(edge[0], edge[1]), key(edge[2], edge[3])]) {
+            if (!byCorner.has(corner)) byCorner.set(corner, []);
+            byCorner.get(corner).push(index);
+        }
+    });
+
+    const used = new Uint8Array(edges.length);
+    const polylines = [];
+
+    const walk = (startIndex, fromX, fromY) => {
+        const points = [[fromX, fromY]];
+        let index = startIndex;
+        let x = fromX;
+        let y = fromY;
+
+        while (index !== -1) {
+            used[index] = 1;
+            const edge = edges[index];
+            [x, y] = edge[0] === x && edge[1] === y ? [edge[2], edge[3]] : [edge[0], edge[1]];
+            points.push([x, y]);
+
+            // Only continue straight through corners where exactly two edges meet
+            const next = byCorner.get(key(x, y)).filter(i => !used[i]);
+            index = byCorner.get(key(x, y)).length === 2 && next.length === 1 ? next[0] : -1;
+        }
+        return points;
+    };
+
+    for (const [corner, indices] of byCorner) {
+        if (indices.length === 2) continue;
+        const [x, y] = corner.split(',').map(Number);
+        for (const index of indices) {
+            if (!used[index]) polylines.push(walk(index, x, y));
+        }
+    }
+
+    edges.forEach((edge, index) => {
+        if (!used[index]) polylines.push(walk(index, edge[0], edge[1]));
+    });
+
+    return polylines;
+}
+
+/**
+ * Generate backstitch outlines along strong color boundaries
+ * Runs the Sobel operator over the stitch colors (one pixel per stitch); a boundary between
+ * two differently colored cells is outlined when either side is above the edge threshold.
+ * Boundary edges are then chained and simplified into lines between grid corners.
+ *
+ * @param {Object} pattern - Pattern { stitches, width, height }
+ * @param {Object} options - Optional settings
+ * @param {Object} options.color - Outline thread color (required)
+ * @param {number} options.threshold - Sobel gradient threshold, 0-1020 (default: 120)
+ * @returns {Array} Backstitches { x1, y1, x2, y2, color }
+ */
+export function generateBackstitchOutlines(pattern, options = {}) {
+    const { color, threshold = 120 } = options;
+    const { width, height, stitches } = pattern;
+
+    // The first stitch in a cell gives its color, e.g. the three-quarter stitch of a split cell
+    const cellColors = new Array(width * height).fill(null);
+    for (const stitch of stitches) {
+        const index = stitch.y * width + stitch.x;
+        if (!cellColors[index]) cellColors[index] = stitch.color;
+    }
+
+    const luminanceCache = new Map();
+    const grayscale = new Uint8Array(width * height);
+    cellColors.forEach((cellColor, index) => {
+        if (!cellColor) {
+            grayscale[index] = FABRIC_LUMINANCE;
+            return;
+        }
+        let luminance = luminanceCache.get(cellColor.hex);
+        if (luminance === undefined) {
+            const { r, g, b } = hexToRgb(cellColor.hex);
+            luminance = Math.round(r * 0.3 + g * 0.59 + b * 0.11);
+            luminanceCache.set(cellColor.hex, luminance);
+        }
+        grayscale[index] = luminance;
+    });
+
+    const edgeMap = thresholdEdges(applySobel(grayscale, width, height), width, height, threshold);
+
+    const differs = (a, b) => (cellColors[a] ? cellColors[a].id : null) !== (cellColors[b] ? cellColors[b].id : null);
+    const isOutlined = (a, b) => differs(a, b) && (edgeMap[a] === 1 || edgeMap[b] === 1);
+
+    // Unit edges on the grid lines between neighboring cells, as [x1, y1, x2, y2]
+    const edges = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            if (x < width - 1 && isOutlined(index, index + 1)) {
+                edges.push([x + 1, y, x + 1, y + 1]);
+            }
+            if (y < height - 1 && isOutlined(index, index + width)) {
+                edges.push([x, y + 1, x + 1, y + 1]);
+            }
+        }
+    }
+
+    const backstitches = [];
+    for (const polyline of chainEdges(edges)) {
+        const points = simplifyPolyline(polyline, SIMPLIFY_TOLERANCE);
+        for (let i = 0; i < points.length - 1; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[i + 1];
+            backstitches.push({ x1, y1, x2, y2, color });
+        }
+    }
+    return backstitches;
+}
@@ -0,0 +1,101 @@
+import { hexToRgb, rgbToHex, rgbToLab, labToRgb, deltaE76 } from './colorUtils.js';
+
+/**
+ * Blended thread utilities
+ * A blend stitches one strand each of two threads in the same needle. It is treated as
+ * a "virtual color" { id: '310+321', name, hex, brand, blend: [threadA, threadB] } whose
+ * hex is the two threads averaged in CIELAB, so it can be matched like any other thread.
+ */
+
+// Joins component thread numbers in a blend id, e.g. '310+321'
+export const BLEND_SEPARATOR = '+';
+
+// Most blends added to a palette; every blend is another candidate for each color matched
+export const MAX_BLENDS = 500;
+
+// palette array -> Map("maxDistance:maxBlends" -> palette with blends), so repeat conversions reuse one array
+const blendPalettes = new WeakMap();
+
+/**
+ * Check whether a color is a blend of two threads
+ * @param {Object} color - Thread or blend color
+ * @returns {boolean} True for blends
+ */
+export function isBlend(color) {
+    return Array.isArray(color.blend);
+}
+
+/**
+ * Create the virtual color for two threads stitched together
+ * Components are ordered by thread number so a pair always gets the same id
+ *
+ * @param {Object} threadA - Thread color
+ * @param {Object} threadB - Thread color
+ * @returns {Object} Blend color { id, name, hex, family, brand, blend }
+ */
+export function createBlendColor(threadA, threadB) {
+    const [first, second] = [threadA, threadB].sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+    const rgbA = hexToRgb(first.hex);
+    const rgbB = hexToRgb(second.hex);
+    const labA = rgbToLab(rgbA.r, rgbA.g, rgbA.b);
+    const labB = rgbToLab(rgbB.r, rgbB.g, rgbB.b);
+    const { r, g, b } = labToRgb((labA.L + labB.L) / 2, (labA.a + labB.a) / 2, (labA.b + labB.b) / 2);
+
+    const blend = {
+        id: `${first.id}${BLEND_SEPARATOR}${second.id}`,
+        name: `${first.name} + ${second.name}`,
+        hex: rgbToHex(r, g, b),
+        family: first.family,
+        blend: [first, second]
+    };
+    if (first.brand) blend.brand = first.brand;
+    return blend;
+}
+
+/**
+ * Extend a palette with blends of pairs of similar threads
+ * Only threads within maxDistance of each other are paired: blending very different
+ * colors gives a speckled, tweedy look rather than a new shade. Large palettes are
+ * capped at the maxBlends closest pairs, so pass the threads actually in use rather
+ * than a whole catalogue.
+ *
+ * @param {Array} palette - Thread colors
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxDistance - Largest ΔE*ab between the two threads of a blend (default: 20)
+ * @param {number} options.maxBlends - Most blends to add, closest pairs first (default: MAX_BLENDS)
+ * @returns {Array} The palette's threads followed by their blends (cached per palette)
+ */
+export function getBlendPalette(palette, options = {}) {
+    const { maxDistance = 20, maxBlends = MAX_BLENDS } = options;
+
+    let bySettings = blendPalettes.get(palette);
+    if (!bySettings) {
+        bySettings = new Map();
+        blendPalettes.set(palette, bySettings);
+    }
+    const cacheKey = `${maxDistance}:${maxBlends}`;
+    if (bySettings.has(cacheKey)) return bySettings.get(cacheKey);
+
+    const threads = palette.filter(color => !isBlend(color));
+    const labs = threads.map(color => {
+        const { r, g, b } = hexToRgb(color.hex);
+        return rgbToLab(r, g, b);
+    });
+
+    const pairs = [];
+    for (let i = 0; i < threads.length; i++) {
+        for (let j = i + 1; j < threads.length; j++) {
+            const distance = deltaE76(labs[i], labs[j]);
+            if (distance <= maxDistance) pairs.push({ i, j, distance });
+        }
+    }
+    // Stable sort, so equally close pairs keep palette order
+    const blends = pairs
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxBlends)
+        .map(({ i, j }) => createBlendColor(threads[i], threads[j]));
+
+    const withBlends = [...threads, ...blends];
+    bySettings.set(cacheKey, withBlends);
+    return withBlends;
+}
@@ -0,0 +1,166 @@
+/**
+ * Cell sampling utilities
+ * Reduce the source image to one color per stitch before thread matching
+ */
+
+/**
+ * How each grid cell is reduced to a single color
+ * - center: the pixel at the middle of the cell (fastest, aliases on photos)
+ * - average: mean of every opaque pixel in the cell
+ * - median: per-channel median, ignores stray pixels and edges
+ * - dominant: the most common color in the cell
+ * - gamma-average: mean in linear light, keeps fine light/dark detail from going muddy
+ */
+export const SAMPLING_MODES = ['center', 'average', 'median', 'dominant', 'gamma-average'];
+
+// sRGB <-> linear light lookup tables for gamma-correct averaging
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.round(Math.max(0, Math.min(1, c)) * 255);
+}
+
+/**
+ * Median of a 256-bin histogram holding `count` values
+ * @private
+ */
+function histogramMedian(histogram, count) {
+    const half = count / 2;
+    let running = 0;
+    for (let value = 0; value < 256; value++) {
+        running += histogram[value];
+        if (running >= half) return value;
+    }
+    return 255;
+}
+
+/**
+ * Reduce an image to one RGBA value per grid cell
+ * A cell is transparent when fewer than half its pixels are opaque; otherwise
+ * its color is computed from the opaque pixels only
+ *
+ * @param {ImageData} imageData - Canvas ImageData object (or { data, width, height })
+ * @param {number} gridWidth - Cells across
+ * @param {number} gridHeight - Cells down
+ * @param {string} samplingMode - One of SAMPLING_MODES (default: 'average')
+ * @returns {Uint8ClampedArray} RGBA data, gridWidth × gridHeight pixels
+ */
+export function sampleCells(imageData, gridWidth, gridHeight, samplingMode = 'average') {
+    const { data, width, height } = imageData;
+    const cellWidth = width / gridWidth;
+    const cellHeight = height / gridHeight;
+    const cells = new Uint8ClampedArray(gridWidth * gridHeight * 4);
+
+    const histR = new Uint32Array(256);
+    const histG = new Uint32Array(256);
+    const histB = new Uint32Array(256);
+    const bins = new Map();
+
+    for (let y = 0; y < gridHeight; y++) {
+        const y0 = Math.min(height - 1, Math.floor(y * cellHeight));
+        const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((y + 1) * cellHeight)));
+
+        for (let x = 0; x < gridWidth; x++) {
+            const out = (y * gridWidth + x) * 4;
+
+            if (samplingMode === 'center') {
+                const sampleX = Math.floor(x * cellWidth + cellWidth / 2);
+                const sampleY = Math.floor(y * cellHeight + cellHeight / 2);
+                const idx = (sampleY * width + sampleX) * 4;
+                cells[out] = data[idx];
+                cells[out + 1] = data[idx + 1];
+                cells[out + 2] = data[idx + 2];
+                cells[out + 3] = data[idx + 3];
+                continue;
+            }
+
+            const x0 = Math.min(width - 1, Math.floor(x * cellWidth));
+            const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((x + 1) * cellWidth)));
+
+            let opaque = 0;
+            let totalPixels = 0;
+            let sumR = 0, sumG = 0, sumB = 0;
+            if (samplingMode === 'median') {
+                histR.fill(0);
+                histG.fill(0);
+                histB.fill(0);
+            } else if (samplingMode === 'dominant') {
+                bins.clear();
+            }
+
+            for (let py = y0; py < y1; py++) {
+                for (let px = x0; px < x1; px++) {
+                    const idx = (py * width + px) * 4;
+                    totalPixels++;
+                    if (data[idx + 3] <= 128) continue;
+                    opaque++;
+
+                    const r = data[idx];
+                    const g = data[idx + 1];
+                    const b = data[idx + 2];
+
+                    if (samplingMode === 'median') {
+                        histR[r]++;
+                        histG[g]++;
+                        histB[b]++;
+                    } else if (samplingMode === 'dominant') {
+                        // Bucket to 5 bits per channel so near-identical shades count together
+                        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+                        const bin = bins.get(key);
+                        if (bin) {
+                            bin.count++;
+                            bin.r += r;
+                            bin.g += g;
+                            bin.b += b;
+                        } else {
+                            bins.set(key, { count: 1, r, g, b });
+                        }
+                    } else if (samplingMode === 'gamma-average') {
+                        sumR += SRGB_TO_LINEAR[r];
+                        sumG += SRGB_TO_LINEAR[g];
+                        sumB += SRGB_TO_LINEAR[b];
+                    } else {
+                        sumR += r;
+                        sumG += g;
+                        sumB += b;
+                    }
+                }
+            }
+
+            if (opaque * 2 < totalPixels || opaque === 0) {
+                cells[out + 3] = 0;
+                continue;
+            }
+
+            if (samplingMode === 'median') {
+                cells[out] = histogramMedian(histR, opaque);
+                cells[out + 1] = histogramMedian(histG, opaque);
+                cells[out + 2] = histogramMedian(histB, opaque);
+            } else if (samplingMode === 'dominant') {
+                let best = null;
+                for (const bin of bins.values()) {
+                    if (!best || bin.count > best.count) best = bin;
+                }
+                cells[out] = Math.round(best.r / best.count);
+                cells[out + 1] = Math.round(best.g / best.count);
+                cells[out + 2] = Math.round(best.b / best.count);
+            } else if (samplingMode === 'gamma-average') {
+                cells[out] = linearToSrgb(sumR / opaque);
+                cells[out + 1] = linearToSrgb(sumG / opaque);
+                cells[out + 2] = linearToSrgb(sumB / opaque);
+            } else {
+                cells[out] = Math.round(sumR / opaque);
+                cells[out + 1] = Math.round(sumG / opaque);
+                cells[out + 2] = Math.round(sumB / opaque);
+            }
+            cells[out + 3] = 255;
+        }
+    }
+
+    return cells;
+}
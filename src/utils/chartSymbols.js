@@ -0,0 +1,242 @@
+import { assignSymbolsToColors } from './patternGenerator.js';
+
+/**
+ * Chart symbols as vector shapes
+ * PDF pages and raster images have no font with the chart symbols, so the symbols are drawn
+ * from simple shapes on any surface offering rect, line, polygon, circle and text methods.
+ */
+
+/**
+ * Symbols drawn as vector shapes
+ * Each draws in a box `size` units across centered on (cx, cy)
+ * @private
+ */
+const SYMBOL_SHAPES = {
+    '•': (page, cx, cy, size, color) => page.circle(cx, cy, size * 0.18, { fill: color }),
+    '●': (page, cx, cy, size, color) => page.circle(cx, cy, size * 0.4, { fill: color }),
+    '○': (page, cx, cy, size, color) => page.circle(cx, cy, size * 0.38, outline(size, color)),
+    '◯': (page, cx, cy, size, color) => page.circle(cx, cy, size * 0.46, outline(size, color)),
+    '◉': (page, cx, cy, size, color) => {
+        page.circle(cx, cy, size * 0.42, outline(size, color));
+        page.circle(cx, cy, size * 0.22, { fill: color });
+    },
+    '◎': (page, cx, cy, size, color) => {
+        page.circle(cx, cy, size * 0.42, outline(size, color));
+        page.circle(cx, cy, size * 0.2, outline(size, color));
+    },
+    '⊙': (page, cx, cy, size, color) => {
+        page.circle(cx, cy, size * 0.42, outline(size, color));
+        page.circle(cx, cy, size * 0.1, { fill: color });
+    },
+    '⊕': (page, cx, cy, size, color) => {
+        page.circle(cx, cy, size * 0.42, outline(size, color));
+        cross(page, cx, cy, size * 0.42, color, size, false);
+    },
+    '⊗': (page, cx, cy, size, color) => {
+        page.circle(cx, cy, size * 0.42, outline(size, color));
+        cross(page, cx, cy, size * 0.3, color, size, true);
+    },
+    '◐': (page, cx, cy, size, color) => halfCircle(page, cx, cy, size, color, Math.PI / 2),
+    '◑': (page, cx, cy, size, color) => halfCircle(page, cx, cy, size, color, -Math.PI / 2),
+    '◒': (page, cx, cy, size, color) => halfCircle(page, cx, cy, size, color, 0),
+    '◓': (page, cx, cy, size, color) => halfCircle(page, cx, cy, size, color, Math.PI),
+    '■': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.7, size * 0.7, { fill: color }),
+    '□': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.7, size * 0.7, outline(size, color)),
+    '▪': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.4, size * 0.4, { fill: color }),
+    '▫': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.4, size * 0.4, outline(size, color)),
+    '▬': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.8, size * 0.35, { fill: color }),
+    '▭': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.8, size * 0.4, outline(size, color)),
+    '▮': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.35, size * 0.8, { fill: color }),
+    '▯': (page, cx, cy, size, color) => square(page, cx, cy, size * 0.4, size * 0.8, outline(size, color)),
+    '⊞': (page, cx, cy, size, color) => {
+        square(page, cx, cy, size * 0.75, size * 0.75, outline(size, color));
+        cross(page, cx, cy, size * 0.375, color, size, false);
+    },
+    '⊟': (page, cx, cy, size, color) => {
+        square(page, cx, cy, size * 0.75, size * 0.75, outline(size, color));
+        page.line(cx - size * 0.375, cy, cx + size * 0.375, cy, outline(size, color));
+    },
+    '⊠': (page, cx, cy, size, color) => {
+        square(page, cx, cy, size * 0.75, size * 0.75, outline(size, color));
+        cross(page, cx, cy, size * 0.375, color, size, true);
+    },
+    '⊡': (page, cx, cy, size, color) => {
+        square(page, cx, cy, size * 0.75, size * 0.75, outline(size, color));
+        page.circle(cx, cy, size * 0.1, { fill: color });
+    },
+    '▲': (page, cx, cy, size, color) => triangle(page, cx, cy, size, 1, { fill: color }),
+    '△': (page, cx, cy, size, color) => triangle(page, cx, cy, size, 1, outline(size, color)),
+    '▼': (page, cx, cy, size, color) => triangle(page, cx, cy, size, -1, { fill: color }),
+    '▽': (page, cx, cy, size, color) => triangle(page, cx, cy, size, -1, outline(size, color)),
+    '◆': (page, cx, cy, size, color) => diamond(page, cx, cy, size * 0.45, size * 0.45, { fill: color }),
+    '◇': (page, cx, cy, size, color) => diamond(page, cx, cy, size * 0.45, size * 0.45, outline(size, color)),
+    '♦': (page, cx, cy, size, color) => diamond(page, cx, cy, size * 0.3, size * 0.45, { fill: color }),
+    '◊': (page, cx, cy, size, color) => diamond(page, cx, cy, size * 0.3, size * 0.45, outline(size, color)),
+    '★': (page, cx, cy, size, color) => page.polygon(starPoints(cx, cy, size * 0.48), { fill: color }),
+    '☆': (page, cx, cy, size, color) => page.polygon(starPoints(cx, cy, size * 0.48), outline(size, color)),
+    '♥': (page, cx, cy, size, color) => page.polygon(heartPoints(cx, cy, size * 0.45), { fill: color }),
+    '♠': (page, cx, cy, size, color) => {
+        // An upside-down heart on a stem
+        page.polygon(heartPoints(cx, cy - size * 0.08, size * 0.4).map(([x, y]) => [x, 2 * (cy - size * 0.08) - y]), { fill: color });
+        page.polygon([[cx, cy + size * 0.1], [cx + size * 0.16, cy + size * 0.45], [cx - size * 0.16, cy + size * 0.45]], { fill: color });
+    },
+    '♣': (page, cx, cy, size, color) => {
+        page.circle(cx, cy - size * 0.22, size * 0.17, { fill: color });
+        page.circle(cx - size * 0.2, cy + size * 0.06, size * 0.17, { fill: color });
+        page.circle(cx + size * 0.2, cy + size * 0.06, size * 0.17, { fill: color });
+        page.polygon([[cx, cy], [cx + size * 0.16, cy + size * 0.45], [cx - size * 0.16, cy + size * 0.45]], { fill: color });
+    },
+    '✚': (page, cx, cy, size, color) => cross(page, cx, cy, size * 0.42, color, size * 2.5, false),
+    '✗': (page, cx, cy, size, color) => cross(page, cx, cy, size * 0.32, color, size * 1.5, true),
+    '✓': (page, cx, cy, size, color) => page.polygon([
+        [cx - size * 0.35, cy], [cx - size * 0.1, cy + size * 0.3], [cx + size * 0.38, cy - size * 0.35]
+    ], { ...outline(size * 1.5, color), close: false })
+};
+
+/**
+ * Stroke style for outlined symbols, scaled to the symbol size
+ * @private
+ */
+function outline(size, color) {
+    return { stroke: color, lineWidth: Math.max(0.3, size * 0.1), lineCap: 'round' };
+}
+
+/**
+ * A plus (or, rotated, an x) reaching `reach` from the center
+ * @private
+ */
+function cross(page, cx, cy, reach, color, size, diagonal) {
+    const style = outline(size, color);
+    if (diagonal) {
+        page.line(cx - reach, cy - reach, cx + reach, cy + reach, style);
+        page.line(cx - reach, cy + reach, cx + reach, cy - reach, style);
+    } else {
+        page.line(cx - reach, cy, cx + reach, cy, style);
+        page.line(cx, cy - reach, cx, cy + reach, style);
+    }
+}
+
+/**
+ * Rectangle centered on (cx, cy)
+ * @private
+ */
+function square(page, cx, cy, w, h, style) {
+    page.rect(cx - w / 2, cy - h / 2, w, h, style);
+}
+
+/**
+ * Equilateral-ish triangle pointing up (direction 1) or down (-1)
+ * @private
+ */
+function triangle(page, cx, cy, size, direction, style) {
+    const half = size * 0.42;
+    page.polygon([
+        [cx, cy - half * direction],
+        [cx + half, cy + half * 0.8 * direction],
+        [cx - half, cy + half * 0.8 * direction]
+    ], style);
+}
+
+/**
+ * Diamond centered on (cx, cy)
+ * @private
+ */
+function diamond(page, cx, cy, halfWidth, halfHeight, style) {
+    page.polygon([[cx, cy - halfHeight], [cx + halfWidth, cy], [cx, cy + halfHeight], [cx - halfWidth, cy]], style);
+}
+
+/**
+ * Circle outline with one half filled; `rotation` turns the filled half from the bottom
+ * @private
+ */
+function halfCircle(page, cx, cy, size, color, rotation) {
+    const r = size * 0.4;
+    const points = [];
+    for (let step = 0; step <= 16; step++) {
+        const angle = rotation + Math.PI * step / 16;
+        points.push([cx + r * Math.cos(angle), cy + r * Math.sin(angle)]);
+    }
+    page.polygon(points, { fill: color });
+    page.circle(cx, cy, r, outline(size, color));
+}
+
+/**
+ * Points of a five-pointed star
+ * @private
+ */
+function starPoints(cx, cy, r) {
+    const points = [];
+    for (let step = 0; step < 10; step++) {
+        const angle = -Math.PI / 2 + Math.PI * step / 5;
+        const radius = step % 2 === 0 ? r : r * 0.42;
+        points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+    }
+    return points;
+}
+
+/**
+ * Points along a heart outline
+ * @private
+ */
+function heartPoints(cx, cy, r) {
+    const points = [];
+    for (let step = 0; step < 32; step++) {
+        const t = Math.PI * 2 * step / 32;
+        const x = 16 * Math.sin(t) ** 3;
+        const y = 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t);
+        points.push([cx + x / 17 * r, cy - (y + 2) / 17 * r]);
+    }
+    return points;
+}
+
+/**
+ * Letter label for the nth symbol without a shape: A to Z, then AA, AB and so on
+ * @private
+ */
+function letterLabel(index) {
+    const letter = (n) => String.fromCharCode(65 + n);
+    return index < 26 ? letter(index) : letter(Math.floor(index / 26) - 1) + letter(index % 26);
+}
+
+/**
+ * Assign chart symbols for surfaces without a symbol font
+ * Symbols without a vector shape get a letter (or, past Z, two letters) instead
+ *
+ * @param {Object} colorCounts - Color usage counts
+ * @returns {Object} Map of color id to symbol or letter
+ */
+export function assignDrawableSymbols(colorCounts) {
+    const symbols = assignSymbolsToColors(colorCounts);
+    const letters = {};
+    // Letters follow the key order, most-used color first
+    const colors = Object.values(colorCounts).sort((a, b) => b.count - a.count);
+    for (const { id } of colors) {
+        const symbol = symbols[id];
+        if (!SYMBOL_SHAPES[symbol]) {
+            letters[symbol] = letters[symbol] || letterLabel(Object.keys(letters).length);
+            symbols[id] = letters[symbol];
+        }
+    }
+    return symbols;
+}
+
+/**
+ * Draw a chart symbol (a vector shape, or one or two letters) centered on (cx, cy)
+ *
+ * @param {Object} surface - Drawing surface with rect, line, polygon, circle and text methods,
+ *                           such as a PDF page
+ * @param {string} symbol - Symbol from assignDrawableSymbols
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} size - Width of the symbol's box
+ * @param {string} color - Hex color (default: black)
+ */
+export function drawChartSymbol(surface, symbol, cx, cy, size, color = '#000000') {
+    if (SYMBOL_SHAPES[symbol]) {
+        SYMBOL_SHAPES[symbol](surface, cx, cy, size, color);
+    } else {
+        // Two-letter labels are set smaller to fit the same box
+        const textSize = size * (symbol.length > 1 ? 0.6 : 0.95);
+        surface.text(symbol, cx, cy + textSize * 0.37, { size: textSize, bold: true, color, align: 'center' });
+    }
+}
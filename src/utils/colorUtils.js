@@ -1,30 +1,112 @@
 import { DMC_COLORS } from '../data/dmcColors.js';
 
+/**
+ * Supported color-difference metrics
+ * - rgb: weighted Euclidean distance in RGB space (fast, legacy behavior)
+ * - cie76: Euclidean distance in CIELAB (ΔE*ab)
+ * - cie94: CIE94 ΔE with graphic-arts weights
+ * - ciede2000: CIEDE2000 ΔE, the most perceptually uniform
+ */
+export const COLOR_METRICS = ['rgb', 'cie76', 'cie94', 'ciede2000'];
+
+/**
+ * Merge tolerance range and default for each scale: weighted RGB distance, or ΔE for the Lab metrics
+ */
+export const MERGE_TOLERANCE_RANGES = {
+    rgb: { min: 10, max: 80, default: 30 },
+    lab: { min: 2, max: 40, default: 8 }
+};
+
+/**
+ * Merge tolerance range and default for a color metric
+ * @param {string} colorMetric - One of COLOR_METRICS
+ * @returns {Object} { min, max, default }
+ */
+export function getMergeToleranceRange(colorMetric) {
+    return colorMetric === 'rgb' ? MERGE_TOLERANCE_RANGES.rgb : MERGE_TOLERANCE_RANGES.lab;
+}
+
+/**
+ * Carry a merge tolerance over to another metric's scale, keeping its place within the range
+ * @param {number} tolerance - Tolerance on the old metric's scale
+ * @param {string} fromMetric - Metric the tolerance was set for
+ * @param {string} toMetric - Metric to convert it to
+ * @returns {number} Whole-number tolerance within the new metric's range
+ */
+export function convertMergeTolerance(tolerance, fromMetric, toMetric) {
+    const from = getMergeToleranceRange(fromMetric);
+    const to = getMergeToleranceRange(toMetric);
+    const position = Math.max(0, Math.min(1, (tolerance - from.min) / (from.max - from.min)));
+    return Math.round(to.min + position * (to.max - to.min));
+}
+
+// Palette arrays -> precomputed { color, rgb, lab } entries
+const preparedPalettes = new WeakMap();
+
+/**
+ * Precompute RGB and Lab values for every color in a palette
+ * Results are cached per palette array so hex strings are parsed only once
+ * @private
+ */
+function preparePalette(palette) {
+    let prepared = preparedPalettes.get(palette);
+    if (!prepared) {
+        prepared = palette.map(color => {
+            const rgb = hexToRgb(color.hex);
+            return { color, rgb, lab: rgbToLab(rgb.r, rgb.g, rgb.b) };
+        });
+        preparedPalettes.set(palette, prepared);
+    }
+    return prepared;
+}
+
 /**
  * Find the closest DMC thread color to a given RGB value
- * Uses weighted Euclidean distance in RGB space
- * Weights match human eye sensitivity: R=0.3, G=0.59, B=0.11
+ * Uses weighted Euclidean distance in RGB space by default,
+ * or a CIELAB color-difference formula when a Lab metric is selected
  *
  * @param {number} r - Red value (0-255)
  * @param {number} g - Green value (0-255)
  * @param {number} b - Blue value (0-255)
+ * @param {Object} options - Optional settings
+ * @param {string} options.colorMetric - One of COLOR_METRICS (default: 'rgb')
+ * @param {Array} options.palette - Thread colors to search (default: DMC_COLORS)
+ * @param {Set} options.exclude - Palette colors to skip, e.g. threads already taken; passing this
+ *                                instead of a filtered palette keeps the palette's precomputed values
  * @returns {Object} Closest DMC color object { id, hex, name }
  */
-export function findClosestDMC(r, g, b) {
+export function findClosestDMC(r, g, b, options = {}) {
+    const { colorMetric = 'rgb', palette = DMC_COLORS, exclude = null } = options;
+    const entries = preparePalette(palette);
+
     let minDistance = Infinity;
-    let closestColor = DMC_COLORS[0];
+    let closestColor = palette[0];
 
-    for (const dmc of DMC_COLORS) {
-        const dr = parseInt(dmc.hex.slice(1, 3), 16) - r;
-        const dg = parseInt(dmc.hex.slice(3, 5), 16) - g;
-        const db = parseInt(dmc.hex.slice(5, 7), 16) - b;
+    if (colorMetric === 'rgb') {
+        for (const entry of entries) {
+            if (exclude && exclude.has(entry.color)) continue;
+            const dr = entry.rgb.r - r;
+            const dg = entry.rgb.g - g;
+            const db = entry.rgb.b - b;
 
-        // Weighted distance (human eye is more sensitive to green)
-        const distance = dr * dr * 0.3 + dg * dg * 0.59 + db * db * 0.11;
+            // Weighted distance (human eye is more sensitive to green)
+            const distance = dr * dr * 0.3 + dg * dg * 0.59 + db * db * 0.11;
 
+            if (distance < minDistance) {
+                minDistance = distance;
+                closestColor = entry.color;
+            }
+        }
+        return closestColor;
+    }
+
+    const lab = rgbToLab(r, g, b);
+    for (const entry of entries) {
+        if (exclude && exclude.has(entry.color)) continue;
+        const distance = labDistance(lab, entry.lab, colorMetric);
         if (distance < minDistance) {
             minDistance = distance;
-            closestColor = dmc;
+            closestColor = entry.color;
         }
     }
 
@@ -57,13 +139,225 @@ export function rgbToHex(r, g, b) {
 }
 
 /**
- * Calculate weighted Euclidean distance between two colors
- * Uses same weighting as DMC matching for consistency
+ * Pick black or white, whichever reads better on a background color
+ * @param {string} hex - Background hex color
+ * @returns {string} "#000000" on light colors, "#FFFFFF" on dark ones
+ */
+export function getContrastColor(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return r * 0.3 + g * 0.59 + b * 0.11 < 110 ? '#FFFFFF' : '#000000';
+}
+
+/**
+ * Convert sRGB values to CIELAB (D65 reference white)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Object} Lab values { L, a, b }
+ */
+export function rgbToLab(r, g, b) {
+    // sRGB companding -> linear RGB
+    const linearize = (channel) => {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const lr = linearize(r);
+    const lg = linearize(g);
+    const lb = linearize(b);
+
+    // Linear RGB -> XYZ, normalized by the D65 white point
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.00000;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+    const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return {
+        L: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+/**
+ * Convert CIELAB (D65 reference white) back to sRGB, clamping out-of-gamut values
+ * @param {number} L - Lightness (0-100)
+ * @param {number} a - Green-red axis
+ * @param {number} b - Blue-yellow axis
+ * @returns {Object} RGB values { r, g, b } (0-255 integers)
+ */
+export function labToRgb(L, a, b) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const finv = (t) => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+    const x = finv(fx) * 0.95047;
+    const y = finv(fy) * 1.00000;
+    const z = finv(fz) * 1.08883;
+
+    // XYZ -> linear RGB -> sRGB companding
+    const compand = (c) => {
+        const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(255, Math.round(v * 255)));
+    };
+
+    return {
+        r: compand(x * 3.2404542 + y * -1.5371385 + z * -0.4985314),
+        g: compand(x * -0.9692660 + y * 1.8760108 + z * 0.0415560),
+        b: compand(x * 0.0556434 + y * -0.2040259 + z * 1.0572252)
+    };
+}
+
+/**
+ * CIE76 color difference (Euclidean distance in Lab)
+ * @param {Object} lab1 - First color { L, a, b }
+ * @param {Object} lab2 - Second color { L, a, b }
+ * @returns {number} ΔE*ab
+ */
+export function deltaE76(lab1, lab2) {
+    const dL = lab1.L - lab2.L;
+    const da = lab1.a - lab2.a;
+    const db = lab1.b - lab2.b;
+    return Math.sqrt(dL * dL + da * da + db * db);
+}
+
+/**
+ * CIE94 color difference (graphic arts weighting: kL=1, K1=0.045, K2=0.015)
+ * @param {Object} lab1 - Reference color { L, a, b }
+ * @param {Object} lab2 - Sample color { L, a, b }
+ * @returns {number} ΔE*94
+ */
+export function deltaE94(lab1, lab2) {
+    const dL = lab1.L - lab2.L;
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const dC = c1 - c2;
+    const da = lab1.a - lab2.a;
+    const db = lab1.b - lab2.b;
+    // ΔH² can go slightly negative from rounding
+    const dH2 = Math.max(0, da * da + db * db - dC * dC);
+
+    const sC = 1 + 0.045 * c1;
+    const sH = 1 + 0.015 * c1;
+
+    return Math.sqrt(dL * dL + (dC / sC) * (dC / sC) + dH2 / (sH * sH));
+}
+
+/**
+ * CIEDE2000 color difference (kL = kC = kH = 1)
+ * @param {Object} lab1 - First color { L, a, b }
+ * @param {Object} lab2 - Second color { L, a, b }
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(lab1, lab2) {
+    const toRad = Math.PI / 180;
+    const pow25To7 = 6103515625; // 25^7
+
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const cBar7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + pow25To7)));
+
+    const a1p = lab1.a * (1 + g);
+    const a2p = lab2.a * (1 + g);
+    const c1p = Math.sqrt(a1p * a1p + lab1.b * lab1.b);
+    const c2p = Math.sqrt(a2p * a2p + lab2.b * lab2.b);
+
+    const hueAngle = (bValue, aPrime) => {
+        if (bValue === 0 && aPrime === 0) return 0;
+        const h = Math.atan2(bValue, aPrime) / toRad;
+        return h >= 0 ? h : h + 360;
+    };
+    const h1p = hueAngle(lab1.b, a1p);
+    const h2p = hueAngle(lab2.b, a2p);
+
+    const dLp = lab2.L - lab1.L;
+    const dCp = c2p - c1p;
+
+    let dhp = 0;
+    if (c1p * c2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * toRad);
+
+    const lBarP = (lab1.L + lab2.L) / 2;
+    const cBarP = (c1p + c2p) / 2;
+
+    let hBarP = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) {
+            hBarP = (h1p + h2p) / 2;
+        } else if (h1p + h2p < 360) {
+            hBarP = (h1p + h2p + 360) / 2;
+        } else {
+            hBarP = (h1p + h2p - 360) / 2;
+        }
+    }
+
+    const t = 1
+        - 0.17 * Math.cos((hBarP - 30) * toRad)
+        + 0.24 * Math.cos((2 * hBarP) * toRad)
+        + 0.32 * Math.cos((3 * hBarP + 6) * toRad)
+        - 0.20 * Math.cos((4 * hBarP - 63) * toRad);
+
+    const lBarMinus50Sq = (lBarP - 50) * (lBarP - 50);
+    const sL = 1 + (0.015 * lBarMinus50Sq) / Math.sqrt(20 + lBarMinus50Sq);
+    const sC = 1 + 0.045 * cBarP;
+    const sH = 1 + 0.015 * cBarP * t;
+
+    const cBarP7 = Math.pow(cBarP, 7);
+    const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + pow25To7));
+    const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+    const rT = -Math.sin(2 * dTheta * toRad) * rC;
+
+    const termL = dLp / sL;
+    const termC = dCp / sC;
+    const termH = dHp / sH;
+
+    return Math.sqrt(termL * termL + termC * termC + termH * termH + rT * termC * termH);
+}
+
+/**
+ * Color difference between two Lab colors using the given metric
+ * @param {Object} lab1 - First color { L, a, b }
+ * @param {Object} lab2 - Second color { L, a, b }
+ * @param {string} colorMetric - 'cie76', 'cie94' or 'ciede2000'
+ * @returns {number} ΔE value (lower = more similar)
+ */
+export function labDistance(lab1, lab2, colorMetric = 'ciede2000') {
+    switch (colorMetric) {
+        case 'cie76':
+            return deltaE76(lab1, lab2);
+        case 'cie94':
+            return deltaE94(lab1, lab2);
+        default:
+            return deltaE2000(lab1, lab2);
+    }
+}
+
+/**
+ * Calculate the distance between two colors
+ * 'rgb' uses the same weighting as DMC matching; Lab metrics return ΔE
  * @param {Object} color1 - First color { r, g, b }
  * @param {Object} color2 - Second color { r, g, b }
+ * @param {string} colorMetric - One of COLOR_METRICS (default: 'rgb')
  * @returns {number} Distance value (lower = more similar)
  */
-export function colorDistance(color1, color2) {
+export function colorDistance(color1, color2, colorMetric = 'rgb') {
+    if (colorMetric !== 'rgb') {
+        return labDistance(
+            rgbToLab(color1.r, color1.g, color1.b),
+            rgbToLab(color2.r, color2.g, color2.b),
+            colorMetric
+        );
+    }
+
     const dr = color1.r - color2.r;
     const dg = color1.g - color2.g;
     const db = color1.b - color2.b;
@@ -77,8 +371,9 @@ export function colorDistance(color1, color2) {
  * @param {Object} color1 - First color { r, g, b }
  * @param {Object} color2 - Second color { r, g, b }
  * @param {number} tolerance - Maximum distance to be considered similar (default: 30)
+ * @param {string} colorMetric - One of COLOR_METRICS (default: 'rgb'); Lab metrics compare ΔE
  * @returns {boolean} True if colors are similar
  */
-export function isSimilarColor(color1, color2, tolerance = 30) {
-    return colorDistance(color1, color2) < tolerance;
+export function isSimilarColor(color1, color2, tolerance = 30, colorMetric = 'rgb') {
+    return colorDistance(color1, color2, colorMetric) < tolerance;
 }
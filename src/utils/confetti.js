@@ -0,0 +1,100 @@
+/**
+ * Confetti detection
+ * Confetti are isolated stitches and tiny islands of one color scattered among other colors,
+ * typical of dithered and photographic patterns. Every island needs its own thread start or a
+ * carry across the back, so they are slow to stitch.
+ */
+
+// Islands with fewer stitches than this count as confetti
+export const DEFAULT_MIN_ISLAND_SIZE = 3;
+
+/**
+ * Numeric key of a grid cell
+ * @private
+ */
+function cellKey(x, y) {
+    return y * 65536 + x;
+}
+
+/**
+ * Group each color's stitches into islands of touching cells, diagonals included
+ * A cell holding part stitches of two colors belongs to an island of each color
+ *
+ * @param {Array} stitches - Stitch objects { x, y, color }
+ * @returns {Array} Islands { color, cells }, with cells as { x, y }
+ */
+export function findColorIslands(stitches) {
+    const cellsByColor = new Map();
+    for (const stitch of stitches) {
+        if (!cellsByColor.has(stitch.color.id)) {
+            cellsByColor.set(stitch.color.id, { color: stitch.color, cells: new Map() });
+        }
+        cellsByColor.get(stitch.color.id).cells.set(cellKey(stitch.x, stitch.y), { x: stitch.x, y: stitch.y });
+    }
+
+    const islands = [];
+    for (const { color, cells } of cellsByColor.values()) {
+        const visited = new Set();
+        for (const [start, startCell] of cells) {
+            if (visited.has(start)) continue;
+            visited.add(start);
+
+            // Flood fill over the eight neighbors
+            const island = [startCell];
+            const stack = [startCell];
+            while (stack.length > 0) {
+                const { x, y } = stack.pop();
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const key = cellKey(x + dx, y + dy);
+                        const neighbor = cells.get(key);
+                        if (neighbor && !visited.has(key)) {
+                            visited.add(key);
+                            island.push(neighbor);
+                            stack.push(neighbor);
+                        }
+                    }
+                }
+            }
+            islands.push({ color, cells: island });
+        }
+    }
+    return islands;
+}
+
+/**
+ * Find confetti: islands with fewer stitches than the minimum island size
+ * @param {Array} stitches - Stitch objects { x, y, color }
+ * @param {Object} options - Optional settings
+ * @param {number} options.minIslandSize - Smallest island that is not confetti (default: 3)
+ * @returns {Array} Confetti islands { color, cells }, smallest first
+ */
+export function findConfetti(stitches, options = {}) {
+    const { minIslandSize = DEFAULT_MIN_ISLAND_SIZE } = options;
+    return findColorIslands(stitches)
+        .filter(island => island.cells.length < minIslandSize)
+        .sort((a, b) => a.cells.length - b.cells.length);
+}
+
+/**
+ * Confetti score: the percentage of stitched cells that are confetti
+ * @param {Array} stitches - Stitch objects { x, y, color }
+ * @param {Object} options - Optional settings
+ * @param {number} options.minIslandSize - Smallest island that is not confetti (default: 3)
+ * @returns {Object} { score, confettiStitches, islands, averageIslandSize } with score from 0 to 100,
+ *   to one decimal place, and the average size of all islands, confetti or not
+ */
+export function calculateConfettiScore(stitches, options = {}) {
+    const { minIslandSize = DEFAULT_MIN_ISLAND_SIZE } = options;
+    const islands = findColorIslands(stitches);
+    const confetti = islands.filter(island => island.cells.length < minIslandSize);
+
+    const total = islands.reduce((sum, island) => sum + island.cells.length, 0);
+    const confettiStitches = confetti.reduce((sum, island) => sum + island.cells.length, 0);
+    return {
+        score: total > 0 ? Math.round(confettiStitches / total * 1000) / 10 : 0,
+        confettiStitches,
+        islands: confetti.length,
+        averageIslandSize: islands.length > 0 ? total / islands.length : 0
+    };
+}
@@ -0,0 +1,164 @@
+import { colorDistance, hexToRgb } from './colorUtils.js';
+import { getStitchType } from './stitchTypes.js';
+
+/**
+ * Difficulty scoring
+ * A pattern's difficulty is the sum of points from several factors: its size and number of colors,
+ * and, when the stitches are known, how the colors are laid out (changes along each row, confetti
+ * and region size), part stitches and backstitch, and colors that are hard to tell apart.
+ */
+
+/**
+ * Difficulty levels with the highest score each covers
+ */
+export const DIFFICULTY_LEVELS = [
+    { level: 'Beginner', maxScore: 3 },
+    { level: 'Easy', maxScore: 6 },
+    { level: 'Intermediate', maxScore: 10 },
+    { level: 'Advanced', maxScore: 14 },
+    { level: 'Expert', maxScore: Infinity }
+];
+
+// Colors closer than this ΔE2000 are easy to mix up, on the chart and in the hand
+const SIMILAR_COLOR_DISTANCE = 5;
+
+/**
+ * Points for a value from ascending thresholds: one point per threshold the value reaches
+ * @private
+ */
+function pointsFor(value, thresholds) {
+    return thresholds.filter(threshold => value >= threshold).length;
+}
+
+/**
+ * Color changes along the rows: stitches in each row are taken left to right, and every
+ * neighbor in a different color is a change (cells with part stitches count once)
+ * @private
+ */
+function countRowChanges(stitches) {
+    const rows = new Map();
+    for (const stitch of stitches) {
+        if (!rows.has(stitch.y)) rows.set(stitch.y, new Map());
+        const row = rows.get(stitch.y);
+        if (!row.has(stitch.x)) row.set(stitch.x, stitch.color.id);
+    }
+
+    let changes = 0;
+    let pairs = 0;
+    for (const row of rows.values()) {
+        const colors = [...row.entries()].sort((a, b) => a[0] - b[0]).map(([, colorId]) => colorId);
+        for (let i = 1; i < colors.length; i++) {
+            pairs++;
+            if (colors[i] !== colors[i - 1]) changes++;
+        }
+    }
+    return { changes, pairs, rows: rows.size };
+}
+
+/**
+ * Pairs of colors in the pattern that look alike
+ * @private
+ */
+function countSimilarPairs(stitches) {
+    const colors = [...new Map(stitches.map(stitch => [stitch.color.id, stitch.color])).values()];
+    const rgbs = colors.map(color => hexToRgb(color.hex));
+
+    let pairs = 0;
+    for (let i = 0; i < rgbs.length; i++) {
+        for (let j = i + 1; j < rgbs.length; j++) {
+            if (colorDistance(rgbs[i], rgbs[j], 'ciede2000') < SIMILAR_COLOR_DISTANCE) pairs++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Score a pattern's difficulty
+ * Without stitches only the size and color factors are scored.
+ *
+ * @param {number} stitchCount - Total number of stitches
+ * @param {number} colorCount - Number of different colors
+ * @param {Object} options - Optional settings
+ * @param {Array} options.stitches - Pattern stitches, for the layout factors
+ * @param {Object} options.confetti - Result of calculateConfettiScore for the stitches
+ * @param {Array} options.backstitches - Backstitch lines (default: none)
+ * @returns {Object} { level, score, factors } where factors lists { id, label, value, points, maxPoints }
+ *   for each factor scored
+ */
+export function assessDifficulty(stitchCount, colorCount, options = {}) {
+    const { stitches = null, confetti = null, backstitches = [] } = options;
+
+    const factors = [
+        {
+            id: 'size',
+            label: 'Stitch count',
+            value: `${stitchCount.toLocaleString('en-US')} stitches`,
+            points: 1 + pointsFor(stitchCount, [2000, 5000, 10000, 20000]),
+            maxPoints: 5
+        },
+        {
+            id: 'colors',
+            label: 'Colors',
+            value: `${colorCount} ${colorCount === 1 ? 'color' : 'colors'}`,
+            points: pointsFor(colorCount, [21, 31]),
+            maxPoints: 2
+        }
+    ];
+
+    if (stitches && stitches.length > 0) {
+        // Dithered areas change color at most stitches; solid areas hardly ever
+        const { changes, pairs, rows } = countRowChanges(stitches);
+        const changeRate = pairs > 0 ? changes / pairs : 0;
+        factors.push({
+            id: 'color-changes',
+            label: 'Color changes per row',
+            value: `${(rows > 0 ? changes / rows : 0).toFixed(1)} per row`,
+            points: pointsFor(changeRate, [0.1, 0.25, 0.45]),
+            maxPoints: 3
+        });
+
+        if (confetti) {
+            factors.push({
+                id: 'confetti',
+                label: 'Confetti',
+                value: `${confetti.score}% of stitches`,
+                points: pointsFor(confetti.score, [2, 8, 20]),
+                maxPoints: 3
+            });
+
+            // Large regions are quick to fill; small ones mean constant thread changes
+            factors.push({
+                id: 'region-size',
+                label: 'Average region size',
+                value: `${confetti.averageIslandSize.toFixed(1)} stitches`,
+                points: pointsFor(-confetti.averageIslandSize, [-50, -15, -5]),
+                maxPoints: 3
+            });
+        }
+
+        const partStitches = stitches.filter(stitch => getStitchType(stitch) !== 'full').length;
+        const specialty = partStitches + backstitches.length;
+        factors.push({
+            id: 'specialty',
+            label: 'Part stitches and backstitch',
+            value: specialty > 0
+                ? `${partStitches} part ${partStitches === 1 ? 'stitch' : 'stitches'}, ${backstitches.length} ${backstitches.length === 1 ? 'backstitch' : 'backstitches'}`
+                : 'none',
+            points: specialty === 0 ? 0 : specialty < stitches.length * 0.1 ? 1 : 2,
+            maxPoints: 2
+        });
+
+        const similarPairs = countSimilarPairs(stitches);
+        factors.push({
+            id: 'similar-colors',
+            label: 'Similar-looking colors',
+            value: `${similarPairs} ${similarPairs === 1 ? 'pair' : 'pairs'}`,
+            points: pointsFor(similarPairs, [1, 3]),
+            maxPoints: 2
+        });
+    }
+
+    const score = factors.reduce((sum, factor) => sum + factor.points, 0);
+    const { level } = DIFFICULTY_LEVELS.find(({ maxScore }) => score <= maxScore);
+    return { level, score, factors };
+}
@@ -0,0 +1,269 @@
+/**
+ * Dithering utilities
+ * Error-diffusion kernels and ordered threshold maps used by convertToPattern
+ */
+
+/**
+ * Error-diffusion kernels as [dx, dy, weight] entries, weights over divisor
+ * dx is mirrored when a serpentine scan runs right-to-left
+ */
+export const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    // Atkinson only diffuses 6/8 of the error, which keeps highlights open
+    'atkinson': {
+        divisor: 8,
+        offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    'jarvis-judice-ninke': {
+        divisor: 48,
+        offsets: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    'stucki': {
+        divisor: 42,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    'burkes': {
+        divisor: 32,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ]
+    },
+    'sierra': {
+        divisor: 32,
+        offsets: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    'sierra-two-row': {
+        divisor: 16,
+        offsets: [
+            [1, 0, 4], [2, 0, 3],
+            [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+        ]
+    },
+    'sierra-lite': {
+        divisor: 4,
+        offsets: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]]
+    }
+};
+
+/**
+ * Ordered dithering maps, each tiled across the stitch grid
+ */
+export const ORDERED_DITHERING = ['bayer-2', 'bayer-4', 'bayer-8', 'blue-noise'];
+
+// Maximum per-channel offset applied by ordered dithering at full strength
+const ORDERED_SPREAD = 48;
+
+const BLUE_NOISE_SIZE = 32;
+
+const thresholdMapCache = new Map();
+
+/**
+ * Bayer index matrix of size n × n (n a power of two), values 0..n²-1
+ * @private
+ */
+function bayerMatrix(n) {
+    if (n === 1) return [[0]];
+    const half = bayerMatrix(n / 2);
+    const matrix = [];
+    for (let y = 0; y < n; y++) {
+        matrix.push([]);
+        for (let x = 0; x < n; x++) {
+            const base = 4 * half[y % (n / 2)][x % (n / 2)];
+            const quadrant = [0, 2, 3, 1][(y < n / 2 ? 0 : 2) + (x < n / 2 ? 0 : 1)];
+            matrix[y].push(base + quadrant);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Blue-noise rank matrix via Ulichney's void-and-cluster method
+ * Ranks 0..size²-1; built once on first use since it takes a few milliseconds
+ * @private
+ */
+function blueNoiseMatrix(size) {
+    const count = size * size;
+    const sigma = 1.5;
+
+    // Toroidal Gaussian weights by (dx, dy) so the tile repeats seamlessly
+    const weights = new Float64Array(count);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            weights[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const energy = new Float64Array(count);
+    const pattern = new Uint8Array(count);
+    const ranks = new Int32Array(count);
+
+    const addEnergy = (index, sign) => {
+        const px = index % size;
+        const py = Math.floor(index / size);
+        for (let y = 0; y < size; y++) {
+            const dy = (y - py + size) % size;
+            for (let x = 0; x < size; x++) {
+                const dx = (x - px + size) % size;
+                energy[y * size + x] += sign * weights[dy * size + dx];
+            }
+        }
+    };
+
+    const tightestCluster = () => {
+        let best = -1;
+        for (let i = 0; i < count; i++) {
+            if (pattern[i] && (best === -1 || energy[i] > energy[best])) best = i;
+        }
+        return best;
+    };
+
+    const largestVoid = () => {
+        let best = -1;
+        for (let i = 0; i < count; i++) {
+            if (!pattern[i] && (best === -1 || energy[i] < energy[best])) best = i;
+        }
+        return best;
+    };
+
+    // Deterministic initial binary pattern: ~10% of points, spread by a simple LCG
+    let seed = 12345;
+    const initialPoints = Math.floor(count / 10);
+    for (let placed = 0; placed < initialPoints;) {
+        seed = (Math.imul(seed, 1103515245) + 12345) & 0x7fffffff;
+        const index = (seed >> 8) % count;
+        if (!pattern[index]) {
+            pattern[index] = 1;
+            addEnergy(index, 1);
+            placed++;
+        }
+    }
+
+    // Relax: move points from tightest clusters to largest voids until stable
+    for (let iter = 0; iter < count; iter++) {
+        const cluster = tightestCluster();
+        pattern[cluster] = 0;
+        addEnergy(cluster, -1);
+        const voidIndex = largestVoid();
+        pattern[voidIndex] = 1;
+        addEnergy(voidIndex, 1);
+        if (voidIndex === cluster) break;
+    }
+
+    const prototype = pattern.slice();
+    const prototypeEnergy = energy.slice();
+
+    // Phase 1: rank the initial points by removing tightest clusters
+    let rank = initialPoints - 1;
+    while (rank >= 0) {
+        const cluster = tightestCluster();
+        pattern[cluster] = 0;
+        addEnergy(cluster, -1);
+        ranks[cluster] = rank--;
+    }
+
+    // Phase 2: restore the prototype and fill the largest voids in order
+    pattern.set(prototype);
+    energy.set(prototypeEnergy);
+    rank = initialPoints;
+    while (rank < count) {
+        const voidIndex = largestVoid();
+        pattern[voidIndex] = 1;
+        addEnergy(voidIndex, 1);
+        ranks[voidIndex] = rank++;
+    }
+
+    const matrix = [];
+    for (let y = 0; y < size; y++) {
+        matrix.push(Array.from(ranks.subarray(y * size, (y + 1) * size)));
+    }
+    return matrix;
+}
+
+/**
+ * Get a normalized threshold map for an ordered dithering algorithm
+ * @private
+ */
+function getThresholdMap(algorithm) {
+    let map = thresholdMapCache.get(algorithm);
+    if (!map) {
+        const matrix = algorithm === 'blue-noise'
+            ? blueNoiseMatrix(BLUE_NOISE_SIZE)
+            : bayerMatrix(Number(algorithm.split('-')[1]));
+        const levels = matrix.length * matrix.length;
+        map = matrix.map(row => row.map(value => (value + 0.5) / levels - 0.5));
+        thresholdMapCache.set(algorithm, map);
+    }
+    return map;
+}
+
+/**
+ * Check whether an algorithm is ordered (threshold map) rather than error diffusion
+ * @param {string} algorithm - Dithering algorithm name
+ * @returns {boolean} True for Bayer and blue-noise dithering
+ */
+export function isOrderedDithering(algorithm) {
+    return ORDERED_DITHERING.includes(algorithm);
+}
+
+/**
+ * Per-channel offset to add to a stitch color before matching (ordered dithering)
+ * @param {string} algorithm - One of ORDERED_DITHERING
+ * @param {number} x - Stitch column
+ * @param {number} y - Stitch row
+ * @param {number} strength - 0..1 scale of the offset (default: 1)
+ * @returns {number} Offset in RGB units
+ */
+export function getOrderedOffset(algorithm, x, y, strength = 1) {
+    const map = getThresholdMap(algorithm);
+    const size = map.length;
+    return map[y % size][x % size] * ORDERED_SPREAD * strength;
+}
+
+/**
+ * Spread a stitch's quantization error onto its unprocessed neighbors
+ *
+ * @param {Uint8ClampedArray} data - RGBA cell data, modified in place
+ * @param {number} width - Cells across
+ * @param {number} height - Cells down
+ * @param {number} x - Stitch column
+ * @param {number} y - Stitch row
+ * @param {Object} error - Quantization error { r, g, b }
+ * @param {string} algorithm - Key of ERROR_DIFFUSION_KERNELS
+ * @param {Object} options - Optional settings
+ * @param {number} options.direction - 1 when scanning left-to-right, -1 right-to-left (default: 1)
+ * @param {number} options.strength - 0..1 scale of the diffused error (default: 1)
+ */
+export function diffuseError(data, width, height, x, y, error, algorithm, options = {}) {
+    const { direction = 1, strength = 1 } = options;
+    const kernel = ERROR_DIFFUSION_KERNELS[algorithm] || ERROR_DIFFUSION_KERNELS['floyd-steinberg'];
+
+    for (const [dx, dy, weight] of kernel.offsets) {
+        const nx = x + dx * direction;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+
+        const factor = (weight / kernel.divisor) * strength;
+        const idx = (ny * width + nx) * 4;
+        data[idx] = data[idx] + error.r * factor;
+        data[idx + 1] = data[idx + 1] + error.g * factor;
+        data[idx + 2] = data[idx + 2] + error.b * factor;
+    }
+}
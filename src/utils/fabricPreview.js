@@ -0,0 +1,189 @@
+import { getStitchLegs } from './stitchTypes.js';
+import { getStitchesPerInch } from './fabricSize.js';
+
+/**
+ * Fabric preview rendering
+ * Draws a pattern as stitched thread on a simulated fabric weave with a canvas 2D context,
+ * at the fabric's real stitch size, so the finished piece can be judged before stitching.
+ */
+
+// Browsers lay out 96 CSS pixels to the inch, so this scale shows the piece at roughly true size
+export const CSS_PIXELS_PER_INCH = 96;
+
+// Bare fabric shown around the stitching, in stitches
+const FABRIC_BORDER = 4;
+
+const HOLE_SHADE = 'rgba(60, 45, 30, 0.28)';
+const GAP_SHADE = 'rgba(60, 45, 30, 0.08)';
+const BLOCK_HIGHLIGHT = 'rgba(255, 255, 255, 0.35)';
+const THREAD_SHADOW = 'rgba(0, 0, 0, 0.3)';
+const THREAD_SHEEN = 'rgba(255, 255, 255, 0.3)';
+
+/**
+ * Repeatable pseudo-random value in [0, 1) for a thread index, so linen slubs stay put between redraws
+ * @private
+ */
+function slub(index) {
+    const value = Math.sin(index * 12.9898) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+/**
+ * Size of the fabric preview for a pattern
+ * @param {number} width - Pattern width in stitches
+ * @param {number} height - Pattern height in stitches
+ * @param {Object} fabric - Fabric from data/fabrics.js
+ * @param {Object} options - Optional settings
+ * @param {number} options.pixelsPerInch - Drawing scale (default: CSS_PIXELS_PER_INCH)
+ * @returns {Object} { width, height, cell, border } in pixels; cell is one stitch
+ */
+export function getFabricPreviewSize(width, height, fabric, options = {}) {
+    const { pixelsPerInch = CSS_PIXELS_PER_INCH } = options;
+    const cell = pixelsPerInch / getStitchesPerInch(fabric);
+    return {
+        width: (width + FABRIC_BORDER * 2) * cell,
+        height: (height + FABRIC_BORDER * 2) * cell,
+        cell,
+        border: FABRIC_BORDER * cell
+    };
+}
+
+/**
+ * Aida: woven blocks with a hole at every corner, one stitch per block
+ * @private
+ */
+function drawAida(ctx, width, height, cell) {
+    const hole = cell * 0.22;
+    ctx.fillStyle = BLOCK_HIGHLIGHT;
+    for (let y = 0; y < height; y += cell) {
+        for (let x = 0; x < width; x += cell) {
+            ctx.fillRect(x + hole, y + hole, cell - hole * 2, cell - hole * 2);
+        }
+    }
+    ctx.fillStyle = HOLE_SHADE;
+    for (let y = 0; y <= height; y += cell) {
+        for (let x = 0; x <= width; x += cell) {
+            ctx.fillRect(x - hole / 2, y - hole / 2, hole, hole);
+        }
+    }
+}
+
+/**
+ * Evenweave and linen: single threads with a small hole wherever they cross;
+ * linen threads vary in thickness and shade
+ * @private
+ */
+function drawThreads(ctx, width, height, pitch, isLinen) {
+    const threadsAcross = Math.ceil(width / pitch);
+    const threadsDown = Math.ceil(height / pitch);
+
+    ctx.fillStyle = GAP_SHADE;
+    for (let i = 0; i <= threadsAcross; i++) {
+        ctx.fillRect(i * pitch - pitch * 0.1, 0, pitch * 0.2, height);
+    }
+    for (let i = 0; i <= threadsDown; i++) {
+        ctx.fillRect(0, i * pitch - pitch * 0.1, width, pitch * 0.2);
+    }
+
+    if (isLinen) {
+        for (let i = 0; i < threadsAcross; i++) {
+            const variation = slub(i);
+            ctx.fillStyle = variation > 0.5 ? `rgba(255, 255, 255, ${(variation - 0.5) * 0.5})` : `rgba(110, 90, 60, ${variation * 0.2})`;
+            ctx.fillRect(i * pitch + pitch * 0.5 - pitch * variation * 0.4, 0, pitch * variation * 0.8, height);
+        }
+        for (let i = 0; i < threadsDown; i++) {
+            const variation = slub(i + 7919);
+            ctx.fillStyle = variation > 0.5 ? `rgba(255, 255, 255, ${(variation - 0.5) * 0.5})` : `rgba(110, 90, 60, ${variation * 0.2})`;
+            ctx.fillRect(0, i * pitch + pitch * 0.5 - pitch * variation * 0.4, width, pitch * variation * 0.8);
+        }
+    }
+
+    const hole = pitch * 0.3;
+    ctx.fillStyle = HOLE_SHADE;
+    for (let y = 0; y <= threadsDown; y++) {
+        for (let x = 0; x <= threadsAcross; x++) {
+            ctx.fillRect(x * pitch - hole / 2, y * pitch - hole / 2, hole, hole);
+        }
+    }
+}
+
+/**
+ * One thread pass between two points: a soft shadow, the thread color and a sheen on top
+ * @private
+ */
+function drawThread(ctx, x1, y1, x2, y2, hex, threadWidth) {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.lineWidth = threadWidth * 1.25;
+    ctx.strokeStyle = THREAD_SHADOW;
+    ctx.stroke();
+    ctx.lineWidth = threadWidth;
+    ctx.strokeStyle = hex;
+    ctx.stroke();
+    ctx.lineWidth = threadWidth * 0.3;
+    ctx.strokeStyle = THREAD_SHEEN;
+    ctx.stroke();
+}
+
+/**
+ * Draw a pattern stitched on fabric
+ * The context is drawn from (0, 0) at the size given by getFabricPreviewSize
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} pattern - Pattern { stitches, width, height, backstitches?, ornaments? }
+ * @param {Object} fabric - Fabric from data/fabrics.js
+ * @param {Object} options - Optional settings
+ * @param {number} options.pixelsPerInch - Drawing scale (default: CSS_PIXELS_PER_INCH)
+ */
+export function drawFabricPreview(ctx, pattern, fabric, options = {}) {
+    const { width, height, cell, border } = getFabricPreviewSize(pattern.width, pattern.height, fabric, options);
+
+    ctx.fillStyle = fabric.hex;
+    ctx.fillRect(0, 0, width, height);
+    if (fabric.weave === 'aida') {
+        drawAida(ctx, width, height, cell);
+    } else {
+        drawThreads(ctx, width, height, cell / fabric.over, fabric.weave === 'linen');
+    }
+
+    ctx.save();
+    ctx.translate(border, border);
+    ctx.lineCap = 'round';
+
+    // Stitch legs run between the holes at the corners of each stitch
+    const threadWidth = cell * 0.38;
+    for (const stitch of pattern.stitches) {
+        const x = stitch.x * cell;
+        const y = stitch.y * cell;
+        for (const [x1, y1, x2, y2] of getStitchLegs(stitch)) {
+            drawThread(ctx, x + x1 * cell, y + y1 * cell, x + x2 * cell, y + y2 * cell, stitch.color.hex, threadWidth);
+        }
+    }
+
+    for (const backstitch of pattern.backstitches || []) {
+        drawThread(ctx, backstitch.x1 * cell, backstitch.y1 * cell, backstitch.x2 * cell, backstitch.y2 * cell,
+            backstitch.color.hex, cell * 0.18);
+    }
+
+    // Knots are raised dots; beads are rounder, with a glint
+    for (const ornament of pattern.ornaments || []) {
+        const isBead = ornament.type === 'bead';
+        const radius = cell * (isBead ? 0.38 : 0.28);
+        ctx.beginPath();
+        ctx.arc(ornament.x * cell, ornament.y * cell, radius, 0, Math.PI * 2);
+        ctx.fillStyle = ornament.color.hex;
+        ctx.fill();
+        ctx.lineWidth = cell * 0.06;
+        ctx.strokeStyle = THREAD_SHADOW;
+        ctx.stroke();
+        if (isBead) {
+            ctx.beginPath();
+            ctx.arc(ornament.x * cell - radius * 0.35, ornament.y * cell - radius * 0.35, radius * 0.25, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fill();
+        }
+    }
+
+    ctx.restore();
+}
@@ -0,0 +1,75 @@
+/**
+ * Finished size calculations
+ * Converts between stitch counts and physical sizes on a fabric (see data/fabrics.js), and
+ * recommends how much fabric to cut so the finished piece can be framed.
+ */
+
+// Fabric left around the stitching on every side for framing or mounting
+export const FRAMING_MARGIN_INCHES = 3;
+
+/**
+ * Length units for finished sizes
+ */
+export const SIZE_UNITS = {
+    in: { label: 'inches', perInch: 1 },
+    cm: { label: 'cm', perInch: 2.54 }
+};
+
+/**
+ * Stitches per inch on a fabric: its count, halved when stitched over two threads
+ * @param {Object} fabric - Fabric from data/fabrics.js
+ * @returns {number} Stitches per inch
+ */
+export function getStitchesPerInch(fabric) {
+    return fabric.count / fabric.over;
+}
+
+/**
+ * Finished size of a pattern and the fabric to cut for it
+ * The cut size adds the framing margin on every side, rounded up to the next half inch
+ *
+ * @param {number} width - Pattern width in stitches
+ * @param {number} height - Pattern height in stitches
+ * @param {Object} fabric - Fabric from data/fabrics.js
+ * @param {Object} options - Optional settings
+ * @param {number} options.margin - Fabric around the stitching on each side, in inches (default: 3)
+ * @returns {Object} { stitchesPerInch, widthInches, heightInches, cutWidthInches, cutHeightInches, marginInches }
+ */
+export function calculateFinishedSize(width, height, fabric, options = {}) {
+    const { margin = FRAMING_MARGIN_INCHES } = options;
+    const stitchesPerInch = getStitchesPerInch(fabric);
+    const widthInches = width / stitchesPerInch;
+    const heightInches = height / stitchesPerInch;
+
+    return {
+        stitchesPerInch,
+        widthInches,
+        heightInches,
+        cutWidthInches: Math.ceil((widthInches + margin * 2) * 2) / 2,
+        cutHeightInches: Math.ceil((heightInches + margin * 2) * 2) / 2,
+        marginInches: margin
+    };
+}
+
+/**
+ * Number of stitches that cover a physical length on a fabric
+ * @param {number} length - Length in the given unit
+ * @param {string} unit - Key of SIZE_UNITS
+ * @param {Object} fabric - Fabric from data/fabrics.js
+ * @returns {number} Whole stitches, at least 1
+ */
+export function stitchesForLength(length, unit, fabric) {
+    const inches = length / (SIZE_UNITS[unit] || SIZE_UNITS.in).perInch;
+    return Math.max(1, Math.round(inches * getStitchesPerInch(fabric)));
+}
+
+/**
+ * Format a length given in inches, e.g. '4.3 in' or '10.9 cm'
+ * @param {number} inches - Length in inches
+ * @param {string} unit - Key of SIZE_UNITS
+ * @returns {string} Length with one decimal place and its unit
+ */
+export function formatLength(inches, unit) {
+    const { perInch } = SIZE_UNITS[unit] || SIZE_UNITS.in;
+    return `${(inches * perInch).toFixed(1)} ${unit === 'cm' ? 'cm' : 'in'}`;
+}
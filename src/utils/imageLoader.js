@@ -0,0 +1,82 @@
+/**
+ * Browser image helpers
+ * Canvas-based loading and text rendering, kept apart from patternGenerator.js
+ * so the pattern pipeline has no DOM dependencies and runs in workers and Node
+ */
+
+/**
+ * Load image data from image source
+ *
+ * @param {string} imageSrc - Image source (data URL or URL)
+ * @returns {Promise<Object>} Image data { data, width, height }
+ */
+export function loadImageData(imageSrc) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            resolve(ctx.getImageData(0, 0, img.width, img.height));
+        };
+        img.onerror = reject;
+        img.src = imageSrc;
+    });
+}
+
+/**
+ * Generate an image from text
+ * @param {string} text - Text to render
+ * @param {Object} options - Text rendering options
+ * @param {string} options.fontFamily - Font family (default: 'Arial')
+ * @param {number} options.fontSize - Font size in pixels (default: 48)
+ * @param {string} options.fontColor - Text color (default: '#000000')
+ * @param {string} options.backgroundColor - Background color (default: '#FFFFFF')
+ * @param {boolean} options.bold - Bold text (default: false)
+ * @param {boolean} options.italic - Italic text (default: false)
+ * @returns {string} Data URL of generated image
+ */
+export function generateTextImage(text, options = {}) {
+    const {
+        fontFamily = 'Arial',
+        fontSize = 48,
+        fontColor = '#000000',
+        backgroundColor = '#FFFFFF',
+        bold = false,
+        italic = false
+    } = options;
+
+    // Create canvas
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    // Set font for measurement
+    const fontWeight = bold ? 'bold' : 'normal';
+    const fontStyle = italic ? 'italic' : 'normal';
+    ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
+
+    // Measure text
+    const metrics = ctx.measureText(text);
+    const textWidth = metrics.width;
+    const textHeight = fontSize * 1.5; // Approximate height with padding
+
+    // Set canvas size with padding
+    const padding = 20;
+    canvas.width = Math.ceil(textWidth + padding * 2);
+    canvas.height = Math.ceil(textHeight + padding * 2);
+
+    // Fill background
+    ctx.fillStyle = backgroundColor;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Draw text
+    ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
+    ctx.fillStyle = fontColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    return canvas.toDataURL();
+}
@@ -0,0 +1,51 @@
+/**
+ * Ornament utilities
+ * French knots and beads sit on stitch-grid intersections rather than in cells:
+ * { x, y, type, color } with corners numbered 0..width and 0..height, like backstitches.
+ * Knots are worked in a thread color; beads use a Mill Hill bead color (see millHillBeads.js).
+ */
+
+/**
+ * Ornament types, in the order they are listed
+ */
+export const ORNAMENT_TYPES = ['french-knot', 'bead'];
+
+/**
+ * Display names for ornament types
+ */
+export const ORNAMENT_LABELS = {
+    'french-knot': 'French knot',
+    'bead': 'bead'
+};
+
+/**
+ * Check that an ornament has a known type and sits on a grid corner of the pattern
+ * @param {Object} ornament - Ornament { x, y, type }
+ * @param {number} width - Pattern width in stitches
+ * @param {number} height - Pattern height in stitches
+ * @returns {boolean} True when the ornament can be placed
+ */
+export function isValidOrnament(ornament, width, height) {
+    return ORNAMENT_TYPES.includes(ornament.type) &&
+        Number.isInteger(ornament.x) && ornament.x >= 0 && ornament.x <= width &&
+        Number.isInteger(ornament.y) && ornament.y >= 0 && ornament.y <= height;
+}
+
+/**
+ * Count ornaments of one type per color
+ * @param {Array} ornaments - Ornaments { x, y, type, color }
+ * @param {string} type - One of ORNAMENT_TYPES
+ * @returns {Object} Keyed by color id { ...color, count }
+ */
+export function countOrnaments(ornaments, type) {
+    const counts = {};
+    for (const ornament of ornaments) {
+        if (ornament.type !== type) continue;
+        const colorId = ornament.color.id;
+        if (!counts[colorId]) {
+            counts[colorId] = { ...ornament.color, count: 0 };
+        }
+        counts[colorId].count++;
+    }
+    return counts;
+}
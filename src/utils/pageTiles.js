@@ -0,0 +1,82 @@
+/**
+ * Page tiling for printed charts
+ * Charts too large for one page are split into page tiles, read left to right and top to
+ * bottom. Neighboring tiles repeat a few columns/rows (the overlap) so pages can be lined up.
+ */
+
+/**
+ * Tile sizes offered for printing, in stitches per page
+ */
+export const PAGE_TILE_SIZES = [
+    { id: '40x55', label: '40 × 55 (large print)', pageWidth: 40, pageHeight: 55 },
+    { id: '50x70', label: '50 × 70', pageWidth: 50, pageHeight: 70 },
+    { id: '60x80', label: '60 × 80', pageWidth: 60, pageHeight: 80 },
+    { id: '80x110', label: '80 × 110 (small print)', pageWidth: 80, pageHeight: 110 }
+];
+
+/**
+ * Start offsets of the tiles along one side of the chart
+ * @private
+ */
+function tileStarts(length, pageLength, overlap) {
+    const starts = [0];
+    while (starts[starts.length - 1] + pageLength < length) {
+        starts.push(starts[starts.length - 1] + pageLength - overlap);
+    }
+    return starts;
+}
+
+/**
+ * Split a chart into page tiles
+ * The overlap is limited to half a page so every tile still shows new stitches
+ *
+ * @param {number} width - Pattern width in stitches
+ * @param {number} height - Pattern height in stitches
+ * @param {Object} options - Optional settings
+ * @param {number} options.pageWidth - Stitches across one page (default: 60)
+ * @param {number} options.pageHeight - Stitches down one page (default: 80)
+ * @param {number} options.overlap - Columns/rows repeated from the previous page (default: 2)
+ * @returns {Array} Tiles { page, row, column, x, y, width, height, repeatLeft, repeatTop },
+ *                  with page numbers from 1 and x/y/width/height in stitches
+ */
+export function getPageTiles(width, height, options = {}) {
+    const { pageWidth = 60, pageHeight = 80 } = options;
+    const overlap = Math.max(0, Math.min(options.overlap ?? 2, Math.floor(Math.min(pageWidth, pageHeight) / 2)));
+
+    const columnStarts = tileStarts(width, pageWidth, overlap);
+    const rowStarts = tileStarts(height, pageHeight, overlap);
+
+    const tiles = [];
+    rowStarts.forEach((y, row) => {
+        columnStarts.forEach((x, column) => {
+            tiles.push({
+                page: tiles.length + 1,
+                row,
+                column,
+                x,
+                y,
+                width: Math.min(pageWidth, width - x),
+                height: Math.min(pageHeight, height - y),
+                repeatLeft: column > 0 ? overlap : 0,
+                repeatTop: row > 0 ? overlap : 0
+            });
+        });
+    });
+    return tiles;
+}
+
+/**
+ * Find the tiles next to a tile
+ * @param {Array} tiles - Tiles from getPageTiles
+ * @param {Object} tile - One of the tiles
+ * @returns {Object} { above, below, left, right }, each a tile or null at the chart edge
+ */
+export function getNeighborTiles(tiles, tile) {
+    const at = (row, column) => tiles.find(other => other.row === row && other.column === column) || null;
+    return {
+        above: at(tile.row - 1, tile.column),
+        below: at(tile.row + 1, tile.column),
+        left: at(tile.row, tile.column - 1),
+        right: at(tile.row, tile.column + 1)
+    };
+}
@@ -0,0 +1,321 @@
+import { countColors } from './patternGenerator.js';
+import { getStitchType } from './stitchTypes.js';
+
+/**
+ * Pattern editing utilities
+ * Edits are expressed as lists of changes { x, y, before, after } where before/after
+ * are the stitches in one cell (an empty list for bare fabric; a cell can hold several
+ * part stitches). Applying a list forwards or backwards gives cheap, unlimited
+ * undo/redo without keeping full pattern snapshots. Painting a cell always leaves
+ * a single full stitch. Backstitch and ornament edits are changes { backstitch, add }
+ * and { ornament, add } that add or remove one line, knot or bead.
+ */
+
+// How close (in stitch units) a click must be to a backstitch to select it
+const BACKSTITCH_PICK_DISTANCE = 0.35;
+
+/**
+ * Editor tools, in toolbar order
+ * - pencil / eraser: set or clear stitches under the pointer
+ * - fill: flood-fill the connected area of one color (or empty fabric)
+ * - eyedropper: pick the color of a stitch
+ * - line / rectangle: drag to draw a straight line or rectangle outline
+ * - replace: swap every stitch of the clicked color for the current color
+ * - backstitch: drag between grid corners to draw a line; click a line to remove it
+ * - french-knot / bead: click a grid corner to place one; click it again to remove it
+ */
+export const EDITOR_TOOLS = ['pencil', 'eraser', 'fill', 'eyedropper', 'line', 'rectangle', 'replace', 'backstitch', 'french-knot', 'bead'];
+
+/**
+ * Index stitches by cell for constant-time lookups
+ * @param {Object} pattern - Pattern { stitches, width, height }
+ * @returns {Array} width × height array of stitch lists (empty for bare fabric), row-major
+ */
+export function createCellMap(pattern) {
+    const cellMap = Array.from({ length: pattern.width * pattern.height }, () => []);
+    for (const stitch of pattern.stitches) {
+        cellMap[stitch.y * pattern.width + stitch.x].push(stitch);
+    }
+    return cellMap;
+}
+
+/**
+ * Cells on a straight line between two cells (Bresenham)
+ * @param {number} x0 - Start column
+ * @param {number} y0 - Start row
+ * @param {number} x1 - End column
+ * @param {number} y1 - End row
+ * @returns {Array} Cells { x, y } from start to end
+ */
+export function lineCells(x0, y0, x1, y1) {
+    const cells = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+    let x = x0;
+    let y = y0;
+
+    while (true) {
+        cells.push({ x, y });
+        if (x === x1 && y === y1) break;
+        const doubled = 2 * error;
+        if (doubled >= dy) {
+            error += dy;
+            x += sx;
+        }
+        if (doubled <= dx) {
+            error += dx;
+            y += sy;
+        }
+    }
+    return cells;
+}
+
+/**
+ * Cells on the outline of the rectangle spanned by two corner cells
+ * @param {number} x0 - First corner column
+ * @param {number} y0 - First corner row
+ * @param {number} x1 - Opposite corner column
+ * @param {number} y1 - Opposite corner row
+ * @returns {Array} Cells { x, y }
+ */
+export function rectangleCells(x0, y0, x1, y1) {
+    const left = Math.min(x0, x1);
+    const right = Math.max(x0, x1);
+    const top = Math.min(y0, y1);
+    const bottom = Math.max(y0, y1);
+    const cells = [];
+
+    for (let x = left; x <= right; x++) {
+        cells.push({ x, y: top });
+        if (bottom !== top) cells.push({ x, y: bottom });
+    }
+    for (let y = top + 1; y < bottom; y++) {
+        cells.push({ x: left, y });
+        if (right !== left) cells.push({ x: right, y });
+    }
+    return cells;
+}
+
+/**
+ * Connected cells sharing the clicked cell's color (4-way), including empty areas
+ * A cell's color is that of its first stitch, e.g. the three-quarter stitch in a split cell
+ * @param {Object} pattern - Pattern { width, height }
+ * @param {Array} cellMap - From createCellMap
+ * @param {number} x - Start column
+ * @param {number} y - Start row
+ * @returns {Array} Cells { x, y }
+ */
+export function floodFillCells(pattern, cellMap, x, y) {
+    const { width, height } = pattern;
+    if (x < 0 || x >= width || y < 0 || y >= height) return [];
+
+    const colorIdAt = (index) => cellMap[index].length > 0 ? cellMap[index][0].color.id : null;
+    const target = colorIdAt(y * width + x);
+    const visited = new Uint8Array(width * height);
+    const stack = [y * width + x];
+    const cells = [];
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        if (visited[index] || colorIdAt(index) !== target) continue;
+        visited[index] = 1;
+
+        const cx = index % width;
+        const cy = Math.floor(index / width);
+        cells.push({ x: cx, y: cy });
+
+        if (cx > 0) stack.push(index - 1);
+        if (cx < width - 1) stack.push(index + 1);
+        if (cy > 0) stack.push(index - width);
+        if (cy < height - 1) stack.push(index + width);
+    }
+    return cells;
+}
+
+/**
+ * Changes that paint (or erase) a set of cells
+ * Cells outside the pattern and cells already holding the color are skipped
+ *
+ * @param {Object} pattern - Pattern { width, height }
+ * @param {Array} cellMap - From createCellMap
+ * @param {Array} cells - Cells { x, y } to paint
+ * @param {Object|null} color - Thread color, or null to erase
+ * @returns {Array} Changes { x, y, before, after }
+ */
+export function paintChanges(pattern, cellMap, cells, color) {
+    const { width, height } = pattern;
+    const changes = [];
+    const seen = new Set();
+
+    for (const { x, y } of cells) {
+        if (x < 0 || x >= width || y < 0 || y >= height) continue;
+        const index = y * width + x;
+        if (seen.has(index)) continue;
+        seen.add(index);
+
+        const before = cellMap[index];
+        const unchanged = color === null
+            ? before.length === 0
+            : before.length === 1 && getStitchType(before[0]) === 'full' && before[0].color.id === color.id;
+        if (unchanged) continue;
+
+        changes.push({ x, y, before, after: color ? [{ x, y, color }] : [] });
+    }
+    return changes;
+}
+
+/**
+ * Changes that swap every stitch of one color for another
+ * @param {Object} pattern - Pattern { stitches }
+ * @param {string} fromColorId - Thread id to replace
+ * @param {Object} toColor - Replacement thread color
+ * @returns {Array} Changes { x, y, before, after }
+ */
+export function replaceColorChanges(pattern, fromColorId, toColor) {
+    if (fromColorId === toColor.id) return [];
+
+    // Part stitches keep their shape; only the matching stitches in each cell change color
+    const cells = new Map();
+    for (const stitch of pattern.stitches) {
+        const index = stitch.y * pattern.width + stitch.x;
+        if (!cells.has(index)) cells.set(index, []);
+        cells.get(index).push(stitch);
+    }
+
+    const changes = [];
+    for (const before of cells.values()) {
+        if (!before.some(stitch => stitch.color.id === fromColorId)) continue;
+        const after = before.map(stitch => stitch.color.id === fromColorId ? { ...stitch, color: toColor } : stitch);
+        changes.push({ x: before[0].x, y: before[0].y, before, after });
+    }
+    return changes;
+}
+
+/**
+ * Change that draws a backstitch between two grid corners
+ * @param {Object} start - Corner { x, y }
+ * @param {Object} end - Corner { x, y }
+ * @param {Object} color - Thread color
+ * @returns {Array} Changes { backstitch, add }, empty when start and end are the same corner
+ */
+export function drawBackstitchChanges(start, end, color) {
+    if (start.x === end.x && start.y === end.y) return [];
+    return [{ backstitch: { x1: start.x, y1: start.y, x2: end.x, y2: end.y, color }, add: true }];
+}
+
+/**
+ * Change that removes the backstitch nearest a point, if one is close enough
+ * @param {Object} pattern - Pattern { backstitches }
+ * @param {number} x - Point in stitch units from the left edge
+ * @param {number} y - Point in stitch units from the top edge
+ * @returns {Array} Changes { backstitch, add }
+ */
+export function eraseBackstitchChanges(pattern, x, y) {
+    let nearest = null;
+    let nearestDistance = BACKSTITCH_PICK_DISTANCE;
+
+    for (const backstitch of pattern.backstitches || []) {
+        const dx = backstitch.x2 - backstitch.x1;
+        const dy = backstitch.y2 - backstitch.y1;
+        const t = Math.max(0, Math.min(1, ((x - backstitch.x1) * dx + (y - backstitch.y1) * dy) / (dx * dx + dy * dy)));
+        const distance = Math.hypot(x - (backstitch.x1 + t * dx), y - (backstitch.y1 + t * dy));
+        if (distance <= nearestDistance) {
+            nearest = backstitch;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearest ? [{ backstitch: nearest, add: false }] : [];
+}
+
+/**
+ * Changes that place a knot or bead on a grid corner, or remove it
+ * Clicking a corner that already holds the same ornament in the same color removes it;
+ * a different color replaces it
+ *
+ * @param {Object} pattern - Pattern { ornaments }
+ * @param {Object} corner - Grid corner { x, y }
+ * @param {string} type - Ornament type, 'french-knot' or 'bead'
+ * @param {Object} color - Thread color for knots, bead color for beads
+ * @returns {Array} Changes { ornament, add }
+ */
+export function placeOrnamentChanges(pattern, corner, type, color) {
+    const existing = (pattern.ornaments || []).find(ornament =>
+        ornament.x === corner.x && ornament.y === corner.y && ornament.type === type);
+
+    const changes = existing ? [{ ornament: existing, add: false }] : [];
+    if (!existing || existing.color.id !== color.id) {
+        changes.push({ ornament: { x: corner.x, y: corner.y, type, color }, add: true });
+    }
+    return changes;
+}
+
+/**
+ * Apply a list of changes, or revert it
+ * @param {Object} pattern - Pattern { stitches, backstitches, ornaments, width, height, colorCounts }
+ * @param {Array} changes - Cell changes { x, y, before, after }, backstitch changes { backstitch, add }
+ *   and ornament changes { ornament, add }
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.reverse - Undo the changes instead of applying them (default: false)
+ * @returns {Object} New pattern with updated stitches, backstitches, ornaments and colorCounts
+ */
+export function applyChanges(pattern, changes, options = {}) {
+    const { reverse = false } = options;
+    if (changes.length === 0) return pattern;
+
+    const { width } = pattern;
+    const replacements = new Map();
+    let backstitches = pattern.backstitches || [];
+    let ornaments = pattern.ornaments || [];
+
+    for (const change of changes) {
+        // Reverting an added line, knot or bead removes it and vice versa
+        if (change.backstitch) {
+            backstitches = change.add !== reverse
+                ? [...backstitches, change.backstitch]
+                : backstitches.filter(backstitch => backstitch !== change.backstitch);
+        } else if (change.ornament) {
+            ornaments = change.add !== reverse
+                ? [...ornaments, change.ornament]
+                : ornaments.filter(ornament => ornament !== change.ornament);
+        } else {
+            replacements.set(change.y * width + change.x, reverse ? change.before : change.after);
+        }
+    }
+
+    const stitches = pattern.stitches.filter(stitch => !replacements.has(stitch.y * width + stitch.x));
+    for (const cellStitches of replacements.values()) {
+        stitches.push(...cellStitches);
+    }
+    stitches.sort((a, b) => a.y - b.y || a.x - b.x);
+
+    return {
+        ...pattern,
+        stitches,
+        backstitches,
+        ornaments,
+        colorCounts: countColors(stitches)
+    };
+}
+
+/**
+ * Empty undo/redo history
+ * @returns {Object} { undo: [], redo: [] } stacks of change lists
+ */
+export function createEditHistory() {
+    return { undo: [], redo: [] };
+}
+
+/**
+ * Record an applied edit; any redo branch is discarded
+ * @param {Object} history - Edit history
+ * @param {Array} changes - Changes just applied
+ * @returns {Object} New history
+ */
+export function recordEdit(history, changes) {
+    if (changes.length === 0) return history;
+    return { undo: [...history.undo, changes], redo: [] };
+}
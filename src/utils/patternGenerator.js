@@ -1,4 +1,34 @@
-import { findClosestDMC, isSimilarColor } from './colorUtils.js';
+import { findClosestDMC, isSimilarColor, colorDistance, hexToRgb, getContrastColor } from './colorUtils.js';
+import { DMC_COLORS } from '../data/dmcColors.js';
+import { formatCrossReference } from '../data/threadPalettes.js';
+import { selectThreadPalette } from './quantize.js';
+import { sampleCells } from './cellSampling.js';
+import { diffuseError, getOrderedOffset, isOrderedDithering } from './dithering.js';
+import { generateBackstitchOutlines, countBackstitchLengths, findDarkestThread } from './backstitch.js';
+import { ORNAMENT_TYPES, ORNAMENT_LABELS, countOrnaments } from './ornaments.js';
+import { getBlendPalette, isBlend } from './blends.js';
+import { getPageTiles, getNeighborTiles } from './pageTiles.js';
+import { calculateFinishedSize } from './fabricSize.js';
+import { DEFAULT_MIN_ISLAND_SIZE, findConfetti, calculateConfettiScore } from './confetti.js';
+import { assessDifficulty } from './difficulty.js';
+import { SKEIN_METERS, DEFAULT_STRANDS, DEFAULT_WASTE_FACTOR, measureTravel, estimateFloss, describeThreadUsage } from './threadEstimator.js';
+import { getFabric, DEFAULT_FABRIC_ID } from '../data/fabrics.js';
+import { STITCH_TYPES, STITCH_THREAD_USAGE, getStitchType, getStitchLegs, getSymbolPlacement, getOppositeCorner, describePartStitches } from './stitchTypes.js';
+
+// Yield between chunks: animation frames on the main thread, timers in workers and Node
+const scheduleChunk = typeof window !== 'undefined' && window.requestAnimationFrame
+    ? (fn) => window.requestAnimationFrame(fn)
+    : (fn) => setTimeout(fn, 0);
+
+/**
+ * Create the error a cancelled conversion rejects with
+ * @private
+ */
+function createAbortError() {
+    const error = new Error('Pattern conversion was cancelled');
+    error.name = 'AbortError';
+    return error;
+}
 
 /**
  * Detect background color by sampling edges of the image
@@ -71,7 +101,7 @@ export function detectBackgroundColor(imageData) {
 
 /**
  * Convert image data to cross-stitch pattern
- * Processes in chunks to avoid blocking the UI thread
+ * Processes in chunks so the UI thread (or a worker's message queue) stays responsive
  *
  * @param {ImageData} imageData - Canvas ImageData object
  * @param {number} gridSize - Number of stitches in width
@@ -80,7 +110,21 @@ export function detectBackgroundColor(imageData) {
  * @param {boolean} options.removeBackground - Remove background by color
  * @param {Object} options.backgroundColor - Background color { r, g, b }
  * @param {number} options.tolerance - Color tolerance
- * @param {boolean} options.useDithering - Apply Floyd-Steinberg dithering
+ * @param {boolean} options.useDithering - Apply dithering across stitches
+ * @param {string} options.ditheringAlgorithm - Error-diffusion kernel (see ERROR_DIFFUSION_KERNELS)
+ *   or ordered map ('bayer-2', 'bayer-4', 'bayer-8', 'blue-noise') (default: 'floyd-steinberg')
+ * @param {boolean} options.serpentine - Alternate scan direction each row for error diffusion (default: false)
+ * @param {number} options.ditheringStrength - 0..1 scale of diffused error or ordered offset (default: 1)
+ * @param {string} options.samplingMode - How each cell is reduced to one color, see SAMPLING_MODES (default: 'center')
+ * @param {string} options.colorMetric - Color-difference metric for DMC matching (default: 'rgb')
+ *   Background removal always uses the weighted RGB distance so tolerance keeps its meaning
+ * @param {Array} options.palette - Thread colors to match against (default: curated DMC_COLORS)
+ * @param {number} options.maxColors - Choose this many threads up front (0 = no limit)
+ * @param {string} options.reductionMethod - 'median-cut' or 'kmeans' to quantize before matching;
+ *   'frequency' leaves reduction to limitColors after conversion (default: 'frequency')
+ * @param {boolean} options.useBlends - Also match blends of two similar threads (see blends.js) (default: false)
+ * @param {number} options.blendDistance - Largest ΔE*ab between the two threads of a blend (default: 20)
+ * @param {AbortSignal} options.signal - Cancels the conversion; the promise rejects with an AbortError
  * @returns {Promise<Object>} Pattern object { stitches, width, height, colorCounts }
  */
 export async function convertToPattern(imageData, gridSize, onProgress, options = {}) {
@@ -89,49 +133,104 @@ export async function convertToPattern(imageData, gridSize, onProgress, options
         backgroundColor = null,
         tolerance = 30,
         useDithering = false,
-        ditheringAlgorithm = 'floyd-steinberg'
+        ditheringAlgorithm = 'floyd-steinberg',
+        serpentine = false,
+        ditheringStrength = 1,
+        samplingMode = 'center',
+        colorMetric = 'rgb',
+        palette = DMC_COLORS,
+        maxColors = 0,
+        reductionMethod = 'frequency',
+        useBlends = false,
+        blendDistance = 20,
+        signal = null
     } = options;
 
-    console.log('Converting with options:', {
-        removeBackground,
-        backgroundColor,
-        tolerance,
-        useDithering,
-        ditheringAlgorithm
-    });
-
-    const { data, width, height } = imageData;
+    const { width, height } = imageData;
     const aspectRatio = height / width;
     const gridWidth = gridSize;
     const gridHeight = Math.round(gridSize * aspectRatio);
-    const cellWidth = width / gridWidth;
-    const cellHeight = height / gridHeight;
 
-    // Create a working copy of the image data for dithering
-    const workingData = useDithering ? new Uint8ClampedArray(data) : data;
+    // One color per stitch; dithering diffuses error between stitches, not source pixels
+    const cellData = sampleCells(imageData, gridWidth, gridHeight, samplingMode);
+
+    // Colors of the cells that become stitches (opaque and not background)
+    const collectSamples = () => {
+        const samples = [];
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const idx = (y * gridWidth + x) * 4;
+                const color = { r: cellData[idx], g: cellData[idx + 1], b: cellData[idx + 2] };
+
+                if (cellData[idx + 3] <= 128) continue;
+                if (removeBackground && backgroundColor && isSimilarColor(color, backgroundColor, tolerance)) continue;
+                samples.push(color);
+            }
+        }
+        return samples;
+    };
+
+    // Pick the best N threads for the whole image before matching any stitch
+    let matchPalette = palette;
+    if (maxColors > 0 && reductionMethod !== 'frequency') {
+        const chosen = selectThreadPalette(collectSamples(), maxColors, { method: reductionMethod, palette, colorMetric });
+        if (chosen.length > 0) {
+            matchPalette = chosen;
+        }
+    }
+
+    // Blends of the chosen threads add in-between shades without adding new floss. With no
+    // threads chosen, only the threads the image matches without blends are paired: pairing a
+    // whole catalogue gives tens of thousands of blends to search for every color
+    if (useBlends) {
+        const blendThreads = matchPalette === palette
+            ? findMatchedThreads(collectSamples(), { colorMetric, palette })
+            : matchPalette;
+        matchPalette = getBlendPalette(blendThreads, { maxDistance: blendDistance });
+    }
+
+    // Lab metrics are expensive, so remember the match for each distinct RGB value
+    const matchCache = new Map();
+    const matchColor = (r, g, b) => {
+        const key = (r << 16) | (g << 8) | b;
+        let dmc = matchCache.get(key);
+        if (!dmc) {
+            dmc = findClosestDMC(r, g, b, { colorMetric, palette: matchPalette });
+            matchCache.set(key, dmc);
+        }
+        return dmc;
+    };
+
+    const orderedDithering = useDithering && isOrderedDithering(ditheringAlgorithm);
+    const errorDiffusion = useDithering && !orderedDithering;
 
     const stitches = [];
     const colorCounts = {};
     let processed = 0;
-    let skipped = 0;
     const total = gridWidth * gridHeight;
 
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
         const processChunk = (startY) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
             const chunkSize = 5;
             const endY = Math.min(startY + chunkSize, gridHeight);
 
             for (let y = startY; y < endY; y++) {
-                for (let x = 0; x < gridWidth; x++) {
-                    // Sample center of cell
-                    const sampleX = Math.floor(x * cellWidth + cellWidth / 2);
-                    const sampleY = Math.floor(y * cellHeight + cellHeight / 2);
-                    const idx = (sampleY * width + sampleX) * 4;
+                // Serpentine scanning runs odd rows right-to-left so error doesn't streak one way
+                const direction = serpentine && errorDiffusion && y % 2 === 1 ? -1 : 1;
+
+                for (let i = 0; i < gridWidth; i++) {
+                    const x = direction === 1 ? i : gridWidth - 1 - i;
+                    const idx = (y * gridWidth + x) * 4;
 
-                    const r = workingData[idx];
-                    const g = workingData[idx + 1];
-                    const b = workingData[idx + 2];
-                    const a = workingData[idx + 3];
+                    let r = cellData[idx];
+                    let g = cellData[idx + 1];
+                    let b = cellData[idx + 2];
+                    const a = cellData[idx + 3];
 
                     if (a > 128) {
                         // Check color-based background removal
@@ -139,41 +238,31 @@ export async function convertToPattern(imageData, gridSize, onProgress, options
                             const isBackground = isSimilarColor({ r, g, b }, backgroundColor, tolerance);
                             if (isBackground) {
                                 processed++;
-                                skipped++;
                                 continue;
                             }
                         }
 
-                        const dmc = findClosestDMC(r, g, b);
+                        // Ordered dithering nudges the color by a tiled threshold before matching
+                        if (orderedDithering) {
+                            const offset = getOrderedOffset(ditheringAlgorithm, x, y, ditheringStrength);
+                            r = Math.max(0, Math.min(255, Math.round(r + offset)));
+                            g = Math.max(0, Math.min(255, Math.round(g + offset)));
+                            b = Math.max(0, Math.min(255, Math.round(b + offset)));
+                        }
+
+                        const dmc = matchColor(r, g, b);
                         stitches.push({ x, y, color: dmc });
                         colorCounts[dmc.id] = colorCounts[dmc.id] || { ...dmc, count: 0 };
                         colorCounts[dmc.id].count++;
 
-                        // Apply dithering
-                        if (useDithering) {
-                            const dmcR = parseInt(dmc.hex.slice(1, 3), 16);
-                            const dmcG = parseInt(dmc.hex.slice(3, 5), 16);
-                            const dmcB = parseInt(dmc.hex.slice(5, 7), 16);
-
-                            const errorR = r - dmcR;
-                            const errorG = g - dmcG;
-                            const errorB = b - dmcB;
-
-                            if (ditheringAlgorithm === 'floyd-steinberg') {
-                                // Floyd-Steinberg dithering
-                                distributeError(workingData, width, height, sampleX + 1, sampleY, errorR, errorG, errorB, 7/16);
-                                distributeError(workingData, width, height, sampleX - 1, sampleY + 1, errorR, errorG, errorB, 3/16);
-                                distributeError(workingData, width, height, sampleX, sampleY + 1, errorR, errorG, errorB, 5/16);
-                                distributeError(workingData, width, height, sampleX + 1, sampleY + 1, errorR, errorG, errorB, 1/16);
-                            } else if (ditheringAlgorithm === 'atkinson') {
-                                // Atkinson dithering (lighter, more artistic)
-                                distributeError(workingData, width, height, sampleX + 1, sampleY, errorR, errorG, errorB, 1/8);
-                                distributeError(workingData, width, height, sampleX + 2, sampleY, errorR, errorG, errorB, 1/8);
-                                distributeError(workingData, width, height, sampleX - 1, sampleY + 1, errorR, errorG, errorB, 1/8);
-                                distributeError(workingData, width, height, sampleX, sampleY + 1, errorR, errorG, errorB, 1/8);
-                                distributeError(workingData, width, height, sampleX + 1, sampleY + 1, errorR, errorG, errorB, 1/8);
-                                distributeError(workingData, width, height, sampleX, sampleY + 2, errorR, errorG, errorB, 1/8);
-                            }
+                        // Diffuse the quantization error onto unprocessed stitches
+                        if (errorDiffusion) {
+                            const dmcRgb = hexToRgb(dmc.hex);
+                            const error = { r: r - dmcRgb.r, g: g - dmcRgb.g, b: b - dmcRgb.b };
+                            diffuseError(cellData, gridWidth, gridHeight, x, y, error, ditheringAlgorithm, {
+                                direction,
+                                strength: ditheringStrength
+                            });
                         }
                     }
 
@@ -184,9 +273,12 @@ export async function convertToPattern(imageData, gridSize, onProgress, options
             onProgress(Math.round((processed / total) * 100));
 
             if (endY < gridHeight) {
-                requestAnimationFrame(() => processChunk(endY));
+                scheduleChunk(() => processChunk(endY));
             } else {
-                console.log(`Conversion complete: ${stitches.length} stitches, ${skipped} pixels skipped as background`);
+                // Keep stitches in row-major order regardless of scan direction
+                if (serpentine) {
+                    stitches.sort((a, b) => a.y - b.y || a.x - b.x);
+                }
                 resolve({
                     stitches,
                     width: gridWidth,
@@ -196,73 +288,73 @@ export async function convertToPattern(imageData, gridSize, onProgress, options
             }
         };
 
-        requestAnimationFrame(() => processChunk(0));
+        scheduleChunk(() => processChunk(0));
     });
 }
 
 /**
- * Distribute quantization error to a neighboring pixel (Floyd-Steinberg)
+ * Threads from a palette that a set of colors match, in palette order
  * @private
  */
-function distributeError(data, width, height, x, y, errorR, errorG, errorB, factor) {
-    if (x < 0 || x >= width || y < 0 || y >= height) return;
-
-    const idx = (y * width + x) * 4;
-    data[idx] = Math.max(0, Math.min(255, data[idx] + errorR * factor));
-    data[idx + 1] = Math.max(0, Math.min(255, data[idx + 1] + errorG * factor));
-    data[idx + 2] = Math.max(0, Math.min(255, data[idx + 2] + errorB * factor));
+function findMatchedThreads(samples, { colorMetric, palette }) {
+    const seen = new Set();
+    const matched = new Set();
+    for (const { r, g, b } of samples) {
+        const key = (r << 16) | (g << 8) | b;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        matched.add(findClosestDMC(r, g, b, { colorMetric, palette }).id);
+    }
+    return palette.filter(color => matched.has(color.id));
 }
 
 /**
  * Limit the number of colors in a pattern by keeping the most-used colors
  * @param {Object} pattern - Pattern with stitches and colorCounts
  * @param {number} maxColors - Maximum number of colors to keep
+ * @param {Object} options - Optional settings
+ * @param {string} options.colorMetric - Metric used to remap dropped colors (default: 'rgb')
+ * @param {Array} options.palette - Only keep colors from this palette, e.g. the user's stash (default: any)
  * @returns {Object} New pattern with limited colors
  */
-export function limitColors(pattern, maxColors) {
+export function limitColors(pattern, maxColors, options = {}) {
+    const { colorMetric = 'rgb', palette = null } = options;
+
     if (maxColors <= 0 || !pattern.colorCounts) return pattern;
 
     // Get colors sorted by usage
     const sortedColors = Object.values(pattern.colorCounts)
         .sort((a, b) => b.count - a.count);
 
+    // With a palette, colors outside it are never kept
+    const paletteIds = palette ? new Set(palette.map(c => c.id)) : null;
+    const candidates = paletteIds ? sortedColors.filter(c => paletteIds.has(c.id)) : sortedColors;
+
     // If already within limit, no change needed
-    if (sortedColors.length <= maxColors) return pattern;
+    if (sortedColors.length <= maxColors && candidates.length === sortedColors.length) return pattern;
 
     // Get top N colors
-    const topColors = sortedColors.slice(0, maxColors);
+    let topColors = candidates.slice(0, maxColors);
+    if (topColors.length === 0) {
+        const { r, g, b } = hexToRgb(sortedColors[0].hex);
+        topColors = [findClosestDMC(r, g, b, { colorMetric, palette })];
+    }
     const topColorIds = new Set(topColors.map(c => c.id));
 
-    // Build new color counts
-    const newColorCounts = {};
-    topColors.forEach(c => {
-        newColorCounts[c.id] = { ...c, count: 0 };
-    });
-
     // Update stitches - replace colors not in top N with closest color from top N
     const newStitches = pattern.stitches.map(stitch => {
         if (topColorIds.has(stitch.color.id)) {
             // Color is in top N, keep it
-            newColorCounts[stitch.color.id].count++;
             return stitch;
         } else {
             // Find closest color from top N
-            const r = parseInt(stitch.color.hex.slice(1, 3), 16);
-            const g = parseInt(stitch.color.hex.slice(3, 5), 16);
-            const b = parseInt(stitch.color.hex.slice(5, 7), 16);
+            const stitchRgb = hexToRgb(stitch.color.hex);
 
             let closestColor = topColors[0];
             let minDistance = Infinity;
 
             for (const color of topColors) {
-                const cr = parseInt(color.hex.slice(1, 3), 16);
-                const cg = parseInt(color.hex.slice(3, 5), 16);
-                const cb = parseInt(color.hex.slice(5, 7), 16);
-
-                const dr = cr - r;
-                const dg = cg - g;
-                const db = cb - b;
-                const distance = dr * dr * 0.3 + dg * dg * 0.59 + db * db * 0.11;
+                const distance = colorDistance(stitchRgb, hexToRgb(color.hex), colorMetric);
 
                 if (distance < minDistance) {
                     minDistance = distance;
@@ -270,7 +362,6 @@ export function limitColors(pattern, maxColors) {
                 }
             }
 
-            newColorCounts[closestColor.id].count++;
             return { ...stitch, color: closestColor };
         }
     });
@@ -278,17 +369,23 @@ export function limitColors(pattern, maxColors) {
     return {
         ...pattern,
         stitches: newStitches,
-        colorCounts: newColorCounts
+        colorCounts: countColors(newStitches)
     };
 }
 
 /**
  * Merge similar colors in a pattern to reduce complexity
  * @param {Object} pattern - Pattern with stitches and colorCounts
- * @param {number} mergeTolerance - Color similarity threshold (0-100)
+ * @param {number} mergeTolerance - Color similarity threshold (0-100, ΔE for Lab metrics)
+ * @param {Object} options - Optional settings
+ * @param {string} options.colorMetric - Metric used to group similar colors (default: 'rgb')
+ * @param {Array} options.palette - Only merge into colors from this palette, e.g. the user's stash (default: any)
  * @returns {Object} New pattern with merged colors
  */
-export function mergeColors(pattern, mergeTolerance) {
+export function mergeColors(pattern, mergeTolerance, options = {}) {
+    const { colorMetric = 'rgb', palette = null } = options;
+    const paletteIds = palette ? new Set(palette.map(c => c.id)) : null;
+
     if (mergeTolerance <= 0 || !pattern.colorCounts) return pattern;
 
     const colors = Object.values(pattern.colorCounts);
@@ -297,14 +394,12 @@ export function mergeColors(pattern, mergeTolerance) {
     // Group similar colors
     const colorGroups = [];
     for (const color of colors) {
-        const r = parseInt(color.hex.slice(1, 3), 16);
-        const g = parseInt(color.hex.slice(3, 5), 16);
-        const b = parseInt(color.hex.slice(5, 7), 16);
+        const { r, g, b } = hexToRgb(color.hex);
 
         // Find existing group with similar color
         let foundGroup = false;
         for (const group of colorGroups) {
-            if (isSimilarColor({ r, g, b }, group.representative, mergeTolerance)) {
+            if (isSimilarColor({ r, g, b }, group.representative, mergeTolerance, colorMetric)) {
                 group.colors.push(color);
                 group.totalCount += color.count;
                 foundGroup = true;
@@ -324,86 +419,66 @@ export function mergeColors(pattern, mergeTolerance) {
 
     // For each group, pick the most-used color as representative
     const colorMapping = {};
-    const newColorCounts = {};
 
     for (const group of colorGroups) {
-        // Find most-used color in group
-        const representative = group.colors.reduce((prev, curr) =>
-            curr.count > prev.count ? curr : prev
-        );
+        // Find most-used color in group, preferring colors from the palette
+        const allowed = paletteIds ? group.colors.filter(c => paletteIds.has(c.id)) : group.colors;
+        let representative;
+        if (allowed.length > 0) {
+            representative = allowed.reduce((prev, curr) =>
+                curr.count > prev.count ? curr : prev
+            );
+        } else {
+            representative = findClosestDMC(group.representative.r, group.representative.g, group.representative.b, { colorMetric, palette });
+        }
 
         // Map all colors in group to representative
         for (const color of group.colors) {
             colorMapping[color.id] = representative;
         }
-
-        // Initialize count for representative
-        newColorCounts[representative.id] = { ...representative, count: 0 };
     }
 
     // Update stitches with merged colors
-    const newStitches = pattern.stitches.map(stitch => {
-        const newColor = colorMapping[stitch.color.id];
-        newColorCounts[newColor.id].count++;
-        return { ...stitch, color: newColor };
-    });
+    const newStitches = pattern.stitches.map(stitch => ({ ...stitch, color: colorMapping[stitch.color.id] }));
 
     return {
         ...pattern,
         stitches: newStitches,
-        colorCounts: newColorCounts
+        colorCounts: countColors(newStitches)
     };
 }
 
 /**
  * Calculate pattern statistics including difficulty and estimated time
+ * Difficulty is scored by assessDifficulty; the layout factors need the stitches
  * @param {number} stitchCount - Total number of stitches
  * @param {number} colorCount - Number of different colors
- * @returns {Object} Statistics including difficulty, hours, and rating
+ * @param {Object} options - Optional settings
+ * @param {number} options.width - Pattern width in stitches; with height, adds the finished size
+ * @param {number} options.height - Pattern height in stitches
+ * @param {Object} options.fabric - Fabric from data/fabrics.js (default: Aida 14)
+ * @param {Array} options.stitches - Pattern stitches; adds the confetti score and the layout difficulty factors
+ * @param {Array} options.backstitches - Backstitch lines, for the difficulty score (default: none)
+ * @param {number} options.minIslandSize - Smallest color island that is not confetti (default: 3)
+ * @returns {Object} Statistics including difficulty with its difficultyScore and difficultyFactors
+ *                   breakdown, hours, and rating, plus finishedSize
+ *                   (see calculateFinishedSize) when the dimensions are given and confetti
+ *                   (see calculateConfettiScore) when the stitches are given
  */
-export function calculatePatternStats(stitchCount, colorCount) {
+export function calculatePatternStats(stitchCount, colorCount, options = {}) {
+    const {
+        width = 0,
+        height = 0,
+        fabric = getFabric(DEFAULT_FABRIC_ID),
+        stitches = null,
+        backstitches = [],
+        minIslandSize = DEFAULT_MIN_ISLAND_SIZE
+    } = options;
     // Average stitching speed: 200-300 stitches per hour
     // Using 250 as middle ground
     const stitchesPerHour = 250;
     const estimatedHours = stitchCount / stitchesPerHour;
 
-    // Difficulty calculation
-    let difficulty = 'Beginner';
-    let difficultyScore = 0;
-
-    // Base difficulty on stitch count
-    if (stitchCount < 2000) {
-        difficultyScore += 1; // Very easy
-    } else if (stitchCount < 5000) {
-        difficultyScore += 2; // Easy
-    } else if (stitchCount < 10000) {
-        difficultyScore += 3; // Medium
-    } else if (stitchCount < 20000) {
-        difficultyScore += 4; // Hard
-    } else {
-        difficultyScore += 5; // Very hard
-    }
-
-    // Add difficulty based on color count
-    if (colorCount > 30) {
-        difficultyScore += 2;
-    } else if (colorCount > 20) {
-        difficultyScore += 1;
-    }
-
-    // Determine final difficulty
-    if (difficultyScore <= 2) {
-        difficulty = 'Beginner';
-    } else if (difficultyScore <= 4) {
-        difficulty = 'Easy';
-    } else if (difficultyScore <= 6) {
-        difficulty = 'Intermediate';
-    } else if (difficultyScore <= 8) {
-        difficulty = 'Advanced';
-    } else {
-        difficulty = 'Expert';
-    }
-
     // Format time estimate
     let timeEstimate = '';
     if (estimatedHours < 1) {
@@ -422,59 +497,270 @@ export function calculatePatternStats(stitchCount, colorCount) {
         }
     }
 
-    return {
-        difficulty,
+    const confetti = stitches ? calculateConfettiScore(stitches, { minIslandSize }) : null;
+    const { level, score, factors } = assessDifficulty(stitchCount, colorCount, { stitches, confetti, backstitches });
+
+    const stats = {
+        difficulty: level,
+        difficultyScore: score,
+        difficultyFactors: factors,
         estimatedHours: estimatedHours.toFixed(1),
         timeEstimate,
         stitchesPerHour
     };
+    if (width > 0 && height > 0) {
+        stats.finishedSize = calculateFinishedSize(width, height, fabric);
+    }
+    if (confetti) {
+        stats.confetti = confetti;
+    }
+    return stats;
+}
+
+/**
+ * Stitched colors plus any colors used only by backstitches or ornaments, and the
+ * threads that make up each blend
+ * The extra colors get a zero stitch count so palettes and lists still include them
+ * @private
+ */
+function collectPaletteColors(colorCounts, backstitches, ornaments) {
+    const colors = { ...colorCounts };
+    const extras = [...backstitches, ...ornaments].map(item => item.color);
+    for (const color of extras) {
+        if (!colors[color.id]) {
+            colors[color.id] = { ...color, count: 0 };
+        }
+    }
+    for (const color of Object.values(colors)) {
+        if (!isBlend(color)) continue;
+        for (const thread of color.blend) {
+            if (!colors[thread.id]) {
+                colors[thread.id] = { ...thread, count: 0 };
+            }
+        }
+    }
+    return colors;
 }
 
 /**
  * Generate thread shopping list based on color counts
- * @param {Object} colorCounts - DMC colors with usage counts
- * @returns {Array} Shopping list with DMC numbers, names, and skein requirements
+ * Floss is estimated per color by threadEstimator.js from the stitch types, fabric count and strands,
+ * plus the thread carried between scattered stitches when the stitch positions are given, and a
+ * waste allowance on top. Blends are listed under their two threads, each using half the blend's floss
+ *
+ * @param {Object} colorCounts - Thread colors with usage counts
+ * @param {Object} options - Optional settings
+ * @param {Object} options.stash - Owned DMC threads { [dmcNumber]: skeins }; adds owned/toBuy per item
+ * @param {Array} options.backstitches - Backstitch lines; their threads are added with a backstitchLength
+ * @param {Array} options.ornaments - Knots and beads; knot threads are added with a knots count (beads are
+ *   listed by generateBeadShoppingList)
+ * @param {Array} options.stitches - Pattern stitches, to estimate travel between scattered stitches
+ * @param {Object} options.fabric - Fabric from data/fabrics.js (default: Aida 14)
+ * @param {number} options.strands - Strands for cross stitches and knots (default: 2)
+ * @param {number} options.backstitchStrands - Strands for backstitch (default: 1)
+ * @param {number} options.wasteFactor - Extra floss for tails and trimming, as a fraction (default: 0.1)
+ * @returns {Array} Shopping list with brand, thread numbers, cross-references, names, stitch types, meters
+ *   of floss with a threadUsage breakdown, and skein requirements
  */
-export function generateThreadShoppingList(colorCounts) {
-    // DMC floss: 8 meters per skein
-    // Average full cross stitch uses ~0.5 cm of thread
-    // So 1 skein (800 cm) = ~1600 stitches
-    const stitchesPerSkein = 1600;
+export function generateThreadShoppingList(colorCounts, options = {}) {
+    const {
+        stash = null,
+        backstitches = [],
+        ornaments = [],
+        stitches = [],
+        fabric = getFabric(DEFAULT_FABRIC_ID),
+        strands = DEFAULT_STRANDS,
+        backstitchStrands = 1,
+        wasteFactor = DEFAULT_WASTE_FACTOR
+    } = options;
+
+    // Threads used only for backstitch or knots still need buying
+    const backstitchLengths = countBackstitchLengths(backstitches);
+    const knotCounts = countOrnaments(ornaments, 'french-knot');
+    const travel = measureTravel(stitches);
+    const colors = collectPaletteColors(colorCounts, backstitches, ornaments.filter(ornament => ornament.type === 'french-knot'));
+
+    // Thread used by one color, in full-stitch equivalents and meters of floss
+    const getUsage = (color) => {
+        const stitchTypes = color.stitchTypes || { full: color.count };
+        const fullStitchEquivalents = Object.entries(stitchTypes)
+            .reduce((sum, [type, count]) => sum + count * STITCH_THREAD_USAGE[type], 0);
+        const backstitchLength = backstitchLengths[color.id] ? Math.round(backstitchLengths[color.id].length * 10) / 10 : 0;
+        const knots = knotCounts[color.id] ? knotCounts[color.id].count : 0;
+        const floss = estimateFloss({ stitchTypes, backstitchLength, knots, ...travel[color.id] },
+            { fabric, strands, backstitchStrands });
+        return { stitchTypes, fullStitchEquivalents, backstitchLength, knots, floss };
+    };
 
-    const shoppingList = Object.values(colorCounts)
+    // A blend uses one strand of each thread, so each thread gets half of the blend's floss
+    const blendUsage = {};
+    for (const color of Object.values(colors)) {
+        if (!isBlend(color)) continue;
+        const { floss } = getUsage(color);
+        const meters = Object.values(floss).reduce((sum, length) => sum + length, 0);
+        color.blend.forEach((thread, index) => {
+            if (!colors[thread.id]) colors[thread.id] = { ...thread, count: 0 };
+            if (!blendUsage[thread.id]) blendUsage[thread.id] = { stitches: 0, meters: 0, partners: [] };
+            blendUsage[thread.id].stitches += color.count;
+            blendUsage[thread.id].meters += meters / 2;
+            blendUsage[thread.id].partners.push(color.blend[1 - index].id);
+        });
+    }
+
+    const roundMeters = (meters) => Math.round(meters * 100) / 100;
+
+    const shoppingList = Object.values(colors)
+        .filter(color => !isBlend(color))
         .map(color => {
-            const skeinsNeeded = Math.ceil(color.count / stitchesPerSkein);
-            return {
-                dmcNumber: color.id,
+            const brand = color.brand || 'DMC';
+            const dmcNumber = brand === 'DMC' ? color.id : color.dmc;
+            const { stitchTypes, fullStitchEquivalents, backstitchLength, knots, floss } = getUsage(color);
+            const blended = blendUsage[color.id] || { stitches: 0, meters: 0, partners: [] };
+            const subtotal = floss.stitches + floss.backstitch + floss.knots + floss.travel + blended.meters;
+            const meters = subtotal * (1 + wasteFactor);
+            const skeinsNeeded = Math.max(1, Math.ceil(meters / (SKEIN_METERS[brand] || SKEIN_METERS.DMC)));
+            const item = {
+                brand,
+                threadNumber: color.id,
+                dmcNumber,
+                crossReference: formatCrossReference(brand, color.id),
                 name: color.name,
                 hex: color.hex,
                 stitches: color.count,
+                stitchTypes,
+                fullStitchEquivalents,
+                backstitchLength,
+                knots,
+                blendStitches: blended.stitches,
+                blendPartners: blended.partners,
+                meters: roundMeters(meters),
+                threadUsage: {
+                    stitches: roundMeters(floss.stitches),
+                    backstitch: roundMeters(floss.backstitch),
+                    knots: roundMeters(floss.knots),
+                    travel: roundMeters(floss.travel),
+                    blends: roundMeters(blended.meters),
+                    waste: roundMeters(meters - subtotal)
+                },
                 skeinsNeeded: skeinsNeeded
             };
+
+            if (stash) {
+                item.owned = stash[dmcNumber] || 0;
+                item.toBuy = Math.max(0, skeinsNeeded - item.owned);
+            }
+
+            return item;
         })
-        .sort((a, b) => b.stitches - a.stitches); // Sort by usage
+        // Sort by usage
+        .sort((a, b) => (b.stitches + b.blendStitches) - (a.stitches + a.blendStitches) ||
+            b.backstitchLength - a.backstitchLength || b.knots - a.knots);
 
     return shoppingList;
 }
 
+/**
+ * Generate a bead shopping list from a pattern's ornaments
+ * @param {Array} ornaments - Knots and beads { x, y, type, color }; only beads are listed
+ * @returns {Array} Bead list { brand, beadNumber, name, hex, beads, packetsNeeded }, most-used first
+ */
+export function generateBeadShoppingList(ornaments) {
+    // A 4.54 g packet of size 11/0 glass seed beads holds roughly 450 beads
+    const beadsPerPacket = 450;
+
+    return Object.values(countOrnaments(ornaments, 'bead'))
+        .map(bead => ({
+            brand: bead.brand || 'Mill Hill',
+            beadNumber: bead.id,
+            name: bead.name,
+            hex: bead.hex,
+            beads: bead.count,
+            packetsNeeded: Math.ceil(bead.count / beadsPerPacket)
+        }))
+        .sort((a, b) => b.beads - a.beads);
+}
+
 /**
  * Export shopping list as text format
  * @param {Array} shoppingList - List from generateThreadShoppingList
+ * @param {Object} options - Optional settings
+ * @param {Array} options.beads - List from generateBeadShoppingList, added as its own section
  * @returns {string} Formatted text shopping list
  */
-export function exportShoppingListText(shoppingList) {
-    let text = 'DMC Thread Shopping List\n';
-    text += '========================\n\n';
+export function exportShoppingListText(shoppingList, options = {}) {
+    const { beads = [] } = options;
+    const brand = shoppingList.length > 0 ? shoppingList[0].brand : 'DMC';
+    const title = `${brand} Thread Shopping List`;
+
+    let text = `${title}\n`;
+    text += `${'='.repeat(title.length)}\n\n`;
     text += `Total Colors: ${shoppingList.length}\n`;
-    text += `Total Skeins: ${shoppingList.reduce((sum, item) => sum + item.skeinsNeeded, 0)}\n\n`;
-    text += 'DMC #\tName\t\t\t\tSkeins\tStitches\n';
-    text += '-----\t----\t\t\t\t------\t--------\n';
+    text += `Total Skeins: ${shoppingList.reduce((sum, item) => sum + item.skeinsNeeded, 0)}\n`;
+    text += `Total Floss: ${shoppingList.reduce((sum, item) => sum + item.meters, 0).toFixed(1)} m\n`;
+
+    // Lists generated against a stash also show what still has to be bought
+    const hasStash = shoppingList.some(item => item.toBuy !== undefined);
+    if (hasStash) {
+        text += `Skeins to Buy (beyond stash): ${shoppingList.reduce((sum, item) => sum + item.toBuy, 0)}\n`;
+    }
+    text += '\n';
+
+    text += `${brand} #\tName\t\t\t\tSkeins\tMeters\tStitches\t${hasStash ? 'Owned\tTo Buy\t' : ''}Equivalents\n`;
+    text += `${'-'.repeat(brand.length + 2)}\t----\t\t\t\t------\t------\t--------\t${hasStash ? '-----\t------\t' : ''}-----------\n`;
 
     shoppingList.forEach(item => {
         const namePadded = item.name.padEnd(25);
-        text += `${item.dmcNumber}\t${namePadded}\t${item.skeinsNeeded}\t${item.stitches}\n`;
+        const stashColumns = hasStash ? `${item.owned}\t${item.toBuy}\t` : '';
+        text += `${item.threadNumber}\t${namePadded}\t${item.skeinsNeeded}\t${item.meters.toFixed(1)}\t${item.stitches}\t\t${stashColumns}${item.crossReference}\n`;
     });
 
+    // Where each thread's floss goes, so the skein counts can be checked
+    text += '\nThread Usage (meters of floss)\n------------------------------\n';
+    shoppingList.forEach(item => {
+        text += `${item.threadNumber}\t${describeThreadUsage(item.threadUsage)}\n`;
+    });
+
+    // Part stitches are counted in Stitches above; list them per thread so they can be planned for
+    const withParts = shoppingList.filter(item => describePartStitches(item.stitchTypes));
+    if (withParts.length > 0) {
+        text += '\nPart Stitches\n-------------\n';
+        withParts.forEach(item => {
+            text += `${item.threadNumber}\t${describePartStitches(item.stitchTypes)} (${item.fullStitchEquivalents} full-stitch equivalents)\n`;
+        });
+    }
+
+    const withBackstitch = shoppingList.filter(item => item.backstitchLength > 0);
+    if (withBackstitch.length > 0) {
+        text += '\nBackstitch\n----------\n';
+        withBackstitch.forEach(item => {
+            text += `${item.threadNumber}\t${item.backstitchLength} stitch-widths of line\n`;
+        });
+    }
+
+    const withBlends = shoppingList.filter(item => item.blendStitches > 0);
+    if (withBlends.length > 0) {
+        text += '\nBlends (one strand of each thread)\n----------------------------------\n';
+        withBlends.forEach(item => {
+            text += `${item.threadNumber}\t${item.blendStitches} blended stitches, with ${item.blendPartners.join(', ')}\n`;
+        });
+    }
+
+    const withKnots = shoppingList.filter(item => item.knots > 0);
+    if (withKnots.length > 0) {
+        text += '\nFrench Knots\n------------\n';
+        withKnots.forEach(item => {
+            text += `${item.threadNumber}\t${item.knots} ${item.knots === 1 ? 'knot' : 'knots'}\n`;
+        });
+    }
+
+    if (beads.length > 0) {
+        text += '\nBeads\n-----\n';
+        beads.forEach(bead => {
+            text += `${bead.brand} ${bead.beadNumber}\t${bead.name.padEnd(25)}\t${bead.beads} ${bead.beads === 1 ? 'bead' : 'beads'}\t` +
+                `${bead.packetsNeeded} ${bead.packetsNeeded === 1 ? 'packet' : 'packets'}\n`;
+        });
+    }
+
     return text;
 }
 
@@ -510,19 +796,64 @@ export function assignSymbolsToColors(colorCounts) {
     return symbolMap;
 }
 
+/**
+ * Chart styles for generateSVG
+ * 'stitches' draws colored X's (symbols optional), 'symbols' draws black symbols on a white
+ * grid for grayscale printing, and 'blocks' fills cells with color under the symbols
+ */
+export const CHART_MODES = ['stitches', 'symbols', 'blocks'];
+
+/**
+ * Margins around the stitch grid in generateSVG output
+ * Lets the editor map pointer positions on the chart back to stitch cells
+ *
+ * @param {Object} options - The showGridNumbers, showSymbols and chartMode options passed to generateSVG
+ * @returns {Object} { topMargin, leftMargin, rightMargin } in SVG units
+ */
+export function getSVGLayout(options = {}) {
+    const { showGridNumbers = false, showSymbols = false, chartMode = 'stitches' } = options;
+    return {
+        topMargin: showGridNumbers ? 20 : 0,
+        leftMargin: showGridNumbers ? 30 : 0,
+        rightMargin: showSymbols || chartMode !== 'stitches' ? 150 : 0
+    };
+}
+
+/**
+ * SVG glyph for a French knot or bead centered on (cx, cy)
+ * Knots are solid dots; beads are larger rings with a hole so the two read differently in print
+ * @private
+ */
+function ornamentGlyph(type, cx, cy, stitchSize, hex) {
+    if (type === 'bead') {
+        return `<circle cx="${cx}" cy="${cy}" r="${stitchSize * 0.38}" fill="${hex}" stroke="#333333" stroke-width="0.75"/>` +
+            `<circle cx="${cx}" cy="${cy}" r="${stitchSize * 0.12}" fill="#FFFFFF" stroke="#333333" stroke-width="0.5"/>`;
+    }
+    return `<circle cx="${cx}" cy="${cy}" r="${stitchSize * 0.25}" fill="${hex}" stroke="#000000" stroke-width="0.75"/>`;
+}
+
 /**
  * Generate SVG pattern from stitches
  *
- * @param {Array} stitches - Array of stitch objects { x, y, color }
+ * @param {Array} stitches - Array of stitch objects { x, y, color, type } (see stitchTypes.js)
  * @param {number} width - Pattern width in stitches
  * @param {number} height - Pattern height in stitches
  * @param {number} stitchSize - Size of each stitch in pixels (default: 10)
  * @param {Object} options - Additional options
  * @param {boolean} options.showSymbols - Whether to show symbols on stitches
- * @param {Object} options.colorCounts - Color usage counts (required if showSymbols is true)
+ * @param {Object} options.colorCounts - Color usage counts (required if showSymbols is true;
+ *                                       counted from the stitches in the symbol chart modes)
+ * @param {string} options.chartMode - Chart style, one of CHART_MODES (default: 'stitches').
+ *                                     'symbols' and 'blocks' always show symbols, the legend and
+ *                                     bold lines every 10 stitches
  * @param {boolean} options.showGridNumbers - Whether to show grid numbers every 10 stitches
  * @param {boolean} options.showBorder - Whether to show a decorative border
  * @param {number} options.borderWidth - Border width in pixels (default: 3)
+ * @param {Array} options.backstitches - Backstitch lines drawn over the stitches (default: none)
+ * @param {Array} options.ornaments - French knots and beads drawn on grid corners (default: none)
+ * @param {Object} options.region - Draw only this window of the chart { x, y, width, height }, in stitches,
+ *                                  shading repeatLeft/repeatTop columns/rows repeated from the previous page
+ *                                  (default: the whole chart; see pageTiles.js)
  * @returns {string} SVG string
  */
 export function generateSVG(stitches, width, height, stitchSize = 10, options = {}) {
@@ -531,24 +862,47 @@ export function generateSVG(stitches, width, height, stitchSize = 10, options =
         colorCounts = null,
         showGridNumbers = false,
         showBorder = false,
-        borderWidth = 3
+        borderWidth = 3,
+        backstitches = [],
+        ornaments = [],
+        region = null,
+        chartMode = 'stitches'
     } = options;
-    const svgWidth = width * stitchSize;
-    const svgHeight = height * stitchSize;
+    const view = region || { x: 0, y: 0, width, height };
+    const svgWidth = view.width * stitchSize;
+    const svgHeight = view.height * stitchSize;
+    const symbolChart = chartMode === 'symbols' || chartMode === 'blocks';
 
     // Calculate margins for grid numbers
-    const topMargin = showGridNumbers ? 20 : 0;
-    const leftMargin = showGridNumbers ? 30 : 0;
-    const rightMargin = showSymbols ? 150 : 0;
-
-    const totalWidth = leftMargin + svgWidth + rightMargin;
-    const totalHeight = topMargin + svgHeight;
+    const { topMargin, leftMargin, rightMargin } = getSVGLayout({ showGridNumbers, showSymbols, chartMode });
 
+    const legendCounts = colorCounts || (symbolChart ? countColors(stitches) : null);
     let symbolMap = null;
-    if (showSymbols && colorCounts) {
-        symbolMap = assignSymbolsToColors(colorCounts);
+    if ((showSymbols || symbolChart) && legendCounts) {
+        symbolMap = assignSymbolsToColors(legendCounts);
     }
 
+    // Legend rows: stitch colors, then backstitch threads, then knot threads and bead colors
+    const legendY = topMargin + 10;
+    const legendLineHeight = 15;
+    let legendRows = null;
+    if (symbolMap) {
+        legendRows = {
+            colors: Object.values(legendCounts).sort((a, b) => b.count - a.count),
+            backstitches: Object.values(countBackstitchLengths(backstitches)),
+            ornaments: ORNAMENT_TYPES.flatMap(type =>
+                Object.values(countOrnaments(ornaments, type)).map(color => ({ type, color })))
+        };
+    }
+    const legendRowCount = legendRows
+        ? legendRows.colors.length + legendRows.backstitches.length + legendRows.ornaments.length
+        : 0;
+
+    // The chart grows taller when the legend runs past the bottom of the grid
+    const totalWidth = leftMargin + svgWidth + rightMargin;
+    const legendBottom = legendRows ? legendY + 20 + legendRowCount * legendLineHeight : 0;
+    const totalHeight = Math.max(topMargin + svgHeight, legendBottom);
+
     let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${totalHeight}" width="${totalWidth}" height="${totalHeight}">`;
 
     // Add white background for margins
@@ -556,11 +910,11 @@ export function generateSVG(stitches, width, height, stitchSize = 10, options =
         svgContent += `<rect x="0" y="0" width="${totalWidth}" height="${totalHeight}" fill="#FFFFFF"/>`;
     }
 
-    // Background grid
+    // Background grid; symbol charts print on white with darker cell lines
     svgContent += `<defs>
         <pattern id="grid" width="${stitchSize}" height="${stitchSize}" patternUnits="userSpaceOnUse">
-            <rect width="${stitchSize}" height="${stitchSize}" fill="#F5F0E8"/>
-            <path d="M ${stitchSize} 0 L 0 0 0 ${stitchSize}" fill="none" stroke="#E0D8D0" stroke-width="0.5"/>
+            <rect width="${stitchSize}" height="${stitchSize}" fill="${symbolChart ? '#FFFFFF' : '#F5F0E8'}"/>
+            <path d="M ${stitchSize} 0 L 0 0 0 ${stitchSize}" fill="none" stroke="${symbolChart ? '#BBBBBB' : '#E0D8D0'}" stroke-width="0.5"/>
         </pattern>
     </defs>`;
 
@@ -568,63 +922,146 @@ export function generateSVG(stitches, width, height, stitchSize = 10, options =
     svgContent += `<g transform="translate(${leftMargin}, ${topMargin})">`;
     svgContent += `<rect width="${svgWidth}" height="${svgHeight}" fill="url(#grid)"/>`;
 
+    // Grid numbers and darker lines every 10 stitches count from the chart's top-left corner, not the region's
+    const firstX = Math.floor(view.x / 10) * 10 + 10;
+    const firstY = Math.floor(view.y / 10) * 10 + 10;
+    // Lines are drawn in the region's coordinates, shifted by (shiftX, shiftY)
+    const majorGridLines = (shiftX, shiftY, stroke, strokeWidth) => {
+        let lines = '';
+        for (let x = firstX; x < view.x + view.width; x += 10) {
+            const xPos = (x - view.x) * stitchSize + shiftX;
+            lines += `<line x1="${xPos}" y1="${shiftY}" x2="${xPos}" y2="${svgHeight + shiftY}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+        }
+        for (let y = firstY; y < view.y + view.height; y += 10) {
+            const yPos = (y - view.y) * stitchSize + shiftY;
+            lines += `<line x1="${shiftX}" y1="${yPos}" x2="${svgWidth + shiftX}" y2="${yPos}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+        }
+        return lines;
+    };
+
     // Add grid numbers if enabled
     if (showGridNumbers) {
         // Top numbers (every 10 stitches)
-        for (let x = 10; x <= width; x += 10) {
-            const xPos = x * stitchSize;
+        for (let x = firstX; x <= view.x + view.width; x += 10) {
+            const xPos = (x - view.x) * stitchSize;
             svgContent += `<text x="${xPos}" y="${-5}" font-size="10" font-family="Arial, sans-serif" text-anchor="middle" fill="#666666">${x}</text>`;
         }
 
         // Left numbers (every 10 stitches)
-        for (let y = 10; y <= height; y += 10) {
-            const yPos = y * stitchSize;
+        for (let y = firstY; y <= view.y + view.height; y += 10) {
+            const yPos = (y - view.y) * stitchSize;
             svgContent += `<text x="${-5}" y="${yPos}" font-size="10" font-family="Arial, sans-serif" text-anchor="end" dominant-baseline="middle" fill="#666666">${y}</text>`;
         }
 
-        // Add darker grid lines every 10 stitches
-        for (let x = 10; x < width; x += 10) {
-            const xPos = x * stitchSize;
-            svgContent += `<line x1="${xPos}" y1="0" x2="${xPos}" y2="${svgHeight}" stroke="#999999" stroke-width="1"/>`;
-        }
-        for (let y = 10; y < height; y += 10) {
-            const yPos = y * stitchSize;
-            svgContent += `<line x1="0" y1="${yPos}" x2="${svgWidth}" y2="${yPos}" stroke="#999999" stroke-width="1"/>`;
+        // Add darker grid lines every 10 stitches, under the stitches
+        if (!symbolChart) {
+            svgContent += majorGridLines(0, 0, '#999999', 1);
         }
     }
 
-    // Cross stitches
-    for (const stitch of stitches) {
+    // A region keeps chart coordinates, shifted so its corner sits at the origin and clipped to its edges
+    if (region) {
+        const clipId = `region-${view.x}-${view.y}`;
+        svgContent += `<clipPath id="${clipId}"><rect width="${svgWidth}" height="${svgHeight}"/></clipPath>`;
+        svgContent += `<g clip-path="url(#${clipId})"><g transform="translate(${-view.x * stitchSize}, ${-view.y * stitchSize})">`;
+    }
+    // Lines and ornaments on grid corners are kept when they touch the region's edges
+    const touchesView = (minX, minY, maxX, maxY) =>
+        maxX >= view.x && minX <= view.x + view.width && maxY >= view.y && minY <= view.y + view.height;
+    const visibleStitches = region
+        ? stitches.filter(stitch => stitch.x >= view.x && stitch.x < view.x + view.width &&
+            stitch.y >= view.y && stitch.y < view.y + view.height)
+        : stitches;
+    const visibleBackstitches = region
+        ? backstitches.filter(line => touchesView(Math.min(line.x1, line.x2), Math.min(line.y1, line.y2),
+            Math.max(line.x1, line.x2), Math.max(line.y1, line.y2)))
+        : backstitches;
+    const visibleOrnaments = region
+        ? ornaments.filter(ornament => touchesView(ornament.x, ornament.y, ornament.x, ornament.y))
+        : ornaments;
+
+    // Cross stitches, including half, quarter and three-quarter stitches
+    for (const stitch of visibleStitches) {
         const sx = stitch.x * stitchSize;
         const sy = stitch.y * stitchSize;
-        const padding = 1;
 
-        // Draw X stitch
-        svgContent += `<g>
-            <line x1="${sx + padding}" y1="${sy + padding}" x2="${sx + stitchSize - padding}" y2="${sy + stitchSize - padding}"
-                  stroke="${stitch.color.hex}" stroke-width="2" stroke-linecap="round"/>
-            <line x1="${sx + stitchSize - padding}" y1="${sy + padding}" x2="${sx + padding}" y2="${sy + stitchSize - padding}"
-                  stroke="${stitch.color.hex}" stroke-width="2" stroke-linecap="round"/>
-        </g>`;
+        if (chartMode === 'blocks') {
+            // Full stitches fill their cell; part stitches are drawn as thick legs
+            if (getStitchType(stitch) === 'full') {
+                svgContent += `<rect x="${sx}" y="${sy}" width="${stitchSize}" height="${stitchSize}" fill="${stitch.color.hex}"/>`;
+            } else {
+                for (const [x1, y1, x2, y2] of getStitchLegs(stitch)) {
+                    svgContent += `<line x1="${sx + x1 * stitchSize}" y1="${sy + y1 * stitchSize}" x2="${sx + x2 * stitchSize}" y2="${sy + y2 * stitchSize}" ` +
+                        `stroke="${stitch.color.hex}" stroke-width="${stitchSize * 0.3}" stroke-linecap="round"/>`;
+                }
+            }
+        } else if (chartMode !== 'symbols') {
+            const padding = 1;
+            const inner = stitchSize - padding * 2;
+
+            // Draw each leg of the stitch inside the padded cell
+            svgContent += '<g>';
+            for (const [x1, y1, x2, y2] of getStitchLegs(stitch)) {
+                svgContent += `
+            <line x1="${sx + padding + x1 * inner}" y1="${sy + padding + y1 * inner}" x2="${sx + padding + x2 * inner}" y2="${sy + padding + y2 * inner}"
+                  stroke="${stitch.color.hex}" stroke-width="2" stroke-linecap="round"/>`;
+            }
+            svgContent += '\n        </g>';
+        }
 
-        // Add symbol overlay if enabled
+        // Add symbol overlay if enabled; symbol charts need no halo, the grid is plain
         if (symbolMap) {
             const symbol = symbolMap[stitch.color.id];
-            const textX = sx + stitchSize / 2;
-            const textY = sy + stitchSize / 2;
+            const placement = getSymbolPlacement(stitch);
+            const textX = sx + stitchSize * placement.x;
+            const textY = sy + stitchSize * placement.y;
+            const ink = chartMode === 'blocks' ? getContrastColor(stitch.color.hex) : '#000000';
+            const halo = symbolChart ? '' : `
+                stroke="#FFFFFF"
+                stroke-width="0.5"
+                paint-order="stroke"`;
             svgContent += `<text x="${textX}" y="${textY}"
-                font-size="${stitchSize * 0.6}"
+                font-size="${stitchSize * 0.6 * placement.scale}"
                 font-family="Arial, sans-serif"
                 text-anchor="middle"
                 dominant-baseline="central"
-                fill="#000000"
-                stroke="#FFFFFF"
-                stroke-width="0.5"
-                paint-order="stroke"
+                fill="${ink}"${halo}
                 style="pointer-events: none;">${symbol}</text>`;
         }
     }
 
+    // Symbol charts get bold 10-stitch lines on top of the stitches, in chart coordinates
+    if (symbolChart) {
+        svgContent += majorGridLines(view.x * stitchSize, view.y * stitchSize, '#000000', 1.5);
+    }
+
+    // Columns and rows repeated from the previous page are shaded
+    if (region) {
+        const { repeatLeft = 0, repeatTop = 0 } = region;
+        if (repeatLeft > 0) {
+            svgContent += `<rect x="${view.x * stitchSize}" y="${view.y * stitchSize}" width="${repeatLeft * stitchSize}" height="${svgHeight}" fill="#000000" fill-opacity="0.1"/>`;
+        }
+        if (repeatTop > 0) {
+            svgContent += `<rect x="${(view.x + repeatLeft) * stitchSize}" y="${view.y * stitchSize}" width="${svgWidth - repeatLeft * stitchSize}" height="${repeatTop * stitchSize}" fill="#000000" fill-opacity="0.1"/>`;
+        }
+    }
+
+    // Backstitches run between grid corners, on top of the stitches
+    for (const backstitch of visibleBackstitches) {
+        svgContent += `<line x1="${backstitch.x1 * stitchSize}" y1="${backstitch.y1 * stitchSize}" ` +
+            `x2="${backstitch.x2 * stitchSize}" y2="${backstitch.y2 * stitchSize}" ` +
+            `stroke="${backstitch.color.hex}" stroke-width="2.5" stroke-linecap="round"/>`;
+    }
+
+    // Knots and beads go on top of everything else
+    for (const ornament of visibleOrnaments) {
+        svgContent += ornamentGlyph(ornament.type, ornament.x * stitchSize, ornament.y * stitchSize, stitchSize, ornament.color.hex);
+    }
+
+    if (region) {
+        svgContent += `</g></g>`;
+    }
+
     // Close the transform group
     svgContent += `</g>`;
 
@@ -666,25 +1103,46 @@ export function generateSVG(stitches, width, height, stitchSize = 10, options =
     }
 
     // Add legend if symbols are enabled (outside transform group)
-    if (symbolMap && colorCounts) {
+    if (legendRows) {
         const legendX = leftMargin + svgWidth + 10;
-        const legendY = topMargin + 10;
-        const lineHeight = 15;
 
         svgContent += `<g id="legend">`;
         svgContent += `<text x="${legendX}" y="${legendY}" font-size="12" font-weight="bold" fill="#000000">Legend</text>`;
 
-        const sortedColors = Object.values(colorCounts).sort((a, b) => b.count - a.count);
+        const sortedColors = legendRows.colors;
         sortedColors.forEach((color, index) => {
-            const y = legendY + 20 + index * lineHeight;
+            const y = legendY + 20 + index * legendLineHeight;
             const symbol = symbolMap[color.id];
 
-            // Color swatch
-            svgContent += `<rect x="${legendX}" y="${y - 10}" width="10" height="10" fill="${color.hex}" stroke="#000000" stroke-width="0.5"/>`;
+            // Color swatch; blends are split diagonally into their two threads
+            if (isBlend(color)) {
+                const [first, second] = color.blend;
+                svgContent += `<path d="M ${legendX} ${y - 10} h 10 L ${legendX} ${y} Z" fill="${first.hex}"/>`;
+                svgContent += `<path d="M ${legendX + 10} ${y - 10} v 10 h -10 Z" fill="${second.hex}"/>`;
+                svgContent += `<rect x="${legendX}" y="${y - 10}" width="10" height="10" fill="none" stroke="#000000" stroke-width="0.5"/>`;
+            } else {
+                svgContent += `<rect x="${legendX}" y="${y - 10}" width="10" height="10" fill="${color.hex}" stroke="#000000" stroke-width="0.5"/>`;
+            }
             // Symbol
             svgContent += `<text x="${legendX + 15}" y="${y}" font-size="10" fill="#000000">${symbol}</text>`;
-            // DMC number
-            svgContent += `<text x="${legendX + 30}" y="${y}" font-size="9" fill="#000000">DMC ${color.id}</text>`;
+            // Thread number
+            svgContent += `<text x="${legendX + 30}" y="${y}" font-size="9" fill="#000000">${escapeXml(`${color.brand || 'DMC'} ${color.id}`)}${isBlend(color) ? ' (blend)' : ''}</text>`;
+        });
+
+        // Backstitch threads, each shown as a short line
+        const backstitchColors = legendRows.backstitches;
+        backstitchColors.forEach((color, index) => {
+            const y = legendY + 20 + (sortedColors.length + index) * legendLineHeight;
+            svgContent += `<line x1="${legendX}" y1="${y - 5}" x2="${legendX + 25}" y2="${y - 5}" stroke="${color.hex}" stroke-width="2.5" stroke-linecap="round"/>`;
+            svgContent += `<text x="${legendX + 30}" y="${y}" font-size="9" fill="#000000">${escapeXml(`${color.brand || 'DMC'} ${color.id}`)} (backstitch)</text>`;
+        });
+
+        // Knot threads and bead colors, each shown with its glyph
+        const ornamentColors = legendRows.ornaments;
+        ornamentColors.forEach(({ type, color }, index) => {
+            const y = legendY + 20 + (sortedColors.length + backstitchColors.length + index) * legendLineHeight;
+            svgContent += ornamentGlyph(type, legendX + 12, y - 5, 10, color.hex);
+            svgContent += `<text x="${legendX + 30}" y="${y}" font-size="9" fill="#000000">${escapeXml(`${color.brand || 'DMC'} ${color.id}`)} (${ORNAMENT_LABELS[type]})</text>`;
         });
 
         svgContent += `</g>`;
@@ -697,17 +1155,30 @@ export function generateSVG(stitches, width, height, stitchSize = 10, options =
 
 /**
  * Generate Open Cross Stitch format (JSON)
+ * Version 1.1 adds part stitches: "half" with a direction, and "quarter" or
+ * "three-quarter" with a corner (see stitchTypes.js), and backstitch lines.
+ * Version 1.2 adds French knots and beads; bead colors are listed in the palette
+ * with brand "Mill Hill". Version 1.3 adds blends: palette entries with id "A+B" and
+ * blend: ["A", "B"], whose two threads are also listed in the palette
  *
- * @param {Array} stitches - Array of stitch objects { x, y, color }
+ * @param {Array} stitches - Array of stitch objects { x, y, color, type }
  * @param {number} width - Pattern width in stitches
  * @param {number} height - Pattern height in stitches
- * @param {Object} colorCounts - DMC color usage counts
+ * @param {Object} colorCounts - Thread color usage counts
+ * @param {Object} options - Optional settings
+ * @param {Array} options.backstitches - Backstitch lines, saved as { x1, y1, x2, y2, color } (default: none)
+ * @param {Array} options.ornaments - Knots and beads, saved as { x, y, type, color } (default: none)
  * @returns {string} JSON string
  */
-export function generateOpenCrossStitchFormat(stitches, width, height, colorCounts) {
+export function generateOpenCrossStitchFormat(stitches, width, height, colorCounts, options = {}) {
+    const { backstitches = [], ornaments = [] } = options;
+
+    // Colors used only for backstitch or ornaments are listed with a zero stitch count
+    const paletteColors = collectPaletteColors(colorCounts, backstitches, ornaments);
+
     const pattern = {
         format: "Open Cross Stitch Format",
-        version: "1.0",
+        version: "1.3",
         metadata: {
             title: "Cross Stitch Pattern",
             author: "Cross Stitch Pattern Maker",
@@ -719,42 +1190,330 @@ export function generateOpenCrossStitchFormat(stitches, width, height, colorCoun
             height,
             stitchCount: stitches.length
         },
-        palette: Object.values(colorCounts).map(color => ({
-            id: color.id,
-            name: color.name,
-            hex: color.hex,
-            brand: "DMC",
-            count: color.count
+        palette: Object.values(paletteColors).map(color => {
+            const entry = {
+                id: color.id,
+                name: color.name,
+                hex: color.hex,
+                brand: color.brand || "DMC",
+                count: color.count
+            };
+            if (isBlend(color)) {
+                entry.blend = color.blend.map(thread => thread.id);
+            }
+            return entry;
+        }),
+        stitches: stitches.map(stitch => {
+            const type = getStitchType(stitch);
+            const entry = { x: stitch.x, y: stitch.y, color: stitch.color.id, type };
+            if (type === 'half') {
+                entry.direction = stitch.direction;
+            } else if (type !== 'full') {
+                entry.corner = stitch.corner;
+            }
+            return entry;
+        }),
+        backstitches: backstitches.map(backstitch => ({
+            x1: backstitch.x1,
+            y1: backstitch.y1,
+            x2: backstitch.x2,
+            y2: backstitch.y2,
+            color: backstitch.color.id
         })),
-        stitches: stitches.map(stitch => ({
-            x: stitch.x,
-            y: stitch.y,
-            color: stitch.color.id,
-            type: "full" // Full cross stitch
+        ornaments: ornaments.map(ornament => ({
+            x: ornament.x,
+            y: ornament.y,
+            type: ornament.type,
+            color: ornament.color.id
         }))
     };
 
     return JSON.stringify(pattern, null, 2);
 }
 
+/**
+ * Escape text for use in XML or HTML, in element content or an attribute
+ * Thread ids and names can come from imported files, so they are always escaped
+ * @private
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * How part stitches map to OXS partstitch elements (shared with the OXS importer)
+ * Direction 1 splits the cell along "\" (palindex1 fills the top-right triangle,
+ * palindex2 the bottom-left), direction 2 along "/" (palindex1 top-left, palindex2
+ * bottom-right). Three-quarter stitches fill the triangle at their corner; quarter
+ * stitches are written separately (see OXS_QUARTER_OFFSETS) so they read back as quarters.
+ */
+export const OXS_PART_TRIANGLES = {
+    'top-right': { direction: 1, slot: 'palindex1' },
+    'bottom-left': { direction: 1, slot: 'palindex2' },
+    'top-left': { direction: 2, slot: 'palindex1' },
+    'bottom-right': { direction: 2, slot: 'palindex2' }
+};
+
+/**
+ * OXS partstitch directions for half stitches, drawn in palindex1
+ */
+export const OXS_HALF_DIRECTIONS = { '/': 3, '\\': 4 };
+
+/**
+ * OXS object type for quarter stitches (shared with the OXS importer)
+ */
+export const OXS_QUARTER_TYPE = 'quarter';
+
+/**
+ * Where a quarter stitch object sits within its cell, by corner
+ */
+export const OXS_QUARTER_OFFSETS = {
+    'top-left': [0.25, 0.25],
+    'top-right': [0.75, 0.25],
+    'bottom-right': [0.75, 0.75],
+    'bottom-left': [0.25, 0.75]
+};
+
+/**
+ * OXS object types for ornaments (shared with the OXS importer)
+ */
+export const OXS_ORNAMENT_TYPES = { 'french-knot': 'knot', 'bead': 'bead' };
+
+/**
+ * Generate an OXS (Open Cross Stitch XML) chart
+ * The interchange format read by KG-Chart, Pattern Keeper and similar apps.
+ * Palette index 0 is the cloth; thread numbers are written as "<brand> <number>".
+ *
+ * @param {Array} stitches - Array of stitch objects
+ * @param {number} width - Pattern width
+ * @param {number} height - Pattern height
+ * @param {Object} colorCounts - Color usage counts
+ * @param {Object} options - Optional settings
+ * @param {string} options.title - Chart title (default: 'Cross Stitch Pattern')
+ * @param {number} options.stitchesPerInch - Fabric count (default: 14)
+ * @param {Array} options.backstitches - Backstitch lines (default: none)
+ * @param {Array} options.ornaments - French knots and beads, written as ornament objects (default: none)
+ * @returns {string} OXS XML document
+ */
+export function generateOXS(stitches, width, height, colorCounts, options = {}) {
+    const { title = 'Cross Stitch Pattern', stitchesPerInch = 14, backstitches = [], ornaments = [] } = options;
+
+    // Colors used only for backstitch or ornaments go at the end of the palette
+    const paletteColors = collectPaletteColors(colorCounts, backstitches, ornaments);
+
+    const colors = Object.values(paletteColors).sort((a, b) => b.count - a.count);
+    const symbolMap = assignSymbolsToColors(paletteColors);
+    const paletteIndex = {};
+    colors.forEach((color, index) => {
+        paletteIndex[color.id] = index + 1;
+    });
+
+    const hexDigits = (hex) => hex.replace('#', '').toUpperCase();
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<chart>\n';
+    xml += '<format comments01="Designed to allow interchange of basic pattern data between any cross stitch style software" ' +
+        'comments02="palettecount excludes cloth color, which is item 0"/>\n';
+    xml += `<properties oxsversion="1.0" software="Cross Stitch Pattern Maker" software_version="1.0" ` +
+        `chartheight="${height}" chartwidth="${width}" charttitle="${escapeXml(title)}" author="" copyright="" instructions="" ` +
+        `stitchesperinch="${stitchesPerInch}" stitchesperinch_y="${stitchesPerInch}" palettecount="${colors.length}"/>\n`;
+
+    xml += '<palette>\n';
+    xml += '<palette_item index="0" number="cloth" name="cloth" color="FFFFFF"/>\n';
+    colors.forEach((color, index) => {
+        const hex = hexDigits(color.hex);
+        // Blends are numbered "DMC 310+321", with the second thread's color as the blend color
+        const blendColor = isBlend(color) ? hexDigits(color.blend[1].hex) : 'nil';
+        xml += `<palette_item index="${index + 1}" number="${escapeXml(`${color.brand || 'DMC'} ${color.id}`)}" ` +
+            `name="${escapeXml(color.name)}" color="${hex}" printcolor="${hex}" blendcolor="${blendColor}" comments="" ` +
+            `strands="2" symbol="${escapeXml(symbolMap[color.id])}" dashpattern="" bsstrands="1" bscolor="${hex}"/>\n`;
+    });
+    xml += '</palette>\n';
+
+    // Part stitches sharing a cell and a split diagonal go in one partstitch element
+    const partStitches = new Map();
+    const quarterStitches = [];
+    xml += '<fullstitches>\n';
+    for (const stitch of stitches) {
+        const type = getStitchType(stitch);
+        const palindex = paletteIndex[stitch.color.id];
+
+        if (type === 'full') {
+            xml += `<stitch x="${stitch.x}" y="${stitch.y}" palindex="${palindex}"/>\n`;
+        } else if (type === 'half') {
+            const direction = OXS_HALF_DIRECTIONS[stitch.direction];
+            partStitches.set(`${stitch.x},${stitch.y},${direction}`, { x: stitch.x, y: stitch.y, direction, palindex1: palindex, palindex2: 0 });
+        } else if (type === 'quarter') {
+            quarterStitches.push(stitch);
+        } else {
+            const { direction, slot } = OXS_PART_TRIANGLES[stitch.corner];
+            const key = `${stitch.x},${stitch.y},${direction}`;
+            const part = partStitches.get(key) || { x: stitch.x, y: stitch.y, direction, palindex1: 0, palindex2: 0 };
+            part[slot] = palindex;
+            partStitches.set(key, part);
+        }
+    }
+    xml += '</fullstitches>\n';
+
+    xml += '<partstitches>\n';
+    for (const part of partStitches.values()) {
+        xml += `<partstitch x="${part.x}" y="${part.y}" palindex1="${part.palindex1}" palindex2="${part.palindex2}" direction="${part.direction}"/>\n`;
+    }
+    xml += '</partstitches>\n';
+
+    xml += '<backstitches>\n';
+    backstitches.forEach((backstitch, index) => {
+        xml += `<backstitch x1="${backstitch.x1}" y1="${backstitch.y1}" x2="${backstitch.x2}" y2="${backstitch.y2}" ` +
+            `palindex="${paletteIndex[backstitch.color.id]}" objecttype="backstitch" sequence="${index}"/>\n`;
+    });
+    xml += '</backstitches>\n';
+
+    // Knots and beads sit on grid corners, in the same coordinates as backstitch ends
+    xml += '<ornaments_inc_knots_and_beads>\n';
+    for (const ornament of ornaments) {
+        xml += `<object x1="${ornament.x}" y1="${ornament.y}" palindex="${paletteIndex[ornament.color.id]}" ` +
+            `objecttype="${OXS_ORNAMENT_TYPES[ornament.type]}"/>\n`;
+    }
+    // Quarter stitches are objects at the middle of their quarter of the cell
+    for (const stitch of quarterStitches) {
+        const [offsetX, offsetY] = OXS_QUARTER_OFFSETS[stitch.corner];
+        xml += `<object x1="${stitch.x + offsetX}" y1="${stitch.y + offsetY}" palindex="${paletteIndex[stitch.color.id]}" ` +
+            `objecttype="${OXS_QUARTER_TYPE}"/>\n`;
+    }
+    xml += '</ornaments_inc_knots_and_beads>\n';
+
+    // Comment boxes are part of the format even when empty
+    xml += '<commentboxes>\n</commentboxes>\n';
+    xml += '</chart>\n';
+
+    return xml;
+}
+
+/**
+ * Overview of a multi-page chart: the whole pattern in miniature with each page tile outlined
+ * and numbered (numbers link to their pages)
+ * @private
+ */
+function generatePageMapSVG(stitches, width, height, tiles) {
+    const cell = 4;
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width * cell} ${height * cell}" width="${width * cell}" height="${height * cell}">`;
+    svg += `<rect width="${width * cell}" height="${height * cell}" fill="#F5F0E8"/>`;
+
+    for (const stitch of stitches) {
+        svg += `<rect x="${stitch.x * cell}" y="${stitch.y * cell}" width="${cell}" height="${cell}" fill="${stitch.color.hex}"/>`;
+    }
+
+    for (const tile of tiles) {
+        const fontSize = Math.min(tile.width, tile.height) * cell / 3;
+        svg += `<rect x="${tile.x * cell}" y="${tile.y * cell}" width="${tile.width * cell}" height="${tile.height * cell}" ` +
+            `fill="none" stroke="#B85450" stroke-width="2"/>`;
+        svg += `<a href="#page-${tile.page}"><text x="${(tile.x + tile.width / 2) * cell}" y="${(tile.y + tile.height / 2) * cell}" ` +
+            `font-size="${fontSize}" font-family="Arial, sans-serif" font-weight="bold" text-anchor="middle" dominant-baseline="central" ` +
+            `fill="#B85450" stroke="#FFFFFF" stroke-width="${fontSize / 10}" paint-order="stroke">${tile.page}</text></a>`;
+    }
+
+    svg += '</svg>';
+    return svg;
+}
+
+/**
+ * HTML for the overview map followed by one section per page tile
+ * @private
+ */
+function renderChartPages(stitches, width, height, tiles, svgOptions) {
+    const arrows = [['above', '↑'], ['left', '←'], ['right', '→'], ['below', '↓']];
+
+    let html = `
+    <div class="pattern page-map" id="page-map">
+        <h2>Chart Overview</h2>
+        <p class="page-info">The chart is split over ${tiles.length} pages. Shaded edge rows and columns repeat the neighboring page.</p>
+        ${generatePageMapSVG(stitches, width, height, tiles)}
+    </div>`;
+
+    for (const tile of tiles) {
+        const neighbors = getNeighborTiles(tiles, tile);
+        const links = arrows
+            .filter(([direction]) => neighbors[direction])
+            .map(([direction, label]) => `<a href="#page-${neighbors[direction].page}">${label} Page ${neighbors[direction].page}</a>`)
+            .join('');
+        const svg = generateSVG(stitches, width, height, 10, { ...svgOptions, region: tile });
+
+        html += `
+    <section class="chart-page" id="page-${tile.page}">
+        <h2>Page ${tile.page} of ${tiles.length}</h2>
+        <p class="page-info">Columns ${tile.x + 1}–${tile.x + tile.width}, rows ${tile.y + 1}–${tile.y + tile.height}</p>
+        <p class="page-nav">${links}<a href="#page-map">Overview</a></p>
+        <div class="pattern">${svg}</div>
+    </section>`;
+    }
+
+    return html;
+}
+
 /**
  * Generate a printable HTML page for PDF export
+ * Charts larger than one page are split into page tiles (see pageTiles.js), each with its chart
+ * coordinates, links to the neighboring pages and the symbol legend, after an overview page
+ * showing where every page sits in the pattern.
+ *
  * @param {Array} stitches - Array of stitch objects
  * @param {number} width - Pattern width
  * @param {number} height - Pattern height
  * @param {Object} colorCounts - Color usage counts
+ * @param {Object} options - Optional settings
+ * @param {Object} options.stash - Owned DMC threads; adds a "To Buy" column
+ * @param {Array} options.backstitches - Backstitch lines (default: none)
+ * @param {Array} options.ornaments - French knots and beads (default: none)
+ * @param {number} options.pageWidth - Stitches across one chart page (default: 60)
+ * @param {number} options.pageHeight - Stitches down one chart page (default: 80)
+ * @param {number} options.pageOverlap - Columns/rows repeated from the previous page (default: 2)
+ * @param {string} options.chartMode - Chart style, one of CHART_MODES (default: 'stitches')
+ * @param {Object} options.fabric - Fabric the thread estimate is made for (default: Aida 14)
+ * @param {number} options.strands - Strands for cross stitches (default: 2)
+ * @param {number} options.wasteFactor - Thread waste allowance as a fraction (default: 0.1)
  * @returns {string} HTML string for printing
  */
-export function generatePrintableHTML(stitches, width, height, colorCounts) {
-    const svg = generateSVG(stitches, width, height, 10, {
+export function generatePrintableHTML(stitches, width, height, colorCounts, options = {}) {
+    const {
+        stash = null,
+        backstitches = [],
+        ornaments = [],
+        pageWidth = 60,
+        pageHeight = 80,
+        pageOverlap = 2,
+        chartMode = 'stitches',
+        fabric = getFabric(DEFAULT_FABRIC_ID),
+        strands = DEFAULT_STRANDS,
+        wasteFactor = DEFAULT_WASTE_FACTOR
+    } = options;
+
+    const svgOptions = {
         showSymbols: true,
         colorCounts: colorCounts,
         showGridNumbers: true,
-        showBorder: true
-    });
+        showBorder: true,
+        backstitches,
+        ornaments,
+        chartMode
+    };
+    const tiles = getPageTiles(width, height, { pageWidth, pageHeight, overlap: pageOverlap });
+    const chartPages = tiles.length === 1
+        ? `<div class="pattern">${generateSVG(stitches, width, height, 10, svgOptions)}</div>`
+        : renderChartPages(stitches, width, height, tiles, svgOptions);
 
-    const shoppingList = generateThreadShoppingList(colorCounts);
-    const stats = calculatePatternStats(stitches.length, Object.keys(colorCounts).length);
+    const shoppingList = generateThreadShoppingList(colorCounts, {
+        stash, backstitches, ornaments, stitches, fabric, strands, wasteFactor
+    });
+    const beadList = generateBeadShoppingList(ornaments);
+    const stats = calculatePatternStats(stitches.length, Object.keys(colorCounts).length, { stitches, backstitches });
+    const hasPartStitches = shoppingList.some(item => describePartStitches(item.stitchTypes));
+    const hasBackstitch = backstitches.length > 0;
+    const hasKnots = shoppingList.some(item => item.knots > 0);
+    const hasBlends = shoppingList.some(item => item.blendStitches > 0);
 
     const html = `<!DOCTYPE html>
 <html>
@@ -796,6 +1555,16 @@ export function generatePrintableHTML(stitches, width, height, colorCounts) {
             color: #666;
             text-transform: uppercase;
         }
+        .difficulty-table {
+            border-collapse: collapse;
+            margin: 0 auto 20px;
+            font-size: 12px;
+            page-break-after: avoid;
+        }
+        .difficulty-table td {
+            padding: 3px 10px;
+            border-bottom: 1px solid #eee;
+        }
         .pattern {
             margin: 20px 0;
             text-align: center;
@@ -805,6 +1574,31 @@ export function generatePrintableHTML(stitches, width, height, colorCounts) {
             max-width: 100%;
             height: auto;
         }
+        .page-map svg {
+            max-width: 100%;
+            max-height: 70vh;
+            height: auto;
+        }
+        .chart-page {
+            page-break-before: always;
+        }
+        .chart-page h2 {
+            margin: 0 0 4px;
+            color: #B85450;
+        }
+        .page-info {
+            margin: 0;
+            font-size: 0.9rem;
+            color: #444;
+        }
+        .page-nav {
+            margin: 4px 0 0;
+            font-size: 0.85rem;
+        }
+        .page-nav a {
+            margin-right: 12px;
+            color: #4A6B8A;
+        }
         .thread-list {
             margin-top: 30px;
             page-break-before: always;
@@ -866,35 +1660,91 @@ export function generatePrintableHTML(stitches, width, height, colorCounts) {
         </div>
     </div>
 
-    <div class="pattern">
-        ${svg}
-    </div>
+    <table class="difficulty-table">
+        <tbody>
+            ${stats.difficultyFactors.map(factor => `
+                <tr>
+                    <td>${factor.label}</td>
+                    <td>${factor.value}</td>
+                    <td>${factor.points} of ${factor.maxPoints} points</td>
+                </tr>
+            `).join('')}
+            <tr>
+                <td><strong>Difficulty score</strong></td>
+                <td></td>
+                <td><strong>${stats.difficultyScore} (${stats.difficulty})</strong></td>
+            </tr>
+        </tbody>
+    </table>
+
+    ${chartPages}
 
     <div class="thread-list">
         <h2>Thread Shopping List</h2>
         <p><strong>Total Skeins Required:</strong> ${shoppingList.reduce((sum, item) => sum + item.skeinsNeeded, 0)}</p>
+        ${stash ? `<p><strong>Skeins to Buy (beyond stash):</strong> ${shoppingList.reduce((sum, item) => sum + item.toBuy, 0)}</p>` : ''}
+        <p>Estimated for ${fabric.name} with ${strands} ${strands === 1 ? 'strand' : 'strands'}, plus ${Math.round(wasteFactor * 100)}% waste</p>
         <table class="thread-table">
             <thead>
                 <tr>
                     <th>Color</th>
-                    <th>DMC Number</th>
+                    <th>Thread</th>
                     <th>Name</th>
+                    <th>Equivalents</th>
                     <th>Stitches</th>
+                    ${hasPartStitches ? '<th>Part Stitches</th>' : ''}
+                    ${hasBackstitch ? '<th>Backstitch</th>' : ''}
+                    ${hasKnots ? '<th>French Knots</th>' : ''}
+                    ${hasBlends ? '<th>Blended (1 strand)</th>' : ''}
+                    <th>Meters</th>
                     <th>Skeins</th>
+                    ${stash ? '<th>To Buy</th>' : ''}
                 </tr>
             </thead>
             <tbody>
                 ${shoppingList.map(item => `
                     <tr>
                         <td><span class="color-swatch" style="background-color: ${item.hex};"></span></td>
-                        <td><strong>${item.dmcNumber}</strong></td>
-                        <td>${item.name}</td>
+                        <td><strong>${escapeXml(`${item.brand} ${item.threadNumber}`)}</strong></td>
+                        <td>${escapeXml(item.name)}</td>
+                        <td>${escapeXml(item.crossReference)}</td>
                         <td>${item.stitches}</td>
+                        ${hasPartStitches ? `<td>${describePartStitches(item.stitchTypes)}</td>` : ''}
+                        ${hasBackstitch ? `<td>${item.backstitchLength > 0 ? `${item.backstitchLength} stitch-widths` : ''}</td>` : ''}
+                        ${hasKnots ? `<td>${item.knots > 0 ? item.knots : ''}</td>` : ''}
+                        ${hasBlends ? `<td>${item.blendStitches > 0 ? `${item.blendStitches} with ${escapeXml(item.blendPartners.join(', '))}` : ''}</td>` : ''}
+                        <td>${item.meters.toFixed(1)}</td>
                         <td>${item.skeinsNeeded}</td>
+                        ${stash ? `<td>${item.toBuy}</td>` : ''}
                     </tr>
                 `).join('')}
             </tbody>
         </table>
+
+        ${beadList.length > 0 ? `
+        <h2>Beads</h2>
+        <table class="thread-table">
+            <thead>
+                <tr>
+                    <th>Color</th>
+                    <th>Bead</th>
+                    <th>Name</th>
+                    <th>Beads</th>
+                    <th>Packets</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${beadList.map(bead => `
+                    <tr>
+                        <td><span class="color-swatch" style="background-color: ${bead.hex};"></span></td>
+                        <td><strong>${escapeXml(`${bead.brand} ${bead.beadNumber}`)}</strong></td>
+                        <td>${escapeXml(bead.name)}</td>
+                        <td>${bead.beads}</td>
+                        <td>${bead.packetsNeeded}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>` : ''}
     </div>
 
     <div class="no-print" style="text-align: center; margin-top: 30px;">
@@ -908,28 +1758,6 @@ export function generatePrintableHTML(stitches, width, height, colorCounts) {
     return html;
 }
 
-/**
- * Load image data from image source
- *
- * @param {string} imageSrc - Image source (data URL or URL)
- * @returns {Promise<Object>} Image data { data, width, height }
- */
-export function loadImageData(imageSrc) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            resolve(ctx.getImageData(0, 0, img.width, img.height));
-        };
-        img.onerror = reject;
-        img.src = imageSrc;
-    });
-}
-
 /**
  * Apply a shape mask to a pattern
  * @param {Object} pattern - Pattern with stitches
@@ -984,74 +1812,266 @@ export function applyShapeMask(pattern, shape) {
         }
     });
 
-    // Recalculate color counts
-    const newColorCounts = {};
-    for (const stitch of filteredStitches) {
-        const colorId = stitch.color.id;
-        if (!newColorCounts[colorId]) {
-            newColorCounts[colorId] = { ...stitch.color, count: 0 };
+    return {
+        ...pattern,
+        stitches: filteredStitches,
+        colorCounts: countColors(filteredStitches)
+    };
+}
+
+// Recoloring can join confetti islands into larger ones, so cleanup is repeated up to this many times
+const CONFETTI_PASSES = 3;
+
+/**
+ * Remove confetti: isolated stitches and color islands smaller than minIslandSize (see confetti.js)
+ * Each island is recolored to the neighboring color closest to its own. Islands are handled
+ * smallest first against the colors as they change, and an island that has already been joined
+ * by a recolored neighbor waits for the next pass. Islands with only empty fabric around are kept.
+ *
+ * @param {Object} pattern - Pattern with stitches
+ * @param {Object} options - Optional settings
+ * @param {number} options.minIslandSize - Smallest island that is kept (default: 3)
+ * @param {string} options.colorMetric - Metric used to pick the closest neighboring color (default: 'rgb')
+ * @returns {Object} New pattern with recolored stitches and recounted colors
+ */
+export function removeConfetti(pattern, options = {}) {
+    const { minIslandSize = DEFAULT_MIN_ISLAND_SIZE, colorMetric = 'rgb' } = options;
+    const cellKey = (x, y) => y * 65536 + x;
+    let stitches = pattern.stitches;
+
+    for (let pass = 0; pass < CONFETTI_PASSES; pass++) {
+        const islands = findConfetti(stitches, { minIslandSize });
+        if (islands.length === 0) break;
+
+        // Colors in each cell, updated as islands are recolored
+        const cellColors = new Map();
+        for (const stitch of stitches) {
+            const key = cellKey(stitch.x, stitch.y);
+            if (!cellColors.has(key)) cellColors.set(key, []);
+            if (!cellColors.get(key).some(color => color.id === stitch.color.id)) cellColors.get(key).push(stitch.color);
         }
-        newColorCounts[colorId].count++;
+
+        // New color for each recolored cell of a color, keyed "cell:color id"
+        const recolored = new Map();
+        for (const island of islands) {
+            const own = new Set(island.cells.map(({ x, y }) => cellKey(x, y)));
+            const neighbors = new Map();
+            let joined = false;
+            for (const { x, y } of island.cells) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const key = cellKey(x + dx, y + dy);
+                        if (own.has(key)) continue;
+                        for (const color of cellColors.get(key) || []) {
+                            if (color.id === island.color.id) {
+                                joined = true;
+                            } else {
+                                neighbors.set(color.id, color);
+                            }
+                        }
+                    }
+                }
+            }
+            if (joined || neighbors.size === 0) continue;
+
+            const islandRgb = hexToRgb(island.color.hex);
+            let closest = null;
+            let minDistance = Infinity;
+            for (const color of neighbors.values()) {
+                const distance = colorDistance(islandRgb, hexToRgb(color.hex), colorMetric);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    closest = color;
+                }
+            }
+
+            for (const key of own) {
+                const colors = cellColors.get(key).filter(color => color.id !== island.color.id);
+                if (!colors.some(color => color.id === closest.id)) colors.push(closest);
+                cellColors.set(key, colors);
+                recolored.set(`${key}:${island.color.id}`, closest);
+            }
+        }
+        if (recolored.size === 0) break;
+
+        stitches = stitches.map(stitch => {
+            const color = recolored.get(`${cellKey(stitch.x, stitch.y)}:${stitch.color.id}`);
+            return color ? { ...stitch, color } : stitch;
+        });
     }
 
     return {
         ...pattern,
-        stitches: filteredStitches,
-        colorCounts: newColorCounts
+        stitches,
+        colorCounts: countColors(stitches)
+    };
+}
+
+// The two orthogonal neighbors that meet at each cell corner, as [dx, dy] offsets
+const CORNER_NEIGHBORS = {
+    'top-left': [[0, -1], [-1, 0]],
+    'top-right': [[0, -1], [1, 0]],
+    'bottom-right': [[0, 1], [1, 0]],
+    'bottom-left': [[0, 1], [-1, 0]]
+};
+
+/**
+ * Smooth stair-stepped color edges with three-quarter and quarter stitches
+ * A full stitch whose corner sticks out into another color (or empty fabric) is
+ * replaced by a three-quarter stitch covering the opposite triangle, plus a quarter
+ * stitch of the neighboring color in the cut-off corner. Only stitches with exactly
+ * one such corner are changed, so dithered areas and single-stitch details are left alone.
+ *
+ * @param {Object} pattern - Pattern with full stitches, width and height
+ * @returns {Object} New pattern with smoothed edges and recounted colors
+ */
+export function smoothEdges(pattern) {
+    const { width, height, stitches } = pattern;
+
+    const cells = new Array(width * height).fill(null);
+    for (const stitch of stitches) {
+        if (getStitchType(stitch) === 'full') {
+            cells[stitch.y * width + stitch.x] = stitch.color;
+        }
+    }
+
+    // Color at a cell: a thread, null for empty fabric, undefined outside the chart
+    const colorAt = (x, y) => (x < 0 || x >= width || y < 0 || y >= height) ? undefined : cells[y * width + x];
+    const sameColor = (a, b) => a === b || (a && b && a.id === b.id);
+
+    const smoothed = [];
+    for (const stitch of stitches) {
+        if (getStitchType(stitch) !== 'full') {
+            smoothed.push(stitch);
+            continue;
+        }
+
+        // Find the single corner where both neighbors share one other color
+        // while both neighbors at the opposite corner match this stitch
+        const cutCorners = Object.keys(CORNER_NEIGHBORS).filter(corner => {
+            const outside = CORNER_NEIGHBORS[corner].map(([dx, dy]) => colorAt(stitch.x + dx, stitch.y + dy));
+            const inside = CORNER_NEIGHBORS[getOppositeCorner(corner)].map(([dx, dy]) => colorAt(stitch.x + dx, stitch.y + dy));
+            return outside[0] !== undefined &&
+                !sameColor(outside[0], stitch.color) &&
+                outside.every(color => sameColor(color, outside[0])) &&
+                inside.every(color => sameColor(color, stitch.color));
+        });
+
+        if (cutCorners.length !== 1) {
+            smoothed.push(stitch);
+            continue;
+        }
+
+        const [corner] = cutCorners;
+        smoothed.push({ x: stitch.x, y: stitch.y, color: stitch.color, type: 'three-quarter', corner: getOppositeCorner(corner) });
+
+        const neighborColor = colorAt(stitch.x + CORNER_NEIGHBORS[corner][0][0], stitch.y + CORNER_NEIGHBORS[corner][0][1]);
+        if (neighborColor) {
+            smoothed.push({ x: stitch.x, y: stitch.y, color: neighborColor, type: 'quarter', corner });
+        }
+    }
+
+    return {
+        ...pattern,
+        stitches: smoothed,
+        colorCounts: countColors(smoothed)
     };
 }
 
 /**
- * Generate an image from text
- * @param {string} text - Text to render
- * @param {Object} options - Text rendering options
- * @param {string} options.fontFamily - Font family (default: 'Arial')
- * @param {number} options.fontSize - Font size in pixels (default: 48)
- * @param {string} options.fontColor - Text color (default: '#000000')
- * @param {string} options.backgroundColor - Background color (default: '#FFFFFF')
- * @param {boolean} options.bold - Bold text (default: false)
- * @param {boolean} options.italic - Italic text (default: false)
- * @returns {string} Data URL of generated image
+ * Count stitches per thread color
+ * @param {Array} stitches - Stitches { x, y, color, type }
+ * @returns {Object} Color counts keyed by thread id { ...color, count, stitchTypes }
+ *   where stitchTypes counts the color's stitches of each type in STITCH_TYPES
  */
-export function generateTextImage(text, options = {}) {
+export function countColors(stitches) {
+    const colorCounts = {};
+    for (const stitch of stitches) {
+        const colorId = stitch.color.id;
+        if (!colorCounts[colorId]) {
+            colorCounts[colorId] = {
+                ...stitch.color,
+                count: 0,
+                stitchTypes: Object.fromEntries(STITCH_TYPES.map(type => [type, 0]))
+            };
+        }
+        colorCounts[colorId].count++;
+        colorCounts[colorId].stitchTypes[getStitchType(stitch)]++;
+    }
+    return colorCounts;
+}
+
+/**
+ * Run the full pattern pipeline: conversion, color limiting, merging, shape masking, confetti
+ * cleanup, edge smoothing and backstitch outlining
+ * This is what the pattern worker executes for each settings change
+ *
+ * @param {ImageData} imageData - Canvas ImageData object (or { data, width, height })
+ * @param {number} gridSize - Number of stitches in width
+ * @param {Function} onProgress - Callback for conversion progress (0-100)
+ * @param {Object} options - convertToPattern options, plus:
+ * @param {number} options.maxColors - Maximum colors (0 = no limit); 'frequency' reduction uses limitColors
+ * @param {number} options.mergeTolerance - Merge similar colors within this distance (0 = off)
+ * @param {boolean} options.restrictToPalette - Keep limited/merged colors within options.palette, e.g. a stash
+ * @param {string} options.patternShape - Shape mask (default: 'rectangle')
+ * @param {boolean} options.removeConfetti - Recolor isolated stitches and tiny color islands (default: false)
+ * @param {number} options.minIslandSize - Smallest color island kept by confetti cleanup (default: 3)
+ * @param {boolean} options.smoothEdges - Soften stair-stepped edges with part stitches (default: false)
+ * @param {boolean} options.backstitchOutlines - Outline strong color boundaries with backstitch (default: false)
+ * @param {Object} options.outlineColor - Outline thread (default: darkest thread in options.palette)
+ * @param {number} options.outlineThreshold - Sobel threshold for outlined boundaries (default: 120)
+ * @returns {Promise<Object>} Pattern object { stitches, backstitches, width, height, colorCounts }
+ */
+export async function runPatternPipeline(imageData, gridSize, onProgress, options = {}) {
     const {
-        fontFamily = 'Arial',
-        fontSize = 48,
-        fontColor = '#000000',
-        backgroundColor = '#FFFFFF',
-        bold = false,
-        italic = false
+        maxColors = 0,
+        reductionMethod = 'frequency',
+        mergeTolerance = 0,
+        restrictToPalette = false,
+        patternShape = 'rectangle',
+        removeConfetti: useRemoveConfetti = false,
+        minIslandSize = DEFAULT_MIN_ISLAND_SIZE,
+        smoothEdges: useSmoothEdges = false,
+        backstitchOutlines = false,
+        outlineColor = null,
+        outlineThreshold = 120,
+        colorMetric = 'rgb',
+        palette = DMC_COLORS
     } = options;
 
-    // Create canvas
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    // Set font for measurement
-    const fontWeight = bold ? 'bold' : 'normal';
-    const fontStyle = italic ? 'italic' : 'normal';
-    ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
-
-    // Measure text
-    const metrics = ctx.measureText(text);
-    const textWidth = metrics.width;
-    const textHeight = fontSize * 1.5; // Approximate height with padding
-
-    // Set canvas size with padding
-    const padding = 20;
-    canvas.width = Math.ceil(textWidth + padding * 2);
-    canvas.height = Math.ceil(textHeight + padding * 2);
-
-    // Fill background
-    ctx.fillStyle = backgroundColor;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw text
-    ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
-    ctx.fillStyle = fontColor;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
-
-    return canvas.toDataURL();
+    let result = await convertToPattern(imageData, gridSize, onProgress, options);
+
+    // Blends in the converted pattern pair allowed threads, so they are allowed too when limiting
+    // or merging colors
+    const patternBlends = Object.values(result.colorCounts).filter(isBlend).map(({ count, ...color }) => color);
+    const allowedPalette = patternBlends.length > 0 ? [...palette, ...patternBlends] : palette;
+    const reduceOptions = { colorMetric, palette: restrictToPalette ? allowedPalette : null };
+
+    if (maxColors > 0 && reductionMethod === 'frequency') {
+        result = limitColors(result, maxColors, reduceOptions);
+    }
+
+    if (mergeTolerance > 0) {
+        result = mergeColors(result, mergeTolerance, reduceOptions);
+    }
+
+    if (patternShape !== 'rectangle') {
+        result = applyShapeMask(result, patternShape);
+    }
+
+    // After masking, which can leave stray stitches along the cut
+    if (useRemoveConfetti) {
+        result = removeConfetti(result, { minIslandSize, colorMetric });
+    }
+
+    // Last, so shape-mask outlines are smoothed too
+    if (useSmoothEdges) {
+        result = smoothEdges(result);
+    }
+
+    const backstitches = backstitchOutlines
+        ? generateBackstitchOutlines(result, { color: outlineColor || findDarkestThread(palette), threshold: outlineThreshold })
+        : [];
+
+    return { ...result, backstitches };
 }
@@ -0,0 +1,693 @@
+import { countColors, OXS_PART_TRIANGLES, OXS_HALF_DIRECTIONS, OXS_ORNAMENT_TYPES, OXS_QUARTER_TYPE } from './patternGenerator.js';
+import { STITCH_TYPES, getStitchType, isValidStitchType } from './stitchTypes.js';
+import { ORNAMENT_TYPES, isValidOrnament } from './ornaments.js';
+import { findClosestDMC, hexToRgb } from './colorUtils.js';
+import { DMC_FULL_COLORS, getDMCColor } from '../data/dmcColors.js';
+import { THREAD_BRANDS, getThreadPalette } from '../data/threadPalettes.js';
+import { getMillHillBead } from '../data/millHillBeads.js';
+import { BLEND_SEPARATOR, createBlendColor } from './blends.js';
+
+/**
+ * Pattern import utilities
+ * Read saved pattern files back into the { stitches, width, height, colorCounts }
+ * shape used by generateSVG and generatePrintableHTML
+ */
+
+/**
+ * Open Cross Stitch JSON versions this app can read
+ */
+export const SUPPORTED_JSON_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+
+/**
+ * File extensions accepted by importPattern (for the upload input's accept list)
+ */
+export const PATTERN_FILE_EXTENSIONS = ['.json', '.oxs'];
+
+// How many unknown-thread mappings to list by name in an import warning
+const MAX_LISTED_MAPPINGS = 5;
+
+// Thread numbers as brands print them ("310", "B5200", "E3852"); anything else is rejected,
+// since ids end up in chart legends and printouts
+const THREAD_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,19}$/;
+
+// Mill Hill bead numbers are five digits ("00479", "02011")
+const BEAD_ID_PATTERN = /^\d{5}$/;
+
+// Largest chart we accept, to reject garbage before allocating anything
+const MAX_PATTERN_SIZE = 2000;
+
+/**
+ * Error thrown for files that cannot be imported; the message is shown to the user
+ */
+export class PatternImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PatternImportError';
+    }
+}
+
+/**
+ * Check whether a file name looks like an importable pattern rather than an image
+ * @param {string} fileName - File name including extension
+ * @returns {boolean} True when importPattern should handle the file
+ */
+export function isPatternFile(fileName) {
+    const lower = fileName.toLowerCase();
+    return PATTERN_FILE_EXTENSIONS.some(extension => lower.endsWith(extension));
+}
+
+/**
+ * Import a pattern file
+ * @param {string} fileName - File name, used to pick the format
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} Pattern { stitches, backstitches, ornaments, width, height, colorCounts, title, warnings }
+ * @throws {PatternImportError} When the file is malformed or in an unsupported format/version
+ */
+export function importPattern(fileName, buffer) {
+    const lower = fileName.toLowerCase();
+
+    if (lower.endsWith('.json')) {
+        return parseOpenCrossStitchJSON(new TextDecoder('utf-8').decode(buffer));
+    }
+    if (lower.endsWith('.oxs')) {
+        return parseOXS(new TextDecoder('utf-8').decode(buffer));
+    }
+
+    throw new PatternImportError(`${fileName} is not a supported pattern file (expected ${PATTERN_FILE_EXTENSIONS.join(', ')})`);
+}
+
+/**
+ * Rebuild a full thread color object from a saved palette entry
+ * Catalogue data (family, cross-reference) is restored when the thread is known;
+ * unknown codes are replaced by the closest DMC color and noted in `mappings`. Ids must match
+ * THREAD_ID_PATTERN.
+ * Mill Hill beads are kept as written when they are not in the bead catalogue, provided their
+ * number has the five-digit Mill Hill form
+ * @private
+ */
+function restoreThreadColor({ id, name, hex, brand }, mappings) {
+    const threadId = String(id);
+    if (!THREAD_ID_PATTERN.test(threadId)) {
+        throw new PatternImportError(`"${threadId.slice(0, 40)}" is not a valid thread number (use letters, digits, spaces, ".", "_" or "-")`);
+    }
+
+    if (brand === 'Mill Hill') {
+        if (!BEAD_ID_PATTERN.test(threadId)) {
+            throw new PatternImportError(`"${threadId}" is not a Mill Hill bead number (expected five digits, e.g. 00479)`);
+        }
+        const bead = getMillHillBead(threadId);
+        return bead ? { ...bead, name: name || bead.name, hex } : { id: threadId, name, hex, brand };
+    }
+
+    const known = brand === 'DMC'
+        ? getDMCColor(threadId)
+        : THREAD_BRANDS.includes(brand) ? getThreadPalette(brand).find(color => color.id === threadId) : null;
+
+    if (known) {
+        return brand === 'DMC'
+            ? { ...known, name: name || known.name, hex }
+            : { ...known, name: name || known.name, hex, brand };
+    }
+
+    const { r, g, b } = hexToRgb(hex);
+    const closest = findClosestDMC(r, g, b, { colorMetric: 'ciede2000', palette: DMC_FULL_COLORS });
+    mappings.push(`${brand} ${threadId} → DMC ${closest.id}`);
+    return closest;
+}
+
+/**
+ * Rebuild a blend from a saved palette entry whose id joins two thread numbers ("310+321")
+ * Each thread is taken from the threads already restored from the palette when listed there,
+ * otherwise restored from the catalogue using the blend's own color as a fallback
+ * @private
+ */
+function restoreBlendColor({ id, hex, brand }, threadsById, mappings) {
+    const threadIds = id.split(BLEND_SEPARATOR).map(part => part.trim());
+    if (threadIds.length !== 2 || threadIds.some(part => part === '')) {
+        throw new PatternImportError(`Blend "${id}" must name exactly two threads`);
+    }
+    const [threadA, threadB] = threadIds.map(threadId =>
+        threadsById.get(threadId) || restoreThreadColor({ id: threadId, name: '', hex, brand }, mappings));
+    if (isBeadColor(threadA) || isBeadColor(threadB)) {
+        throw new PatternImportError(`Blend "${id}" includes a Mill Hill bead; only threads can be blended`);
+    }
+    return { ...createBlendColor(threadA, threadB), hex };
+}
+
+/**
+ * Check whether a saved thread id names a blend of two threads
+ * @private
+ */
+function isBlendId(id) {
+    return id.includes(BLEND_SEPARATOR);
+}
+
+/**
+ * Describe unknown threads that were replaced by their closest DMC color
+ * @private
+ */
+function describeMappings(mappings) {
+    if (mappings.length === 0) return [];
+
+    const listed = mappings.slice(0, MAX_LISTED_MAPPINGS).join(', ');
+    const more = mappings.length > MAX_LISTED_MAPPINGS ? ` and ${mappings.length - MAX_LISTED_MAPPINGS} more` : '';
+    const noun = mappings.length === 1 ? 'thread code' : 'thread codes';
+    return [`${mappings.length} unknown ${noun} mapped to the closest DMC color: ${listed}${more}`];
+}
+
+/**
+ * Check whether a palette color is a Mill Hill bead, which only bead ornaments may use
+ * @private
+ */
+function isBeadColor(color) {
+    return color.brand === 'Mill Hill';
+}
+
+/**
+ * Check whether a saved value is an object (not null, a list or a plain value)
+ * @private
+ */
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a value is an integer within [min, max]
+ * @private
+ */
+function isIntegerInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Describe why a stitch cannot share its cell with the stitches already there
+ * A full stitch fills its cell; part stitches may share one unless they are identical
+ * @private
+ */
+function findCellConflict(stitch, cellStitches) {
+    for (const other of cellStitches) {
+        if (getStitchType(stitch) === 'full' || getStitchType(other) === 'full') {
+            return 'a full stitch cannot share its cell';
+        }
+        if (getStitchType(stitch) === getStitchType(other) &&
+            stitch.direction === other.direction && stitch.corner === other.corner) {
+            return 'the same part stitch is listed twice';
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse and validate an Open Cross Stitch JSON file written by generateOpenCrossStitchFormat
+ *
+ * Expected shape:
+ *   { format: "Open Cross Stitch Format", version: "1.0" | "1.1",
+ *     metadata?: { title? },
+ *     pattern: { width: int, height: int },
+ *     palette: [{ id, name, hex: "#RRGGBB", brand?, blend?: [threadId, threadId] }],
+ *     stitches: [{ x: int, y: int, color: paletteId, type?: "full",
+ *                  direction?: "/" | "\\", corner?: "top-left" | ... }],
+ *     backstitches?: [{ x1: int, y1: int, x2: int, y2: int, color: paletteId }],
+ *     ornaments?: [{ x: int, y: int, type: "french-knot" | "bead", color: paletteId }] }
+ * Version 1.0 files only contain full stitches; 1.1 adds half, quarter and three-quarter
+ * stitches and backstitches between grid corners; 1.2 adds knots and beads on grid corners;
+ * 1.3 adds blends, palette entries with id "A+B" stitched with one strand of each thread.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Pattern { stitches, backstitches, ornaments, width, height, colorCounts, title, warnings }
+ * @throws {PatternImportError} Describing the first problem found
+ */
+export function parseOpenCrossStitchJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new PatternImportError(`This file is not valid JSON (${error.message})`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new PatternImportError('This JSON file does not contain a pattern object');
+    }
+    if (data.format !== 'Open Cross Stitch Format') {
+        throw new PatternImportError('This JSON file is not an Open Cross Stitch pattern (missing "format": "Open Cross Stitch Format")');
+    }
+    if (!SUPPORTED_JSON_VERSIONS.includes(data.version)) {
+        throw new PatternImportError(`Unsupported pattern version "${data.version}" (this app reads version ${SUPPORTED_JSON_VERSIONS.join(', ')})`);
+    }
+
+    const { pattern, palette, stitches } = data;
+    if (!pattern || !isIntegerInRange(pattern.width, 1, MAX_PATTERN_SIZE) || !isIntegerInRange(pattern.height, 1, MAX_PATTERN_SIZE)) {
+        throw new PatternImportError(`"pattern.width" and "pattern.height" must be whole numbers from 1 to ${MAX_PATTERN_SIZE}`);
+    }
+    if (!Array.isArray(palette) || palette.length === 0) {
+        throw new PatternImportError('"palette" must be a non-empty list of thread colors');
+    }
+    if (!Array.isArray(stitches)) {
+        throw new PatternImportError('"stitches" must be a list');
+    }
+
+    const { width, height } = pattern;
+
+    const colorsById = new Map();
+    const blendEntries = [];
+    const mappings = [];
+    palette.forEach((entry, index) => {
+        if (!isRecord(entry) || (typeof entry.id !== 'string' && typeof entry.id !== 'number')) {
+            throw new PatternImportError(`palette[${index}] is missing its thread "id"`);
+        }
+        if (typeof entry.hex !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(entry.hex)) {
+            throw new PatternImportError(`palette[${index}] (thread ${entry.id}) has an invalid "hex" color "${entry.hex}"`);
+        }
+        const key = String(entry.id);
+        if (colorsById.has(key) || blendEntries.some(blend => blend.id === key)) {
+            throw new PatternImportError(`palette[${index}] repeats thread id "${key}"`);
+        }
+        const saved = {
+            id: key,
+            name: typeof entry.name === 'string' ? entry.name : '',
+            hex: entry.hex.toUpperCase(),
+            brand: typeof entry.brand === 'string' ? entry.brand : 'DMC'
+        };
+        // Blends are restored once all plain threads are known, so they can reuse them
+        if (isBlendId(key)) {
+            blendEntries.push(saved);
+        } else {
+            colorsById.set(key, restoreThreadColor(saved, mappings));
+        }
+    });
+    for (const entry of blendEntries) {
+        colorsById.set(entry.id, restoreBlendColor(entry, colorsById, mappings));
+    }
+
+    const occupied = new Map();
+    const restoredStitches = stitches.map((stitch, index) => {
+        if (!isRecord(stitch)) {
+            throw new PatternImportError(`stitches[${index}] is not a stitch (expected an object with x, y and color)`);
+        }
+        if (!isIntegerInRange(stitch.x, 0, width - 1) || !isIntegerInRange(stitch.y, 0, height - 1)) {
+            throw new PatternImportError(`stitches[${index}] is outside the ${width}×${height} pattern`);
+        }
+        if (stitch.type !== undefined && !STITCH_TYPES.includes(stitch.type)) {
+            throw new PatternImportError(`stitches[${index}] has unsupported stitch type "${stitch.type}"`);
+        }
+        if (!isValidStitchType(stitch)) {
+            const field = stitch.type === 'half' ? 'direction' : 'corner';
+            throw new PatternImportError(`stitches[${index}] is a ${stitch.type} stitch with an invalid ${field} "${stitch[field]}"`);
+        }
+        const color = colorsById.get(String(stitch.color));
+        if (!color) {
+            throw new PatternImportError(`stitches[${index}] uses thread "${stitch.color}", which is not in the palette`);
+        }
+        if (isBeadColor(color)) {
+            throw new PatternImportError(`stitches[${index}] uses Mill Hill bead "${stitch.color}"; beads can only be bead ornaments`);
+        }
+
+        const restored = { x: stitch.x, y: stitch.y, color };
+        const type = getStitchType(stitch);
+        if (type === 'half') {
+            Object.assign(restored, { type, direction: stitch.direction });
+        } else if (type !== 'full') {
+            Object.assign(restored, { type, corner: stitch.corner });
+        }
+
+        const cell = stitch.y * width + stitch.x;
+        const cellStitches = occupied.get(cell) || [];
+        const conflict = findCellConflict(restored, cellStitches);
+        if (conflict) {
+            throw new PatternImportError(`stitches[${index}] overlaps the stitch at (${stitch.x}, ${stitch.y}): ${conflict}`);
+        }
+        occupied.set(cell, [...cellStitches, restored]);
+        return restored;
+    });
+
+    const backstitches = data.backstitches === undefined ? [] : data.backstitches;
+    if (!Array.isArray(backstitches)) {
+        throw new PatternImportError('"backstitches" must be a list');
+    }
+    const restoredBackstitches = backstitches.map((backstitch, index) => {
+        if (!isRecord(backstitch)) {
+            throw new PatternImportError(`backstitches[${index}] is not a backstitch (expected an object with x1, y1, x2, y2 and color)`);
+        }
+        if (!isIntegerInRange(backstitch.x1, 0, width) || !isIntegerInRange(backstitch.y1, 0, height) ||
+            !isIntegerInRange(backstitch.x2, 0, width) || !isIntegerInRange(backstitch.y2, 0, height)) {
+            throw new PatternImportError(`backstitches[${index}] must join two grid corners of the ${width}×${height} pattern`);
+        }
+        const color = colorsById.get(String(backstitch.color));
+        if (!color) {
+            throw new PatternImportError(`backstitches[${index}] uses thread "${backstitch.color}", which is not in the palette`);
+        }
+        if (isBeadColor(color)) {
+            throw new PatternImportError(`backstitches[${index}] uses Mill Hill bead "${backstitch.color}"; beads can only be bead ornaments`);
+        }
+        return { x1: backstitch.x1, y1: backstitch.y1, x2: backstitch.x2, y2: backstitch.y2, color };
+    });
+
+    const ornaments = data.ornaments === undefined ? [] : data.ornaments;
+    if (!Array.isArray(ornaments)) {
+        throw new PatternImportError('"ornaments" must be a list');
+    }
+    const placedOrnaments = new Set();
+    const restoredOrnaments = ornaments.map((ornament, index) => {
+        if (!isRecord(ornament)) {
+            throw new PatternImportError(`ornaments[${index}] is not an ornament (expected an object with x, y, type and color)`);
+        }
+        if (!ORNAMENT_TYPES.includes(ornament.type)) {
+            throw new PatternImportError(`ornaments[${index}] has unsupported type "${ornament.type}" (expected ${ORNAMENT_TYPES.join(' or ')})`);
+        }
+        if (!isValidOrnament(ornament, width, height)) {
+            throw new PatternImportError(`ornaments[${index}] must sit on a grid corner of the ${width}×${height} pattern`);
+        }
+        const color = colorsById.get(String(ornament.color));
+        if (!color) {
+            throw new PatternImportError(`ornaments[${index}] uses color "${ornament.color}", which is not in the palette`);
+        }
+        if (isBeadColor(color) && ornament.type !== 'bead') {
+            throw new PatternImportError(`ornaments[${index}] is a ${ornament.type} in Mill Hill bead "${ornament.color}"; beads can only be bead ornaments`);
+        }
+        const key = `${ornament.x},${ornament.y},${ornament.type}`;
+        if (placedOrnaments.has(key)) {
+            throw new PatternImportError(`ornaments[${index}] repeats the ${ornament.type} at (${ornament.x}, ${ornament.y})`);
+        }
+        placedOrnaments.add(key);
+        return { x: ornament.x, y: ornament.y, type: ornament.type, color };
+    });
+
+    return {
+        stitches: restoredStitches,
+        backstitches: restoredBackstitches,
+        ornaments: restoredOrnaments,
+        width,
+        height,
+        // Counts are rebuilt from the stitches rather than trusted from the file
+        colorCounts: countColors(restoredStitches),
+        title: (data.metadata && typeof data.metadata.title === 'string') ? data.metadata.title : 'Imported Pattern',
+        warnings: describeMappings(mappings)
+    };
+}
+
+/**
+ * Decode the XML entities allowed in attribute values
+ * @private
+ */
+function decodeXmlEntities(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+    });
+}
+
+/**
+ * Read every element with the given tag name as an attribute object
+ * OXS keeps all data in attributes, so a small regex reader is enough and works outside the browser
+ * @private
+ */
+function readXmlElements(xml, tagName) {
+    const elements = [];
+    const elementPattern = new RegExp(`<${tagName}(\\s[^>]*?)?\\/?>`, 'g');
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    let match;
+    while ((match = elementPattern.exec(xml)) !== null) {
+        const attributes = {};
+        let attribute;
+        attributePattern.lastIndex = 0;
+        while ((attribute = attributePattern.exec(match[1] || '')) !== null) {
+            attributes[attribute[1].toLowerCase()] = decodeXmlEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+        }
+        elements.push(attributes);
+    }
+    return elements;
+}
+
+/**
+ * Split an OXS thread number such as "DMC 310", "Anchor 403" or "Mill Hill 00479" into brand and id
+ * Bare numbers are treated as DMC; unknown brands are kept as written
+ * @private
+ */
+function parseThreadNumber(number) {
+    const bead = number.trim().match(/^mill\s*hill\s+(.+)$/i);
+    if (bead) {
+        return { brand: 'Mill Hill', id: bead[1].trim() };
+    }
+
+    const match = number.trim().match(/^([^\s\d][^\s]*)\s+(.+)$/);
+    if (!match) {
+        return { brand: 'DMC', id: number.trim() };
+    }
+    const brand = THREAD_BRANDS.find(name => name.toLowerCase() === match[1].toLowerCase());
+    return { brand: brand || match[1], id: match[2].trim() };
+}
+
+/**
+ * Parse an OXS (Open Cross Stitch XML) chart from KG-Chart, Pattern Keeper and similar apps
+ * Full stitches, part stitches, backstitches, knots and beads are imported; other ornaments are
+ * reported in warnings. Part stitches follow OXS_PART_TRIANGLES: each filled triangle becomes
+ * a three-quarter stitch. Quarter stitches are "quarter" objects placed mid-quarter, as
+ * generateOXS writes them.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Pattern { stitches, backstitches, ornaments, width, height, colorCounts, title, warnings }
+ * @throws {PatternImportError} Describing the first problem found
+ */
+export function parseOXS(text) {
+    if (!/<chart[\s>]/.test(text)) {
+        throw new PatternImportError('This file is not an OXS chart (no <chart> element)');
+    }
+
+    const [properties] = readXmlElements(text, 'properties');
+    if (!properties) {
+        throw new PatternImportError('This OXS chart has no <properties> element');
+    }
+
+    const width = Number(properties.chartwidth);
+    const height = Number(properties.chartheight);
+    if (!isIntegerInRange(width, 1, MAX_PATTERN_SIZE) || !isIntegerInRange(height, 1, MAX_PATTERN_SIZE)) {
+        throw new PatternImportError(`Chart width and height must be whole numbers from 1 to ${MAX_PATTERN_SIZE}`);
+    }
+
+    const colorsByIndex = new Map();
+    const blendItems = [];
+    const mappings = [];
+    readXmlElements(text, 'palette_item').forEach((item, position) => {
+        const index = Number(item.index);
+        // Index 0 is the cloth, which is never stitched
+        if (index === 0 || (item.number || '').toLowerCase() === 'cloth') return;
+
+        if (!Number.isInteger(index)) {
+            throw new PatternImportError(`Palette item ${position + 1} has an invalid index "${item.index}"`);
+        }
+        if (!/^[0-9A-Fa-f]{6}$/.test(item.color || '')) {
+            throw new PatternImportError(`Palette item ${index} (${item.number}) has an invalid color "${item.color}"`);
+        }
+
+        const { brand, id } = parseThreadNumber(item.number || String(index));
+        const saved = { id, name: item.name || '', hex: `#${item.color.toUpperCase()}`, brand };
+        if (isBlendId(id)) {
+            blendItems.push({ index, saved });
+        } else {
+            colorsByIndex.set(index, restoreThreadColor(saved, mappings));
+        }
+    });
+    const threadsById = new Map([...colorsByIndex.values()].map(color => [color.id, color]));
+    for (const { index, saved } of blendItems) {
+        colorsByIndex.set(index, restoreBlendColor(saved, threadsById, mappings));
+    }
+
+    if (colorsByIndex.size === 0) {
+        throw new PatternImportError('This OXS chart has no thread colors in its palette');
+    }
+
+    const occupied = new Set();
+    const stitches = [];
+    readXmlElements(text, 'stitch').forEach((stitch, position) => {
+        const x = Number(stitch.x);
+        const y = Number(stitch.y);
+        const index = Number(stitch.palindex);
+
+        if (!isIntegerInRange(x, 0, width - 1) || !isIntegerInRange(y, 0, height - 1)) {
+            throw new PatternImportError(`Full stitch ${position + 1} at (${stitch.x}, ${stitch.y}) is outside the ${width}×${height} chart`);
+        }
+        if (index === 0) return;
+
+        const color = colorsByIndex.get(index);
+        if (!color) {
+            throw new PatternImportError(`Full stitch ${position + 1} uses palette index ${stitch.palindex}, which is not in the palette`);
+        }
+        if (isBeadColor(color)) {
+            throw new PatternImportError(`Full stitch ${position + 1} uses Mill Hill bead ${color.id}; beads can only be bead ornaments`);
+        }
+
+        // Keep the first stitch when a cell is listed twice
+        const cell = y * width + x;
+        if (occupied.has(cell)) return;
+        occupied.add(cell);
+        stitches.push({ x, y, color });
+    });
+
+    const triangleCorners = Object.entries(OXS_PART_TRIANGLES);
+    const halfDirections = Object.entries(OXS_HALF_DIRECTIONS);
+    const partCells = new Set();
+
+    readXmlElements(text, 'partstitch').forEach((part, position) => {
+        const x = Number(part.x);
+        const y = Number(part.y);
+        const direction = Number(part.direction);
+
+        if (!isIntegerInRange(x, 0, width - 1) || !isIntegerInRange(y, 0, height - 1)) {
+            throw new PatternImportError(`Part stitch ${position + 1} at (${part.x}, ${part.y}) is outside the ${width}×${height} chart`);
+        }
+
+        // Part stitches never replace a full stitch, and a cell's first partstitch element wins
+        const cell = y * width + x;
+        if (occupied.has(cell) || partCells.has(cell)) return;
+
+        const colorFor = (slot) => {
+            const index = Number(part[slot] || 0);
+            if (index === 0) return null;
+            const color = colorsByIndex.get(index);
+            if (!color) {
+                throw new PatternImportError(`Part stitch ${position + 1} uses palette index ${part[slot]}, which is not in the palette`);
+            }
+            if (isBeadColor(color)) {
+                throw new PatternImportError(`Part stitch ${position + 1} uses Mill Hill bead ${color.id}; beads can only be bead ornaments`);
+            }
+            return color;
+        };
+
+        const half = halfDirections.find(([, value]) => value === direction);
+        if (half) {
+            const color = colorFor('palindex1');
+            if (color) stitches.push({ x, y, color, type: 'half', direction: half[0] });
+        } else {
+            for (const [corner, triangle] of triangleCorners) {
+                if (triangle.direction !== direction) continue;
+                const color = colorFor(triangle.slot);
+                if (color) stitches.push({ x, y, color, type: 'three-quarter', corner });
+            }
+        }
+        partCells.add(cell);
+    });
+
+    // Some apps place backstitch ends mid-cell; those are snapped to the nearest grid corner
+    const backstitches = [];
+    let snapped = 0;
+    readXmlElements(text, 'backstitch').forEach((backstitch, position) => {
+        const coordinates = ['x1', 'y1', 'x2', 'y2'].map(name => Number(backstitch[name]));
+        const inChart = coordinates.every((value, i) => Number.isFinite(value) && value >= 0 && value <= (i % 2 === 0 ? width : height));
+        if (!inChart) {
+            throw new PatternImportError(`Backstitch ${position + 1} runs outside the ${width}×${height} chart`);
+        }
+        if (coordinates.some(value => !Number.isInteger(value))) snapped++;
+        const [x1, y1, x2, y2] = coordinates.map(Math.round);
+
+        const index = Number(backstitch.palindex);
+        if (index === 0 || (x1 === x2 && y1 === y2)) return;
+
+        const color = colorsByIndex.get(index);
+        if (!color) {
+            throw new PatternImportError(`Backstitch ${position + 1} uses palette index ${backstitch.palindex}, which is not in the palette`);
+        }
+        if (isBeadColor(color)) {
+            throw new PatternImportError(`Backstitch ${position + 1} uses Mill Hill bead ${color.id}; beads can only be bead ornaments`);
+        }
+        backstitches.push({ x1, y1, x2, y2, color });
+    });
+
+    // Knots and beads are snapped to grid corners too; a corner keeps the first of each type
+    const ornamentTypes = Object.entries(OXS_ORNAMENT_TYPES);
+    const ornaments = [];
+    const placedOrnaments = new Set();
+    const quarterCorners = new Set();
+    let snappedOrnaments = 0;
+    let otherObjects = 0;
+
+    // Quarter stitches sit mid-cell, in the quarter of the cell they cover
+    const addQuarterStitch = (object, position) => {
+        const [pointX, pointY] = [Number(object.x1), Number(object.y1)];
+        if (!(pointX >= 0 && pointX < width && pointY >= 0 && pointY < height)) {
+            throw new PatternImportError(`Quarter stitch ${position + 1} at (${object.x1}, ${object.y1}) is outside the ${width}×${height} chart`);
+        }
+        const x = Math.floor(pointX);
+        const y = Math.floor(pointY);
+        const corner = `${pointY - y < 0.5 ? 'top' : 'bottom'}-${pointX - x < 0.5 ? 'left' : 'right'}`;
+
+        // Quarter stitches never replace a full stitch, and each corner keeps the first one
+        const index = Number(object.palindex);
+        const key = `${x},${y},${corner}`;
+        if (index === 0 || occupied.has(y * width + x) || quarterCorners.has(key)) return;
+
+        const color = colorsByIndex.get(index);
+        if (!color) {
+            throw new PatternImportError(`Quarter stitch ${position + 1} uses palette index ${object.palindex}, which is not in the palette`);
+        }
+        if (isBeadColor(color)) {
+            throw new PatternImportError(`Quarter stitch ${position + 1} uses Mill Hill bead ${color.id}; beads can only be bead ornaments`);
+        }
+        quarterCorners.add(key);
+        stitches.push({ x, y, color, type: 'quarter', corner });
+    };
+
+    readXmlElements(text, 'object').forEach((object, position) => {
+        if ((object.objecttype || '').toLowerCase() === OXS_QUARTER_TYPE) {
+            addQuarterStitch(object, position);
+            return;
+        }
+
+        const match = ornamentTypes.find(([, objectType]) => (object.objecttype || '').toLowerCase().startsWith(objectType));
+        if (!match) {
+            otherObjects++;
+            return;
+        }
+
+        const coordinates = [Number(object.x1), Number(object.y1)];
+        const inChart = Number.isFinite(coordinates[0]) && Number.isFinite(coordinates[1]) &&
+            coordinates[0] >= 0 && coordinates[0] <= width && coordinates[1] >= 0 && coordinates[1] <= height;
+        if (!inChart) {
+            throw new PatternImportError(`Ornament ${position + 1} at (${object.x1}, ${object.y1}) is outside the ${width}×${height} chart`);
+        }
+        if (coordinates.some(value => !Number.isInteger(value))) snappedOrnaments++;
+        const [x, y] = coordinates.map(Math.round);
+
+        const index = Number(object.palindex);
+        const key = `${x},${y},${match[0]}`;
+        if (index === 0 || placedOrnaments.has(key)) return;
+
+        const color = colorsByIndex.get(index);
+        if (!color) {
+            throw new PatternImportError(`Ornament ${position + 1} uses palette index ${object.palindex}, which is not in the palette`);
+        }
+        if (isBeadColor(color) && match[0] !== 'bead') {
+            throw new PatternImportError(`Ornament ${position + 1} is a ${match[0]} in Mill Hill bead ${color.id}; beads can only be bead ornaments`);
+        }
+        placedOrnaments.add(key);
+        ornaments.push({ x, y, type: match[0], color });
+    });
+
+    // Keep stitches in row-major order with part stitches next to their neighbors
+    stitches.sort((a, b) => a.y - b.y || a.x - b.x);
+
+    const warnings = describeMappings(mappings);
+    if (snapped > 0) {
+        warnings.push(`${snapped} ${snapped === 1 ? 'backstitch' : 'backstitches'} moved to the nearest grid corners`);
+    }
+    if (snappedOrnaments > 0) {
+        warnings.push(`${snappedOrnaments} ${snappedOrnaments === 1 ? 'knot/bead' : 'knots/beads'} moved to the nearest grid corners`);
+    }
+    if (otherObjects > 0) {
+        warnings.push(`${otherObjects} ${otherObjects === 1 ? 'ornament' : 'ornaments'} not imported (only knots, beads and quarter stitches are supported)`);
+    }
+
+    return {
+        stitches,
+        backstitches,
+        ornaments,
+        width,
+        height,
+        colorCounts: countColors(stitches),
+        title: properties.charttitle || 'Imported Pattern',
+        warnings
+    };
+}
@@ -0,0 +1,128 @@
+import { runPatternPipeline } from './patternGenerator.js';
+
+/**
+ * Pattern worker client
+ * Promise-based wrapper around src/workers/patternWorker.js with per-run cancellation.
+ * Falls back to running the pipeline on the main thread where module workers are unavailable,
+ * or from the point a worker fails (for example when its module cannot be loaded).
+ */
+
+/**
+ * Create the error a cancelled run rejects with
+ * @private
+ */
+function createAbortError() {
+    const error = new Error('Pattern conversion was cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Create a pattern worker client
+ * @returns {Object} { setImage(imageData), convert(gridSize, options, { onProgress, signal }), terminate() }
+ */
+export function createPatternWorker() {
+    let worker = null;
+    try {
+        worker = new Worker(new URL('../workers/patternWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Pattern worker unavailable, converting on the main thread:', error);
+    }
+
+    // Kept for the main-thread fallback, which may take over after the worker fails
+    let localImageData = null;
+    let nextId = 1;
+    const pending = new Map();
+
+    if (worker) {
+        worker.onmessage = (event) => {
+            const { type, id } = event.data;
+            const run = pending.get(id);
+            if (!run) return; // Cancelled runs may still report in
+
+            if (type === 'progress') {
+                run.onProgress(event.data.progress);
+            } else if (type === 'result') {
+                pending.delete(id);
+                run.resolve(event.data.result);
+            } else if (type === 'error') {
+                pending.delete(id);
+                const error = new Error(event.data.message);
+                error.name = event.data.name;
+                run.reject(error);
+            }
+        };
+        // Errors outside a message handler leave the worker unusable, so its runs would never settle
+        worker.onerror = (event) => {
+            console.error('Pattern worker failed, converting on the main thread from now on:', event.message);
+            worker.terminate();
+            worker = null;
+
+            const error = new Error(`Pattern worker failed: ${event.message || 'unknown error'}`);
+            for (const run of pending.values()) {
+                run.reject(error);
+            }
+            pending.clear();
+        };
+    }
+
+    return {
+        /**
+         * Send the source image to the worker
+         * The pixel buffer is copied once and the copy transferred, so the caller's ImageData stays usable
+         * @param {ImageData} imageData - Canvas ImageData object
+         */
+        setImage(imageData) {
+            localImageData = imageData;
+            if (!worker) return;
+            const data = new Uint8ClampedArray(imageData.data);
+            worker.postMessage(
+                { type: 'setImage', imageData: { data, width: imageData.width, height: imageData.height } },
+                [data.buffer]
+            );
+        },
+
+        /**
+         * Convert the current image with the given settings
+         * @param {number} gridSize - Number of stitches in width
+         * @param {Object} options - runPatternPipeline options
+         * @param {Object} handlers - { onProgress, signal }
+         * @returns {Promise<Object>} Pattern object; rejects with an AbortError when the signal fires
+         */
+        convert(gridSize, options, { onProgress = () => {}, signal = null } = {}) {
+            if (signal && signal.aborted) {
+                return Promise.reject(createAbortError());
+            }
+
+            if (!worker) {
+                return runPatternPipeline(localImageData, gridSize, onProgress, { ...options, signal });
+            }
+
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, onProgress });
+                worker.postMessage({ type: 'convert', id, gridSize, options });
+
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        if (!pending.has(id)) return;
+                        pending.delete(id);
+                        worker.postMessage({ type: 'cancel', id });
+                        reject(createAbortError());
+                    }, { once: true });
+                }
+            });
+        },
+
+        /**
+         * Stop the worker and reject any runs still in flight
+         */
+        terminate() {
+            if (worker) worker.terminate();
+            for (const run of pending.values()) {
+                run.reject(createAbortError());
+            }
+            pending.clear();
+        }
+    };
+}
@@ -0,0 +1,493 @@
+import { calculatePatternStats, generateThreadShoppingList, generateBeadShoppingList } from './patternGenerator.js';
+import { getStitchType, getStitchLegs, getSymbolPlacement, describePartStitches } from './stitchTypes.js';
+import { countBackstitchLengths } from './backstitch.js';
+import { ORNAMENT_TYPES, ORNAMENT_LABELS, countOrnaments } from './ornaments.js';
+import { isBlend } from './blends.js';
+import { getPageTiles } from './pageTiles.js';
+import { assignDrawableSymbols, drawChartSymbol } from './chartSymbols.js';
+import { DEFAULT_STRANDS, DEFAULT_WASTE_FACTOR } from './threadEstimator.js';
+import { getFabric, DEFAULT_FABRIC_ID } from '../data/fabrics.js';
+import { createPDFDocument, fitText, PDF_PAGE_SIZES, MM_TO_POINTS } from './pdfWriter.js';
+
+/**
+ * PDF pattern export
+ * Lays out a complete pattern booklet as vector PDF pages: a cover with a preview, the color
+ * chart and symbol chart split into page tiles, the key and the shopping list. Works in the
+ * browser and in Node, with no print dialog.
+ */
+
+// Chart cells are a tenth of an inch, the size of printed 10-count charts
+const CHART_CELL = 7.2;
+
+// Room for grid numbers beside the chart, the page heading and the footer, in points
+const GUTTER = 18;
+const HEADER_HEIGHT = 30;
+const FOOTER_HEIGHT = 16;
+const ROW_HEIGHT = 16;
+
+const ACCENT = '#B85450';
+const FABRIC = '#F5F0E8';
+const GRID = '#C8C0B8';
+const MAJOR_GRID = '#444444';
+const MUTED = '#666666';
+
+/**
+ * Draw a stitch in its thread color: full stitches as filled cells, part stitches as their legs
+ * @private
+ */
+function drawStitch(page, stitch, x, y, cell) {
+    if (getStitchType(stitch) === 'full') {
+        page.rect(x, y, cell, cell, { fill: stitch.color.hex });
+        return;
+    }
+    for (const [x1, y1, x2, y2] of getStitchLegs(stitch)) {
+        page.line(x + x1 * cell, y + y1 * cell, x + x2 * cell, y + y2 * cell, {
+            stroke: stitch.color.hex,
+            lineWidth: cell * 0.3,
+            lineCap: 'round'
+        });
+    }
+}
+
+/**
+ * Draw a French knot or bead glyph centered on (cx, cy), matching the SVG chart
+ * @private
+ */
+function drawOrnament(page, type, cx, cy, cell, hex) {
+    if (type === 'bead') {
+        page.circle(cx, cy, cell * 0.38, { fill: hex, stroke: '#333333', lineWidth: cell * 0.07 });
+        page.circle(cx, cy, cell * 0.12, { fill: '#FFFFFF', stroke: '#333333', lineWidth: cell * 0.05 });
+    } else {
+        page.circle(cx, cy, cell * 0.25, { fill: hex, stroke: '#000000', lineWidth: cell * 0.07 });
+    }
+}
+
+/**
+ * Draw a thread's color swatch; blends are split diagonally into their two threads
+ * @private
+ */
+function drawSwatch(page, color, x, y, size) {
+    if (isBlend(color)) {
+        const [first, second] = color.blend;
+        page.polygon([[x, y], [x + size, y], [x, y + size]], { fill: first.hex });
+        page.polygon([[x + size, y], [x + size, y + size], [x, y + size]], { fill: second.hex });
+        page.rect(x, y, size, size, { stroke: '#000000', lineWidth: 0.5 });
+    } else {
+        page.rect(x, y, size, size, { fill: color.hex, stroke: '#000000', lineWidth: 0.5 });
+    }
+}
+
+/**
+ * Draw backstitches and ornaments with the chart's origin at (originX, originY)
+ * @private
+ */
+function drawOverlays(page, pattern, originX, originY, cell) {
+    for (const backstitch of pattern.backstitches) {
+        page.line(
+            originX + backstitch.x1 * cell, originY + backstitch.y1 * cell,
+            originX + backstitch.x2 * cell, originY + backstitch.y2 * cell,
+            { stroke: backstitch.color.hex, lineWidth: cell * 0.25, lineCap: 'round' }
+        );
+    }
+    for (const ornament of pattern.ornaments) {
+        drawOrnament(page, ornament.type, originX + ornament.x * cell, originY + ornament.y * cell, cell, ornament.color.hex);
+    }
+}
+
+/**
+ * Cover page: title, pattern statistics and a full-color preview with the chart pages marked
+ * @private
+ */
+function drawCover(layout, pattern, tiles) {
+    const { box } = layout;
+    const page = layout.addPage(null);
+    const stats = calculatePatternStats(pattern.stitches.length, Object.keys(pattern.colorCounts).length, {
+        stitches: pattern.stitches,
+        backstitches: pattern.backstitches
+    });
+
+    page.text(fitText(layout.title, box.width, 24, true), box.x + box.width / 2, box.y + 30, { size: 24, bold: true, color: ACCENT, align: 'center' });
+    page.text('Generated with Cross Stitch Pattern Maker', box.x + box.width / 2, box.y + 48, { size: 10, color: MUTED, align: 'center' });
+
+    const facts = [
+        ['Dimensions', `${pattern.width} × ${pattern.height}`],
+        ['Stitches', pattern.stitches.length.toLocaleString('en-US')],
+        ['Colors', String(Object.keys(pattern.colorCounts).length)],
+        ['Difficulty', stats.difficulty],
+        ['Stitching time', stats.timeEstimate]
+    ];
+    const factWidth = box.width / facts.length;
+    facts.forEach(([label, value], index) => {
+        const cx = box.x + factWidth * (index + 0.5);
+        page.text(label.toUpperCase(), cx, box.y + 78, { size: 7, color: MUTED, align: 'center' });
+        page.text(value, cx, box.y + 94, { size: 12, bold: true, align: 'center' });
+    });
+
+    // Preview fills the rest of the page, leaving a line for the note under it
+    const areaTop = box.y + 115;
+    const areaHeight = box.y + box.height - FOOTER_HEIGHT - 24 - areaTop;
+    const cell = Math.min(box.width / pattern.width, areaHeight / pattern.height);
+    const originX = box.x + (box.width - pattern.width * cell) / 2;
+    const originY = areaTop;
+
+    page.rect(originX, originY, pattern.width * cell, pattern.height * cell, { fill: FABRIC });
+    for (const stitch of pattern.stitches) {
+        drawStitch(page, stitch, originX + stitch.x * cell, originY + stitch.y * cell, cell);
+    }
+    drawOverlays(page, pattern, originX, originY, cell);
+    page.rect(originX, originY, pattern.width * cell, pattern.height * cell, { stroke: '#000000', lineWidth: 0.75 });
+
+    if (tiles.length > 1) {
+        for (const tile of tiles) {
+            const x = originX + tile.x * cell;
+            const y = originY + tile.y * cell;
+            const labelSize = Math.min(28, Math.min(tile.width, tile.height) * cell / 3);
+            page.rect(x, y, tile.width * cell, tile.height * cell, { stroke: ACCENT, lineWidth: 1.25 });
+            page.text(String(tile.page), x + tile.width * cell / 2, y + tile.height * cell / 2 + labelSize * 0.35,
+                { size: labelSize, bold: true, color: ACCENT, align: 'center' });
+        }
+        page.text(
+            `The chart is split over ${tiles.length} pages, numbered above. Grey bars beside a chart mark rows and columns repeated from the neighboring page.`,
+            box.x + box.width / 2, originY + pattern.height * cell + 16, { size: 8, color: MUTED, align: 'center' }
+        );
+    }
+}
+
+/**
+ * One chart page for a tile: colored cells ('color') or black symbols on white ('symbols')
+ * @private
+ */
+function drawChartPage(layout, pattern, tile, tiles, mode) {
+    const { box, symbols } = layout;
+    const heading = mode === 'color' ? 'Color Chart' : 'Symbol Chart';
+    const page = layout.addPage(heading);
+    const cell = CHART_CELL;
+    const chartWidth = tile.width * cell;
+    const chartHeight = tile.height * cell;
+    const originX = box.x + GUTTER;
+    const originY = box.y + HEADER_HEIGHT + GUTTER;
+    // Chart coordinates of a point, measured from the tile's top-left corner
+    const atX = x => originX + (x - tile.x) * cell;
+    const atY = y => originY + (y - tile.y) * cell;
+
+    page.text(
+        `Page ${tile.page} of ${tiles.length} · columns ${tile.x + 1}–${tile.x + tile.width} · rows ${tile.y + 1}–${tile.y + tile.height}`,
+        box.x + box.width, box.y + 16, { size: 9, color: MUTED, align: 'right' }
+    );
+
+    page.save();
+    page.clip(originX, originY, chartWidth, chartHeight);
+    page.rect(originX, originY, chartWidth, chartHeight, { fill: mode === 'color' ? FABRIC : '#FFFFFF' });
+
+    for (const stitch of pattern.stitches) {
+        if (stitch.x < tile.x || stitch.x >= tile.x + tile.width || stitch.y < tile.y || stitch.y >= tile.y + tile.height) continue;
+        const x = atX(stitch.x);
+        const y = atY(stitch.y);
+        if (mode === 'color') {
+            drawStitch(page, stitch, x, y, cell);
+        } else {
+            const placement = getSymbolPlacement(stitch);
+            drawChartSymbol(page, symbols[stitch.color.id], x + cell * placement.x, y + cell * placement.y, cell * 0.75 * placement.scale);
+        }
+    }
+
+    // Light lines between cells, then bold lines every 10 stitches counted from the chart's corner
+    for (let x = tile.x + 1; x < tile.x + tile.width; x++) {
+        if (x % 10 !== 0) page.line(atX(x), originY, atX(x), originY + chartHeight, { stroke: GRID, lineWidth: 0.25 });
+    }
+    for (let y = tile.y + 1; y < tile.y + tile.height; y++) {
+        if (y % 10 !== 0) page.line(originX, atY(y), originX + chartWidth, atY(y), { stroke: GRID, lineWidth: 0.25 });
+    }
+    for (let x = Math.ceil((tile.x + 1) / 10) * 10; x < tile.x + tile.width; x += 10) {
+        page.line(atX(x), originY, atX(x), originY + chartHeight, { stroke: MAJOR_GRID, lineWidth: 0.9 });
+    }
+    for (let y = Math.ceil((tile.y + 1) / 10) * 10; y < tile.y + tile.height; y += 10) {
+        page.line(originX, atY(y), originX + chartWidth, atY(y), { stroke: MAJOR_GRID, lineWidth: 0.9 });
+    }
+
+    drawOverlays(page, pattern, atX(0), atY(0), cell);
+    page.restore();
+    page.rect(originX, originY, chartWidth, chartHeight, { stroke: '#000000', lineWidth: 1 });
+
+    // Grid numbers every 10 stitches, in chart coordinates
+    for (let x = Math.ceil((tile.x + 1) / 10) * 10; x <= tile.x + tile.width; x += 10) {
+        page.text(String(x), atX(x), originY - 7, { size: 6, color: MUTED, align: 'center' });
+    }
+    for (let y = Math.ceil((tile.y + 1) / 10) * 10; y <= tile.y + tile.height; y += 10) {
+        page.text(String(y), originX - 7, atY(y) + 2, { size: 6, color: MUTED, align: 'right' });
+    }
+
+    // Bars beside rows and columns repeated from the previous page
+    if (tile.repeatLeft > 0) {
+        page.rect(originX, originY - 4, tile.repeatLeft * cell, 2.5, { fill: '#999999' });
+    }
+    if (tile.repeatTop > 0) {
+        page.rect(originX - 4, originY, 2.5, tile.repeatTop * cell, { fill: '#999999' });
+    }
+}
+
+/**
+ * Column x positions and widths for a table filling the content box
+ * Columns with a `share` split what is left after the fixed-width columns
+ * @private
+ */
+function layoutColumns(box, columns) {
+    const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+    const flexible = box.width - fixed;
+    let x = box.x;
+    return columns.map(column => {
+        const width = column.share ? flexible * column.share : column.width;
+        const placed = { ...column, x, width };
+        x += width;
+        return placed;
+    });
+}
+
+/**
+ * Draw a table over as many pages as it needs, repeating the header row on each page
+ * Rows are { cells: [text...], draw?(page, y, columns) } where draw paints swatches or symbols.
+ * Given the position where a previous table ended, a table that fits its heading and a few
+ * rows there starts below it instead of on a new page.
+ * @private
+ * @returns {Object} { page, y } where the table ends
+ */
+function drawTable(layout, heading, columns, rows, { intro = [], after = null } = {}) {
+    const { box } = layout;
+    const bottom = box.y + box.height - FOOTER_HEIGHT;
+    const placed = layoutColumns(box, columns);
+    let page = null;
+    let y = 0;
+
+    const drawHeaderRow = () => {
+        page.rect(box.x, y, box.width, ROW_HEIGHT, { fill: FABRIC });
+        placed.forEach(column => {
+            const textX = column.align === 'right' ? column.x + column.width - 4 : column.x + 4;
+            page.text(column.label, textX, y + 11, { size: 8, bold: true, align: column.align || 'left' });
+        });
+        y += ROW_HEIGHT;
+    };
+
+    const startPage = (continued) => {
+        page = layout.addPage(continued ? `${heading} (continued)` : heading);
+        y = box.y + HEADER_HEIGHT;
+        if (!continued) {
+            for (const line of intro) {
+                page.text(line, box.x, y + 8, { size: 9 });
+                y += 14;
+            }
+            y += intro.length > 0 ? 6 : 0;
+        }
+        drawHeaderRow();
+    };
+
+    if (after && after.y + 40 + ROW_HEIGHT * 3 <= bottom) {
+        page = after.page;
+        y = after.y + 24;
+        page.text(heading, box.x, y, { size: 14, bold: true, color: ACCENT });
+        y += 14;
+        drawHeaderRow();
+    } else {
+        startPage(false);
+    }
+    for (const row of rows) {
+        if (y + ROW_HEIGHT > bottom) startPage(true);
+        placed.forEach((column, index) => {
+            const text = row.cells[index];
+            if (!text) return;
+            const fitted = fitText(text, column.width - 8, 8);
+            const textX = column.align === 'right' ? column.x + column.width - 4 : column.x + 4;
+            page.text(fitted, textX, y + 11, { size: 8, align: column.align || 'left' });
+        });
+        if (row.draw) row.draw(page, y, placed);
+        page.line(box.x, y + ROW_HEIGHT, box.x + box.width, y + ROW_HEIGHT, { stroke: '#DDDDDD', lineWidth: 0.5 });
+        y += ROW_HEIGHT;
+    }
+    return { page, y };
+}
+
+/**
+ * Key: symbol, color and thread for every stitch color, then backstitch, knot and bead colors
+ * @private
+ */
+function drawKey(layout, pattern) {
+    const { symbols } = layout;
+    const columns = [
+        { label: 'Symbol', width: 44 },
+        { label: 'Color', width: 40 },
+        { label: 'Thread', width: 90 },
+        { label: 'Name', share: 1 / 2 },
+        { label: 'Used for', share: 1 / 2 },
+        { label: 'Count', width: 60, align: 'right' }
+    ];
+    const swatchAt = (y, placed) => [placed[1].x + 12, y + 3];
+
+    const stitchRows = Object.values(pattern.colorCounts)
+        .sort((a, b) => b.count - a.count)
+        .map(color => ({
+            cells: ['', '', `${color.brand || 'DMC'} ${color.id}`, color.name, isBlend(color) ? 'Blended stitches (1 strand each)' : 'Stitches', String(color.count)],
+            draw: (page, y, placed) => {
+                page.rect(placed[0].x + 14, y + 2, 12, 12, { stroke: '#999999', lineWidth: 0.5 });
+                drawChartSymbol(page, symbols[color.id], placed[0].x + 20, y + 8, 9);
+                const [x, top] = swatchAt(y, placed);
+                drawSwatch(page, color, x, top, 10);
+            }
+        }));
+
+    const backstitchRows = Object.values(countBackstitchLengths(pattern.backstitches)).map(color => ({
+        cells: ['', '', `${color.brand || 'DMC'} ${color.id}`, color.name, 'Backstitch', `${color.length.toFixed(1)} st.`],
+        draw: (page, y, placed) => {
+            const [x, top] = swatchAt(y, placed);
+            page.line(x - 4, top + 5, x + 14, top + 5, { stroke: color.hex, lineWidth: 2, lineCap: 'round' });
+        }
+    }));
+
+    const ornamentRows = ORNAMENT_TYPES.flatMap(type => Object.values(countOrnaments(pattern.ornaments, type)).map(color => ({
+        cells: ['', '', `${color.brand || 'DMC'} ${color.id}`, color.name, ORNAMENT_LABELS[type].replace(/^./, char => char.toUpperCase()), String(color.count)],
+        draw: (page, y, placed) => {
+            const [x, top] = swatchAt(y, placed);
+            drawOrnament(page, type, x + 5, top + 5, 11, color.hex);
+        }
+    })));
+
+    drawTable(layout, 'Key', columns, [...stitchRows, ...backstitchRows, ...ornamentRows]);
+}
+
+/**
+ * Shopping list: floss and skeins per thread (with what is still to buy when a stash is given), then beads
+ * @private
+ */
+function drawShoppingList(layout, pattern, threadOptions) {
+    const { stash, fabric, strands, wasteFactor } = threadOptions;
+    const shoppingList = generateThreadShoppingList(pattern.colorCounts, {
+        stash,
+        backstitches: pattern.backstitches,
+        ornaments: pattern.ornaments,
+        stitches: pattern.stitches,
+        fabric,
+        strands,
+        wasteFactor
+    });
+    const columns = [
+        { label: '', width: 24 },
+        { label: 'Thread', width: 70 },
+        { label: 'Name', share: 1 / 2 },
+        { label: 'Also used for', share: 1 / 2 },
+        { label: 'Stitches', width: 50, align: 'right' },
+        { label: 'Meters', width: 44, align: 'right' },
+        { label: 'Skeins', width: 44, align: 'right' },
+        ...(stash ? [{ label: 'To buy', width: 44, align: 'right' }] : [])
+    ];
+
+    const rows = shoppingList.map(item => {
+        const extras = [
+            describePartStitches(item.stitchTypes),
+            item.backstitchLength > 0 ? `${item.backstitchLength.toFixed(1)} st. backstitch` : '',
+            item.knots > 0 ? `${item.knots} French knot${item.knots === 1 ? '' : 's'}` : '',
+            item.blendStitches > 0 ? `${item.blendStitches} blended with ${item.blendPartners.join(', ')}` : ''
+        ].filter(Boolean).join('; ');
+        return {
+            cells: ['', `${item.brand} ${item.threadNumber}`, item.name, extras, String(item.stitches), item.meters.toFixed(1), String(item.skeinsNeeded),
+                ...(stash ? [String(item.toBuy)] : [])],
+            draw: (page, y, placed) => page.rect(placed[0].x + 6, y + 3, 10, 10, { fill: item.hex, stroke: '#000000', lineWidth: 0.5 })
+        };
+    });
+
+    const intro = [`Total skeins: ${shoppingList.reduce((sum, item) => sum + item.skeinsNeeded, 0)}`];
+    if (stash) {
+        intro.push(`Skeins to buy (beyond stash): ${shoppingList.reduce((sum, item) => sum + item.toBuy, 0)}`);
+    }
+    intro.push(`Estimated for ${fabric.name} with ${strands} ${strands === 1 ? 'strand' : 'strands'}, plus ${Math.round(wasteFactor * 100)}% waste`);
+    const threadTable = drawTable(layout, 'Thread Shopping List', columns, rows, { intro });
+
+    const beadList = generateBeadShoppingList(pattern.ornaments);
+    if (beadList.length > 0) {
+        drawTable(layout, 'Beads', [
+            { label: '', width: 24 },
+            { label: 'Bead', width: 110 },
+            { label: 'Name', share: 1 },
+            { label: 'Beads', width: 50, align: 'right' },
+            { label: 'Packets', width: 50, align: 'right' }
+        ], beadList.map(bead => ({
+            cells: ['', `${bead.brand} ${bead.beadNumber}`, bead.name, String(bead.beads), String(bead.packetsNeeded)],
+            draw: (page, y, placed) => drawOrnament(page, 'bead', placed[0].x + 11, y + 8, 11, bead.hex)
+        })), { after: threadTable });
+    }
+}
+
+/**
+ * Generate a PDF pattern booklet
+ * Pages: cover with preview, color chart, symbol chart (both split into page tiles with
+ * overlapping edges, see pageTiles.js), key and shopping list, each with a page footer.
+ *
+ * @param {Array} stitches - Array of stitch objects
+ * @param {number} width - Pattern width in stitches
+ * @param {number} height - Pattern height in stitches
+ * @param {Object} colorCounts - Color usage counts
+ * @param {Object} options - Optional settings
+ * @param {string} options.pageSize - Paper size key of PDF_PAGE_SIZES: 'a4' or 'letter' (default: 'a4')
+ * @param {number} options.margin - Page margin in millimetres (default: 12)
+ * @param {number} options.pageOverlap - Chart columns/rows repeated from the previous page (default: 2)
+ * @param {string} options.title - Title on the cover and in the footer (default: 'Cross Stitch Pattern')
+ * @param {Object} options.stash - Owned DMC threads; adds a "To buy" column
+ * @param {Array} options.backstitches - Backstitch lines (default: none)
+ * @param {Array} options.ornaments - French knots and beads (default: none)
+ * @param {Object} options.fabric - Fabric the thread estimate is made for (default: Aida 14)
+ * @param {number} options.strands - Strands for cross stitches (default: 2)
+ * @param {number} options.wasteFactor - Thread waste allowance as a fraction (default: 0.1)
+ * @returns {Uint8Array} PDF file contents
+ */
+export function generatePDF(stitches, width, height, colorCounts, options = {}) {
+    const {
+        pageSize = 'a4',
+        margin = 12,
+        pageOverlap = 2,
+        title = 'Cross Stitch Pattern',
+        stash = null,
+        backstitches = [],
+        ornaments = [],
+        fabric = getFabric(DEFAULT_FABRIC_ID),
+        strands = DEFAULT_STRANDS,
+        wasteFactor = DEFAULT_WASTE_FACTOR
+    } = options;
+
+    const paper = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+    const inset = margin * MM_TO_POINTS;
+    const box = { x: inset, y: inset, width: paper.width - inset * 2, height: paper.height - inset * 2 };
+    const doc = createPDFDocument({ title });
+    const pattern = { stitches, width, height, colorCounts, backstitches, ornaments };
+
+    const layout = {
+        box,
+        title,
+        symbols: assignDrawableSymbols(colorCounts),
+        addPage(heading) {
+            const page = doc.addPage(paper.width, paper.height);
+            if (heading) {
+                page.text(heading, box.x, box.y + 16, { size: 14, bold: true, color: ACCENT });
+            }
+            return page;
+        }
+    };
+
+    const tiles = getPageTiles(width, height, {
+        pageWidth: Math.floor((box.width - GUTTER) / CHART_CELL),
+        pageHeight: Math.floor((box.height - HEADER_HEIGHT - GUTTER - FOOTER_HEIGHT) / CHART_CELL),
+        overlap: pageOverlap
+    });
+
+    drawCover(layout, pattern, tiles);
+    for (const tile of tiles) drawChartPage(layout, pattern, tile, tiles, 'color');
+    for (const tile of tiles) drawChartPage(layout, pattern, tile, tiles, 'symbols');
+    drawKey(layout, pattern);
+    drawShoppingList(layout, pattern, { stash, fabric, strands, wasteFactor });
+
+    const pages = doc.getPages();
+    pages.forEach((page, index) => {
+        const footerY = box.y + box.height - 2;
+        page.line(box.x, footerY - 10, box.x + box.width, footerY - 10, { stroke: '#CCCCCC', lineWidth: 0.5 });
+        page.text(fitText(title, box.width - 80, 8), box.x, footerY, { size: 8, color: MUTED });
+        page.text(`Page ${index + 1} of ${pages.length}`, box.x + box.width, footerY, { size: 8, color: MUTED, align: 'right' });
+    });
+
+    return doc.toBytes();
+}
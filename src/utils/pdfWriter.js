@@ -0,0 +1,312 @@
+import { hexToRgb } from './colorUtils.js';
+
+/**
+ * Minimal PDF writer
+ * Builds vector PDF pages (lines, shapes and text in the standard Helvetica fonts) without a
+ * browser or any dependency. Coordinates are in points (1/72 inch) from the top-left corner of
+ * the page, like SVG, and are flipped to PDF's bottom-left origin when written.
+ */
+
+/**
+ * Paper sizes in points
+ */
+export const PDF_PAGE_SIZES = {
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    letter: { label: 'Letter', width: 612, height: 792 }
+};
+
+/**
+ * Points per millimetre, for margins given in mm
+ */
+export const MM_TO_POINTS = 72 / 25.4;
+
+// Resource names of the two standard fonts every page can use
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2' };
+
+// Helvetica advance widths (per 1000 units of font size) for ASCII 32-126, from the standard AFM files
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has, with their codes
+const WIN_ANSI_EXTRAS = {
+    '€': 128, '‚': 130, 'ƒ': 131, '„': 132, '…': 133, '†': 134, '‡': 135, 'ˆ': 136, '‰': 137,
+    'Š': 138, '‹': 139, 'Œ': 140, 'Ž': 142, '‘': 145, '’': 146, '“': 147, '”': 148, '•': 149,
+    '–': 150, '—': 151, '˜': 152, '™': 153, 'š': 154, '›': 155, 'œ': 156, 'ž': 158, 'Ÿ': 159
+};
+
+// Bezier handle length for drawing a quarter circle
+const CIRCLE_KAPPA = 0.5523;
+
+/**
+ * WinAnsi code for a character, or null when the standard fonts cannot show it
+ * @private
+ */
+function winAnsiCode(char) {
+    const code = char.charCodeAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+    return WIN_ANSI_EXTRAS[char] ?? null;
+}
+
+/**
+ * Text as a PDF literal string in WinAnsiEncoding; characters the fonts lack become "?"
+ * @private
+ */
+function encodeText(text) {
+    let encoded = '';
+    for (const char of String(text)) {
+        const code = winAnsiCode(char) ?? 63;
+        if (char === '(' || char === ')' || char === '\\') {
+            encoded += `\\${char}`;
+        } else if (code >= 32 && code <= 126) {
+            encoded += String.fromCharCode(code);
+        } else {
+            encoded += `\\${code.toString(8).padStart(3, '0')}`;
+        }
+    }
+    return `(${encoded})`;
+}
+
+/**
+ * Width of a string set in Helvetica
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Measure Helvetica-Bold instead (default: false)
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return total * size / 1000;
+}
+
+/**
+ * Shorten text with an ellipsis so it fits a width
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Measure Helvetica-Bold instead (default: false)
+ * @returns {string} The text, cut short if needed
+ */
+export function fitText(text, maxWidth, size, bold = false) {
+    if (measureText(text, size, bold) <= maxWidth) return text;
+    let fitted = String(text);
+    while (fitted.length > 0 && measureText(`${fitted}…`, size, bold) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+/**
+ * Format a coordinate for a content stream, with at most two decimals
+ * @private
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * PDF color operands "r g b" for a #RRGGBB color
+ * @private
+ */
+function colorOperands(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return [r, g, b].map(channel => String(Math.round(channel / 255 * 1000) / 1000)).join(' ');
+}
+
+/**
+ * Create a page whose drawing methods append to its content stream
+ * @private
+ */
+function createPage(width, height) {
+    const operations = [];
+    // Current graphics state, so unchanged colors and widths are not repeated for every shape
+    let state = { fill: null, stroke: null, lineWidth: null, lineCap: null };
+    const savedStates = [];
+
+    const setFill = (hex) => {
+        if (state.fill !== hex) {
+            operations.push(`${colorOperands(hex)} rg`);
+            state.fill = hex;
+        }
+    };
+
+    const setStroke = (hex, lineWidth, lineCap) => {
+        if (state.stroke !== hex) {
+            operations.push(`${colorOperands(hex)} RG`);
+            state.stroke = hex;
+        }
+        if (state.lineWidth !== lineWidth) {
+            operations.push(`${num(lineWidth)} w`);
+            state.lineWidth = lineWidth;
+        }
+        if (state.lineCap !== lineCap) {
+            operations.push(`${lineCap === 'round' ? 1 : 0} J`);
+            state.lineCap = lineCap;
+        }
+    };
+
+    // Set colors for a path and return the operator that paints it
+    const paint = ({ fill = null, stroke = null, lineWidth = 1, lineCap = 'butt' }) => {
+        if (fill) setFill(fill);
+        if (stroke) setStroke(stroke, lineWidth, lineCap);
+        if (fill && stroke) return 'B';
+        return fill ? 'f' : 'S';
+    };
+
+    const point = (x, y) => `${num(x)} ${num(height - y)}`;
+
+    return {
+        width,
+        height,
+
+        /**
+         * Rectangle from its top-left corner
+         */
+        rect(x, y, w, h, style) {
+            const op = paint(style);
+            operations.push(`${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re ${op}`);
+        },
+
+        /**
+         * Straight line (stroked; style.stroke defaults to black)
+         */
+        line(x1, y1, x2, y2, style = {}) {
+            const op = paint({ stroke: '#000000', ...style, fill: null });
+            operations.push(`${point(x1, y1)} m ${point(x2, y2)} l ${op}`);
+        },
+
+        /**
+         * Connected line segments through [x, y] points, closed into a shape when style.close is set
+         */
+        polygon(points, style) {
+            const op = paint(style);
+            const path = points.map(([x, y], index) => `${point(x, y)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+            operations.push(`${path}${style.close === false ? '' : ' h'} ${op}`);
+        },
+
+        /**
+         * Circle around (cx, cy)
+         */
+        circle(cx, cy, r, style) {
+            const op = paint(style);
+            const k = r * CIRCLE_KAPPA;
+            operations.push([
+                `${point(cx + r, cy)} m`,
+                `${point(cx + r, cy - k)} ${point(cx + k, cy - r)} ${point(cx, cy - r)} c`,
+                `${point(cx - k, cy - r)} ${point(cx - r, cy - k)} ${point(cx - r, cy)} c`,
+                `${point(cx - r, cy + k)} ${point(cx - k, cy + r)} ${point(cx, cy + r)} c`,
+                `${point(cx + k, cy + r)} ${point(cx + r, cy + k)} ${point(cx + r, cy)} c`,
+                `h ${op}`
+            ].join(' '));
+        },
+
+        /**
+         * Text with its baseline at y; align is 'left', 'center' or 'right'
+         */
+        text(value, x, y, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+            const shift = align === 'left' ? 0 : measureText(value, size, bold) * (align === 'center' ? 0.5 : 1);
+            setFill(color);
+            operations.push(`BT /${bold ? FONT_RESOURCES.bold : FONT_RESOURCES.regular} ${num(size)} Tf ${point(x - shift, y)} Td ${encodeText(value)} Tj ET`);
+        },
+
+        /**
+         * Limit drawing to a rectangle until the matching restore()
+         */
+        clip(x, y, w, h) {
+            operations.push(`${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re W n`);
+        },
+
+        save() {
+            operations.push('q');
+            savedStates.push({ ...state });
+        },
+
+        restore() {
+            operations.push('Q');
+            state = savedStates.pop();
+        },
+
+        /**
+         * The page's content stream
+         */
+        getContent() {
+            return operations.join('\n');
+        }
+    };
+}
+
+/**
+ * Create an empty PDF document
+ * @param {Object} options - Optional settings
+ * @param {string} options.title - Document title shown by PDF viewers
+ * @returns {Object} Document { addPage(width, height) -> page, getPages(), toBytes() -> Uint8Array }
+ */
+export function createPDFDocument(options = {}) {
+    const { title = '' } = options;
+    const pages = [];
+
+    return {
+        addPage(width, height) {
+            const page = createPage(width, height);
+            pages.push(page);
+            return page;
+        },
+
+        getPages() {
+            return pages;
+        },
+
+        toBytes() {
+            // Objects 1-5 are the catalog, page tree, two fonts and document info; pages follow in pairs
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pages.map((page, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+                `<< /Title ${encodeText(title)} /Producer (Cross Stitch Pattern Maker) >>`
+            ];
+            pages.forEach((page, index) => {
+                const content = page.getContent();
+                objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+                    `/Resources << /Font << /${FONT_RESOURCES.regular} 3 0 R /${FONT_RESOURCES.bold} 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`,
+                    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+                );
+            });
+
+            // Every byte written is ASCII, so string lengths are byte offsets
+            let pdf = '%PDF-1.4\n';
+            const offsets = objects.map((body, index) => {
+                const offset = pdf.length;
+                pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+
+            const xrefOffset = pdf.length;
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return new TextEncoder().encode(pdf);
+        }
+    };
+}
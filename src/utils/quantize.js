@@ -0,0 +1,219 @@
+import { findClosestDMC, rgbToLab } from './colorUtils.js';
+
+/**
+ * Color quantization utilities
+ * Pick the best N colors for a whole image before mapping them to threads,
+ * so small but distinctive areas (eyes, highlights) keep their own color
+ */
+
+/**
+ * Palette reduction methods offered next to the max-colors slider
+ * - frequency: keep the N most-used threads after matching (limitColors)
+ * - median-cut: split the RGB color box at the median of its widest channel
+ * - kmeans: k-means clustering in CIELAB, seeded with median-cut
+ */
+export const REDUCTION_METHODS = ['frequency', 'median-cut', 'kmeans'];
+
+/**
+ * Collapse samples into unique colors with counts
+ * @private
+ */
+function countUniqueColors(samples) {
+    const counts = new Map();
+    for (const { r, g, b } of samples) {
+        const key = (r << 16) | (g << 8) | b;
+        const entry = counts.get(key);
+        if (entry) {
+            entry.count++;
+        } else {
+            counts.set(key, { r, g, b, count: 1 });
+        }
+    }
+    return Array.from(counts.values());
+}
+
+/**
+ * Count-weighted average color of a set of unique colors
+ * @private
+ */
+function averageColor(colors) {
+    let r = 0, g = 0, b = 0, total = 0;
+    for (const color of colors) {
+        r += color.r * color.count;
+        g += color.g * color.count;
+        b += color.b * color.count;
+        total += color.count;
+    }
+    return {
+        r: Math.round(r / total),
+        g: Math.round(g / total),
+        b: Math.round(b / total),
+        count: total
+    };
+}
+
+/**
+ * Median-cut quantization
+ * Repeatedly splits the box with the widest channel range at its weighted median
+ *
+ * @param {Array} samples - Colors { r, g, b }, one per sampled stitch
+ * @param {number} maxColors - Number of colors to produce
+ * @returns {Array} Representative colors { r, g, b, count }, most-used first
+ */
+export function medianCut(samples, maxColors) {
+    const unique = countUniqueColors(samples);
+    if (unique.length === 0) return [];
+
+    const channelRange = (colors, channel) => {
+        let min = 255, max = 0;
+        for (const color of colors) {
+            if (color[channel] < min) min = color[channel];
+            if (color[channel] > max) max = color[channel];
+        }
+        return max - min;
+    };
+
+    const makeBox = (colors) => {
+        const ranges = ['r', 'g', 'b'].map(channel => ({ channel, range: channelRange(colors, channel) }));
+        const widest = ranges.reduce((prev, curr) => curr.range > prev.range ? curr : prev);
+        return { colors, channel: widest.channel, range: widest.range };
+    };
+
+    const boxes = [makeBox(unique)];
+
+    while (boxes.length < maxColors) {
+        // Split the box with the largest channel range that can still be split
+        let boxIndex = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].colors.length > 1 && (boxIndex === -1 || boxes[i].range > boxes[boxIndex].range)) {
+                boxIndex = i;
+            }
+        }
+        if (boxIndex === -1) break;
+
+        const { colors, channel } = boxes[boxIndex];
+        colors.sort((a, b) => a[channel] - b[channel]);
+
+        // Weighted median so heavily used colors pull the split point
+        const total = colors.reduce((sum, color) => sum + color.count, 0);
+        let running = 0;
+        let splitAt = 1;
+        for (let i = 0; i < colors.length - 1; i++) {
+            running += colors[i].count;
+            if (running >= total / 2) {
+                splitAt = i + 1;
+                break;
+            }
+            splitAt = i + 1;
+        }
+
+        boxes.splice(boxIndex, 1, makeBox(colors.slice(0, splitAt)), makeBox(colors.slice(splitAt)));
+    }
+
+    return boxes
+        .map(box => averageColor(box.colors))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * K-means quantization in CIELAB space
+ * Seeded with median-cut for deterministic, well-spread starting centers
+ *
+ * @param {Array} samples - Colors { r, g, b }, one per sampled stitch
+ * @param {number} maxColors - Number of clusters
+ * @param {Object} options - Optional settings
+ * @param {number} options.iterations - Maximum refinement passes (default: 12)
+ * @returns {Array} Cluster colors { r, g, b, count }, most-used first
+ */
+export function kMeansLab(samples, maxColors, options = {}) {
+    const { iterations = 12 } = options;
+
+    const unique = countUniqueColors(samples);
+    if (unique.length <= maxColors) {
+        return unique.sort((a, b) => b.count - a.count);
+    }
+
+    const points = unique.map(color => ({ ...color, lab: rgbToLab(color.r, color.g, color.b) }));
+    let centers = medianCut(samples, maxColors).map(color => rgbToLab(color.r, color.g, color.b));
+    const assignments = new Int32Array(points.length);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        let changed = 0;
+
+        // Assign each color to its nearest center (squared CIE76 distance)
+        for (let i = 0; i < points.length; i++) {
+            const { lab } = points[i];
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let c = 0; c < centers.length; c++) {
+                const dL = lab.L - centers[c].L;
+                const da = lab.a - centers[c].a;
+                const db = lab.b - centers[c].b;
+                const distance = dL * dL + da * da + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = c;
+                }
+            }
+            if (iter === 0 || assignments[i] !== best) changed++;
+            assignments[i] = best;
+        }
+
+        if (iter > 0 && changed === 0) break;
+
+        // Move each center to the weighted mean of its members
+        const sums = centers.map(() => ({ L: 0, a: 0, b: 0, count: 0 }));
+        for (let i = 0; i < points.length; i++) {
+            const sum = sums[assignments[i]];
+            const { lab, count } = points[i];
+            sum.L += lab.L * count;
+            sum.a += lab.a * count;
+            sum.b += lab.b * count;
+            sum.count += count;
+        }
+        centers = centers.map((center, c) => sums[c].count > 0
+            ? { L: sums[c].L / sums[c].count, a: sums[c].a / sums[c].count, b: sums[c].b / sums[c].count }
+            : center);
+    }
+
+    // Report each cluster as the average RGB of its members
+    const clusters = centers.map(() => []);
+    points.forEach((point, i) => clusters[assignments[i]].push(point));
+
+    return clusters
+        .filter(members => members.length > 0)
+        .map(members => averageColor(members))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Choose the best N thread colors for a set of image samples
+ * Quantizes the samples, then maps each cluster to its closest thread that
+ * has not already been taken by a larger cluster
+ *
+ * @param {Array} samples - Colors { r, g, b }, one per sampled stitch
+ * @param {number} maxColors - Number of threads to choose
+ * @param {Object} options - Optional settings
+ * @param {string} options.method - 'median-cut' or 'kmeans' (default: 'kmeans')
+ * @param {Array} options.palette - Thread colors to choose from
+ * @param {string} options.colorMetric - Metric for matching clusters to threads (default: 'rgb')
+ * @returns {Array} Up to maxColors distinct thread colors
+ */
+export function selectThreadPalette(samples, maxColors, options = {}) {
+    const { method = 'kmeans', palette, colorMetric = 'rgb' } = options;
+
+    const clusters = method === 'median-cut'
+        ? medianCut(samples, maxColors)
+        : kMeansLab(samples, maxColors);
+
+    // Taken threads are skipped rather than filtered out, so the palette's Lab values are reused
+    const taken = new Set();
+
+    for (const cluster of clusters) {
+        if (taken.size === palette.length) break;
+        const thread = findClosestDMC(cluster.r, cluster.g, cluster.b, { colorMetric, palette, exclude: taken });
+        taken.add(thread);
+    }
+
+    return [...taken];
+}
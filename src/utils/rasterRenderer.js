@@ -0,0 +1,447 @@
+import { hexToRgb, getContrastColor } from './colorUtils.js';
+import { getStitchType, getStitchLegs, getSymbolPlacement } from './stitchTypes.js';
+import { countColors } from './patternGenerator.js';
+import { assignDrawableSymbols, drawChartSymbol } from './chartSymbols.js';
+import { countBackstitchLengths } from './backstitch.js';
+import { ORNAMENT_TYPES, ORNAMENT_LABELS, countOrnaments } from './ornaments.js';
+import { isBlend } from './blends.js';
+
+/**
+ * Raster pattern rendering
+ * Draws a pattern into an RGBA pixel buffer without canvas, for PNG export outside the browser
+ */
+
+const FABRIC_COLOR = { r: 0xF5, g: 0xF0, b: 0xE8 };
+const GRID_COLOR = { r: 0xE0, g: 0xD8, b: 0xD0 };
+const MAJOR_GRID_COLOR = { r: 0x99, g: 0x99, b: 0x99 };
+
+// Symbol charts ('symbols' and 'blocks' chart modes) print on white with bold 10-stitch lines
+const PAPER_COLOR = { r: 0xFF, g: 0xFF, b: 0xFF };
+const PAPER_GRID_COLOR = { r: 0xBB, g: 0xBB, b: 0xBB };
+const BOLD_GRID_COLOR = { r: 0x00, g: 0x00, b: 0x00 };
+
+// Pixels within this distance of a leg's center line are painted (a touch over √½ for rounding)
+const LEG_HALF_WIDTH = Math.SQRT1_2 + 1e-9;
+
+// Backstitch lines are drawn a little heavier than stitch legs, like the SVG chart
+const BACKSTITCH_HALF_WIDTH = 1.25;
+
+// Ornament sizes as a fraction of the stitch size, matching the SVG glyphs
+const ORNAMENT_RADIUS = { 'french-knot': 0.25, 'bead': 0.38 };
+const BEAD_HOLE_RADIUS = 0.12;
+const OUTLINE_COLOR = { r: 0x33, g: 0x33, b: 0x33 };
+const HOLE_COLOR = { r: 0xFF, g: 0xFF, b: 0xFF };
+
+// 5 × 7 pixel capitals, digits and punctuation for the key, grid numbers and the letters that
+// stand in for symbols without a vector shape
+const LETTER_GLYPHS = {
+    A: '.###. #...# #...# ##### #...# #...# #...#',
+    B: '####. #...# #...# ####. #...# #...# ####.',
+    C: '.###. #...# #.... #.... #.... #...# .###.',
+    D: '####. #...# #...# #...# #...# #...# ####.',
+    E: '##### #.... #.... ####. #.... #.... #####',
+    F: '##### #.... #.... ####. #.... #.... #....',
+    G: '.###. #...# #.... #.### #...# #...# .####',
+    H: '#...# #...# #...# ##### #...# #...# #...#',
+    I: '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+    J: '..### ...#. ...#. ...#. ...#. #..#. .##..',
+    K: '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+    L: '#.... #.... #.... #.... #.... #.... #####',
+    M: '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+    N: '#...# #...# ##..# #.#.# #..## #...# #...#',
+    O: '.###. #...# #...# #...# #...# #...# .###.',
+    P: '####. #...# #...# ####. #.... #.... #....',
+    Q: '.###. #...# #...# #...# #.#.# #..#. .##.#',
+    R: '####. #...# #...# ####. #.#.. #..#. #...#',
+    S: '.#### #.... #.... .###. ....# ....# ####.',
+    T: '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+    U: '#...# #...# #...# #...# #...# #...# .###.',
+    V: '#...# #...# #...# #...# #...# .#.#. ..#..',
+    W: '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+    X: '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+    Y: '#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..',
+    Z: '##### ....# ...#. ..#.. .#... #.... #####',
+    0: '.###. #...# #..## #.#.# ##..# #...# .###.',
+    1: '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+    2: '.###. #...# ....# ...#. ..#.. .#... #####',
+    3: '####. ....# ....# .###. ....# ....# ####.',
+    4: '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+    5: '##### #.... ####. ....# ....# #...# .###.',
+    6: '..##. .#... #.... ####. #...# #...# .###.',
+    7: '##### ....# ...#. ..#.. .#... .#... .#...',
+    8: '.###. #...# #...# .###. #...# #...# .###.',
+    9: '.###. #...# #...# .#### ....# ...#. .##..',
+    '+': '..... ..#.. ..#.. ##### ..#.. ..#.. .....',
+    '-': '..... ..... ..... ##### ..... ..... .....',
+    '.': '..... ..... ..... ..... ..... .##.. .##..',
+    '_': '..... ..... ..... ..... ..... ..... #####',
+    '(': '...#. ..#.. .#... .#... .#... ..#.. ...#.',
+    ')': '.#... ..#.. ...#. ...#. ...#. ..#.. .#...'
+};
+
+/**
+ * Distance from a pixel to a line segment [x1, y1, x2, y2]
+ * @private
+ */
+function distanceToSegment(px, py, [x1, y1, x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/**
+ * Check whether a point lies inside a polygon (even-odd rule)
+ * @private
+ */
+function insidePolygon(px, py, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > py) !== (yj > py) && px < xi + (py - yi) * (xj - xi) / (yj - yi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Drawing surface over the pixel buffer for chart symbols (see chartSymbols.js)
+ * Shapes cover the pixels whose centers they contain; strokes are at least a pixel wide
+ * @private
+ */
+function createPixelSurface(setPixel, getColor, width, height) {
+    // Paint the pixels in a bounding box whose centers pass the test
+    const paint = (minX, minY, maxX, maxY, hex, test) => {
+        const color = getColor(hex);
+        for (let py = Math.max(0, Math.floor(minY)); py <= Math.min(height - 1, Math.ceil(maxY)); py++) {
+            for (let px = Math.max(0, Math.floor(minX)); px <= Math.min(width - 1, Math.ceil(maxX)); px++) {
+                if (test(px + 0.5, py + 0.5)) setPixel(px, py, color);
+            }
+        }
+    };
+    const halfWidth = (style) => Math.max((style.lineWidth || 1) / 2, LEG_HALF_WIDTH);
+    const strokeSegments = (segments, style) => {
+        const reach = halfWidth(style);
+        const xs = segments.flatMap(([x1, , x2]) => [x1, x2]);
+        const ys = segments.flatMap(([, y1, , y2]) => [y1, y2]);
+        paint(Math.min(...xs) - reach, Math.min(...ys) - reach, Math.max(...xs) + reach, Math.max(...ys) + reach, style.stroke,
+            (x, y) => segments.some(segment => distanceToSegment(x, y, segment) <= reach));
+    };
+
+    return {
+        rect(x, y, w, h, style) {
+            const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+            this.polygon(corners, style);
+        },
+        line(x1, y1, x2, y2, style) {
+            strokeSegments([[x1, y1, x2, y2]], style);
+        },
+        polygon(points, style) {
+            const xs = points.map(([x]) => x);
+            const ys = points.map(([, y]) => y);
+            if (style.fill) {
+                paint(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys), style.fill,
+                    (x, y) => insidePolygon(x, y, points));
+            }
+            if (style.stroke) {
+                const segments = points.slice(1).map((point, index) => [...points[index], ...point]);
+                if (style.close !== false) segments.push([...points[points.length - 1], ...points[0]]);
+                strokeSegments(segments, style);
+            }
+        },
+        circle(cx, cy, r, style) {
+            if (style.fill) {
+                paint(cx - r, cy - r, cx + r, cy + r, style.fill, (x, y) => Math.hypot(x - cx, y - cy) <= r);
+            }
+            if (style.stroke) {
+                const reach = halfWidth(style);
+                paint(cx - r - reach, cy - r - reach, cx + r + reach, cy + r + reach, style.stroke,
+                    (x, y) => Math.abs(Math.hypot(x - cx, y - cy) - r) <= reach);
+            }
+        },
+        // Text in LETTER_GLYPHS (other characters are left blank), with its baseline at y
+        text(value, x, y, { size, color, align = 'left' }) {
+            const chars = String(value).toUpperCase().split('');
+            const cell = size * 0.7 / 7;
+            const textWidth = chars.length * cell * 6 - cell;
+            const start = align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x;
+            const top = y - cell * 7;
+            chars.forEach((char, index) => {
+                const rows = LETTER_GLYPHS[char]?.split(' ');
+                if (!rows) return;
+                const left = start + index * cell * 6;
+                paint(left, top, left + cell * 5, y, color, (px, py) => {
+                    const row = rows[Math.floor((py - top) / cell)];
+                    return row !== undefined && row[Math.floor((px - left) / cell)] === '#';
+                });
+            });
+        }
+    };
+}
+
+/**
+ * Paint a knot (an outlined dot) or a bead (an outlined ring) centered on (cx, cy)
+ * @private
+ */
+function paintOrnament(setPixel, width, height, type, cx, cy, stitchSize, color) {
+    const radius = ORNAMENT_RADIUS[type] * stitchSize;
+    const holeRadius = type === 'bead' ? BEAD_HOLE_RADIUS * stitchSize : 0;
+
+    for (let py = Math.max(0, Math.floor(cy - radius)); py <= Math.min(height - 1, Math.ceil(cy + radius)); py++) {
+        for (let px = Math.max(0, Math.floor(cx - radius)); px <= Math.min(width - 1, Math.ceil(cx + radius)); px++) {
+            const distance = Math.hypot(px - cx, py - cy);
+            if (distance > radius) continue;
+            if (distance < holeRadius) {
+                setPixel(px, py, HOLE_COLOR);
+            } else if (distance > radius - 1 || (holeRadius > 0 && distance < holeRadius + 1)) {
+                setPixel(px, py, OUTLINE_COLOR);
+            } else {
+                setPixel(px, py, color);
+            }
+        }
+    }
+}
+
+/**
+ * Rows of the key, in the order of the SVG legend: stitch colors (most used first), then
+ * backstitch threads, then knot threads and bead colors
+ * @private
+ */
+function getKeyRows(pattern) {
+    const colorCounts = pattern.colorCounts || countColors(pattern.stitches);
+    const threadLabel = (color) => `${color.brand || 'DMC'} ${color.id}`;
+    return [
+        ...Object.values(colorCounts)
+            .sort((a, b) => b.count - a.count)
+            .map(color => ({ kind: 'stitch', color, label: `${threadLabel(color)}${isBlend(color) ? ' (blend)' : ''}` })),
+        ...Object.values(countBackstitchLengths(pattern.backstitches || []))
+            .map(color => ({ kind: 'backstitch', color, label: `${threadLabel(color)} (backstitch)` })),
+        ...ORNAMENT_TYPES.flatMap(type => Object.values(countOrnaments(pattern.ornaments || [], type))
+            .map(color => ({ kind: type, color, label: `${threadLabel(color)} (${ORNAMENT_LABELS[type]})` })))
+    ];
+}
+
+/**
+ * Render a pattern as cross stitches on a gridded fabric background
+ * Mirrors the look of generateSVG. Symbol charts ('symbols' and 'blocks') always get a key
+ * beside the grid and grid numbers every 10 stitches, so the printed image can be followed
+ * on its own.
+ *
+ * @param {Object} pattern - Pattern { stitches, width, height, colorCounts?, backstitches?, ornaments? }
+ * @param {Object} options - Optional settings
+ * @param {number} options.stitchSize - Pixels per stitch (default: 10)
+ * @param {boolean} options.majorGridLines - Darker line every 10 stitches (default: false)
+ * @param {boolean} options.showGridNumbers - Number every 10th row and column (default: false;
+ *                                            always on in the symbol chart modes)
+ * @param {string} options.chartMode - Chart style, one of CHART_MODES (default: 'stitches').
+ *                                     'symbols' and 'blocks' draw symbols on white with bold
+ *                                     10-stitch lines; symbols need a stitchSize of about 12 or more
+ * @returns {Object} { data: Uint8ClampedArray RGBA, width, height }
+ */
+export function renderPatternPixels(pattern, options = {}) {
+    const { stitchSize = 10, majorGridLines = false, showGridNumbers = false, chartMode = 'stitches' } = options;
+    const symbolChart = chartMode === 'symbols' || chartMode === 'blocks';
+    const chartWidth = pattern.width * stitchSize;
+    const chartHeight = pattern.height * stitchSize;
+
+    // Margin text is 5 × 7 dots, each a whole number of pixels, scaled with the stitch size
+    const dot = Math.max(1, Math.round(stitchSize / 10));
+    const textSize = dot * 10;
+    const textWidth = (text) => text.length * dot * 6 - dot;
+
+    const gridNumbers = showGridNumbers || symbolChart;
+    const numberStep = 10;
+    const largestNumber = Math.floor((Math.max(pattern.width, pattern.height) - 1) / numberStep) * numberStep;
+    const top = gridNumbers ? dot * 12 : 0;
+    const left = gridNumbers ? textWidth(String(largestNumber)) + dot * 6 : 0;
+
+    // Key rows hold a color swatch, the chart symbol (for stitches) and the thread label
+    const keyRows = symbolChart ? getKeyRows(pattern) : [];
+    const keyBox = dot * 14;
+    const keyRowHeight = keyBox + dot * 4;
+    const keyLeft = left + chartWidth + dot * 8;
+    const keyLabelLeft = keyLeft + keyBox * 2 + dot * 8;
+    const keyTop = top + dot * 14;
+    const keyWidth = keyRows.length > 0
+        ? keyLabelLeft - (left + chartWidth) + Math.max(...keyRows.map(row => textWidth(row.label))) + dot * 8
+        : 0;
+
+    const width = left + chartWidth + keyWidth;
+    const height = Math.max(top + chartHeight, keyRows.length > 0 ? keyTop + keyRows.length * keyRowHeight + dot * 4 : 0);
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    const setImagePixel = (x, y, color) => {
+        const idx = (y * width + x) * 4;
+        data[idx] = color.r;
+        data[idx + 1] = color.g;
+        data[idx + 2] = color.b;
+        data[idx + 3] = 255;
+    };
+    // The chart is drawn in its own coordinates, inside the margins
+    const setPixel = (x, y, color) => setImagePixel(x + left, y + top, color);
+
+    // Margins are white paper
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) setImagePixel(x, y, PAPER_COLOR);
+    }
+
+    // Fabric (or paper) with a light line on the top and left edge of every cell
+    const background = symbolChart ? PAPER_COLOR : FABRIC_COLOR;
+    const gridColor = symbolChart ? PAPER_GRID_COLOR : GRID_COLOR;
+    for (let y = 0; y < chartHeight; y++) {
+        for (let x = 0; x < chartWidth; x++) {
+            const onGrid = x % stitchSize === 0 || y % stitchSize === 0;
+            setPixel(x, y, onGrid ? gridColor : background);
+        }
+    }
+
+    // Lines every 10 stitches, `thickness` pixels wide starting on the grid line
+    const drawMajorGridLines = (color, thickness) => {
+        for (let gx = 10; gx < pattern.width; gx += 10) {
+            for (let y = 0; y < chartHeight; y++) {
+                for (let offset = 0; offset < thickness; offset++) setPixel(gx * stitchSize + offset, y, color);
+            }
+        }
+        for (let gy = 10; gy < pattern.height; gy += 10) {
+            for (let x = 0; x < chartWidth; x++) {
+                for (let offset = 0; offset < thickness; offset++) setPixel(x, gy * stitchSize + offset, color);
+            }
+        }
+    };
+
+    if (majorGridLines && !symbolChart) {
+        drawMajorGridLines(MAJOR_GRID_COLOR, 1);
+    }
+
+    // Each stitch leg is a line about one pixel thick, inset by one pixel like the SVG chart
+    const padding = 1;
+    const last = stitchSize - 1;
+    const inner = last - padding * 2;
+    const colorCache = new Map();
+    const getColor = (hex) => {
+        let color = colorCache.get(hex);
+        if (!color) {
+            color = hexToRgb(hex);
+            colorCache.set(hex, color);
+        }
+        return color;
+    };
+
+    const surface = createPixelSurface(setPixel, getColor, chartWidth, chartHeight);
+
+    for (const stitch of pattern.stitches) {
+        const color = getColor(stitch.color.hex);
+
+        const ox = stitch.x * stitchSize;
+        const oy = stitch.y * stitchSize;
+
+        if (chartMode === 'blocks') {
+            // Full stitches fill their cell; part stitches are drawn as thick legs, like the SVG chart
+            if (getStitchType(stitch) === 'full') {
+                surface.rect(ox, oy, stitchSize, stitchSize, { fill: stitch.color.hex });
+            } else {
+                for (const [x1, y1, x2, y2] of getStitchLegs(stitch)) {
+                    surface.line(ox + x1 * stitchSize, oy + y1 * stitchSize, ox + x2 * stitchSize, oy + y2 * stitchSize,
+                        { stroke: stitch.color.hex, lineWidth: stitchSize * 0.3 });
+                }
+            }
+            continue;
+        }
+        if (chartMode === 'symbols') continue;
+
+        const legs = getStitchLegs(stitch).map(([x1, y1, x2, y2]) =>
+            [padding + x1 * inner, padding + y1 * inner, padding + x2 * inner, padding + y2 * inner]);
+
+        for (let py = padding; py <= last - padding; py++) {
+            for (let px = padding; px <= last - padding; px++) {
+                if (legs.some(leg => distanceToSegment(px, py, leg) <= LEG_HALF_WIDTH)) {
+                    setPixel(ox + px, oy + py, color);
+                }
+            }
+        }
+    }
+
+    const symbols = symbolChart ? assignDrawableSymbols(pattern.colorCounts || countColors(pattern.stitches)) : null;
+    if (symbolChart) {
+        for (const stitch of pattern.stitches) {
+            const placement = getSymbolPlacement(stitch);
+            const ink = chartMode === 'blocks' ? getContrastColor(stitch.color.hex) : '#000000';
+            drawChartSymbol(surface, symbols[stitch.color.id],
+                (stitch.x + placement.x) * stitchSize, (stitch.y + placement.y) * stitchSize,
+                stitchSize * 0.75 * placement.scale, ink);
+        }
+        drawMajorGridLines(BOLD_GRID_COLOR, stitchSize >= 16 ? 2 : 1);
+    }
+
+    // Backstitches run between grid corners, which sit on the grid line pixels
+    for (const backstitch of pattern.backstitches || []) {
+        const color = getColor(backstitch.color.hex);
+        const line = [backstitch.x1, backstitch.y1, backstitch.x2, backstitch.y2].map(value => value * stitchSize);
+        const reach = Math.ceil(BACKSTITCH_HALF_WIDTH);
+        const minX = Math.max(0, Math.min(line[0], line[2]) - reach);
+        const maxX = Math.min(chartWidth - 1, Math.max(line[0], line[2]) + reach);
+        const minY = Math.max(0, Math.min(line[1], line[3]) - reach);
+        const maxY = Math.min(chartHeight - 1, Math.max(line[1], line[3]) + reach);
+
+        for (let py = minY; py <= maxY; py++) {
+            for (let px = minX; px <= maxX; px++) {
+                if (distanceToSegment(px, py, line) <= BACKSTITCH_HALF_WIDTH) {
+                    setPixel(px, py, color);
+                }
+            }
+        }
+    }
+
+    // Knots are outlined dots and beads outlined rings, centered on grid corners
+    for (const ornament of pattern.ornaments || []) {
+        paintOrnament(setPixel, chartWidth, chartHeight, ornament.type, ornament.x * stitchSize, ornament.y * stitchSize,
+            stitchSize, getColor(ornament.color.hex));
+    }
+
+    const margins = createPixelSurface(setImagePixel, getColor, width, height);
+    const textColor = '#000000';
+
+    // Numbers every 10 stitches, centered on their grid line, counting from the top-left corner
+    if (gridNumbers) {
+        for (let x = numberStep; x < pattern.width; x += numberStep) {
+            margins.text(String(x), left + x * stitchSize, top - dot * 3, { size: textSize, color: textColor, align: 'center' });
+        }
+        for (let y = numberStep; y < pattern.height; y += numberStep) {
+            margins.text(String(y), left - dot * 3, top + y * stitchSize + Math.round(dot * 3.5), { size: textSize, color: textColor, align: 'right' });
+        }
+    }
+
+    if (keyRows.length > 0) {
+        margins.text('KEY', keyLeft, top + dot * 8, { size: textSize, color: textColor });
+
+        keyRows.forEach((row, index) => {
+            const rowTop = keyTop + index * keyRowHeight;
+            const hex = row.color.hex;
+
+            if (row.kind === 'stitch') {
+                // Swatch (blends split diagonally into their two threads), then the symbol as charted
+                if (isBlend(row.color)) {
+                    const [first, second] = row.color.blend;
+                    margins.polygon([[keyLeft, rowTop], [keyLeft + keyBox, rowTop], [keyLeft, rowTop + keyBox]], { fill: first.hex });
+                    margins.polygon([[keyLeft + keyBox, rowTop], [keyLeft + keyBox, rowTop + keyBox], [keyLeft, rowTop + keyBox]], { fill: second.hex });
+                } else {
+                    margins.rect(keyLeft, rowTop, keyBox, keyBox, { fill: hex });
+                }
+                const symbolLeft = keyLeft + keyBox + dot * 4;
+                margins.rect(symbolLeft, rowTop, keyBox, keyBox, { fill: chartMode === 'blocks' ? hex : '#FFFFFF', stroke: '#BBBBBB', lineWidth: 1 });
+                drawChartSymbol(margins, symbols[row.color.id], symbolLeft + keyBox / 2, rowTop + keyBox / 2, keyBox * 0.8,
+                    chartMode === 'blocks' ? getContrastColor(hex) : textColor);
+            } else if (row.kind === 'backstitch') {
+                margins.line(keyLeft, rowTop + keyBox / 2, keyLeft + keyBox * 2 + dot * 4, rowTop + keyBox / 2, { stroke: hex, lineWidth: dot * 2.5 });
+            } else {
+                paintOrnament(setImagePixel, width, height, row.kind, keyLeft + keyBox / 2, rowTop + keyBox / 2, keyBox, getColor(hex));
+            }
+
+            margins.text(row.label, keyLabelLeft, rowTop + Math.round((keyBox + dot * 7) / 2), { size: textSize, color: textColor });
+        });
+    }
+
+    return { data, width, height };
+}
@@ -0,0 +1,112 @@
+import { DMC_CATALOGUE, getDMCColor } from '../data/dmcColors.js';
+import { getThreadPalette } from '../data/threadPalettes.js';
+
+/**
+ * Thread stash utilities
+ * A stash is the set of DMC threads the user already owns, stored as
+ * { [dmcNumber]: skeinsOwned } and persisted in localStorage
+ */
+
+export const STASH_STORAGE_KEY = 'cross-stitch-stash';
+
+// Names people commonly type instead of the catalogue id
+const ID_ALIASES = {
+    WHITE: 'BLANC',
+    '5200': 'B5200'
+};
+
+/**
+ * Normalize a typed thread number to a catalogue id
+ * @private
+ */
+function normalizeId(rawId) {
+    let id = rawId.toUpperCase();
+    id = ID_ALIASES[id] || id;
+    // New DMC colors 01-35 are often typed without the leading zero
+    if (!getDMCColor(id) && /^\d$/.test(id)) {
+        id = `0${id}`;
+    }
+    return id;
+}
+
+/**
+ * Parse pasted or typed text into a stash
+ * Accepts numbers separated by commas, spaces or new lines, with an optional
+ * skein count: "310, 321 x2, BLANC, DMC 666:3"
+ *
+ * @param {string} text - Free-form list of DMC numbers
+ * @returns {Object} { stash: { [dmcNumber]: skeins }, unknown: Array of unrecognized numbers }
+ */
+export function parseStashText(text) {
+    const stash = {};
+    const unknown = [];
+    const pattern = /(?:DMC\s*)?\b(B5200|BLANC|WHITE|ECRU|\d{1,4})\b(?:\s*[x×:*]\s*(\d+))?/gi;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const id = normalizeId(match[1]);
+        const skeins = match[2] ? Number(match[2]) : 1;
+
+        if (!getDMCColor(id)) {
+            if (!unknown.includes(match[1])) unknown.push(match[1]);
+            continue;
+        }
+        stash[id] = (stash[id] || 0) + skeins;
+    }
+
+    return { stash, unknown };
+}
+
+/**
+ * Format a stash as editable text, one thread per line in catalogue order
+ * @param {Object} stash - { [dmcNumber]: skeins }
+ * @returns {string} Text accepted by parseStashText
+ */
+export function formatStashText(stash) {
+    return DMC_CATALOGUE
+        .filter(color => stash[color.id])
+        .map(color => stash[color.id] > 1 ? `${color.id} x${stash[color.id]}` : color.id)
+        .join('\n');
+}
+
+/**
+ * Load the saved stash from localStorage
+ * @returns {Object} { [dmcNumber]: skeins } (empty if nothing saved or storage unavailable)
+ */
+export function loadStash() {
+    try {
+        const saved = localStorage.getItem(STASH_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        console.warn('Could not load thread stash:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the stash to localStorage
+ * @param {Object} stash - { [dmcNumber]: skeins }
+ */
+export function saveStash(stash) {
+    try {
+        localStorage.setItem(STASH_STORAGE_KEY, JSON.stringify(stash));
+    } catch (error) {
+        console.warn('Could not save thread stash:', error);
+    }
+}
+
+/**
+ * Build the palette of stash threads for a brand
+ * DMC uses every owned catalogue thread; other brands keep the threads whose
+ * DMC equivalent is in the stash
+ *
+ * @param {Object} stash - { [dmcNumber]: skeins }
+ * @param {string} brand - Thread brand (default: 'DMC')
+ * @returns {Array} Thread color objects
+ */
+export function getStashPalette(stash, brand = 'DMC') {
+    if (brand === 'DMC') {
+        return DMC_CATALOGUE.filter(color => stash[color.id]);
+    }
+    return getThreadPalette(brand).filter(color => stash[color.dmc]);
+}
@@ -0,0 +1,191 @@
+/**
+ * Stitching progress
+ * Progress is the set of stitches marked done, each identified by its cell and color, so a cell
+ * holding part stitches of two colors can be finished one color at a time. Progress is saved in
+ * IndexedDB under a key computed from the pattern as generated or imported; edits keep the key,
+ * and stitches they remove simply stop counting.
+ */
+
+const PROGRESS_DB_NAME = 'cross-stitch';
+const PROGRESS_DB_VERSION = 1;
+const PROGRESS_STORE = 'progress';
+
+/**
+ * Stitch-mode tools, in toolbar order
+ * - stitch: click or drag over stitches to mark them done (or not done)
+ * - row: click a row to mark all its stitches
+ * - color: click a stitch to mark every stitch of its color
+ */
+export const PROGRESS_TOOLS = ['stitch', 'row', 'color'];
+
+/**
+ * Key of a stitch within the progress set
+ * @param {Object} stitch - Stitch { x, y, color }
+ * @returns {string} "x,y,colorId"
+ */
+export function stitchKey(stitch) {
+    return `${stitch.x},${stitch.y},${stitch.color.id}`;
+}
+
+/**
+ * Key a pattern's progress is saved under: its size and a hash of its stitches
+ * Generating the same pattern again (same image and settings) gives the same key.
+ *
+ * @param {Object} pattern - Pattern { width, height, stitches }
+ * @returns {string} Key like "60x45-1a2b3c4d"
+ */
+export function getPatternKey(pattern) {
+    // 32-bit FNV-1a over each stitch's position, color and shape
+    let hash = 0x811c9dc5;
+    for (const stitch of pattern.stitches) {
+        const text = `${stitchKey(stitch)},${stitch.type || ''},${stitch.corner || stitch.direction || ''};`;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+    }
+    return `${pattern.width}x${pattern.height}-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Keys of the stitches a stitch-mode click covers
+ * @param {Array} stitches - Pattern stitches
+ * @param {string} tool - 'stitch', 'row' or 'color'
+ * @param {Object} cell - Clicked cell { x, y }
+ * @param {string|null} colorId - Only cover stitches of this color, e.g. the highlighted one
+ *                                (the color tool uses the clicked stitch's color when null)
+ * @returns {Array} Stitch keys
+ */
+export function getProgressTargets(stitches, tool, cell, colorId = null) {
+    let matches;
+    if (tool === 'color') {
+        const clicked = stitches.find(s => s.x === cell.x && s.y === cell.y && (!colorId || s.color.id === colorId));
+        if (!clicked) return [];
+        matches = stitches.filter(s => s.color.id === clicked.color.id);
+    } else if (tool === 'row') {
+        matches = stitches.filter(s => s.y === cell.y && (!colorId || s.color.id === colorId));
+    } else {
+        matches = stitches.filter(s => s.x === cell.x && s.y === cell.y && (!colorId || s.color.id === colorId));
+    }
+    return [...new Set(matches.map(stitchKey))];
+}
+
+/**
+ * Mark stitches done or not done
+ * @param {Set} done - Keys of the stitches done so far
+ * @param {Array} keys - Keys of the stitches to change
+ * @param {boolean} isDone - Whether they are now done
+ * @returns {Set} New set of done stitch keys
+ */
+export function markStitches(done, keys, isDone) {
+    const updated = new Set(done);
+    for (const key of keys) {
+        if (isDone) {
+            updated.add(key);
+        } else {
+            updated.delete(key);
+        }
+    }
+    return updated;
+}
+
+/**
+ * Completion overall and per color
+ * Only stitches still in the pattern count, so marks on stitches removed by edits are ignored.
+ *
+ * @param {Array} stitches - Pattern stitches
+ * @param {Set} done - Keys of the stitches done
+ * @returns {Object} { done, total, percent, byColor } with byColor a map of color id to
+ *   { color, done, total, percent }; percent is whole numbers from 0 to 100
+ */
+export function calculateProgress(stitches, done) {
+    const byColor = {};
+    const counted = new Set();
+    for (const stitch of stitches) {
+        const key = stitchKey(stitch);
+        // A cell's part stitches of one color are marked together, so they count once
+        if (counted.has(key)) continue;
+        counted.add(key);
+
+        if (!byColor[stitch.color.id]) {
+            byColor[stitch.color.id] = { color: stitch.color, done: 0, total: 0, percent: 0 };
+        }
+        const entry = byColor[stitch.color.id];
+        entry.total++;
+        if (done.has(key)) entry.done++;
+    }
+
+    const toPercent = (count, total) => total > 0 ? Math.floor(count / total * 100) : 0;
+    let doneCount = 0;
+    for (const entry of Object.values(byColor)) {
+        entry.percent = toPercent(entry.done, entry.total);
+        doneCount += entry.done;
+    }
+    return { done: doneCount, total: counted.size, percent: toPercent(doneCount, counted.size), byColor };
+}
+
+// One connection is shared, so saves made in quick succession are applied in order
+let databasePromise = null;
+
+/**
+ * Open the progress database, creating its store on first use
+ * @private
+ */
+function openProgressDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(PROGRESS_DB_NAME, PROGRESS_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(PROGRESS_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((error) => {
+            databasePromise = null;
+            throw error;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run one request against the progress store, resolving with its result once the transaction completes
+ * @private
+ */
+function withProgressStore(mode, makeRequest) {
+    return openProgressDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(PROGRESS_STORE, mode);
+        const request = makeRequest(transaction.objectStore(PROGRESS_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Load a pattern's saved progress from IndexedDB
+ * @param {string} patternKey - Key from getPatternKey
+ * @returns {Promise<Set>} Keys of the stitches done (empty if nothing saved or storage unavailable)
+ */
+export function loadProgress(patternKey) {
+    return withProgressStore('readonly', store => store.get(patternKey))
+        .then(record => new Set(record ? record.done : []))
+        .catch((error) => {
+            console.warn('Could not load stitching progress:', error);
+            return new Set();
+        });
+}
+
+/**
+ * Save a pattern's progress to IndexedDB, or remove it when nothing is done
+ * @param {string} patternKey - Key from getPatternKey
+ * @param {Set} done - Keys of the stitches done
+ * @returns {Promise} Resolves once saved (failures are logged, not thrown)
+ */
+export function saveProgress(patternKey, done) {
+    return withProgressStore('readwrite', store => done.size > 0
+        ? store.put({ key: patternKey, done: [...done], updated: Date.now() })
+        : store.delete(patternKey))
+        .catch((error) => {
+            console.warn('Could not save stitching progress:', error);
+        });
+}
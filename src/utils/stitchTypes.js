@@ -0,0 +1,155 @@
+/**
+ * Stitch type definitions
+ * A stitch is { x, y, color, type } where a missing type means a full cross.
+ * Fractional stitches carry one extra field:
+ * - half: direction '/' (bottom-left to top-right) or '\' (top-left to bottom-right)
+ * - quarter: corner, the corner its single leg runs from into the cell center
+ * - three-quarter: corner, the corner of its quarter leg; its half leg runs along the
+ *   other diagonal, so the stitch covers the triangle at that corner
+ * One cell can hold several fractional stitches, e.g. a three-quarter and a quarter
+ * stitch of another color in the opposite corner.
+ */
+
+/**
+ * Stitch types, in the order they are listed
+ */
+export const STITCH_TYPES = ['full', 'three-quarter', 'half', 'quarter'];
+
+/**
+ * Cell corners used by quarter and three-quarter stitches
+ */
+export const STITCH_CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+/**
+ * Half stitch directions
+ */
+export const HALF_STITCH_DIRECTIONS = ['/', '\\'];
+
+/**
+ * Thread used by each stitch type, as a fraction of a full cross
+ */
+export const STITCH_THREAD_USAGE = {
+    'full': 1,
+    'three-quarter': 0.75,
+    'half': 0.5,
+    'quarter': 0.25
+};
+
+// Corner positions in unit cell coordinates
+const CORNER_POINTS = {
+    'top-left': [0, 0],
+    'top-right': [1, 0],
+    'bottom-right': [1, 1],
+    'bottom-left': [0, 1]
+};
+
+const OPPOSITE_CORNERS = {
+    'top-left': 'bottom-right',
+    'top-right': 'bottom-left',
+    'bottom-right': 'top-left',
+    'bottom-left': 'top-right'
+};
+
+const DIAGONALS = {
+    '/': [0, 1, 1, 0],
+    '\\': [0, 0, 1, 1]
+};
+
+/**
+ * Get a stitch's type, treating stitches without one as full crosses
+ * @param {Object} stitch - Stitch object
+ * @returns {string} One of STITCH_TYPES
+ */
+export function getStitchType(stitch) {
+    return stitch.type || 'full';
+}
+
+/**
+ * Get the corner opposite a given corner
+ * @param {string} corner - One of STITCH_CORNERS
+ * @returns {string} Opposite corner
+ */
+export function getOppositeCorner(corner) {
+    return OPPOSITE_CORNERS[corner];
+}
+
+/**
+ * Thread legs of a stitch as line segments in unit cell coordinates
+ * @param {Object} stitch - Stitch object
+ * @returns {Array} Segments [x1, y1, x2, y2] with coordinates from 0 to 1
+ */
+export function getStitchLegs(stitch) {
+    switch (getStitchType(stitch)) {
+        case 'half':
+            return [DIAGONALS[stitch.direction] || DIAGONALS['/']];
+
+        case 'quarter': {
+            const [cx, cy] = CORNER_POINTS[stitch.corner];
+            return [[cx, cy, 0.5, 0.5]];
+        }
+
+        case 'three-quarter': {
+            const [cx, cy] = CORNER_POINTS[stitch.corner];
+            // The half leg is the diagonal that does not touch the quarter leg's corner
+            const diagonal = cx === cy ? DIAGONALS['/'] : DIAGONALS['\\'];
+            return [diagonal, [cx, cy, 0.5, 0.5]];
+        }
+
+        default:
+            return [DIAGONALS['\\'], DIAGONALS['/']];
+    }
+}
+
+/**
+ * Where to draw a stitch's chart symbol, in unit cell coordinates
+ * Part stitches get a smaller symbol placed toward their corner so two can share a cell
+ *
+ * @param {Object} stitch - Stitch object
+ * @returns {Object} { x, y, scale } where scale multiplies the full-stitch symbol size
+ */
+export function getSymbolPlacement(stitch) {
+    const type = getStitchType(stitch);
+    if (type === 'quarter' || type === 'three-quarter') {
+        const [cx, cy] = CORNER_POINTS[stitch.corner];
+        // Quarter symbols sit in their quadrant, three-quarter symbols at their triangle's centroid
+        const offset = type === 'quarter' ? 0.5 : 1 / 3;
+        return {
+            x: 0.5 + (cx - 0.5) * offset,
+            y: 0.5 + (cy - 0.5) * offset,
+            scale: 0.6
+        };
+    }
+    return { x: 0.5, y: 0.5, scale: type === 'half' ? 0.8 : 1 };
+}
+
+/**
+ * Check that a stitch's type and its direction or corner are valid
+ * @param {Object} stitch - Stitch object
+ * @returns {boolean} True when the stitch can be rendered
+ */
+export function isValidStitchType(stitch) {
+    switch (getStitchType(stitch)) {
+        case 'full':
+            return true;
+        case 'half':
+            return HALF_STITCH_DIRECTIONS.includes(stitch.direction);
+        case 'quarter':
+        case 'three-quarter':
+            return STITCH_CORNERS.includes(stitch.corner);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Describe the part stitches in a stitchTypes breakdown, e.g. "12 three-quarter, 4 half"
+ * @param {Object} stitchTypes - Counts by stitch type, from countColors
+ * @returns {string} Part stitch counts, or an empty string when all stitches are full
+ */
+export function describePartStitches(stitchTypes) {
+    if (!stitchTypes) return '';
+    return STITCH_TYPES
+        .filter(type => type !== 'full' && stitchTypes[type] > 0)
+        .map(type => `${stitchTypes[type]} ${type}`)
+        .join(', ');
+}
@@ -0,0 +1,187 @@
+import { STITCH_TYPES, getStitchLegs } from './stitchTypes.js';
+import { getStitchesPerInch } from './fabricSize.js';
+import { findColorIslands } from './confetti.js';
+
+/**
+ * Thread consumption estimates
+ * Floss is measured from the stitch geometry: each leg crosses its cell diagonally on the front
+ * and runs straight on the back, scaled to the fabric's stitch size and multiplied by the strands
+ * in the needle. Thread carried on the back between scattered stitches, and the tails of fresh
+ * starts where a carry would be too long, are added per color.
+ */
+
+/**
+ * Six-strand floss per skein, in meters
+ */
+export const SKEIN_METERS = { DMC: 8, Anchor: 8, Madeira: 10, Cosmo: 8 };
+
+// Strands in a length of six-strand floss
+export const STRANDS_PER_SKEIN = 6;
+
+// Strands in the needle for cross stitches, and the waste allowance for tails and trimming
+export const DEFAULT_STRANDS = 2;
+export const DEFAULT_WASTE_FACTOR = 0.1;
+
+// Thread follows the weave over and under, so it runs a little longer than a straight line
+const TAKE_UP = 1.15;
+
+// Extra thread for each pass through the fabric, in cm
+const HOLE_ALLOWANCE = 0.05;
+
+// Thread wrapped into a two-wrap French knot, in cm
+const KNOT_LENGTH = 1.2;
+
+// Tail woven in at each end of a fresh thread, in cm
+const TAIL_LENGTH = 3;
+
+// Longest carry across the back before a fresh thread is started, in stitches
+const MAX_CARRY = 3;
+
+// One stitch of each type, to measure its legs
+const SAMPLE_STITCHES = {
+    'full': { type: 'full' },
+    'three-quarter': { type: 'three-quarter', corner: 'top-left' },
+    'half': { type: 'half', direction: '/' },
+    'quarter': { type: 'quarter', corner: 'top-left' }
+};
+
+/**
+ * Single-strand thread used per stitch of each type, per stitch-width of backstitch and per knot
+ * @param {Object} fabric - Fabric from data/fabrics.js
+ * @returns {Object} { full, 'three-quarter', half, quarter, backstitch, knot } in cm
+ */
+export function getThreadLengths(fabric) {
+    const cell = 2.54 / getStitchesPerInch(fabric);
+    const lengths = {};
+
+    for (const type of STITCH_TYPES) {
+        lengths[type] = getStitchLegs(SAMPLE_STITCHES[type]).reduce((sum, [x1, y1, x2, y2]) => {
+            const front = Math.hypot(x2 - x1, y2 - y1) * cell;
+            // The back runs straight down (or across) to the next leg's start
+            const back = Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1)) * cell;
+            return sum + (front + back) * TAKE_UP + HOLE_ALLOWANCE * 2;
+        }, 0);
+    }
+
+    // Backstitch goes back one stitch-width on the front and forward two on the back
+    lengths.backstitch = cell * 3 * TAKE_UP + HOLE_ALLOWANCE * 2;
+    lengths.knot = KNOT_LENGTH + HOLE_ALLOWANCE * 2;
+    return lengths;
+}
+
+/**
+ * Travel between scattered stitches of each color
+ * Each island of touching stitches (see confetti.js) is a group worked in one go. Every group
+ * after the first is reached by carrying the thread from the nearest group of its color, if that
+ * is within maxCarry stitches, or else by starting a fresh thread. Nearest groups are an
+ * approximation of the order a stitcher would work them in.
+ *
+ * @param {Array} stitches - Stitch objects { x, y, color }
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxCarry - Longest carry in stitches (default: 3)
+ * @returns {Object} Map of color id to { groups, carried, restarts }, carried in stitch-widths
+ */
+export function measureTravel(stitches, options = {}) {
+    const { maxCarry = MAX_CARRY } = options;
+
+    const islandsByColor = new Map();
+    for (const island of findColorIslands(stitches)) {
+        if (!islandsByColor.has(island.color.id)) islandsByColor.set(island.color.id, []);
+        islandsByColor.get(island.color.id).push(island);
+    }
+
+    const travel = {};
+    for (const [colorId, islands] of islandsByColor) {
+        const groups = islands.length;
+        const groupOf = new Map();
+        islands.forEach((island, group) => {
+            for (const { x, y } of island.cells) groupOf.set(y * 65536 + x, group);
+        });
+
+        // Distance from each group to the nearest other group within reach
+        const nearest = new Array(groups).fill(Infinity);
+        if (groups > 1) {
+            for (const [key, group] of groupOf) {
+                for (let dy = -maxCarry; dy <= maxCarry; dy++) {
+                    for (let dx = -maxCarry; dx <= maxCarry; dx++) {
+                        const other = groupOf.get(key + dy * 65536 + dx);
+                        if (other !== undefined && other !== group) {
+                            nearest[group] = Math.min(nearest[group], Math.max(Math.abs(dx), Math.abs(dy)));
+                        }
+                    }
+                }
+            }
+        }
+
+        // The first group is where the thread starts, so it needs neither a carry nor a restart
+        const carries = nearest.filter(Number.isFinite);
+        let restarts = groups - carries.length;
+        let carried = carries.reduce((sum, distance) => sum + distance, 0);
+        if (restarts > 0) {
+            restarts--;
+        } else if (carries.length > 0) {
+            carried -= carries.reduce((longest, distance) => Math.max(longest, distance), 0);
+        }
+        travel[colorId] = { groups, carried, restarts };
+    }
+    return travel;
+}
+
+/**
+ * Six-strand floss one color needs, by use, before waste
+ *
+ * @param {Object} usage - { stitchTypes, backstitchLength, knots, carried, restarts } for the color,
+ *                         with stitchTypes counts per type and carried in stitch-widths
+ * @param {Object} options - Settings
+ * @param {Object} options.fabric - Fabric from data/fabrics.js
+ * @param {number} options.strands - Strands for cross stitches and knots (default: 2)
+ * @param {number} options.backstitchStrands - Strands for backstitch (default: 1)
+ * @returns {Object} { stitches, backstitch, knots, travel } in meters of floss
+ */
+export function estimateFloss(usage, options) {
+    const { fabric, strands = DEFAULT_STRANDS, backstitchStrands = 1 } = options;
+    const { stitchTypes = {}, backstitchLength = 0, knots = 0, carried = 0, restarts = 0 } = usage;
+    const lengths = getThreadLengths(fabric);
+    const cell = 2.54 / getStitchesPerInch(fabric);
+
+    // Strand lengths in cm become floss meters: six strands are pulled off the skein together
+    const toFloss = (centimeters, strandCount) => centimeters * strandCount / STRANDS_PER_SKEIN / 100;
+
+    const stitched = Object.entries(stitchTypes).reduce((sum, [type, count]) => sum + count * lengths[type], 0);
+    return {
+        stitches: toFloss(stitched, strands),
+        backstitch: toFloss(backstitchLength * lengths.backstitch, backstitchStrands),
+        knots: toFloss(knots * lengths.knot, strands),
+        travel: toFloss(carried * cell * TAKE_UP + restarts * TAIL_LENGTH * 2, strands)
+    };
+}
+
+/**
+ * Uses in a threadUsage breakdown, in the order they are listed
+ */
+export const THREAD_USAGE_LABELS = {
+    stitches: 'stitches',
+    backstitch: 'backstitch',
+    knots: 'knots',
+    travel: 'travel',
+    blends: 'blends',
+    waste: 'waste'
+};
+
+/**
+ * Describe a threadUsage breakdown, e.g. "5.2 m stitches, 0.4 m travel, 0.6 m waste"
+ * @param {Object} threadUsage - Meters of floss by use, from generateThreadShoppingList
+ * @returns {string} Uses over 0.05 m, with one decimal place; when every use is smaller, the
+ *   total alone ("0.1 m in all" or "<0.1 m")
+ */
+export function describeThreadUsage(threadUsage) {
+    if (!threadUsage) return '';
+    const uses = Object.keys(THREAD_USAGE_LABELS).filter(use => threadUsage[use] >= 0.05);
+    if (uses.length === 0) {
+        const total = Object.keys(THREAD_USAGE_LABELS).reduce((sum, use) => sum + (threadUsage[use] || 0), 0);
+        return total >= 0.05 ? `${total.toFixed(1)} m in all` : '<0.1 m';
+    }
+    return uses
+        .map(use => `${threadUsage[use].toFixed(1)} m ${THREAD_USAGE_LABELS[use]}`)
+        .join(', ');
+}
@@ -0,0 +1,61 @@
+import { runPatternPipeline } from '../utils/patternGenerator.js';
+
+/**
+ * Pattern Worker
+ * Runs conversion, color limiting, merging and masking off the main thread
+ *
+ * Messages in:
+ *   { type: 'setImage', imageData: { data, width, height } } - data buffer is transferred once per image
+ *   { type: 'convert', id, gridSize, options } - options as for runPatternPipeline (no signal)
+ *   { type: 'cancel', id }
+ * Messages out:
+ *   { type: 'progress', id, progress }
+ *   { type: 'result', id, result }
+ *   { type: 'error', id, name, message }
+ */
+
+let imageData = null;
+const runs = new Map();
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'setImage':
+            imageData = message.imageData;
+            break;
+
+        case 'cancel': {
+            const controller = runs.get(message.id);
+            if (controller) controller.abort();
+            break;
+        }
+
+        case 'convert': {
+            const { id, gridSize, options } = message;
+            const controller = new AbortController();
+            runs.set(id, controller);
+
+            try {
+                if (!imageData) {
+                    throw new Error('No image loaded in pattern worker');
+                }
+
+                const onProgress = (progress) => self.postMessage({ type: 'progress', id, progress });
+                const result = await runPatternPipeline(imageData, gridSize, onProgress, {
+                    ...options,
+                    signal: controller.signal
+                });
+                self.postMessage({ type: 'result', id, result });
+            } catch (error) {
+                self.postMessage({ type: 'error', id, name: error.name, message: error.message });
+            } finally {
+                runs.delete(id);
+            }
+            break;
+        }
+
+        default:
+            console.warn('Unknown pattern worker message:', message.type);
+    }
+};
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBlendPalette, isBlend, MAX_BLENDS } from '../src/utils/blends.js';
+import { convertToPattern } from '../src/utils/patternGenerator.js';
+import { DMC_FULL_COLORS } from '../src/data/dmcColors.js';
+
+test('blends of a whole catalogue are capped at the closest pairs', () => {
+    const palette = getBlendPalette(DMC_FULL_COLORS, { maxDistance: 20 });
+    const blends = palette.filter(isBlend);
+    assert.equal(blends.length, MAX_BLENDS);
+    assert.equal(palette.length, DMC_FULL_COLORS.length + MAX_BLENDS);
+
+    const fewer = getBlendPalette(DMC_FULL_COLORS, { maxDistance: 20, maxBlends: 10 }).filter(isBlend);
+    assert.deepEqual(fewer.map(blend => blend.id), blends.slice(0, 10).map(blend => blend.id));
+});
+
+test('conversion with blends only pairs threads the image uses', async () => {
+    // Two flat halves: a dark red and a light blue
+    const width = 20;
+    const height = 10;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const [r, g, b] = i % width < 10 ? [150, 20, 30] : [170, 200, 230];
+        data.set([r, g, b, 255], i * 4);
+    }
+
+    const pattern = await convertToPattern({ data, width, height }, width, () => {}, {
+        palette: DMC_FULL_COLORS,
+        useBlends: true,
+        colorMetric: 'ciede2000'
+    });
+    const threadIds = new Set(Object.values(pattern.colorCounts)
+        .flatMap(color => isBlend(color) ? color.blend.map(thread => thread.id) : [color.id]));
+    assert.ok(threadIds.size <= 2, `expected at most the two matched threads, got ${[...threadIds]}`);
+});
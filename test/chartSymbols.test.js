@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignDrawableSymbols } from '../src/utils/chartSymbols.js';
+import { DMC_FULL_COLORS } from '../src/data/dmcColors.js';
+
+test('every color gets its own drawable symbol, with two-letter labels past Z', () => {
+    const colorCounts = {};
+    DMC_FULL_COLORS.slice(0, 80).forEach((color, index) => {
+        colorCounts[color.id] = { ...color, count: 1000 - index };
+    });
+
+    const symbols = Object.values(assignDrawableSymbols(colorCounts));
+    assert.equal(new Set(symbols).size, 80);
+    assert.ok(symbols.includes('AA'), 'letters continue with AA after Z');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateOXS, smoothEdges, countColors } from '../src/utils/patternGenerator.js';
+import { parseOXS } from '../src/utils/patternImport.js';
+import { getStitchType } from '../src/utils/stitchTypes.js';
+import { getDMCColor } from '../src/data/dmcColors.js';
+
+const black = getDMCColor('310');
+const red = getDMCColor('321');
+
+/** Count stitches by type, e.g. { full: 10, quarter: 2 } */
+function countTypes(stitches) {
+    const counts = {};
+    for (const stitch of stitches) {
+        const type = getStitchType(stitch);
+        counts[type] = (counts[type] || 0) + 1;
+    }
+    return counts;
+}
+
+/** A red staircase on black, smoothed so its edge has three-quarter and quarter stitches */
+function staircasePattern(size = 8) {
+    const stitches = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            stitches.push({ x, y, color: x > y ? red : black });
+        }
+    }
+    return smoothEdges({ width: size, height: size, stitches, colorCounts: countColors(stitches) });
+}
+
+function roundTrip(pattern, options = {}) {
+    const xml = generateOXS(pattern.stitches, pattern.width, pattern.height, countColors(pattern.stitches), options);
+    return parseOXS(xml);
+}
+
+test('OXS round trip keeps the count of each stitch type', () => {
+    const pattern = staircasePattern();
+    const expected = countTypes(pattern.stitches);
+    assert.ok(expected.quarter > 0 && expected['three-quarter'] > 0, 'smoothing should add part stitches');
+
+    const imported = roundTrip(pattern);
+    assert.deepEqual(countTypes(imported.stitches), expected);
+});
+
+test('OXS round trip keeps part stitch corners, directions and colors', () => {
+    const stitches = [
+        { x: 0, y: 0, color: black },
+        { x: 1, y: 0, color: red, type: 'half', direction: '/' },
+        { x: 2, y: 0, color: black, type: 'half', direction: '\\' },
+        { x: 0, y: 1, color: red, type: 'three-quarter', corner: 'top-right' },
+        { x: 0, y: 1, color: black, type: 'quarter', corner: 'bottom-left' },
+        { x: 1, y: 1, color: red, type: 'quarter', corner: 'top-left' },
+        { x: 2, y: 1, color: black, type: 'quarter', corner: 'bottom-right' },
+        { x: 2, y: 1, color: red, type: 'quarter', corner: 'top-right' }
+    ];
+    const describe = list => list
+        .map(s => `${s.x},${s.y},${getStitchType(s)},${s.corner || s.direction || ''},${s.color.id}`)
+        .sort();
+
+    const imported = roundTrip({ width: 3, height: 2, stitches });
+    assert.deepEqual(describe(imported.stitches), describe(stitches));
+    assert.deepEqual(imported.warnings, []);
+});
+
+test('OXS round trip keeps backstitches and ornaments alongside quarter stitches', () => {
+    const pattern = staircasePattern(4);
+    const backstitches = [{ x1: 0, y1: 0, x2: 4, y2: 4, color: black }];
+    const ornaments = [{ x: 2, y: 1, type: 'french-knot', color: red }];
+
+    const imported = roundTrip(pattern, { backstitches, ornaments });
+    assert.equal(imported.backstitches.length, 1);
+    assert.deepEqual(imported.ornaments.map(o => o.type), ['french-knot']);
+    assert.equal(countTypes(imported.stitches).quarter, countTypes(pattern.stitches).quarter);
+});
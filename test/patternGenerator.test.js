@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSVG, countColors } from '../src/utils/patternGenerator.js';
+import { DMC_FULL_COLORS } from '../src/data/dmcColors.js';
+
+/** Width and height attributes of the root <svg> element */
+function svgSize(svg) {
+    const [, width, height] = svg.match(/^<svg[^>]* width="([\d.]+)" height="([\d.]+)"/);
+    return { width: Number(width), height: Number(height) };
+}
+
+test('SVG chart grows to fit a legend taller than the grid', () => {
+    // 30 colors in a 30×2 pattern, plus a backstitch thread and a French knot
+    const colors = DMC_FULL_COLORS.slice(0, 30);
+    const stitches = colors.flatMap((color, x) => [{ x, y: 0, color }, { x, y: 1, color }]);
+    const backstitches = [{ x1: 0, y1: 0, x2: 3, y2: 0, color: colors[0] }];
+    const ornaments = [{ x: 1, y: 1, type: 'french-knot', color: colors[1] }];
+
+    const svg = generateSVG(stitches, 30, 2, 10, { chartMode: 'symbols', backstitches, ornaments });
+    const { height } = svgSize(svg);
+
+    const baselines = [...svg.matchAll(/<text x="[\d.]+" y="([\d.]+)" font-size="9"/g)].map(match => Number(match[1]));
+    assert.equal(baselines.length, 32, 'one legend row per color, backstitch thread and knot thread');
+    assert.ok(height >= Math.max(...baselines) + 5, `last legend row at ${Math.max(...baselines)} is cut off at ${height}`);
+});
+
+test('SVG chart keeps the grid height when the legend fits', () => {
+    const color = DMC_FULL_COLORS[0];
+    const stitches = [];
+    for (let y = 0; y < 20; y++) {
+        for (let x = 0; x < 20; x++) stitches.push({ x, y, color });
+    }
+    const svg = generateSVG(stitches, 20, 20, 10, { chartMode: 'symbols', colorCounts: countColors(stitches) });
+    assert.deepEqual(svgSize(svg), { width: 20 * 10 + 150, height: 20 * 10 });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOpenCrossStitchJSON, PatternImportError } from '../src/utils/patternImport.js';
+
+/** An Open Cross Stitch JSON file with the given lists, on a 4×4 pattern */
+function jsonPattern({ palette, stitches = [], backstitches, ornaments }) {
+    return JSON.stringify({
+        format: 'Open Cross Stitch Format',
+        version: '1.0',
+        pattern: { width: 4, height: 4 },
+        palette: palette || [{ id: '310', name: 'Black', hex: '#000000', brand: 'DMC' }],
+        stitches,
+        backstitches,
+        ornaments
+    });
+}
+
+function assertImportError(text, pattern) {
+    assert.throws(() => parseOpenCrossStitchJSON(text), error =>
+        error instanceof PatternImportError && pattern.test(error.message));
+}
+
+test('malformed stitches are reported as malformed, not out of bounds', () => {
+    for (const stitch of [null, 42, 'x', [1, 2]]) {
+        assertImportError(jsonPattern({ stitches: [stitch] }), /^stitches\[0\] is not a stitch/);
+    }
+    assertImportError(jsonPattern({ stitches: [{ x: 9, y: 0, color: '310' }] }), /^stitches\[0\] is outside/);
+});
+
+test('malformed backstitches, ornaments and palette entries are reported as malformed', () => {
+    assertImportError(jsonPattern({ backstitches: [null] }), /^backstitches\[0\] is not a backstitch/);
+    assertImportError(jsonPattern({ ornaments: [7] }), /^ornaments\[0\] is not an ornament/);
+    assertImportError(jsonPattern({ palette: [null] }), /^palette\[0\] is missing its thread "id"/);
+});
+
+test('Mill Hill beads are only accepted as bead ornaments', () => {
+    const palette = [
+        { id: '310', name: 'Black', hex: '#000000', brand: 'DMC' },
+        { id: '00123', name: 'Cream', hex: '#F3E9D2', brand: 'Mill Hill' }
+    ];
+    assertImportError(jsonPattern({ palette, stitches: [{ x: 0, y: 0, color: '00123' }] }), /^stitches\[0\] uses Mill Hill bead "00123"/);
+    assertImportError(jsonPattern({ palette, backstitches: [{ x1: 0, y1: 0, x2: 1, y2: 1, color: '00123' }] }), /^backstitches\[0\] uses Mill Hill bead/);
+    assertImportError(jsonPattern({ palette, ornaments: [{ x: 1, y: 1, type: 'french-knot', color: '00123' }] }), /^ornaments\[0\] is a french-knot in Mill Hill bead/);
+
+    const imported = parseOpenCrossStitchJSON(jsonPattern({
+        palette,
+        stitches: [{ x: 0, y: 0, color: '310' }],
+        ornaments: [{ x: 1, y: 1, type: 'bead', color: '00123' }]
+    }));
+    assert.equal(imported.ornaments[0].color.brand, 'Mill Hill');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderPatternPixels } from '../src/utils/rasterRenderer.js';
+import { DMC_FULL_COLORS } from '../src/data/dmcColors.js';
+
+/** A 20×15 pattern striped in three colors */
+function stripedPattern() {
+    const colors = DMC_FULL_COLORS.slice(0, 3);
+    const stitches = [];
+    for (let y = 0; y < 15; y++) {
+        for (let x = 0; x < 20; x++) stitches.push({ x, y, color: colors[x % 3] });
+    }
+    return { width: 20, height: 15, stitches };
+}
+
+/** Whether any pixel in a region of the image is darker than mid grey */
+function hasInk(image, x0, y0, x1, y1) {
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            if (image.data[(y * image.width + x) * 4] < 128) return true;
+        }
+    }
+    return false;
+}
+
+test('stitch charts are the size of the grid', () => {
+    const image = renderPatternPixels(stripedPattern(), { stitchSize: 10 });
+    assert.deepEqual([image.width, image.height], [200, 150]);
+});
+
+test('symbol charts add grid numbers above and left of the grid and a key to its right', () => {
+    for (const chartMode of ['symbols', 'blocks']) {
+        const image = renderPatternPixels(stripedPattern(), { stitchSize: 12, chartMode });
+        assert.ok(image.width > 20 * 12 + 100, `${chartMode} chart has room for the key`);
+
+        assert.ok(hasInk(image, image.width - 100, 0, image.width, image.height), `${chartMode} chart draws its key`);
+        assert.ok(hasInk(image, 0, 0, image.width, 10), `${chartMode} chart numbers its columns`);
+    }
+});